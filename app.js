@@ -5,6 +5,7 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
+const { requestContext } = require('./middleware/requestContext');
 
 const app = express();
 
@@ -36,7 +37,7 @@ app.use(cors({
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Booking-Token', 'X-Loyalty-Token']
 }));
 
 // Rate limiting
@@ -49,14 +50,25 @@ const limiter = rateLimit({
     },
     standardHeaders: true,
     legacyHeaders: false,
+    // Payment provider webhooks must not be throttled
+    skip: (req) => req.path.startsWith('/api/payments/webhook')
 });
 
 app.use(limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Keep the raw body so payment webhook signatures can be verified
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Request context (actor and request metadata for the audit trail)
+app.use(requestContext);
+
 // MongoDB connection state
 let dbConnectionStatus = 'disconnected';
 let dbConnectionError = null;
@@ -73,6 +85,22 @@ const connectDB = async () => {
         console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
         dbConnectionStatus = 'connected';
         dbConnectionError = null;
+
+        // Seed the first admin account from ADMIN_EMAIL/ADMIN_PASSWORD
+        try {
+            await require('./models/AdminUser').ensureDefaultAdmin();
+        } catch (seedError) {
+            console.error('❌ Failed to create default admin:', seedError.message);
+        }
+
+        // Release checkout holds that were never paid
+        require('./jobs/holdSweeper').start();
+
+        // Email reminders ahead of confirmed sessions and corporate events
+        require('./jobs/reminderScheduler').start();
+
+        // Flag confirmed bookings that never checked in
+        require('./jobs/noShowDetector').start();
     } catch (error) {
         console.error('❌ Database connection error:', error.message);
         console.error('Available environment variables:', Object.keys(process.env).filter(key => key.includes('MONGO')));
@@ -115,12 +143,25 @@ app.get('/health', (req, res) => {
 
 // API Routes with error handling
 try {
+    app.use('/api/auth', require('./routes/auth'));
     app.use('/api/bookings', require('./routes/bookings'));
     app.use('/api/contact', require('./routes/contact'));
     app.use('/api/newsletter', require('./routes/newsletter'));
     app.use('/api/packages', require('./routes/packages'));
+    app.use('/api/availability', require('./routes/availability'));
+    app.use('/api/calendar', require('./routes/calendar'));
+    app.use('/api/promo-codes', require('./routes/promoCodes'));
+    app.use('/api/gift-vouchers', require('./routes/giftVouchers'));
+    app.use('/api/loyalty', require('./routes/loyalty'));
+    app.use('/api/waitlist', require('./routes/waitlist'));
+    app.use('/api/waivers', require('./routes/waivers'));
     app.use('/api/registrations', require('./routes/registrations'));
     app.use('/api/corporate-bookings', require('./routes/corporateBookings'));
+    app.use('/api/rooms', require('./routes/rooms'));
+    app.use('/api/payments', require('./routes/payments'));
+    app.use('/api/invoices', require('./routes/invoices'));
+    app.use('/api/corporate-accounts', require('./routes/corporateAccounts'));
+    app.use('/api/staff', require('./routes/staff'));
     app.use('/api/admin', require('./routes/admin'));
     console.log('✅ All API routes loaded successfully');
 } catch (error) {
@@ -136,12 +177,25 @@ app.get('/', (req, res) => {
         status: 'Running',
         endpoints: {
             health: '/health',
+            auth: '/api/auth',
             bookings: '/api/bookings',
             contact: '/api/contact',
             newsletter: '/api/newsletter',
             packages: '/api/packages',
+            availability: '/api/availability',
+            calendar: '/api/calendar',
+            promoCodes: '/api/promo-codes',
+            giftVouchers: '/api/gift-vouchers',
+            loyalty: '/api/loyalty',
+            waitlist: '/api/waitlist',
+            waivers: '/api/waivers',
             registrations: '/api/registrations',
             corporateBookings: '/api/corporate-bookings',
+            rooms: '/api/rooms',
+            payments: '/api/payments',
+            invoices: '/api/invoices',
+            corporateAccounts: '/api/corporate-accounts',
+            staff: '/api/staff',
             admin: '/api/admin'
         }
     });
@@ -154,12 +208,25 @@ app.use('*', (req, res) => {
         message: `The requested endpoint ${req.originalUrl} does not exist.`,
         availableEndpoints: [
             '/health',
+            '/api/auth',
             '/api/bookings',
             '/api/contact',
             '/api/newsletter',
             '/api/packages',
+            '/api/availability',
+            '/api/calendar',
+            '/api/promo-codes',
+            '/api/gift-vouchers',
+            '/api/loyalty',
+            '/api/waitlist',
+            '/api/waivers',
             '/api/registrations',
             '/api/corporate-bookings',
+            '/api/rooms',
+            '/api/payments',
+            '/api/invoices',
+            '/api/corporate-accounts',
+            '/api/staff',
             '/api/admin'
         ]
     });
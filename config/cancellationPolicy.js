@@ -0,0 +1,25 @@
+// Cancellation refund tiers. The first tier whose minHoursBefore is met by the
+// time left until the session wins, so tiers are listed from most to least generous.
+const DEFAULT_TIERS = [
+    { minHoursBefore: 48, refundPercent: 100, label: 'More than 48 hours before the session' },
+    { minHoursBefore: 24, refundPercent: 50, label: '24 to 48 hours before the session' },
+    { minHoursBefore: 0, refundPercent: 0, label: 'Less than 24 hours before the session' }
+];
+
+// Per-package overrides; packages without an entry use DEFAULT_TIERS
+const PACKAGE_TIERS = {
+    ultimate: [
+        { minHoursBefore: 72, refundPercent: 100, label: 'More than 72 hours before the session' },
+        { minHoursBefore: 24, refundPercent: 50, label: '24 to 72 hours before the session' },
+        { minHoursBefore: 0, refundPercent: 0, label: 'Less than 24 hours before the session' }
+    ]
+};
+
+// Get the refund tiers for a package type
+const getTiers = (packageType) => PACKAGE_TIERS[packageType] || DEFAULT_TIERS;
+
+module.exports = {
+    DEFAULT_TIERS,
+    PACKAGE_TIERS,
+    getTiers
+};
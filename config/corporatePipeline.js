@@ -0,0 +1,46 @@
+// Sales pipeline for corporate bookings. Every booking starts as a new lead and
+// moves through the open stages until it is won or lost. Booking status still
+// tracks the event itself; confirming an event wins the deal and cancelling it
+// loses it.
+
+// Stages in pipeline order, with the labels shown on the board
+const STAGES = ['new_lead', 'contacted', 'proposal_sent', 'negotiation', 'won', 'lost'];
+
+const STAGE_LABELS = {
+    new_lead: 'New lead',
+    contacted: 'Contacted',
+    proposal_sent: 'Proposal sent',
+    negotiation: 'Negotiation',
+    won: 'Won',
+    lost: 'Lost'
+};
+
+// Stages a deal can still move on from
+const OPEN_STAGES = ['new_lead', 'contacted', 'proposal_sent', 'negotiation'];
+
+// Why a deal was lost ('cancelled' is recorded when the event itself is cancelled)
+const LOST_REASONS = {
+    price: 'Price too high',
+    date_unavailable: 'Preferred date unavailable',
+    chose_competitor: 'Chose a competitor',
+    no_response: 'Stopped responding',
+    budget: 'No budget',
+    requirements: "Couldn't meet requirements",
+    cancelled: 'Event cancelled',
+    other: 'Other'
+};
+
+// Stage a booking's status implies, for bookings from before the pipeline existed
+const stageFromStatus = (status) => {
+    if (status === 'confirmed' || status === 'completed') return 'won';
+    if (status === 'cancelled') return 'lost';
+    return 'new_lead';
+};
+
+module.exports = {
+    STAGES,
+    STAGE_LABELS,
+    OPEN_STAGES,
+    LOST_REASONS,
+    stageFromStatus
+};
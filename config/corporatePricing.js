@@ -0,0 +1,69 @@
+// Corporate event pricing used to build quotes. Events are charged per head
+// for the chosen duration, less a volume discount for bigger teams, plus
+// add-ons and an optional venue buy-out. GST comes from config/packages.js.
+
+// Per-head rate (INR) for each event duration option
+const PER_HEAD_RATES = {
+    '1 hour': 600,
+    '2 hours': 1000,
+    '3 hours': 1350,
+    '4 hours': 1650,
+    'Half day': 1650,
+    'Full day': 2800
+};
+
+// Event length in hours, used for the venue exclusivity fee
+const DURATION_HOURS = {
+    '1 hour': 1,
+    '2 hours': 2,
+    '3 hours': 3,
+    '4 hours': 4,
+    'Half day': 4,
+    'Full day': 8
+};
+
+// Headcount quoted for each team size range unless staff give an exact number
+const TEAM_SIZE_HEADCOUNT = {
+    '5-10 people': 10,
+    '11-20 people': 20,
+    '21-30 people': 30,
+    '31-50 people': 50,
+    '50+ people': 60
+};
+
+// Discount off the per-head rate by headcount. Listed from largest to
+// smallest; the first entry whose minHeadcount is met wins.
+const VOLUME_DISCOUNTS = [
+    { minHeadcount: 50, percent: 20 },
+    { minHeadcount: 31, percent: 15 },
+    { minHeadcount: 21, percent: 10 }
+];
+
+// How catalog add-ons are charged for corporate events: once per head or once per event
+const ADD_ON_BASIS = {
+    photography: 'event',
+    videography: 'event',
+    counseling: 'head',
+    refreshments: 'head',
+    group_coordination: 'event'
+};
+
+// Hourly fee (INR) for closing the venue to other customers during the event
+const EXCLUSIVITY_RATE_PER_HOUR = 6000;
+
+// How long a quote can be accepted for
+const QUOTE_VALID_DAYS = parseInt(process.env.CORPORATE_QUOTE_VALID_DAYS) || 14;
+
+// Get the volume discount tier for a headcount, or null below the smallest tier
+const getVolumeDiscount = (headcount) => VOLUME_DISCOUNTS.find(item => headcount >= item.minHeadcount) || null;
+
+module.exports = {
+    PER_HEAD_RATES,
+    DURATION_HOURS,
+    TEAM_SIZE_HEADCOUNT,
+    VOLUME_DISCOUNTS,
+    ADD_ON_BASIS,
+    EXCLUSIVITY_RATE_PER_HOUR,
+    QUOTE_VALID_DAYS,
+    getVolumeDiscount
+};
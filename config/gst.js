@@ -0,0 +1,62 @@
+// GST settings for tax invoices. The supplier's GSTIN (COMPANY_GSTIN) sets the
+// venue's state; the place of supply decides between CGST + SGST (same state)
+// and IGST (another state).
+
+// Services accounting code printed on invoices (other recreational services)
+const SAC_CODE = process.env.INVOICE_SAC_CODE || '999659';
+
+// 15-character GSTIN: state code, PAN, entity number, 'Z' and a check character
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// GST state and union territory codes
+const STATES = {
+    '01': 'Jammu and Kashmir',
+    '02': 'Himachal Pradesh',
+    '03': 'Punjab',
+    '04': 'Chandigarh',
+    '05': 'Uttarakhand',
+    '06': 'Haryana',
+    '07': 'Delhi',
+    '08': 'Rajasthan',
+    '09': 'Uttar Pradesh',
+    '10': 'Bihar',
+    '11': 'Sikkim',
+    '12': 'Arunachal Pradesh',
+    '13': 'Nagaland',
+    '14': 'Manipur',
+    '15': 'Mizoram',
+    '16': 'Tripura',
+    '17': 'Meghalaya',
+    '18': 'Assam',
+    '19': 'West Bengal',
+    '20': 'Jharkhand',
+    '21': 'Odisha',
+    '22': 'Chhattisgarh',
+    '23': 'Madhya Pradesh',
+    '24': 'Gujarat',
+    '26': 'Dadra and Nagar Haveli and Daman and Diu',
+    '27': 'Maharashtra',
+    '29': 'Karnataka',
+    '30': 'Goa',
+    '31': 'Lakshadweep',
+    '32': 'Kerala',
+    '33': 'Tamil Nadu',
+    '34': 'Puducherry',
+    '35': 'Andaman and Nicobar Islands',
+    '36': 'Telangana',
+    '37': 'Andhra Pradesh',
+    '38': 'Ladakh'
+};
+
+const isValidGstin = (gstin) => GSTIN_PATTERN.test(String(gstin || '').toUpperCase());
+
+// State code a GSTIN is registered in, e.g. '29' for 29ABCDE1234F1Z5
+const getStateCode = (gstin) => (isValidGstin(gstin) ? String(gstin).slice(0, 2) : null);
+
+module.exports = {
+    SAC_CODE,
+    GSTIN_PATTERN,
+    STATES,
+    isValidGstin,
+    getStateCode
+};
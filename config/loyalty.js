@@ -0,0 +1,39 @@
+// Loyalty programme settings. Points are earned on what a completed booking
+// cost and can be spent at checkout as a discount before tax.
+
+// Points earned per ₹100 spent, before the tier multiplier
+const POINTS_PER_100 = parseInt(process.env.LOYALTY_POINTS_PER_100) || 5;
+
+// Rupee value of one point at checkout
+const POINT_VALUE = parseFloat(process.env.LOYALTY_POINT_VALUE) || 1;
+
+// Smallest redemption, and the share of a booking's subtotal points can cover
+const MIN_REDEEM_POINTS = 100;
+const MAX_REDEEM_SHARE = 0.5;
+
+// Tiers by lifetime spend (INR). Listed from highest to lowest; the first
+// tier whose minSpend is met wins.
+const TIERS = [
+    { name: 'gold', label: 'Gold', minSpend: 15000, multiplier: 1.5 },
+    { name: 'silver', label: 'Silver', minSpend: 5000, multiplier: 1.25 },
+    { name: 'bronze', label: 'Bronze', minSpend: 0, multiplier: 1 }
+];
+
+// Get the tier for a lifetime spend
+const getTier = (lifetimeSpend = 0) => TIERS.find(tier => lifetimeSpend >= tier.minSpend);
+
+// Get the tier above the one a lifetime spend reaches, or null at the top
+const getNextTier = (lifetimeSpend = 0) => {
+    const index = TIERS.indexOf(getTier(lifetimeSpend));
+    return index > 0 ? TIERS[index - 1] : null;
+};
+
+module.exports = {
+    POINTS_PER_100,
+    POINT_VALUE,
+    MIN_REDEEM_POINTS,
+    MAX_REDEEM_SHARE,
+    TIERS,
+    getTier,
+    getNextTier
+};
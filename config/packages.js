@@ -0,0 +1,143 @@
+// Package and add-on catalog shared by the packages API and booking pricing.
+// In a real app, this might come from a database.
+
+const packages = [
+    {
+        id: 'basic',
+        name: 'Basic Stress Relief',
+        type: 'basic',
+        price: 500,
+        currency: 'INR',
+        duration: 30,
+        description: 'Perfect for quick stress relief sessions',
+        features: [
+            '30-minute session',
+            'Basic equipment access',
+            'Personal protective gear included',
+            'Music of your choice',
+            'Post-session relaxation area'
+        ],
+        includes: [
+            'Safety briefing',
+            'Equipment rental',
+            'Clean-up service',
+            'Refreshments'
+        ],
+        maxParticipants: 2,
+        availability: 'Walk-in friendly',
+        popular: false
+    },
+    {
+        id: 'premium',
+        name: 'Premium Rage Room',
+        type: 'premium',
+        price: 800,
+        currency: 'INR',
+        duration: 60,
+        description: 'Enhanced experience with more variety and time',
+        features: [
+            '60-minute session',
+            'Premium equipment selection',
+            'Variety of breakable items',
+            'Themed room options',
+            'Photo/video session',
+            'Post-session consultation'
+        ],
+        includes: [
+            'Everything in Basic',
+            'Extended item selection',
+            'Professional photography',
+            'Stress management tips',
+            'Healthy snacks & drinks'
+        ],
+        maxParticipants: 4,
+        availability: 'Advance booking recommended',
+        popular: true
+    },
+    {
+        id: 'ultimate',
+        name: 'Ultimate Destruction',
+        type: 'ultimate',
+        price: 1200,
+        currency: 'INR',
+        duration: 90,
+        description: 'The complete stress relief experience',
+        features: [
+            '90-minute session',
+            'VIP room access',
+            'Premium destruction items',
+            'Multiple themed rooms',
+            'Professional video recording',
+            'Stress counseling session',
+            'Group activities'
+        ],
+        includes: [
+            'Everything in Premium',
+            'VIP treatment',
+            'Professional counseling',
+            'Group coordination',
+            'Premium refreshments',
+            'Keepsake video'
+        ],
+        maxParticipants: 6,
+        availability: 'Must book in advance',
+        popular: false
+    }
+];
+
+// Optional services that can be added to any package
+const addOns = [
+    {
+        id: 'photography',
+        name: 'Professional Photography',
+        description: 'Capture your stress-relief moments with professional photos',
+        price: 200,
+        duration: 'Included in session',
+        includes: ['10-15 high-quality photos', 'Basic editing', 'Digital delivery']
+    },
+    {
+        id: 'videography',
+        name: 'Video Recording',
+        description: 'Get a keepsake video of your destruction session',
+        price: 300,
+        duration: 'Full session coverage',
+        includes: ['Professional video recording', 'Basic editing', 'MP4 delivery']
+    },
+    {
+        id: 'counseling',
+        name: 'Post-session Counseling',
+        description: 'Professional stress management consultation',
+        price: 500,
+        duration: '30 minutes',
+        includes: ['Stress assessment', 'Coping strategies', 'Follow-up resources']
+    },
+    {
+        id: 'refreshments',
+        name: 'Premium Refreshments',
+        description: 'Enhanced food and beverage options',
+        price: 150,
+        duration: 'Throughout session',
+        includes: ['Healthy snacks', 'Fresh juices', 'Energy drinks', 'Relaxation tea']
+    },
+    {
+        id: 'group_coordination',
+        name: 'Group Activity Coordination',
+        description: 'Professional facilitation for group sessions',
+        price: 250,
+        duration: 'Full session',
+        includes: ['Team building activities', 'Group dynamics guidance', 'Conflict resolution']
+    }
+];
+
+// Goods and services tax applied to every booking
+const TAX_RATE = 0.18;
+
+// Currency for all prices in the catalog
+const CURRENCY = 'INR';
+
+module.exports = {
+    packages,
+    addOns,
+    TAX_RATE,
+    CURRENCY
+};
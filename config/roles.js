@@ -0,0 +1,86 @@
+// Staff roles and the permissions each one grants.
+// Routes declare the permissions they need with the authorize() middleware,
+// so changing what a role can do only requires editing this file.
+
+const PERMISSIONS = {
+    'dashboard:read': 'View the admin dashboard',
+    'revenue:read': 'View revenue figures',
+    'analytics:read': 'View booking and contact analytics',
+    'system:read': 'View system health',
+    'audit:read': 'View the audit trail',
+    'bookings:read': 'View bookings and booking statistics',
+    'bookings:update': 'Update booking status',
+    'bookings:cancel': 'Cancel bookings',
+    'payments:refund': 'Issue refunds through the payment provider',
+    'contacts:read': 'View contact messages',
+    'contacts:update': 'Update contact status and add notes',
+    'contacts:respond': 'Respond to contact messages',
+    'newsletter:read': 'View newsletter subscribers and statistics',
+    'registrations:read': 'View community registrations',
+    'registrations:update': 'Update registration status',
+    'corporate:read': 'View corporate bookings',
+    'corporate:update': 'Update corporate bookings',
+    'corporate:delete': 'Delete corporate bookings',
+    'corporate:costs': 'View and edit corporate booking costs',
+    'rooms:read': 'View rooms and their assignments',
+    'rooms:manage': 'Create, update and deactivate rooms',
+    'calendar:manage': 'Set opening hours, holidays and blackout dates',
+    'promotions:read': 'View promo codes and their redemptions',
+    'promotions:manage': 'Create, update and deactivate promo codes',
+    'vouchers:read': 'View gift vouchers and their balances',
+    'vouchers:issue': 'Issue, resend and cancel gift vouchers',
+    'loyalty:read': 'View loyalty accounts and points history',
+    'loyalty:manage': 'Adjust loyalty points balances',
+    'invoices:read': 'View and download tax invoices',
+    'invoices:manage': 'Issue and void tax invoices',
+    'staff:manage': 'Manage staff accounts and roles'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+const ROLE_PERMISSIONS = {
+    owner: ALL_PERMISSIONS,
+    manager: ALL_PERMISSIONS.filter(permission => permission !== 'staff:manage'),
+    front_desk: [
+        'dashboard:read',
+        'bookings:read',
+        'bookings:update',
+        'bookings:cancel',
+        'contacts:read',
+        'contacts:update',
+        'contacts:respond',
+        'registrations:read',
+        'corporate:read',
+        'rooms:read',
+        'vouchers:read',
+        'loyalty:read',
+        'invoices:read',
+        'invoices:manage'
+    ],
+    marketing: [
+        'dashboard:read',
+        'contacts:read',
+        'newsletter:read',
+        'registrations:read',
+        'registrations:update',
+        'corporate:read',
+        'promotions:read',
+        'promotions:manage',
+        'loyalty:read'
+    ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Check whether a role grants a permission
+const roleHasPermission = (role, permission) => {
+    const permissions = ROLE_PERMISSIONS[role];
+    return Boolean(permissions && permissions.includes(permission));
+};
+
+module.exports = {
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    ROLES,
+    roleHasPermission
+};
@@ -0,0 +1,23 @@
+// Session slot settings. Times are wall-clock times in the venue's timezone.
+const SLOT_SETTINGS = {
+    timezone: 'Asia/Kolkata',
+    utcOffset: '+05:30',
+    openingTime: process.env.OPENING_TIME || '10:00',
+    closingTime: process.env.CLOSING_TIME || '21:00',
+    // Sessions can start on every interval and reserve every interval they cover
+    intervalMinutes: 30,
+    // Participants the venue can host at the same time
+    capacity: parseInt(process.env.SLOT_CAPACITY) || 10
+};
+
+// Map the legacy preferredTime values to start-time ranges [from, to)
+const TIME_PERIODS = {
+    morning: ['00:00', '12:00'],
+    afternoon: ['12:00', '17:00'],
+    evening: ['17:00', '24:00']
+};
+
+module.exports = {
+    SLOT_SETTINGS,
+    TIME_PERIODS
+};
@@ -0,0 +1,26 @@
+// Liability waiver every participant signs before their session. Changing
+// the wording means bumping VERSION so signed waivers record what was agreed.
+
+const VERSION = '2026.1';
+
+// Participants must confirm they are at least this old
+const MINIMUM_AGE = parseInt(process.env.WAIVER_MINIMUM_AGE) || 18;
+
+const TITLE = 'SmashLabs Release of Liability and Assumption of Risk';
+
+const CLAUSES = [
+    'I understand that smashing objects involves flying debris, sharp fragments and physical exertion, and that I may be injured even when following every safety rule.',
+    'I will wear the protective gear provided (helmet with face shield, gloves, coveralls and closed shoes) for the whole session and follow staff instructions at all times.',
+    'I am not under the influence of alcohol or drugs, and I have no medical condition that makes strenuous activity unsafe for me.',
+    'I will only strike items inside my assigned room and will not throw tools or aim at other people, walls, doors or cameras.',
+    'Staff may end my session without a refund if I break these rules or put myself or others at risk.',
+    `I confirm that I am at least ${MINIMUM_AGE} years old.`,
+    'To the fullest extent permitted by law, I release SmashLabs and its staff from liability for injury, loss or damage arising from my participation, except where caused by their gross negligence.'
+];
+
+module.exports = {
+    VERSION,
+    MINIMUM_AGE,
+    TITLE,
+    CLAUSES
+};
@@ -0,0 +1,72 @@
+const holdService = require('../services/holdService');
+const waitlistService = require('../services/waitlistService');
+const paymentService = require('../services/paymentService');
+const { runAsSystem } = require('../middleware/requestContext');
+
+// Background job that releases checkout holds nobody paid for and passes
+// the freed places on to the waitlist
+let timer = null;
+let running = false;
+
+const sweep = async () => {
+    // Skip a tick if the previous sweep is still going
+    if (running) return;
+    running = true;
+
+    try {
+        // Changes are attributed to the job in the audit trail
+        await runAsSystem('Hold sweeper', async () => {
+            const expired = await holdService.sweepExpired();
+            if (expired.length > 0) {
+                console.log(`⏱️ Released ${expired.length} expired booking hold(s)`);
+            }
+
+            // Give back anything already paid towards an abandoned hold (e.g. part of a gift voucher)
+            for (const booking of expired) {
+                const outstanding = (booking.amountPaid || 0) - (booking.amountRefunded || 0);
+                if (outstanding <= 0) continue;
+                try {
+                    await paymentService.refundBooking(booking, { amount: outstanding, notes: 'Checkout hold expired' });
+                } catch (refundError) {
+                    console.error(`Failed to refund expired hold ${booking.bookingId}:`, refundError.message);
+                }
+            }
+
+            // Unclaimed waitlist offers expire with their holds
+            const offerDates = await waitlistService.expireOffers();
+            const dates = new Set([
+                ...offerDates,
+                ...expired.map(booking => booking.slotReservation && booking.slotReservation.date).filter(Boolean)
+            ]);
+            for (const date of dates) {
+                await waitlistService.promote(date);
+            }
+        });
+    } catch (error) {
+        console.error('Hold sweeper failed:', error.message);
+    } finally {
+        running = false;
+    }
+};
+
+const start = (intervalSeconds = parseInt(process.env.HOLD_SWEEP_INTERVAL_SECONDS) || 60) => {
+    if (timer) return;
+
+    timer = setInterval(sweep, intervalSeconds * 1000);
+    // Don't keep the process alive just for the sweeper
+    timer.unref();
+    console.log(`✅ Hold sweeper running every ${intervalSeconds}s`);
+};
+
+const stop = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+module.exports = {
+    start,
+    stop,
+    sweep
+};
@@ -0,0 +1,49 @@
+const checkInService = require('../services/checkInService');
+const { runAsSystem } = require('../middleware/requestContext');
+
+// Background job that flags confirmed bookings as no-shows once their
+// session has started and the grace period has passed without a check-in.
+let timer = null;
+let running = false;
+
+const run = async () => {
+    // Skip a tick if the previous run is still going
+    if (running) return;
+    running = true;
+
+    try {
+        // Changes are attributed to the job in the audit trail
+        await runAsSystem('No-show detector', async () => {
+            const flagged = await checkInService.markNoShows();
+            if (flagged > 0) {
+                console.log(`🚫 Marked ${flagged} booking(s) as no-shows`);
+            }
+        });
+    } catch (error) {
+        console.error('No-show detector failed:', error.message);
+    } finally {
+        running = false;
+    }
+};
+
+const start = (intervalSeconds = parseInt(process.env.NO_SHOW_SWEEP_INTERVAL_SECONDS) || 600) => {
+    if (timer) return;
+
+    timer = setInterval(run, intervalSeconds * 1000);
+    // Don't keep the process alive just for the detector
+    timer.unref();
+    console.log(`✅ No-show detector running every ${intervalSeconds}s (${checkInService.noShowGraceMinutes} min grace)`);
+};
+
+const stop = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+module.exports = {
+    start,
+    stop,
+    run
+};
@@ -0,0 +1,51 @@
+const reminderService = require('../services/reminderService');
+const { runAsSystem } = require('../middleware/requestContext');
+
+// Background job that emails reminders ahead of confirmed sessions and
+// corporate events. Sent reminders are recorded on each booking, so a
+// restart picks up where the last run stopped without sending twice.
+let timer = null;
+let running = false;
+
+const run = async () => {
+    // Skip a tick if the previous run is still going
+    if (running) return;
+    running = true;
+
+    try {
+        // Changes are attributed to the job in the audit trail
+        await runAsSystem('Reminder scheduler', async () => {
+            const sent = await reminderService.sendDue();
+            const total = sent.bookings + sent.corporateBookings;
+            if (total > 0) {
+                console.log(`🔔 Sent ${sent.bookings} session and ${sent.corporateBookings} corporate event reminder(s)`);
+            }
+        });
+    } catch (error) {
+        console.error('Reminder scheduler failed:', error.message);
+    } finally {
+        running = false;
+    }
+};
+
+const start = (intervalSeconds = parseInt(process.env.REMINDER_INTERVAL_SECONDS) || 300) => {
+    if (timer) return;
+
+    timer = setInterval(run, intervalSeconds * 1000);
+    // Don't keep the process alive just for the scheduler
+    timer.unref();
+    console.log(`✅ Reminder scheduler running every ${intervalSeconds}s (${reminderService.offsets.map(hours => `${hours}h`).join(', ')} before sessions)`);
+};
+
+const stop = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+module.exports = {
+    start,
+    stop,
+    run
+};
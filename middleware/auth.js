@@ -0,0 +1,123 @@
+const jwt = require('jsonwebtoken');
+const AdminUser = require('../models/AdminUser');
+const { setActor } = require('./requestContext');
+
+// Extract the bearer token from the Authorization header
+const getTokenFromRequest = (req) => {
+    const header = req.get('Authorization');
+    if (header && header.startsWith('Bearer ')) {
+        return header.slice(7).trim();
+    }
+    return null;
+};
+
+// Require a valid admin JWT and attach the admin to req.admin.
+// JWT verification errors are forwarded to the global error handler,
+// which maps JsonWebTokenError and TokenExpiredError to 401 responses.
+const protect = async (req, res, next) => {
+    try {
+        const token = getTokenFromRequest(req);
+        if (!token) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required. Please provide a valid token.'
+            });
+        }
+
+        if (!process.env.JWT_SECRET) {
+            console.error('JWT_SECRET environment variable is not set');
+            return res.status(500).json({
+                success: false,
+                message: 'Authentication is not configured on the server'
+            });
+        }
+
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        const admin = await AdminUser.findById(decoded.id);
+        if (!admin || !admin.isActive) {
+            return res.status(401).json({
+                success: false,
+                message: 'The account for this token no longer exists or is disabled'
+            });
+        }
+
+        if (admin.changedPasswordAfter(decoded.iat)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Password was changed recently. Please login again.'
+            });
+        }
+
+        req.admin = admin;
+        setActor({
+            type: 'staff',
+            id: admin._id,
+            name: admin.name,
+            email: admin.email,
+            role: admin.role
+        });
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Authenticate calendar feeds. Calendar apps can't send headers, so a
+// personal feed token in ?token= is accepted as well as a bearer JWT.
+const protectCalendarFeed = async (req, res, next) => {
+    if (!req.query.token) {
+        return protect(req, res, next);
+    }
+
+    try {
+        const admin = await AdminUser.findByCalendarFeedToken(req.query.token);
+        if (!admin) {
+            return res.status(401).json({
+                success: false,
+                message: 'This calendar feed link is invalid or has been revoked'
+            });
+        }
+
+        req.admin = admin;
+        setActor({
+            type: 'staff',
+            id: admin._id,
+            name: admin.name,
+            email: admin.email,
+            role: admin.role
+        });
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Require the authenticated admin's role to grant every listed permission.
+// Must run after protect.
+const authorize = (...permissions) => (req, res, next) => {
+    if (!req.admin) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required. Please provide a valid token.'
+        });
+    }
+
+    const missing = permissions.filter(permission => !req.admin.hasPermission(permission));
+    if (missing.length > 0) {
+        return res.status(403).json({
+            success: false,
+            message: 'You do not have permission to perform this action',
+            requiredPermissions: missing
+        });
+    }
+
+    next();
+};
+
+module.exports = {
+    protect,
+    protectCalendarFeed,
+    authorize,
+    getTokenFromRequest
+};
@@ -0,0 +1,39 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request context that survives across awaits, so model hooks can see
+// who is making a change without every route passing it through.
+const storage = new AsyncLocalStorage();
+
+const requestContext = (req, res, next) => {
+    const context = {
+        method: req.method,
+        path: req.originalUrl,
+        ipAddress: req.ip || (req.connection && req.connection.remoteAddress),
+        userAgent: req.get('User-Agent'),
+        actor: null
+    };
+
+    storage.run(context, () => next());
+};
+
+// Get the context of the current request, or null outside a request
+const getRequestContext = () => storage.getStore() || null;
+
+// Record who is acting for the rest of the current request
+const setActor = (actor) => {
+    const context = storage.getStore();
+    if (context) {
+        context.actor = actor;
+    }
+};
+
+// Run background work (e.g. a scheduled job) as the system, so the changes
+// it makes are attributed in the audit trail
+const runAsSystem = (name, fn) => storage.run({ actor: { type: 'system', name } }, fn);
+
+module.exports = {
+    requestContext,
+    getRequestContext,
+    setActor,
+    runAsSystem
+};
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { ROLES, ROLE_PERMISSIONS, roleHasPermission } = require('../config/roles');
+const auditTrail = require('./plugins/auditTrail');
+
+const adminUserSchema = new mongoose.Schema({
+    // Account Information
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        minlength: [2, 'Name must be at least 2 characters long'],
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+    },
+    password: {
+        type: String,
+        required: [true, 'Password is required'],
+        minlength: [8, 'Password must be at least 8 characters long'],
+        select: false
+    },
+
+    // Access Control
+    role: {
+        type: String,
+        enum: {
+            values: ROLES,
+            message: `Role must be one of: ${ROLES.join(', ')}`
+        },
+        default: 'front_desk'
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser'
+    },
+
+    // Account Status
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    lastLoginAt: Date,
+    passwordChangedAt: Date,
+
+    // Personal calendar feed (GET /api/admin/calendar.ics?token=...). Only a hash of the token is stored.
+    calendarFeedTokenHash: {
+        type: String,
+        select: false
+    },
+    calendarFeedCreatedAt: Date
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform: function(doc, ret) {
+            delete ret.password;
+            delete ret.calendarFeedTokenHash;
+            return ret;
+        }
+    },
+    toObject: { virtuals: true }
+});
+
+// Hash password before saving
+adminUserSchema.pre('save', async function(next) {
+    if (!this.isModified('password')) return next();
+
+    try {
+        this.password = await bcrypt.hash(this.password, 12);
+        if (!this.isNew) {
+            this.passwordChangedAt = new Date();
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Virtual for the permissions granted by the role
+adminUserSchema.virtual('permissions').get(function() {
+    return ROLE_PERMISSIONS[this.role] || [];
+});
+
+// Instance method to check a single permission
+adminUserSchema.methods.hasPermission = function(permission) {
+    return roleHasPermission(this.role, permission);
+};
+
+// Instance method to check a candidate password against the stored hash
+adminUserSchema.methods.comparePassword = function(candidatePassword) {
+    return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Instance method to issue a signed JWT for this admin
+adminUserSchema.methods.generateAuthToken = function() {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET environment variable is not set');
+    }
+
+    return jwt.sign(
+        { id: this._id.toString() },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    );
+};
+
+// Instance method to check whether the password changed after a token was issued
+adminUserSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+    if (!this.passwordChangedAt) return false;
+    return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Instance method to create (or replace) the calendar feed token. Returns the raw token.
+adminUserSchema.methods.createCalendarFeedToken = function() {
+    const token = crypto.randomBytes(24).toString('hex');
+    this.calendarFeedTokenHash = crypto.createHash('sha256').update(token).digest('hex');
+    this.calendarFeedCreatedAt = new Date();
+    return token;
+};
+
+// Instance method to record a successful login
+adminUserSchema.methods.recordLogin = function() {
+    this.lastLoginAt = new Date();
+    return this.save();
+};
+
+// Static method to find the active admin a calendar feed token belongs to
+adminUserSchema.statics.findByCalendarFeedToken = function(token) {
+    if (!token) return null;
+    const hash = crypto.createHash('sha256').update(String(token)).digest('hex');
+    return this.findOne({ calendarFeedTokenHash: hash, isActive: true });
+};
+
+// Static method to create the initial owner from ADMIN_EMAIL/ADMIN_PASSWORD
+adminUserSchema.statics.ensureDefaultAdmin = async function() {
+    const existing = await this.countDocuments();
+    if (existing > 0) {
+        // Accounts created before roles existed have no owner; promote ADMIN_EMAIL
+        const owners = await this.countDocuments({ role: 'owner' });
+        if (owners === 0 && process.env.ADMIN_EMAIL) {
+            await this.updateOne(
+                { email: process.env.ADMIN_EMAIL.toLowerCase() },
+                { $set: { role: 'owner' } }
+            );
+        }
+        return null;
+    }
+
+    if (!process.env.ADMIN_EMAIL || !process.env.ADMIN_PASSWORD) {
+        console.warn('⚠️ No admin users exist and ADMIN_EMAIL/ADMIN_PASSWORD are not set');
+        return null;
+    }
+
+    const admin = await this.create({
+        name: process.env.COMPANY_NAME ? `${process.env.COMPANY_NAME} Admin` : 'SmashLabs Admin',
+        email: process.env.ADMIN_EMAIL,
+        password: process.env.ADMIN_PASSWORD,
+        role: 'owner'
+    });
+
+    console.log(`✅ Default owner account created: ${admin.email}`);
+    return admin;
+};
+
+// Indexes for better query performance
+adminUserSchema.index({ isActive: 1 });
+adminUserSchema.index({ role: 1 });
+adminUserSchema.index({ calendarFeedTokenHash: 1 }, { sparse: true });
+
+// Record staff account changes in the audit log
+adminUserSchema.plugin(auditTrail, {
+    entityType: 'AdminUser',
+    referenceField: 'email',
+    ignore: ['lastLoginAt', 'passwordChangedAt'],
+    redact: ['password', 'calendarFeedTokenHash']
+});
+
+module.exports = mongoose.model('AdminUser', adminUserSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+    // Who made the change
+    actor: {
+        type: {
+            type: String,
+            enum: ['staff', 'customer', 'system'],
+            default: 'staff'
+        },
+        id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'AdminUser'
+        },
+        name: String,
+        email: String,
+        role: String
+    },
+
+    // What was changed
+    entityType: {
+        type: String,
+        required: [true, 'Entity type is required'],
+        trim: true
+    },
+    entityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, 'Entity ID is required']
+    },
+    entityReference: {
+        type: String,
+        trim: true
+    },
+    action: {
+        type: String,
+        required: [true, 'Action is required'],
+        trim: true
+    },
+
+    // Diff of the changed fields only
+    changedFields: [{
+        type: String
+    }],
+    before: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    after: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
+    // Request metadata
+    request: {
+        method: String,
+        path: String,
+        ipAddress: String,
+        userAgent: String
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    minimize: false
+});
+
+// Static method to write an entry without failing the caller
+auditLogSchema.statics.record = async function(entry) {
+    try {
+        return await this.create(entry);
+    } catch (error) {
+        console.error('Failed to write audit log:', error);
+        return null;
+    }
+};
+
+// Static method to get the history of a single entity
+auditLogSchema.statics.findForEntity = function(entityType, entityId) {
+    return this.find({ entityType, entityId }).sort({ createdAt: -1 });
+};
+
+// Indexes for better query performance
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const RoomReservation = require('./RoomReservation');
 
 const bookingSchema = new mongoose.Schema({
     // Customer Information
@@ -42,12 +44,56 @@ const bookingSchema = new mongoose.Schema({
         min: [0, 'Price cannot be negative']
     },
     
+    addOns: [{
+        type: String,
+        trim: true
+    }],
+    promoCode: {
+        type: String,
+        uppercase: true,
+        trim: true
+    },
+    // Loyalty points spent on this booking and earned when it was completed
+    loyaltyPointsRedeemed: Number,
+    loyaltyPointsEarned: Number,
+    
+    // Server-calculated price breakdown (packagePrice is its total).
+    // Line items cover the package, extra participants, extended time,
+    // each add-on, any promo or loyalty discount and the tax, and add up to the total.
+    priceBreakdown: {
+        items: [{
+            _id: false,
+            type: {
+                type: String,
+                enum: ['package', 'participants', 'duration', 'addon', 'discount', 'tax']
+            },
+            code: String,
+            item: { type: String, required: true },
+            price: { type: Number, required: true },
+            quantity: { type: Number, default: 1 }
+        }],
+        subtotal: Number,
+        taxRate: Number,
+        taxAmount: Number,
+        discountAmount: Number,
+        total: Number,
+        currency: {
+            type: String,
+            default: 'INR'
+        },
+        clientQuotedPrice: Number,
+        calculatedAt: Date
+    },
+    
     // Session Details
     preferredDate: {
         type: Date,
         required: [true, 'Preferred date is required'],
         validate: {
+            // Only checked when the date is set, so bookings can still be saved
+            // (checked in, completed, refunded) once their session has started
             validator: function(date) {
+                if (!this.isNew && !this.isModified('preferredDate')) return true;
                 return date > new Date();
             },
             message: 'Preferred date must be in the future'
@@ -67,6 +113,38 @@ const bookingSchema = new mongoose.Schema({
         min: [30, 'Duration cannot be less than 30 minutes'],
         max: [240, 'Duration cannot exceed 240 minutes']
     },
+    sessionStart: Date,
+    sessionEnd: Date,
+    
+    // Arrival (set by scanning the QR code in the confirmation email)
+    checkedInAt: Date,
+    checkedInBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser'
+    },
+    // Confirmed bookings that never checked in (flagged by the no-show detector)
+    noShow: {
+        type: Boolean,
+        default: false
+    },
+    noShowAt: Date,
+    
+    // Session reminders already emailed (keyed by offset, e.g. '24h'); cleared when the session moves
+    remindersSent: [{
+        _id: false,
+        key: String,
+        sentAt: Date
+    }],
+    
+    // Capacity held in the slot schedule for this session
+    slotReservation: {
+        date: String,
+        startTime: String,
+        intervals: [String],
+        participants: Number,
+        reservedAt: Date,
+        releasedAt: Date
+    },
     
     // Additional Information
     participants: {
@@ -81,15 +159,25 @@ const bookingSchema = new mongoose.Schema({
         maxlength: [500, 'Special requests cannot exceed 500 characters']
     },
     
+    // Room Assignment
+    room: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Room'
+    },
+    roomAssignedAt: Date,
+    
     // Booking Status
+    // 'held' bookings keep their slot during checkout until holdExpiresAt;
+    // unpaid holds become 'expired' and free the slot
     status: {
         type: String,
         enum: {
-            values: ['pending', 'confirmed', 'cancelled', 'completed'],
-            message: 'Status must be one of: pending, confirmed, cancelled, completed'
+            values: ['held', 'pending', 'confirmed', 'cancelled', 'completed', 'expired'],
+            message: 'Status must be one of: held, pending, confirmed, cancelled, completed, expired'
         },
         default: 'pending'
     },
+    holdExpiresAt: Date,
     
     // Payment Information
     paymentStatus: {
@@ -102,9 +190,36 @@ const bookingSchema = new mongoose.Schema({
     },
     paymentMethod: {
         type: String,
-        enum: ['cash', 'card', 'upi', 'bank_transfer'],
+        enum: ['cash', 'card', 'upi', 'bank_transfer', 'gift_voucher'],
         required: false
     },
+    // Totals from the Payment ledger
+    amountPaid: {
+        type: Number,
+        default: 0
+    },
+    amountRefunded: {
+        type: Number,
+        default: 0
+    },
+    
+    // Cancellation and Refund (set by the cancellation policy)
+    cancellation: {
+        cancelledBy: {
+            type: String,
+            enum: ['staff', 'customer']
+        },
+        note: String,
+        hoursBeforeSession: Number,
+        refundPercent: Number,
+        refundAmount: Number,
+        refundReason: String,
+        refundStatus: {
+            type: String,
+            enum: ['not_applicable', 'pending', 'processed']
+        },
+        evaluatedAt: Date
+    },
     
     // Booking Reference
     bookingId: {
@@ -138,6 +253,11 @@ bookingSchema.pre('save', function(next) {
         const random2 = Math.random().toString(36).substr(2, 4);
         this.bookingId = `SL-${timestamp}-${random1}${random2}`.toUpperCase();
     }
+
+    // A moved session needs its reminders again
+    if (!this.isNew && this.isModified('sessionStart') && this.remindersSent && this.remindersSent.length > 0) {
+        this.remindersSent = [];
+    }
     next();
 });
 
@@ -162,6 +282,28 @@ bookingSchema.statics.findByDateRange = function(startDate, endDate) {
     });
 };
 
+// Static method to build a filter that leaves out checkout holds,
+// so abandoned checkouts don't show up in booking counts
+bookingSchema.statics.withoutHolds = function(filter = {}) {
+    return { status: { $nin: ['held', 'expired'] }, ...filter };
+};
+
+// Instance method to get the booking's line items. Bookings priced before
+// line items were stored get a single package line for their total.
+bookingSchema.methods.getLineItems = function() {
+    const items = this.priceBreakdown && this.priceBreakdown.items;
+    if (items && items.some(item => item.type)) {
+        return items;
+    }
+    return [{
+        type: 'package',
+        code: this.packageType,
+        item: this.packageName,
+        price: this.packagePrice,
+        quantity: 1
+    }];
+};
+
 // Instance method to confirm booking
 bookingSchema.methods.confirm = function() {
     this.status = 'confirmed';
@@ -169,21 +311,51 @@ bookingSchema.methods.confirm = function() {
     return this.save();
 };
 
-// Instance method to cancel booking
-bookingSchema.methods.cancel = function(reason) {
+// Instance method to cancel booking and give back its room and redemptions
+bookingSchema.methods.cancel = async function(reason) {
+    this.$locals.auditAction = 'cancel';
     this.status = 'cancelled';
     this.cancelledAt = new Date();
+    this.room = undefined;
+    this.roomAssignedAt = undefined;
     if (reason) {
         this.adminNotes = (this.adminNotes || '') + `\nCancelled: ${reason}`;
     }
-    return this.save();
+    await this.save();
+    await RoomReservation.release(this._id);
+    await this.releaseRedemptions();
+    return this;
+};
+
+// Instance method to give back the promo code use and loyalty points a booking
+// spent, when it is cancelled or its checkout hold expires
+bookingSchema.methods.releaseRedemptions = async function() {
+    // Required here because the services load this model
+    const promoService = require('../services/promoService');
+    const loyaltyService = require('../services/loyaltyService');
+    if (this.promoCode) {
+        await promoService.release(this);
+    }
+    if (this.loyaltyPointsRedeemed) {
+        await loyaltyService.release(this);
+    }
 };
 
 // Indexes for better query performance
 bookingSchema.index({ customerEmail: 1 });
+bookingSchema.index({ addOns: 1 });
+bookingSchema.index({ promoCode: 1 });
 bookingSchema.index({ preferredDate: 1 });
+bookingSchema.index({ sessionStart: 1 });
+bookingSchema.index({ room: 1, sessionStart: 1 });
 bookingSchema.index({ status: 1 });
+bookingSchema.index({ status: 1, holdExpiresAt: 1 });
+bookingSchema.index({ status: 1, sessionStart: 1 });
+bookingSchema.index({ noShow: 1, sessionStart: 1 });
 bookingSchema.index({ bookingId: 1, unique: true });
 bookingSchema.index({ createdAt: -1 });
 
+// Record admin changes in the audit log
+bookingSchema.plugin(auditTrail, { entityType: 'Booking', referenceField: 'bookingId' });
+
 module.exports = mongoose.model('Booking', bookingSchema); 
\ No newline at end of file
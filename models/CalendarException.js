@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A change to the weekly opening hours over a range of days:
+//   holiday       - closed all day (public holidays)
+//   blackout      - closed all day, or between startTime and endTime (private events, maintenance)
+//   special_hours - open with different hours (e.g. extended hours over the festive season)
+const calendarExceptionSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: [true, 'Exception type is required'],
+        enum: {
+            values: ['holiday', 'blackout', 'special_hours'],
+            message: 'Type must be one of: holiday, blackout, special_hours'
+        }
+    },
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+
+    // Inclusive range of venue dates
+    startDate: {
+        type: String,
+        required: [true, 'Start date is required'],
+        match: [DATE_PATTERN, 'Start date must be in YYYY-MM-DD format']
+    },
+    endDate: {
+        type: String,
+        required: [true, 'End date is required'],
+        match: [DATE_PATTERN, 'End date must be in YYYY-MM-DD format'],
+        validate: {
+            validator: function(endDate) {
+                return endDate >= this.startDate;
+            },
+            message: 'End date cannot be before start date'
+        }
+    },
+
+    // Partial-day blackouts
+    startTime: {
+        type: String,
+        match: [TIME_PATTERN, 'Start time must be in HH:mm format']
+    },
+    endTime: {
+        type: String,
+        match: [TIME_PATTERN, 'End time must be in HH:mm format']
+    },
+
+    // Special hours
+    openingTime: {
+        type: String,
+        match: [TIME_PATTERN, 'Opening time must be in HH:mm format']
+    },
+    closingTime: {
+        type: String,
+        match: [TIME_PATTERN, 'Closing time must be in HH:mm format']
+    },
+
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for whether a blackout closes the whole day
+calendarExceptionSchema.virtual('isFullDay').get(function() {
+    return this.type === 'holiday' || (this.type === 'blackout' && !this.startTime);
+});
+
+// Check the time fields each type needs
+calendarExceptionSchema.pre('validate', function(next) {
+    if (this.type === 'special_hours') {
+        if (!this.openingTime || !this.closingTime) {
+            this.invalidate('openingTime', 'Special hours need an opening and closing time');
+        } else if (this.closingTime <= this.openingTime) {
+            this.invalidate('closingTime', 'Closing time must be after opening time');
+        }
+    }
+    if (this.type === 'blackout' && (this.startTime || this.endTime)) {
+        if (!this.startTime || !this.endTime) {
+            this.invalidate('startTime', 'Partial blackouts need a start and end time');
+        } else if (this.endTime <= this.startTime) {
+            this.invalidate('endTime', 'End time must be after start time');
+        }
+    }
+    next();
+});
+
+// Static method to find the exceptions that touch a date range
+calendarExceptionSchema.statics.findInRange = function(from, to) {
+    return this.find({
+        startDate: { $lte: to },
+        endDate: { $gte: from }
+    }).sort({ startDate: 1, type: 1 });
+};
+
+// Indexes for better query performance
+calendarExceptionSchema.index({ startDate: 1, endDate: 1 });
+
+// Record admin changes in the audit log
+calendarExceptionSchema.plugin(auditTrail, { entityType: 'CalendarException', referenceField: 'name' });
+
+module.exports = mongoose.model('CalendarException', calendarExceptionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const contactSchema = new mongoose.Schema({
     // Contact Information
@@ -174,12 +175,14 @@ contactSchema.statics.findUnresponded = function() {
 
 // Instance method to add internal note
 contactSchema.methods.addNote = function(note, addedBy) {
+    this.$locals.auditAction = 'add_note';
     this.internalNotes.push({ note, addedBy });
     return this.save();
 };
 
 // Instance method to mark as responded
 contactSchema.methods.markResponded = function(response, respondedBy) {
+    this.$locals.auditAction = 'respond';
     this.adminResponse = response;
     this.respondedAt = new Date();
     this.respondedBy = respondedBy;
@@ -189,6 +192,7 @@ contactSchema.methods.markResponded = function(response, respondedBy) {
 
 // Instance method to resolve inquiry
 contactSchema.methods.resolve = function() {
+    this.$locals.auditAction = 'resolve';
     this.status = 'resolved';
     this.resolvedAt = new Date();
     return this.save();
@@ -220,4 +224,7 @@ contactSchema.index({ inquiryType: 1 });
 contactSchema.index({ createdAt: -1 });
 contactSchema.index({ respondedAt: 1 });
 
+// Record admin changes in the audit log
+contactSchema.plugin(auditTrail, { entityType: 'Contact', referenceField: 'email' });
+
 module.exports = mongoose.model('Contact', contactSchema); 
\ No newline at end of file
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const { GSTIN_PATTERN } = require('../config/gst');
+const { PER_HEAD_RATES } = require('../config/corporatePricing');
+
+const contactSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Contact name is required'],
+        trim: true,
+        maxlength: [50, 'Contact name cannot exceed 50 characters']
+    },
+    email: {
+        type: String,
+        required: [true, 'Contact email is required'],
+        trim: true,
+        lowercase: true,
+        match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+    jobTitle: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Job title cannot exceed 50 characters']
+    },
+    isPrimary: {
+        type: Boolean,
+        default: false
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// A repeat corporate client. Corporate bookings link to their account with
+// CorporateBooking.account; new submissions are matched by email domain.
+const corporateAccountSchema = new mongoose.Schema({
+    legalName: {
+        type: String,
+        required: [true, 'Legal name is required'],
+        trim: true,
+        maxlength: [150, 'Legal name cannot exceed 150 characters']
+    },
+    // Company email domain, e.g. acme.com (personal mail domains are never matched)
+    domain: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9-]+(\.[a-z0-9-]+)+$/, 'Please provide a valid domain (e.g. acme.com)']
+    },
+    gstin: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [GSTIN_PATTERN, 'Please enter a valid 15-character GSTIN']
+    },
+    billingAddress: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Billing address cannot exceed 300 characters']
+    },
+    contacts: [contactSchema],
+
+    // Prices agreed with this client, used when quoting their events
+    negotiatedRates: {
+        // Per-head rate (INR) by event duration, replacing the standard rate
+        perHeadRates: {
+            type: Map,
+            of: {
+                type: Number,
+                min: [0, 'Rates cannot be negative']
+            },
+            validate: {
+                validator: rates => !rates || [...rates.keys()].every(duration => PER_HEAD_RATES[duration] !== undefined),
+                message: `Rates can only be set for: ${Object.keys(PER_HEAD_RATES).join(', ')}`
+            }
+        },
+        // Discount off the per-head charge, on top of any group discount
+        discountPercent: {
+            type: Number,
+            min: [0, 'Discount cannot be negative'],
+            max: [50, 'Discount cannot exceed 50%'],
+            default: 0
+        }
+    },
+
+    status: {
+        type: String,
+        enum: {
+            values: ['active', 'inactive'],
+            message: 'Status must be active or inactive'
+        },
+        default: 'active'
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser'
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for the contact bookings are addressed to by default
+corporateAccountSchema.virtual('primaryContact').get(function() {
+    return (this.contacts || []).find(contact => contact.isPrimary) || (this.contacts || [])[0] || null;
+});
+
+// Instance method to add a contact unless their email is already listed
+corporateAccountSchema.methods.addContact = function(contact) {
+    const email = String(contact.email || '').toLowerCase();
+    if (this.contacts.some(existing => existing.email === email)) return false;
+    this.contacts.push({ ...contact, isPrimary: this.contacts.length === 0 });
+    return true;
+};
+
+// Static method to find the active account for an email domain
+corporateAccountSchema.statics.findByDomain = function(domain) {
+    return this.findOne({ domain: String(domain || '').toLowerCase(), status: 'active' });
+};
+
+// Indexes for better query performance
+corporateAccountSchema.index({ domain: 1 }, { unique: true, partialFilterExpression: { domain: { $type: 'string' } } });
+corporateAccountSchema.index({ legalName: 1 });
+corporateAccountSchema.index({ 'contacts.email': 1 });
+
+// Record admin changes in the audit log
+corporateAccountSchema.plugin(auditTrail, { entityType: 'CorporateAccount', referenceField: 'legalName' });
+
+module.exports = mongoose.model('CorporateAccount', corporateAccountSchema);
@@ -1,4 +1,29 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const RoomReservation = require('./RoomReservation');
+const { SLOT_SETTINGS } = require('../config/slots');
+const { GSTIN_PATTERN } = require('../config/gst');
+const { STAGES, OPEN_STAGES, LOST_REASONS, stageFromStatus } = require('../config/corporatePipeline');
+const { getRequestContext } = require('../middleware/requestContext');
+
+// Start of each preferred time band and length of each duration option
+const TIME_BAND_STARTS = {
+  'Morning (9 AM - 12 PM)': '09:00',
+  'Afternoon (12 PM - 5 PM)': '12:00',
+  'Evening (5 PM - 8 PM)': '17:00'
+};
+
+// Escape user input for use in a regular expression
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const DURATION_MINUTES = {
+  '1 hour': 60,
+  '2 hours': 120,
+  '3 hours': 180,
+  '4 hours': 240,
+  'Half day': 240,
+  'Full day': 480
+};
 
 const corporateBookingSchema = new mongoose.Schema({
   // Company Information
@@ -41,6 +66,32 @@ const corporateBookingSchema = new mongoose.Schema({
     maxlength: [50, 'Job title cannot exceed 50 characters']
   },
   
+  // Corporate account this booking belongs to (matched by email domain or linked by staff)
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CorporateAccount',
+    index: true
+  },
+  
+  // When staff confirmed the account link; domain matches stay unconfirmed until then
+  accountConfirmedAt: {
+    type: Date
+  },
+  
+  // Billing details for tax invoices
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [GSTIN_PATTERN, 'Please enter a valid 15-character GSTIN']
+  },
+  
+  billingAddress: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Billing address cannot exceed 300 characters']
+  },
+  
   // Event Details
   teamSize: {
     type: String,
@@ -105,6 +156,32 @@ const corporateBookingSchema = new mongoose.Schema({
     default: ''
   },
   
+  // Concrete event window derived from preferredDate, preferredTime and duration
+  eventStart: {
+    type: Date
+  },
+  
+  eventEnd: {
+    type: Date
+  },
+  
+  // Event reminders already emailed (keyed by offset, e.g. '24h'); cleared when the event moves
+  remindersSent: [{
+    _id: false,
+    key: String,
+    sentAt: Date
+  }],
+  
+  // Room Assignment
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room'
+  },
+  
+  roomAssignedAt: {
+    type: Date
+  },
+  
   // Booking Status and Management
   status: {
     type: String,
@@ -127,6 +204,83 @@ const corporateBookingSchema = new mongoose.Schema({
     min: [0, 'Actual cost cannot be negative']
   },
   
+  // Quote the customer accepted (its total becomes the estimated cost)
+  acceptedQuote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CorporateQuote'
+  },
+  
+  // Sales Pipeline (stages are in config/corporatePipeline.js)
+  stage: {
+    type: String,
+    enum: {
+      values: STAGES,
+      message: `Stage must be one of: ${STAGES.join(', ')}`
+    },
+    // Older bookings get the stage their status implies
+    default: function() {
+      return stageFromStatus(this.status);
+    },
+    index: true
+  },
+  
+  stageChangedAt: {
+    type: Date
+  },
+  
+  stageHistory: [{
+    _id: false,
+    stage: String,
+    from: String,
+    changedAt: Date,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AdminUser'
+    },
+    note: String
+  }],
+  
+  // Staff member responsible for the deal
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser',
+    index: true
+  },
+  
+  // What the deal is expected to be worth before a quote is accepted
+  expectedValue: {
+    type: Number,
+    min: [0, 'Expected value cannot be negative']
+  },
+  
+  lostReason: {
+    type: String,
+    enum: {
+      values: Object.keys(LOST_REASONS),
+      message: `Lost reason must be one of: ${Object.keys(LOST_REASONS).join(', ')}`
+    },
+    required: [function() {
+      return this.stage === 'lost' && this.isModified('stage');
+    }, 'A lost reason is required when a deal is lost']
+  },
+  
+  lostNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Lost note cannot exceed 500 characters']
+  },
+  
+  // Follow-up the owner has planned
+  nextAction: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Next action cannot exceed 200 characters']
+  },
+  
+  nextActionAt: {
+    type: Date
+  },
+  
   // Internal Notes
   adminNotes: {
     type: String,
@@ -170,6 +324,9 @@ corporateBookingSchema.index({ companyName: 1, email: 1 });
 corporateBookingSchema.index({ preferredDate: 1, status: 1 });
 corporateBookingSchema.index({ createdAt: -1 });
 corporateBookingSchema.index({ status: 1, preferredDate: 1 });
+corporateBookingSchema.index({ room: 1, eventStart: 1 });
+corporateBookingSchema.index({ status: 1, eventStart: 1 });
+corporateBookingSchema.index({ stage: 1, nextActionAt: 1 });
 
 // Virtual fields
 corporateBookingSchema.virtual('isUpcoming').get(function() {
@@ -212,6 +369,32 @@ corporateBookingSchema.pre('save', function(next) {
   // Update timestamps
   this.updatedAt = new Date();
   
+  // Derive the event window in the venue's timezone
+  if (this.isModified('preferredDate') || this.isModified('preferredTime') || this.isModified('duration') || !this.eventStart) {
+    const previousStart = this.eventStart && this.eventStart.getTime();
+    this.setEventWindow();
+    if (!this.isNew && previousStart !== this.eventStart.getTime()) {
+      this.remindersSent = [];
+    }
+  }
+  
+  // Confirming the event wins the deal; cancelling it loses an unwon one
+  if (this.isModified('status') && !this.isNew) {
+    const context = getRequestContext();
+    const changedBy = context && context.actor && context.actor.type === 'staff' ? context.actor.id : undefined;
+    if (['confirmed', 'completed'].includes(this.status) && this.stage !== 'won') {
+      this.setStage('won', { changedBy, note: `Booking ${this.status}` });
+    } else if (this.status === 'cancelled' && OPEN_STAGES.includes(this.stage)) {
+      this.setStage('lost', { changedBy, note: 'Booking cancelled', lostReason: 'cancelled' });
+    }
+  }
+  
+  // Start the stage history
+  if (this.isNew && this.stageHistory.length === 0) {
+    this.stageChangedAt = new Date();
+    this.stageHistory.push({ stage: this.stage, changedAt: this.stageChangedAt });
+  }
+  
   // Set confirmation timestamp
   if (this.isModified('status') && this.status === 'confirmed' && !this.confirmedAt) {
     this.confirmedAt = new Date();
@@ -226,18 +409,31 @@ corporateBookingSchema.pre('save', function(next) {
 });
 
 // Instance methods
+corporateBookingSchema.methods.setEventWindow = function() {
+  const dateKey = this.preferredDate.toLocaleDateString('en-CA', { timeZone: SLOT_SETTINGS.timezone });
+  const startTime = TIME_BAND_STARTS[this.preferredTime] || '09:00';
+  this.eventStart = new Date(`${dateKey}T${startTime}:00${SLOT_SETTINGS.utcOffset}`);
+  this.eventEnd = new Date(this.eventStart.getTime() + (DURATION_MINUTES[this.duration] || 60) * 60 * 1000);
+  return { start: this.eventStart, end: this.eventEnd };
+};
+
 corporateBookingSchema.methods.confirm = function() {
   this.status = 'confirmed';
   this.confirmedAt = new Date();
   return this.save();
 };
 
-corporateBookingSchema.methods.cancel = function(reason) {
+corporateBookingSchema.methods.cancel = async function(reason) {
+  this.$locals.auditAction = 'cancel';
   this.status = 'cancelled';
+  this.room = undefined;
+  this.roomAssignedAt = undefined;
   if (reason) {
     this.adminNotes = (this.adminNotes || '') + `\nCancelled: ${reason}`;
   }
-  return this.save();
+  await this.save();
+  await RoomReservation.release(this._id);
+  return this;
 };
 
 corporateBookingSchema.methods.complete = function() {
@@ -246,7 +442,20 @@ corporateBookingSchema.methods.complete = function() {
   return this.save();
 };
 
+// Move the deal to a pipeline stage (not saved). Returns false if it is already there.
+corporateBookingSchema.methods.setStage = function(stage, { changedBy, note, lostReason, lostNote } = {}) {
+  if (this.stage === stage) return false;
+
+  this.stageHistory.push({ stage, from: this.stage, changedAt: new Date(), changedBy, note });
+  this.stage = stage;
+  this.stageChangedAt = new Date();
+  this.lostReason = stage === 'lost' ? lostReason : undefined;
+  this.lostNote = stage === 'lost' ? lostNote : undefined;
+  return true;
+};
+
 corporateBookingSchema.methods.updateCost = function(cost, isActual = false) {
+  this.$locals.auditAction = 'cost_update';
   if (isActual) {
     this.actualCost = cost;
   } else {
@@ -256,6 +465,10 @@ corporateBookingSchema.methods.updateCost = function(cost, isActual = false) {
 };
 
 // Static methods
+
+// Fields that show what an event costs or is worth; hidden from staff without corporate:costs
+corporateBookingSchema.statics.COST_FIELDS = ['estimatedCost', 'actualCost', 'expectedValue'];
+
 corporateBookingSchema.statics.findPending = function() {
   return this.find({ status: 'pending' }).sort({ createdAt: -1 });
 };
@@ -267,9 +480,15 @@ corporateBookingSchema.statics.findUpcoming = function() {
   }).sort({ preferredDate: 1 });
 };
 
-corporateBookingSchema.statics.findByCompany = function(companyName) {
-  return this.find({ 
-    companyName: new RegExp(companyName, 'i') 
+// Bookings whose company name, or linked account's legal name, contains the search text
+corporateBookingSchema.statics.findByCompany = async function(companyName) {
+  const pattern = new RegExp(escapeRegex(companyName), 'i');
+  const accounts = await mongoose.model('CorporateAccount').find({ legalName: pattern }).select('_id');
+  return this.find({
+    $or: [
+      { companyName: pattern },
+      { account: { $in: accounts.map(account => account._id) } }
+    ]
   }).sort({ createdAt: -1 });
 };
 
@@ -297,6 +516,12 @@ corporateBookingSchema.statics.getStatistics = function() {
   ]);
 };
 
+// Record admin changes in the audit log
+corporateBookingSchema.plugin(auditTrail, {
+  entityType: 'CorporateBooking',
+  referenceField: 'bookingReference'
+});
+
 // Ensure virtual fields are serialized
 corporateBookingSchema.set('toJSON', { virtuals: true });
 corporateBookingSchema.set('toObject', { virtuals: true });
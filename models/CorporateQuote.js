@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+const quoteItemSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['per_head', 'volume_discount', 'account_discount', 'addon', 'exclusivity', 'adjustment', 'tax'],
+        required: true
+    },
+    code: String,
+    item: {
+        type: String,
+        required: true
+    },
+    quantity: {
+        type: Number,
+        default: 1
+    },
+    unitPrice: Number,
+    // Line total in INR; discounts are negative
+    price: {
+        type: Number,
+        required: true
+    }
+}, { _id: false });
+
+const corporateQuoteSchema = new mongoose.Schema({
+    // Corporate booking being quoted; each new quote for it gets the next version
+    corporateBooking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CorporateBooking',
+        required: [true, 'Corporate booking is required']
+    },
+    bookingReference: {
+        type: String,
+        required: [true, 'Booking reference is required']
+    },
+    version: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // e.g. CORP-20261019-AB12CD-Q2
+    quoteNumber: {
+        type: String,
+        unique: true
+    },
+
+    status: {
+        type: String,
+        enum: {
+            values: ['draft', 'sent', 'accepted', 'declined', 'superseded'],
+            message: 'Status must be one of: draft, sent, accepted, declined, superseded'
+        },
+        default: 'draft'
+    },
+
+    // What was priced
+    headcount: {
+        type: Number,
+        required: [true, 'Headcount is required'],
+        min: [1, 'Headcount must be at least 1']
+    },
+    duration: {
+        type: String,
+        required: [true, 'Duration is required']
+    },
+    addOns: [{
+        type: String
+    }],
+    venueExclusive: {
+        type: Boolean,
+        default: false
+    },
+
+    // Price (line items end with GST and add up to total)
+    items: [quoteItemSchema],
+    subtotal: {
+        type: Number,
+        required: true,
+        min: [0, 'Subtotal cannot be negative']
+    },
+    taxRate: {
+        type: Number,
+        required: true
+    },
+    taxAmount: {
+        type: Number,
+        required: true
+    },
+    total: {
+        type: Number,
+        required: true
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+
+    // Shown to the customer with the quote
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+
+    // Sending
+    validUntil: Date,
+    sentAt: Date,
+    sentBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser'
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser'
+    },
+
+    // Customer response
+    respondedAt: Date,
+    declineReason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Decline reason cannot exceed 500 characters']
+    },
+    responseIpAddress: String
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for whether a sent quote has passed its validity date
+corporateQuoteSchema.virtual('isExpired').get(function() {
+    return this.status === 'sent' && Boolean(this.validUntil) && this.validUntil < new Date();
+});
+
+// Derive the quote number from the booking reference and version
+corporateQuoteSchema.pre('validate', function(next) {
+    if (!this.quoteNumber && this.bookingReference && this.version) {
+        this.quoteNumber = `${this.bookingReference}-Q${this.version}`;
+    }
+    next();
+});
+
+// Static method to get a booking's quotes, newest version first
+corporateQuoteSchema.statics.findForBooking = function(bookingId) {
+    return this.find({ corporateBooking: bookingId }).sort({ version: -1 });
+};
+
+// Indexes for better query performance
+corporateQuoteSchema.index({ corporateBooking: 1, version: -1 }, { unique: true });
+corporateQuoteSchema.index({ status: 1, validUntil: 1 });
+
+// Record admin changes in the audit log
+corporateQuoteSchema.plugin(auditTrail, { entityType: 'CorporateQuote', referenceField: 'quoteNumber' });
+
+module.exports = mongoose.model('CorporateQuote', corporateQuoteSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Named sequences and counts (e.g. invoice numbers per financial year,
+// promo code uses per email, waiver signatures per booking)
+const counterSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    value: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// Static method to take the next value of a sequence atomically (first value is 1)
+counterSchema.statics.next = async function(key) {
+    const counter = await this.findOneAndUpdate(
+        { key },
+        { $inc: { value: 1 } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+    return counter.value;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+const giftVoucherSchema = new mongoose.Schema({
+    // Code the recipient enters at checkout
+    code: {
+        type: String,
+        required: [true, 'Voucher code is required'],
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+
+    // Value
+    packageType: {
+        type: String,
+        enum: {
+            values: ['basic', 'premium', 'ultimate'],
+            message: 'Package type must be one of: basic, premium, ultimate'
+        }
+    },
+    packageName: String,
+    value: {
+        type: Number,
+        required: [true, 'Voucher value is required'],
+        min: [1, 'Voucher value must be at least ₹1']
+    },
+    balance: {
+        type: Number,
+        required: true,
+        min: [0, 'Balance cannot be negative']
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+
+    // People
+    purchaserName: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    purchaserEmail: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+    },
+    recipientName: {
+        type: String,
+        required: [true, 'Recipient name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    recipientEmail: {
+        type: String,
+        required: [true, 'Recipient email is required'],
+        trim: true,
+        lowercase: true,
+        match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+    },
+    message: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Message cannot exceed 500 characters']
+    },
+
+    // Lifecycle: purchased vouchers wait for their payment before they can be used
+    source: {
+        type: String,
+        enum: ['purchase', 'admin'],
+        required: true
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ['pending_payment', 'active', 'redeemed', 'cancelled'],
+            message: 'Status must be one of: pending_payment, active, redeemed, cancelled'
+        },
+        default: 'pending_payment'
+    },
+    issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser'
+    },
+    issueReason: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Reason cannot exceed 200 characters']
+    },
+    activatedAt: Date,
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry date is required']
+    },
+    deliveredAt: Date,
+
+    // Every change to the balance, newest last
+    transactions: [{
+        type: {
+            type: String,
+            enum: ['redeem', 'refund'],
+            required: true
+        },
+        amount: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        booking: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Booking'
+        },
+        bookingReference: String,
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for whether the voucher is past its expiry date
+giftVoucherSchema.virtual('isExpired').get(function() {
+    return Boolean(this.expiresAt && this.expiresAt <= new Date());
+});
+
+// Instance method to get the reason the voucher can't be used, or null
+giftVoucherSchema.methods.getUnusableReason = function() {
+    if (this.status === 'pending_payment') return 'This gift voucher has not been paid for yet';
+    if (this.status === 'cancelled') return 'This gift voucher has been cancelled';
+    if (this.isExpired) return 'This gift voucher has expired';
+    if (this.balance <= 0) return 'This gift voucher has no balance left';
+    return null;
+};
+
+// Indexes for better query performance
+giftVoucherSchema.index({ status: 1, expiresAt: 1 });
+giftVoucherSchema.index({ recipientEmail: 1 });
+giftVoucherSchema.index({ purchaserEmail: 1 });
+
+// Record admin changes in the audit log
+giftVoucherSchema.plugin(auditTrail, { entityType: 'GiftVoucher', referenceField: 'code' });
+
+module.exports = mongoose.model('GiftVoucher', giftVoucherSchema);
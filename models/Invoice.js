@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+const partySchema = new mongoose.Schema({
+    name: String,
+    companyName: String,
+    email: String,
+    phone: String,
+    address: String,
+    gstin: String,
+    stateCode: String,
+    stateName: String
+}, { _id: false });
+
+const invoiceItemSchema = new mongoose.Schema({
+    description: {
+        type: String,
+        required: true
+    },
+    sacCode: String,
+    quantity: {
+        type: Number,
+        default: 1
+    },
+    unitPrice: Number,
+    // Value before GST in INR; discounts are negative
+    taxableValue: {
+        type: Number,
+        required: true
+    }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+    // Sequential within the financial year, e.g. SL/2026-27/00042. Set once the
+    // invoice has claimed its booking, so a duplicate never uses up a number.
+    invoiceNumber: {
+        type: String
+    },
+    financialYear: {
+        type: String,
+        required: true
+    },
+    sequence: {
+        type: Number
+    },
+
+    // What is being invoiced
+    sourceType: {
+        type: String,
+        enum: ['Booking', 'CorporateBooking'],
+        required: true
+    },
+    source: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'sourceType',
+        required: true
+    },
+    // bookingId or bookingReference of the source
+    sourceReference: {
+        type: String,
+        required: true
+    },
+
+    status: {
+        type: String,
+        enum: {
+            values: ['issued', 'void'],
+            message: 'Status must be issued or void'
+        },
+        default: 'issued'
+    },
+
+    // Parties and tax jurisdiction
+    seller: partySchema,
+    billTo: partySchema,
+    placeOfSupply: {
+        stateCode: {
+            type: String,
+            required: true
+        },
+        stateName: String
+    },
+    // intra_state: CGST + SGST; inter_state: IGST
+    supplyType: {
+        type: String,
+        enum: ['intra_state', 'inter_state'],
+        required: true
+    },
+
+    // Amounts (INR, rounded to paise)
+    items: [invoiceItemSchema],
+    taxableValue: {
+        type: Number,
+        required: true
+    },
+    taxRate: {
+        type: Number,
+        required: true
+    },
+    cgstAmount: {
+        type: Number,
+        default: 0
+    },
+    sgstAmount: {
+        type: Number,
+        default: 0
+    },
+    igstAmount: {
+        type: Number,
+        default: 0
+    },
+    totalTax: {
+        type: Number,
+        required: true
+    },
+    total: {
+        type: Number,
+        required: true
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+
+    // Issue and void
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser'
+    },
+    voidedAt: Date,
+    voidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser'
+    },
+    voidReason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Void reason cannot exceed 500 characters']
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+// One issued invoice per booking; voiding frees the booking for a replacement
+invoiceSchema.index({ sourceType: 1, source: 1 }, { unique: true, partialFilterExpression: { status: 'issued' } });
+invoiceSchema.index({ invoiceNumber: 1 }, { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } });
+invoiceSchema.index({ financialYear: 1, sequence: 1 });
+invoiceSchema.index({ issuedAt: -1 });
+
+// Record admin changes in the audit log
+invoiceSchema.plugin(auditTrail, { entityType: 'Invoice', referenceField: 'invoiceNumber' });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
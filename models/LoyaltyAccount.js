@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const { TIERS } = require('../config/loyalty');
+
+// A customer's points balance, keyed by email. The LoyaltyTransaction
+// ledger records every change to it. Balances are only changed with atomic
+// $inc updates (see loyaltyService) so checkouts can't spend points twice.
+const loyaltyAccountSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    pointsBalance: {
+        type: Number,
+        default: 0,
+        min: [0, 'Points balance cannot be negative']
+    },
+    lifetimePoints: {
+        type: Number,
+        default: 0
+    },
+    // Total spent on completed bookings (INR); decides the tier
+    lifetimeSpend: {
+        type: Number,
+        default: 0
+    },
+    completedBookings: {
+        type: Number,
+        default: 0
+    },
+    tier: {
+        type: String,
+        enum: TIERS.map(tier => tier.name),
+        default: 'bronze'
+    },
+    tierChangedAt: Date
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for the tier's display name
+loyaltyAccountSchema.virtual('tierLabel').get(function() {
+    const tier = TIERS.find(item => item.name === this.tier);
+    return tier ? tier.label : this.tier;
+});
+
+// Indexes for better query performance
+loyaltyAccountSchema.index({ tier: 1 });
+loyaltyAccountSchema.index({ lifetimeSpend: -1 });
+
+// Record admin changes in the audit log
+loyaltyAccountSchema.plugin(auditTrail, { entityType: 'LoyaltyAccount', referenceField: 'email' });
+
+module.exports = mongoose.model('LoyaltyAccount', loyaltyAccountSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One change to a loyalty balance. Points are positive for earnings and
+// returned redemptions, and negative for redemptions.
+const loyaltyTransactionSchema = new mongoose.Schema({
+    account: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LoyaltyAccount',
+        required: true
+    },
+    email: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    type: {
+        type: String,
+        enum: ['earn', 'redeem', 'release', 'adjust'],
+        required: true
+    },
+    points: {
+        type: Number,
+        required: true
+    },
+    balanceAfter: Number,
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    },
+    bookingReference: String,
+    // Spend the points were earned on, or the discount they bought (INR)
+    amount: Number,
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+loyaltyTransactionSchema.index({ account: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ booking: 1, type: 1 });
+// A booking earns points once
+loyaltyTransactionSchema.index(
+    { booking: 1 },
+    { unique: true, partialFilterExpression: { type: 'earn' } }
+);
+
+module.exports = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
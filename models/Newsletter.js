@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const newsletterSchema = new mongoose.Schema({
     // Subscriber Information
@@ -318,4 +319,7 @@ newsletterSchema.index({ tags: 1 });
 newsletterSchema.index({ subscriptionDate: -1 });
 newsletterSchema.index({ lastEmailOpened: -1 });
 
+// Record admin changes in the audit log
+newsletterSchema.plugin(auditTrail, { entityType: 'Newsletter', referenceField: 'email' });
+
 module.exports = mongoose.model('Newsletter', newsletterSchema); 
\ No newline at end of file
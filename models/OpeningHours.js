@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const openingHoursSchema = new mongoose.Schema({
+    // Day of the week (0 = Sunday ... 6 = Saturday)
+    dayOfWeek: {
+        type: Number,
+        required: [true, 'Day of week is required'],
+        unique: true,
+        min: [0, 'Day of week must be between 0 and 6'],
+        max: [6, 'Day of week must be between 0 and 6']
+    },
+    isOpen: {
+        type: Boolean,
+        default: true
+    },
+
+    // Wall-clock times in the venue's timezone
+    openingTime: {
+        type: String,
+        match: [TIME_PATTERN, 'Opening time must be in HH:mm format']
+    },
+    closingTime: {
+        type: String,
+        match: [TIME_PATTERN, 'Closing time must be in HH:mm format'],
+        validate: {
+            validator: function(closingTime) {
+                return !this.isOpen || !this.openingTime || closingTime > this.openingTime;
+            },
+            message: 'Closing time must be after opening time'
+        }
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Record admin changes in the audit log
+openingHoursSchema.plugin(auditTrail, { entityType: 'OpeningHours', referenceField: 'dayOfWeek' });
+
+module.exports = mongoose.model('OpeningHours', openingHoursSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Ledger of money moving for a booking: one entry per charge (payment order)
+// and one per refund. Booking.paymentStatus is derived from these entries.
+// Gift voucher purchases are charges against the voucher instead of a booking,
+// and gift vouchers spent on a booking are charges with the 'gift_voucher' provider.
+const paymentSchema = new mongoose.Schema({
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: [function() { return !this.voucher; }, 'Booking is required']
+    },
+    voucher: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GiftVoucher'
+    },
+    bookingReference: String,
+
+    // Entry Details
+    kind: {
+        type: String,
+        enum: {
+            values: ['charge', 'refund'],
+            message: 'Kind must be one of: charge, refund'
+        },
+        required: true
+    },
+    provider: {
+        type: String,
+        required: [true, 'Payment provider is required']
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Amount is required'],
+        min: [0, 'Amount cannot be negative']
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ['created', 'paid', 'pending', 'processed', 'failed'],
+            message: 'Status must be one of: created, paid, pending, processed, failed'
+        },
+        default: 'created'
+    },
+    method: {
+        type: String,
+        enum: ['cash', 'card', 'upi', 'bank_transfer', 'gift_voucher']
+    },
+
+    // Provider References
+    orderId: String,
+    paymentId: String,
+    refundId: String,
+
+    // Webhook events already applied to this entry (for idempotency)
+    webhookEvents: [String],
+    failureReason: String,
+    notes: String,
+
+    paidAt: Date,
+    processedAt: Date
+}, {
+    timestamps: true
+});
+
+// Static method to get the ledger of a booking, oldest first
+paymentSchema.statics.findForBooking = function(bookingId) {
+    return this.find({ booking: bookingId }).sort({ createdAt: 1 });
+};
+
+// Static method to total the settled charges and refunds of a booking
+paymentSchema.statics.getTotals = async function(bookingId) {
+    const entries = await this.find({ booking: bookingId, status: { $in: ['paid', 'processed', 'pending'] } });
+    const sum = (kind, statuses) => entries
+        .filter(entry => entry.kind === kind && statuses.includes(entry.status))
+        .reduce((total, entry) => total + entry.amount, 0);
+
+    return {
+        paid: sum('charge', ['paid']),
+        refunded: sum('refund', ['processed']),
+        refundPending: sum('refund', ['pending'])
+    };
+};
+
+// Indexes for better query performance
+paymentSchema.index({ booking: 1, createdAt: 1 });
+paymentSchema.index({ voucher: 1 });
+paymentSchema.index({ provider: 1, orderId: 1 });
+paymentSchema.index({ provider: 1, paymentId: 1 });
+paymentSchema.index({ provider: 1, refundId: 1 });
+paymentSchema.index({ webhookEvents: 1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+const promoCodeSchema = new mongoose.Schema({
+    // Code customers type at checkout (stored uppercase)
+    code: {
+        type: String,
+        required: [true, 'Promo code is required'],
+        unique: true,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z0-9_-]{3,30}$/, 'Promo code must be 3-30 letters, numbers, dashes or underscores']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+
+    // Discount
+    discountType: {
+        type: String,
+        required: [true, 'Discount type is required'],
+        enum: {
+            values: ['percentage', 'flat'],
+            message: 'Discount type must be one of: percentage, flat'
+        }
+    },
+    discountValue: {
+        type: Number,
+        required: [true, 'Discount value is required'],
+        min: [0, 'Discount value cannot be negative'],
+        validate: {
+            validator: function(value) {
+                return this.discountType !== 'percentage' || value <= 100;
+            },
+            message: 'A percentage discount cannot exceed 100'
+        }
+    },
+    // Cap on a percentage discount (INR)
+    maxDiscount: {
+        type: Number,
+        min: [0, 'Maximum discount cannot be negative']
+    },
+
+    // Eligibility
+    minSpend: {
+        type: Number,
+        default: 0,
+        min: [0, 'Minimum spend cannot be negative']
+    },
+    // Packages the code applies to (empty means every package)
+    packageTypes: [{
+        type: String,
+        enum: {
+            values: ['basic', 'premium', 'ultimate'],
+            message: 'Package type must be one of: basic, premium, ultimate'
+        }
+    }],
+    validFrom: Date,
+    validUntil: {
+        type: Date,
+        validate: {
+            validator: function(validUntil) {
+                return !this.validFrom || validUntil > this.validFrom;
+            },
+            message: 'validUntil must be after validFrom'
+        }
+    },
+
+    // Usage limits (no limit when unset)
+    usageLimit: {
+        type: Number,
+        min: [1, 'Usage limit must be at least 1']
+    },
+    perEmailLimit: {
+        type: Number,
+        min: [1, 'Per-email limit must be at least 1']
+    },
+    usageCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    campaign: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Campaign cannot exceed 100 characters']
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for the redemptions left before the usage limit is reached
+promoCodeSchema.virtual('remainingUses').get(function() {
+    if (!this.usageLimit) return null;
+    return Math.max(this.usageLimit - this.usageCount, 0);
+});
+
+// Instance method to check whether the code can be used for a package and
+// pre-discount subtotal. Returns the reason it can't, or null.
+promoCodeSchema.methods.getIneligibility = function({ packageType, subtotal, at = new Date() }) {
+    if (!this.isActive) return 'This promo code is no longer active';
+    if (this.validFrom && at < this.validFrom) return 'This promo code is not valid yet';
+    if (this.validUntil && at > this.validUntil) return 'This promo code has expired';
+    if (this.usageLimit && this.usageCount >= this.usageLimit) return 'This promo code has been fully redeemed';
+    if (this.packageTypes.length > 0 && !this.packageTypes.includes(packageType)) {
+        return 'This promo code does not apply to the selected package';
+    }
+    if (subtotal < this.minSpend) return `This promo code needs a minimum spend of ₹${this.minSpend}`;
+    return null;
+};
+
+// Instance method to get the discount (INR) on a subtotal
+promoCodeSchema.methods.getDiscount = function(subtotal) {
+    let discount = this.discountType === 'percentage'
+        ? Math.round(subtotal * this.discountValue / 100)
+        : this.discountValue;
+    if (this.maxDiscount !== undefined && this.maxDiscount !== null) {
+        discount = Math.min(discount, this.maxDiscount);
+    }
+    return Math.min(discount, subtotal);
+};
+
+// Instance method to describe the discount for price breakdowns
+promoCodeSchema.methods.describe = function() {
+    return this.discountType === 'percentage'
+        ? `Promo ${this.code} (${this.discountValue}% off)`
+        : `Promo ${this.code} (₹${this.discountValue} off)`;
+};
+
+// Indexes for better query performance
+promoCodeSchema.index({ isActive: 1, validUntil: 1 });
+promoCodeSchema.index({ campaign: 1 });
+
+// Record admin changes in the audit log
+promoCodeSchema.plugin(auditTrail, { entityType: 'PromoCode', referenceField: 'code' });
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
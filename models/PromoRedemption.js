@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One use of a promo code by a booking. Redemptions are released again when
+// the booking never went ahead (e.g. an unpaid checkout hold expired).
+const promoRedemptionSchema = new mongoose.Schema({
+    promoCode: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PromoCode',
+        required: true
+    },
+    code: {
+        type: String,
+        required: true
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true
+    },
+    customerEmail: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    discountAmount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    status: {
+        type: String,
+        enum: ['redeemed', 'released'],
+        default: 'redeemed'
+    },
+    releasedAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+promoRedemptionSchema.index({ promoCode: 1, customerEmail: 1, status: 1 });
+promoRedemptionSchema.index({ booking: 1 });
+promoRedemptionSchema.index({ promoCode: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const registrationSchema = new mongoose.Schema({
     // Personal Information
@@ -133,4 +134,7 @@ registrationSchema.index({ hearAbout: 1 });
 registrationSchema.index({ registrationId: 1, unique: true });
 registrationSchema.index({ createdAt: -1 });
 
+// Record admin changes in the audit log
+registrationSchema.plugin(auditTrail, { entityType: 'Registration', referenceField: 'registrationId' });
+
 module.exports = mongoose.model('Registration', registrationSchema); 
\ No newline at end of file
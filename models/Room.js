@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+const roomSchema = new mongoose.Schema({
+    // Room Information
+    name: {
+        type: String,
+        required: [true, 'Room name is required'],
+        unique: true,
+        trim: true,
+        maxlength: [100, 'Room name cannot exceed 100 characters']
+    },
+    theme: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Theme cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+
+    // Capacity and Usage
+    capacity: {
+        type: Number,
+        required: [true, 'Room capacity is required'],
+        min: [1, 'Capacity must be at least 1'],
+        max: [100, 'Capacity cannot exceed 100']
+    },
+    packageTypes: {
+        type: [{
+            type: String,
+            enum: {
+                values: ['basic', 'premium', 'ultimate', 'corporate'],
+                message: 'Package type must be one of: basic, premium, ultimate, corporate'
+            }
+        }],
+        validate: {
+            validator: function(types) {
+                return types.length > 0;
+            },
+            message: 'A room must support at least one package type'
+        }
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Static method to find active rooms that can host a package and group size,
+// smallest first so large rooms stay free for large groups
+roomSchema.statics.findSuitable = function(packageType, participants) {
+    return this.find({
+        isActive: true,
+        packageTypes: packageType,
+        capacity: { $gte: participants }
+    }).sort({ capacity: 1, name: 1 });
+};
+
+// Indexes for better query performance
+roomSchema.index({ isActive: 1, packageTypes: 1, capacity: 1 });
+
+// Record admin changes in the audit log
+roomSchema.plugin(auditTrail, { entityType: 'Room', referenceField: 'name' });
+
+module.exports = mongoose.model('Room', roomSchema);
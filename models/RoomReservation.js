@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// One interval of a room held by a booking. A room can only be held once per
+// interval, so two bookings can never be given the same room at the same time.
+const roomReservationSchema = new mongoose.Schema({
+    room: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Room',
+        required: true
+    },
+    // Start of the interval held
+    start: {
+        type: Date,
+        required: true
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'bookingType',
+        required: true
+    },
+    bookingType: {
+        type: String,
+        enum: ['Booking', 'CorporateBooking'],
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Static method to hold a room for every interval a booking covers, then give
+// back anything else the booking held. Returns false (changing nothing) when
+// another booking holds any of the intervals.
+roomReservationSchema.statics.reserve = async function(roomId, bookingId, bookingType, starts) {
+    const held = await this.find({ room: roomId, booking: bookingId }).distinct('start');
+    const heldTimes = new Set(held.map(start => start.getTime()));
+    const missing = starts.filter(start => !heldTimes.has(start.getTime()));
+
+    try {
+        await this.insertMany(missing.map(start => ({ room: roomId, start, booking: bookingId, bookingType })));
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        await this.deleteMany({ room: roomId, booking: bookingId, start: { $in: missing } });
+        return false;
+    }
+
+    await this.deleteMany({
+        booking: bookingId,
+        $or: [{ room: { $ne: roomId } }, { start: { $nin: starts } }]
+    });
+    return true;
+};
+
+// Static method to give back every interval a booking holds
+roomReservationSchema.statics.release = function(bookingId) {
+    return this.deleteMany({ booking: bookingId });
+};
+
+// Indexes for better query performance
+roomReservationSchema.index({ room: 1, start: 1 }, { unique: true });
+roomReservationSchema.index({ booking: 1 });
+
+module.exports = mongoose.model('RoomReservation', roomReservationSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// One interval of venue capacity on a given day. A session reserves every
+// interval it covers, so a 90-minute booking holds three 30-minute slots.
+const slotSchema = new mongoose.Schema({
+    date: {
+        type: String,
+        required: [true, 'Slot date is required'],
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'Slot date must be in YYYY-MM-DD format']
+    },
+    startTime: {
+        type: String,
+        required: [true, 'Slot start time is required'],
+        match: [/^\d{2}:\d{2}$/, 'Slot start time must be in HH:mm format']
+    },
+    capacity: {
+        type: Number,
+        required: [true, 'Slot capacity is required'],
+        min: [0, 'Capacity cannot be negative']
+    },
+    reserved: {
+        type: Number,
+        default: 0,
+        min: [0, 'Reserved count cannot be negative']
+    },
+    bookings: [{
+        _id: false,
+        booking: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Booking',
+            required: true
+        },
+        participants: {
+            type: Number,
+            required: true
+        }
+    }]
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for remaining capacity
+slotSchema.virtual('remaining').get(function() {
+    return Math.max(this.capacity - this.reserved, 0);
+});
+
+// Static method to atomically reserve participants in one slot.
+// Returns the updated slot, or null when the slot is full.
+slotSchema.statics.reserve = async function(date, startTime, capacity, bookingId, participants) {
+    try {
+        await this.updateOne(
+            { date, startTime },
+            { $setOnInsert: { capacity, reserved: 0, bookings: [] } },
+            { upsert: true }
+        );
+    } catch (error) {
+        // A concurrent request created the slot first
+        if (error.code !== 11000) throw error;
+    }
+
+    return this.findOneAndUpdate(
+        {
+            date,
+            startTime,
+            'bookings.booking': { $ne: bookingId },
+            $expr: { $lte: [{ $add: ['$reserved', participants] }, '$capacity'] }
+        },
+        {
+            $inc: { reserved: participants },
+            $push: { bookings: { booking: bookingId, participants } }
+        },
+        { new: true }
+    );
+};
+
+// Static method to release a booking's participants from one slot
+slotSchema.statics.release = function(date, startTime, bookingId, participants) {
+    return this.updateOne(
+        { date, startTime, 'bookings.booking': bookingId },
+        {
+            $inc: { reserved: -participants },
+            $pull: { bookings: { booking: bookingId } }
+        }
+    );
+};
+
+// Indexes for better query performance
+slotSchema.index({ date: 1, startTime: 1 }, { unique: true });
+
+module.exports = mongoose.model('Slot', slotSchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+const waitlistSchema = new mongoose.Schema({
+    // Customer Information
+    customerName: {
+        type: String,
+        required: [true, 'Customer name is required'],
+        trim: true,
+        minlength: [2, 'Name must be at least 2 characters long'],
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    customerEmail: {
+        type: String,
+        required: [true, 'Email is required'],
+        trim: true,
+        lowercase: true,
+        match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+    },
+    customerPhone: {
+        type: String,
+        required: [true, 'Phone number is required'],
+        trim: true,
+        match: [/^\+?[\d\s\-\(\)]{10,}$/, 'Please provide a valid phone number']
+    },
+
+    // Requested Session (date and start time are venue wall-clock values)
+    date: {
+        type: String,
+        required: [true, 'Date is required'],
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format']
+    },
+    startTime: {
+        type: String,
+        required: [true, 'Start time is required'],
+        match: [/^\d{2}:\d{2}$/, 'Start time must be in HH:mm format']
+    },
+    packageType: {
+        type: String,
+        required: [true, 'Package type is required'],
+        enum: {
+            values: ['basic', 'premium', 'ultimate'],
+            message: 'Package type must be one of: basic, premium, ultimate'
+        }
+    },
+    participants: {
+        type: Number,
+        required: [true, 'Number of participants is required'],
+        min: [1, 'At least 1 participant is required'],
+        max: [10, 'Maximum 10 participants allowed']
+    },
+    duration: {
+        type: Number,
+        min: [30, 'Minimum duration is 30 minutes'],
+        max: [240, 'Maximum duration is 240 minutes']
+    },
+
+    // Waitlist Status
+    status: {
+        type: String,
+        enum: {
+            values: ['waiting', 'offered', 'claimed', 'expired', 'cancelled'],
+            message: 'Status must be one of: waiting, offered, claimed, expired, cancelled'
+        },
+        default: 'waiting'
+    },
+
+    // Offer made when a place opens up; the held booking keeps the slot until the offer expires
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    },
+    offeredAt: Date,
+    offerExpiresAt: Date,
+    claimedAt: Date
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Static method to get the people waiting for a date, first come first served
+waitlistSchema.statics.findWaiting = function(date) {
+    return this.find({ date, status: 'waiting' }).sort({ createdAt: 1 });
+};
+
+// Instance method to get this entry's place in the queue for its slot
+waitlistSchema.methods.getPosition = async function() {
+    if (this.status !== 'waiting') return null;
+    const ahead = await this.constructor.countDocuments({
+        date: this.date,
+        startTime: this.startTime,
+        status: 'waiting',
+        createdAt: { $lt: this.createdAt }
+    });
+    return ahead + 1;
+};
+
+// Indexes for better query performance
+waitlistSchema.index({ date: 1, startTime: 1, status: 1, createdAt: 1 });
+waitlistSchema.index({ customerEmail: 1, date: 1, startTime: 1 });
+waitlistSchema.index({ status: 1, offerExpiresAt: 1 });
+
+// Record admin changes in the audit log
+waitlistSchema.plugin(auditTrail, { entityType: 'Waitlist', referenceField: 'customerEmail' });
+
+module.exports = mongoose.model('Waitlist', waitlistSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Largest signature image accepted (base64 data URL length, roughly 300KB of image)
+const MAX_SIGNATURE_IMAGE_LENGTH = 400000;
+
+const waiverSchema = new mongoose.Schema({
+    // Booking the participant is joining
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: [true, 'Booking is required']
+    },
+    bookingId: {
+        type: String,
+        required: [true, 'Booking ID is required']
+    },
+
+    // Participant
+    participantName: {
+        type: String,
+        required: [true, 'Participant name is required'],
+        trim: true,
+        minlength: [2, 'Name must be at least 2 characters long'],
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    // Lowercased name with single spaces, so each participant signs only once per booking
+    participantKey: {
+        type: String,
+        required: true
+    },
+    ageConfirmed: {
+        type: Boolean,
+        required: [true, 'Age confirmation is required'],
+        validate: {
+            validator: value => value === true,
+            message: 'Participants must confirm they meet the minimum age'
+        }
+    },
+
+    // Signature: the typed full name, or a drawn signature as a PNG/JPEG data URL
+    signatureType: {
+        type: String,
+        enum: {
+            values: ['typed', 'image'],
+            message: 'Signature type must be one of: typed, image'
+        },
+        required: [true, 'Signature type is required']
+    },
+    signature: {
+        type: String,
+        required: [true, 'Signature is required'],
+        validate: {
+            validator: function(value) {
+                if (this.signatureType === 'image') {
+                    return value.length <= MAX_SIGNATURE_IMAGE_LENGTH &&
+                        /^data:image\/(png|jpeg);base64,[A-Za-z0-9+/]+={0,2}$/.test(value);
+                }
+                return value.trim().length >= 2 && value.length <= 100;
+            },
+            message: 'Signature must be your typed name or a PNG/JPEG image'
+        }
+    },
+
+    // Evidence of signing
+    waiverVersion: {
+        type: String,
+        required: [true, 'Waiver version is required']
+    },
+    signedAt: {
+        type: Date,
+        default: Date.now
+    },
+    ipAddress: String,
+    userAgent: String
+}, {
+    timestamps: true
+});
+
+// Normalise the participant name used to spot repeat signatures
+waiverSchema.pre('validate', function(next) {
+    if (this.participantName) {
+        this.participantKey = this.participantName.trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+    next();
+});
+
+// Indexes for better query performance
+// Each participant signs each waiver version once
+waiverSchema.index({ booking: 1, participantKey: 1, waiverVersion: 1 }, { unique: true });
+waiverSchema.index({ bookingId: 1 });
+
+module.exports = mongoose.model('Waiver', waiverSchema);
@@ -0,0 +1,186 @@
+const AuditLog = require('../AuditLog');
+const { getRequestContext } = require('../../middleware/requestContext');
+
+const DEFAULT_IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+const REDACTED = '[REDACTED]';
+
+// Mongoose plugin that writes an AuditLog entry for every create, update and
+// delete made while an authenticated actor is set on the request context.
+// Document saves and deletes are covered, as are query-level writes
+// (updateOne, updateMany, findOneAndUpdate, deleteMany), whose documents are
+// read before and after the write to work out what changed.
+//
+// Options:
+//   entityType     - name stored on the audit entry (e.g. 'Booking')
+//   referenceField - human-readable reference to store alongside the ID
+//   ignore         - fields that never produce an audit entry on their own
+//   redact         - fields whose values are replaced with [REDACTED]
+//
+// Model methods can set doc.$locals.auditAction before saving to record a
+// more specific action than create/update/status_change.
+// State carried from a query's pre hook to its post hook
+const pendingQueries = new WeakMap();
+
+// Top-level fields an update touches, e.g. 'slotReservation' for
+// { $set: { 'slotReservation.releasedAt': date } }
+const getUpdatedFields = (update) => {
+    const stages = Array.isArray(update) ? update : [update || {}];
+    const paths = stages.flatMap(stage => Object.keys(stage).flatMap(key =>
+        (key.startsWith('$') ? Object.keys(stage[key] || {}) : [key])
+    ));
+    return [...new Set(paths.map(path => path.split('.')[0]))];
+};
+
+module.exports = function auditTrail(schema, options = {}) {
+    const { entityType, referenceField, ignore = [], redact = [] } = options;
+    const ignored = new Set([...DEFAULT_IGNORED_FIELDS, ...ignore]);
+
+    const snapshot = (doc) => doc.toObject({ virtuals: false, depopulate: true });
+
+    const pick = (source, fields) => fields.reduce((values, field) => {
+        values[field] = redact.includes(field) ? REDACTED : source[field];
+        return values;
+    }, {});
+
+    const buildEntry = (context, doc, action, fields, before, after) => ({
+        actor: context.actor,
+        entityType,
+        entityId: doc._id,
+        entityReference: referenceField ? doc[referenceField] : undefined,
+        action,
+        changedFields: fields,
+        before,
+        after,
+        request: {
+            method: context.method,
+            path: context.path,
+            ipAddress: context.ipAddress,
+            userAgent: context.userAgent
+        }
+    });
+
+    // Keep a copy of the stored values so updates can be diffed
+    schema.post('init', function() {
+        const context = getRequestContext();
+        if (context && context.actor) {
+            this.$locals.auditSnapshot = snapshot(this);
+        }
+    });
+
+    schema.pre('save', function(next) {
+        this.$locals.auditEntry = null;
+
+        const context = getRequestContext();
+        if (!context || !context.actor) return next();
+
+        const current = snapshot(this);
+
+        if (this.isNew) {
+            const fields = Object.keys(current).filter(field => !ignored.has(field));
+            this.$locals.auditEntry = buildEntry(
+                context, this, this.$locals.auditAction || 'create', fields, {}, pick(current, fields)
+            );
+            return next();
+        }
+
+        const fields = [...new Set(this.directModifiedPaths().map(path => path.split('.')[0]))]
+            .filter(field => !ignored.has(field));
+        if (fields.length === 0) return next();
+
+        const previous = this.$locals.auditSnapshot || {};
+        const action = this.$locals.auditAction || (fields.includes('status') ? 'status_change' : 'update');
+
+        this.$locals.auditEntry = buildEntry(
+            context, this, action, fields, pick(previous, fields), pick(current, fields)
+        );
+        next();
+    });
+
+    schema.post('save', async function(doc) {
+        const entry = doc.$locals.auditEntry;
+        doc.$locals.auditEntry = null;
+        doc.$locals.auditAction = null;
+
+        if (!entry) return;
+
+        doc.$locals.auditSnapshot = snapshot(doc);
+        await AuditLog.record(entry);
+    });
+
+    const recordDeletion = async (doc) => {
+        const context = getRequestContext();
+        if (!doc || !context || !context.actor) return;
+
+        const values = snapshot(doc);
+        const fields = Object.keys(values).filter(field => !ignored.has(field));
+        await AuditLog.record(buildEntry(context, doc, 'delete', fields, pick(values, fields), {}));
+    };
+
+    schema.post('findOneAndDelete', async function(doc) {
+        await recordDeletion(doc);
+    });
+
+    schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+        await recordDeletion(doc);
+    });
+
+    // Query-level updates
+
+    schema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], async function() {
+        const context = getRequestContext();
+        if (!context || !context.actor) return;
+
+        const fields = getUpdatedFields(this.getUpdate()).filter(field => !ignored.has(field));
+        if (fields.length === 0) return;
+
+        // Only the first match is written unless this is an updateMany
+        const select = [...new Set([...fields, referenceField].filter(Boolean))].join(' ');
+        const query = this.model.find(this.getFilter()).select(select).lean();
+        if (this.op !== 'updateMany') {
+            const { sort } = this.getOptions();
+            if (sort) query.sort(sort);
+            query.limit(1);
+        }
+        pendingQueries.set(this, { context, fields, select, before: await query });
+    });
+
+    schema.post(['updateOne', 'updateMany', 'findOneAndUpdate'], async function() {
+        const pending = pendingQueries.get(this);
+        pendingQueries.delete(this);
+        if (!pending || pending.before.length === 0) return;
+
+        const { context, fields, select, before } = pending;
+        const after = await this.model.find({ _id: { $in: before.map(doc => doc._id) } }).select(select).lean();
+        const afterById = new Map(after.map(doc => [doc._id.toString(), doc]));
+
+        for (const previous of before) {
+            const current = afterById.get(previous._id.toString());
+            if (!current) continue;
+
+            // A conditional write that lost a race changes nothing
+            const changed = fields.filter(field => JSON.stringify(previous[field]) !== JSON.stringify(current[field]));
+            if (changed.length === 0) continue;
+
+            const action = changed.includes('status') ? 'status_change' : 'update';
+            await AuditLog.record(buildEntry(
+                context, current, action, changed, pick(previous, changed), pick(current, changed)
+            ));
+        }
+    });
+
+    schema.pre('deleteMany', async function() {
+        const context = getRequestContext();
+        if (!context || !context.actor) return;
+
+        pendingQueries.set(this, await this.model.find(this.getFilter()));
+    });
+
+    schema.post('deleteMany', async function() {
+        const docs = pendingQueries.get(this) || [];
+        pendingQueries.delete(this);
+
+        for (const doc of docs) {
+            await recordDeletion(doc);
+        }
+    });
+};
@@ -1,14 +1,44 @@
 const express = require('express');
 const router = express.Router();
-const { query } = require('express-validator');
+const { query, validationResult } = require('express-validator');
 const Booking = require('../models/Booking');
+const CorporateBooking = require('../models/CorporateBooking');
 const Contact = require('../models/Contact');
 const Newsletter = require('../models/Newsletter');
+const AuditLog = require('../models/AuditLog');
+const icalService = require('../services/icalService');
+const { protect, protectCalendarFeed, authorize } = require('../middleware/auth');
+
+// Aggregation stages that turn each booking into one document per price line item
+// (package, extra participants, extended time, add-ons, promo discount and tax). Bookings priced
+// before line items were stored count as a single package line for their total.
+const lineItemStages = () => [
+    {
+        $project: {
+            lineItem: {
+                $cond: [
+                    { $gt: [{ $size: { $ifNull: ['$priceBreakdown.items.type', []] } }, 0] },
+                    '$priceBreakdown.items',
+                    [{ type: 'package', code: '$packageType', item: '$packageName', price: '$packagePrice' }]
+                ]
+            }
+        }
+    },
+    { $unwind: '$lineItem' }
+];
+
+// Turn [{ _id: type, total }] groups into { package: 0, ..., tax: 0 } (discounts are negative)
+const totalsByType = (groups) => groups.reduce((totals, group) => {
+    totals[group._id] = (totals[group._id] || 0) + group.total;
+    return totals;
+}, { package: 0, participants: 0, duration: 0, addon: 0, discount: 0, tax: 0 });
+
+const sumTotals = (groups) => groups.reduce((sum, group) => sum + group.total, 0);
 
 // @route   GET /api/admin/dashboard
 // @desc    Get admin dashboard overview
-// @access  Admin (should add auth middleware)
-router.get('/dashboard', async (req, res) => {
+// @access  Admin
+router.get('/dashboard', protect, authorize('dashboard:read'), async (req, res) => {
     try {
         const today = new Date();
         const startOfDay = new Date(today.setHours(0, 0, 0, 0));
@@ -27,6 +57,7 @@ router.get('/dashboard', async (req, res) => {
             monthBookings,
             pendingBookings,
             confirmedBookings,
+            monthNoShows,
             
             // Contacts
             totalContacts,
@@ -43,13 +74,14 @@ router.get('/dashboard', async (req, res) => {
             monthlyRevenue,
             yearlyRevenue
         ] = await Promise.all([
-            // Bookings
-            Booking.countDocuments(),
-            Booking.countDocuments({ createdAt: { $gte: startOfDay, $lte: endOfDay } }),
-            Booking.countDocuments({ createdAt: { $gte: startOfWeek } }),
-            Booking.countDocuments({ createdAt: { $gte: startOfMonth } }),
+            // Bookings (abandoned checkout holds are left out)
+            Booking.countDocuments(Booking.withoutHolds()),
+            Booking.countDocuments(Booking.withoutHolds({ createdAt: { $gte: startOfDay, $lte: endOfDay } })),
+            Booking.countDocuments(Booking.withoutHolds({ createdAt: { $gte: startOfWeek } })),
+            Booking.countDocuments(Booking.withoutHolds({ createdAt: { $gte: startOfMonth } })),
             Booking.countDocuments({ status: 'pending' }),
             Booking.countDocuments({ status: 'confirmed' }),
+            Booking.countDocuments({ noShow: true, sessionStart: { $gte: startOfMonth } }),
             
             // Contacts
             Contact.countDocuments(),
@@ -70,10 +102,11 @@ router.get('/dashboard', async (req, res) => {
                         createdAt: { $gte: startOfMonth }
                     }
                 },
+                ...lineItemStages(),
                 {
                     $group: {
-                        _id: null,
-                        total: { $sum: '$packagePrice' }
+                        _id: '$lineItem.type',
+                        total: { $sum: '$lineItem.price' }
                     }
                 }
             ]),
@@ -84,17 +117,18 @@ router.get('/dashboard', async (req, res) => {
                         createdAt: { $gte: startOfYear }
                     }
                 },
+                ...lineItemStages(),
                 {
                     $group: {
-                        _id: null,
-                        total: { $sum: '$packagePrice' }
+                        _id: '$lineItem.type',
+                        total: { $sum: '$lineItem.price' }
                     }
                 }
             ])
         ]);
 
         // Recent activities
-        const recentBookings = await Booking.find()
+        const recentBookings = await Booking.find(Booking.withoutHolds())
             .sort({ createdAt: -1 })
             .limit(5)
             .select('customerName packageName status createdAt bookingId');
@@ -109,12 +143,12 @@ router.get('/dashboard', async (req, res) => {
         const lastMonthStart = new Date(startOfMonth.getTime() - 30 * 24 * 60 * 60 * 1000);
 
         const [lastWeekBookings, lastMonthBookings] = await Promise.all([
-            Booking.countDocuments({ 
+            Booking.countDocuments(Booking.withoutHolds({ 
                 createdAt: { $gte: lastWeekStart, $lt: startOfWeek } 
-            }),
-            Booking.countDocuments({ 
+            })),
+            Booking.countDocuments(Booking.withoutHolds({ 
                 createdAt: { $gte: lastMonthStart, $lt: startOfMonth } 
-            })
+            }))
         ]);
 
         const weeklyGrowth = lastWeekBookings > 0 
@@ -136,6 +170,7 @@ router.get('/dashboard', async (req, res) => {
                         thisMonth: monthBookings,
                         pending: pendingBookings,
                         confirmed: confirmedBookings,
+                        noShowsThisMonth: monthNoShows,
                         weeklyGrowth: `${weeklyGrowth}%`,
                         monthlyGrowth: `${monthlyGrowth}%`
                     },
@@ -153,11 +188,18 @@ router.get('/dashboard', async (req, res) => {
                             ? Math.round((activeSubscribers / totalSubscribers) * 100) 
                             : 0
                     },
-                    revenue: {
-                        thisMonth: monthlyRevenue.length > 0 ? monthlyRevenue[0].total : 0,
-                        thisYear: yearlyRevenue.length > 0 ? yearlyRevenue[0].total : 0,
-                        currency: 'INR'
-                    }
+                    // Revenue is only shown to roles with revenue access
+                    ...(req.admin.hasPermission('revenue:read') && {
+                        revenue: {
+                            thisMonth: sumTotals(monthlyRevenue),
+                            thisYear: sumTotals(yearlyRevenue),
+                            byType: {
+                                thisMonth: totalsByType(monthlyRevenue),
+                                thisYear: totalsByType(yearlyRevenue)
+                            },
+                            currency: 'INR'
+                        }
+                    })
                 },
                 recentActivity: {
                     bookings: recentBookings,
@@ -183,8 +225,8 @@ router.get('/dashboard', async (req, res) => {
 
 // @route   GET /api/admin/analytics/bookings
 // @desc    Get booking analytics
-// @access  Admin (should add auth middleware)
-router.get('/analytics/bookings', [
+// @access  Admin
+router.get('/analytics/bookings', protect, authorize('analytics:read'), [
     query('period').optional().isIn(['week', 'month', 'quarter', 'year']).withMessage('Invalid period'),
     query('groupBy').optional().isIn(['day', 'week', 'month']).withMessage('Invalid groupBy')
 ], async (req, res) => {
@@ -214,9 +256,9 @@ router.get('/analytics/bookings', [
         // Bookings over time
         const bookingTrends = await Booking.aggregate([
             {
-                $match: {
+                $match: Booking.withoutHolds({
                     createdAt: { $gte: startDate }
-                }
+                })
             },
             {
                 $group: {
@@ -242,9 +284,9 @@ router.get('/analytics/bookings', [
         // Package popularity
         const packageStats = await Booking.aggregate([
             {
-                $match: {
+                $match: Booking.withoutHolds({
                     createdAt: { $gte: startDate }
-                }
+                })
             },
             {
                 $group: {
@@ -259,12 +301,37 @@ router.get('/analytics/bookings', [
             }
         ]);
 
+        // Revenue by line item, with add-ons broken out individually
+        const lineItemStats = await Booking.aggregate([
+            {
+                $match: Booking.withoutHolds({
+                    createdAt: { $gte: startDate }
+                })
+            },
+            ...lineItemStages(),
+            {
+                $group: {
+                    _id: {
+                        type: '$lineItem.type',
+                        code: '$lineItem.code'
+                    },
+                    name: { $first: '$lineItem.item' },
+                    count: { $sum: 1 },
+                    total: { $sum: '$lineItem.price' }
+                }
+            },
+            {
+                $sort: { total: -1 }
+            }
+        ]);
+        const lineItemTotals = totalsByType(lineItemStats.map(item => ({ _id: item._id.type, total: item.total })));
+
         // Status distribution
         const statusStats = await Booking.aggregate([
             {
-                $match: {
+                $match: Booking.withoutHolds({
                     createdAt: { $gte: startDate }
-                }
+                })
             },
             {
                 $group: {
@@ -277,9 +344,9 @@ router.get('/analytics/bookings', [
         // Peak hours analysis
         const hourlyStats = await Booking.aggregate([
             {
-                $match: {
+                $match: Booking.withoutHolds({
                     createdAt: { $gte: startDate }
-                }
+                })
             },
             {
                 $group: {
@@ -292,6 +359,58 @@ router.get('/analytics/bookings', [
             }
         ]);
 
+        // Refunds from cancellations in the period, by refund tier
+        const refundStats = await Booking.aggregate([
+            {
+                $match: {
+                    status: 'cancelled',
+                    'cancellation.evaluatedAt': { $gte: startDate }
+                }
+            },
+            {
+                $group: {
+                    _id: {
+                        refundPercent: '$cancellation.refundPercent',
+                        reason: '$cancellation.refundReason'
+                    },
+                    count: { $sum: 1 },
+                    amount: { $sum: '$cancellation.refundAmount' },
+                    pendingAmount: {
+                        $sum: { $cond: [{ $eq: ['$cancellation.refundStatus', 'pending'] }, '$cancellation.refundAmount', 0] }
+                    }
+                }
+            },
+            {
+                $sort: { '_id.refundPercent': -1 }
+            }
+        ]);
+
+        // Check-ins and no-shows for sessions held in the period
+        const [attendanceStats] = await Booking.aggregate([
+            {
+                $match: {
+                    status: { $in: ['confirmed', 'completed'] },
+                    sessionStart: { $gte: startDate, $lte: now }
+                }
+            },
+            {
+                $group: {
+                    _id: null,
+                    sessions: { $sum: 1 },
+                    checkedIn: {
+                        $sum: { $cond: [{ $ifNull: ['$checkedInAt', false] }, 1, 0] }
+                    },
+                    noShows: {
+                        $sum: { $cond: ['$noShow', 1, 0] }
+                    }
+                }
+            }
+        ]);
+        const attendance = attendanceStats || { sessions: 0, checkedIn: 0, noShows: 0 };
+
+        const totalRevenue = bookingTrends.reduce((sum, item) => sum + item.revenue, 0);
+        const totalRefunds = refundStats.reduce((sum, item) => sum + item.amount, 0);
+
         res.json({
             success: true,
             data: {
@@ -304,9 +423,41 @@ router.get('/analytics/bookings', [
                 packagePopularity: packageStats,
                 statusDistribution: statusStats,
                 peakHours: hourlyStats,
+                lineItems: {
+                    byType: lineItemTotals,
+                    addOns: lineItemStats
+                        .filter(item => item._id.type === 'addon')
+                        .map(item => ({
+                            id: item._id.code,
+                            name: item.name,
+                            count: item.count,
+                            revenue: item.total
+                        })),
+                    currency: 'INR'
+                },
+                refunds: {
+                    byTier: refundStats,
+                    cancellations: refundStats.reduce((sum, item) => sum + item.count, 0),
+                    totalAmount: totalRefunds,
+                    pendingAmount: refundStats.reduce((sum, item) => sum + item.pendingAmount, 0),
+                    currency: 'INR'
+                },
+                attendance: {
+                    sessions: attendance.sessions,
+                    checkedIn: attendance.checkedIn,
+                    noShows: attendance.noShows,
+                    noShowRate: attendance.sessions > 0
+                        ? Math.round((attendance.noShows / attendance.sessions) * 100)
+                        : 0
+                },
                 summary: {
                     totalBookings: bookingTrends.reduce((sum, item) => sum + item.count, 0),
-                    totalRevenue: bookingTrends.reduce((sum, item) => sum + item.revenue, 0),
+                    totalRevenue,
+                    addOnRevenue: lineItemTotals.addon,
+                    taxCollected: lineItemTotals.tax,
+                    totalRefunds,
+                    netRevenue: totalRevenue - totalRefunds,
+                    noShows: attendance.noShows,
                     conversionRate: bookingTrends.length > 0 
                         ? Math.round((bookingTrends.reduce((sum, item) => sum + item.confirmed, 0) / 
                           bookingTrends.reduce((sum, item) => sum + item.count, 0)) * 100)
@@ -326,8 +477,8 @@ router.get('/analytics/bookings', [
 
 // @route   GET /api/admin/analytics/contacts
 // @desc    Get contact analytics
-// @access  Admin (should add auth middleware)
-router.get('/analytics/contacts', [
+// @access  Admin
+router.get('/analytics/contacts', protect, authorize('analytics:read'), [
     query('period').optional().isIn(['week', 'month', 'quarter', 'year']).withMessage('Invalid period')
 ], async (req, res) => {
     try {
@@ -453,10 +604,189 @@ router.get('/analytics/contacts', [
     }
 });
 
+// @route   GET /api/admin/audit
+// @desc    Get audit trail entries (with pagination and filtering)
+// @access  Admin
+router.get('/audit', protect, authorize('audit:read'), [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('entityType').optional().isIn(['Booking', 'Contact', 'CorporateBooking', 'Newsletter', 'Registration', 'AdminUser', 'Room', 'Waitlist', 'OpeningHours', 'CalendarException', 'PromoCode', 'GiftVoucher', 'LoyaltyAccount', 'CorporateQuote', 'Invoice', 'CorporateAccount']).withMessage('Invalid entity type'),
+    query('entityId').optional().isMongoId().withMessage('Invalid entity ID'),
+    query('actorId').optional().isMongoId().withMessage('Invalid actor ID'),
+    query('action').optional().trim().notEmpty().withMessage('Invalid action'),
+    query('dateFrom').optional().isISO8601().withMessage('Invalid date format for dateFrom'),
+    query('dateTo').optional().isISO8601().withMessage('Invalid date format for dateTo')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        // Build filter object
+        const filter = {};
+        if (req.query.entityType) filter.entityType = req.query.entityType;
+        if (req.query.entityId) filter.entityId = req.query.entityId;
+        if (req.query.actorId) filter['actor.id'] = req.query.actorId;
+        if (req.query.action) filter.action = req.query.action;
+        if (req.query.dateFrom || req.query.dateTo) {
+            filter.createdAt = {};
+            if (req.query.dateFrom) filter.createdAt.$gte = new Date(req.query.dateFrom);
+            if (req.query.dateTo) filter.createdAt.$lte = new Date(req.query.dateTo);
+        }
+
+        const [entries, total] = await Promise.all([
+            AuditLog.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            AuditLog.countDocuments(filter)
+        ]);
+        const totalPages = Math.ceil(total / limit);
+
+        res.json({
+            success: true,
+            data: {
+                entries,
+                pagination: {
+                    currentPage: page,
+                    totalPages,
+                    totalItems: total,
+                    itemsPerPage: limit,
+                    hasNextPage: page < totalPages,
+                    hasPrevPage: page > 1
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching audit trail:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch audit trail',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/admin/calendar-feed
+// @desc    Create your personal calendar feed link (replaces any previous link)
+// @access  Admin
+router.post('/calendar-feed', protect, authorize('bookings:read'), async (req, res) => {
+    try {
+        const token = req.admin.createCalendarFeedToken();
+        await req.admin.save();
+
+        const baseUrl = (process.env.API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+        const url = `${baseUrl}/api/admin/calendar.ics?token=${token}`;
+
+        res.status(201).json({
+            success: true,
+            message: 'Calendar feed link created. Anyone with this link can see the booking calendar, so keep it private.',
+            data: {
+                url,
+                webcalUrl: url.replace(/^https?:/, 'webcal:'),
+                createdAt: req.admin.calendarFeedCreatedAt
+            }
+        });
+    } catch (error) {
+        console.error('Error creating calendar feed link:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create calendar feed link',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   DELETE /api/admin/calendar-feed
+// @desc    Revoke your calendar feed link
+// @access  Admin
+router.delete('/calendar-feed', protect, async (req, res) => {
+    try {
+        req.admin.calendarFeedTokenHash = undefined;
+        req.admin.calendarFeedCreatedAt = undefined;
+        await req.admin.save();
+
+        res.json({
+            success: true,
+            message: 'Calendar feed link revoked'
+        });
+    } catch (error) {
+        console.error('Error revoking calendar feed link:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke calendar feed link',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/admin/calendar.ics
+// @desc    iCalendar feed of confirmed bookings and corporate events (defaults to 30 days back to 180 days ahead)
+// @access  Admin (bearer token or ?token= from POST /api/admin/calendar-feed)
+router.get('/calendar.ics', protectCalendarFeed, authorize('bookings:read'), [
+    query('from').optional().isISO8601().withMessage('Invalid date format for from'),
+    query('to').optional().isISO8601().withMessage('Invalid date format for to')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const day = 24 * 60 * 60 * 1000;
+        const from = req.query.from ? new Date(req.query.from) : new Date(Date.now() - 30 * day);
+        const to = req.query.to ? new Date(req.query.to) : new Date(Date.now() + 180 * day);
+
+        const [bookings, corporateBookings] = await Promise.all([
+            Booking.find({ status: 'confirmed', sessionStart: { $gte: from, $lte: to } })
+                .sort({ sessionStart: 1 })
+                .populate('room', 'name'),
+            // Corporate events only for staff who can see corporate bookings
+            req.admin.hasPermission('corporate:read')
+                ? CorporateBooking.find({ status: 'confirmed', eventStart: { $gte: from, $lte: to } })
+                    .sort({ eventStart: 1 })
+                    .populate('room', 'name')
+                : []
+        ]);
+
+        const calendar = icalService.buildCalendar([
+            ...bookings.map(booking => icalService.bookingEvent(booking, { forStaff: true })),
+            ...corporateBookings.map(booking => icalService.corporateEvent(booking))
+        ], { name: 'SmashLabs Bookings' });
+
+        res.set({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': 'inline; filename="smashlabs-bookings.ics"',
+            'Cache-Control': 'private, max-age=300'
+        });
+        res.send(calendar);
+    } catch (error) {
+        console.error('Error building calendar feed:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to build calendar feed',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 // @route   GET /api/admin/system/health
 // @desc    Get system health status
-// @access  Admin (should add auth middleware)
-router.get('/system/health', async (req, res) => {
+// @access  Admin
+router.get('/system/health', protect, authorize('system:read'), async (req, res) => {
     try {
         const dbStatus = await checkDatabaseHealth();
         const memoryUsage = process.memoryUsage();
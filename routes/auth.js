@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const AdminUser = require('../models/AdminUser');
+const { protect } = require('../middleware/auth');
+
+// @route   POST /api/auth/login
+// @desc    Authenticate admin and issue a JWT
+// @access  Public
+router.post('/login', [
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email address'),
+    body('password')
+        .notEmpty()
+        .withMessage('Password is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const admin = await AdminUser.findOne({ email: req.body.email }).select('+password');
+        if (!admin || !admin.isActive || !(await admin.comparePassword(req.body.password))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid email or password'
+            });
+        }
+
+        await admin.recordLogin();
+        const token = admin.generateAuthToken();
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            data: {
+                token,
+                expiresIn: process.env.JWT_EXPIRE || '7d',
+                admin: {
+                    id: admin._id,
+                    name: admin.name,
+                    email: admin.email,
+                    role: admin.role,
+                    permissions: admin.permissions,
+                    lastLoginAt: admin.lastLoginAt
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to login',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/auth/me
+// @desc    Get the currently authenticated admin
+// @access  Admin
+router.get('/me', protect, (req, res) => {
+    res.json({
+        success: true,
+        data: req.admin
+    });
+});
+
+// @route   PUT /api/auth/password
+// @desc    Change the current admin's password
+// @access  Admin
+router.put('/password', protect, [
+    body('currentPassword')
+        .notEmpty()
+        .withMessage('Current password is required'),
+    body('newPassword')
+        .isLength({ min: 8 })
+        .withMessage('New password must be at least 8 characters long')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const admin = await AdminUser.findById(req.admin._id).select('+password');
+        if (!(await admin.comparePassword(req.body.currentPassword))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Current password is incorrect'
+            });
+        }
+
+        admin.password = req.body.newPassword;
+        await admin.save();
+
+        res.json({
+            success: true,
+            message: 'Password changed successfully',
+            data: {
+                token: admin.generateAuthToken()
+            }
+        });
+    } catch (error) {
+        console.error('Error changing password:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to change password',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
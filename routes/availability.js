@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const availabilityService = require('../services/availabilityService');
+
+// @route   GET /api/availability
+// @desc    Get session start times and remaining capacity for a date
+// @access  Public
+router.get('/', [
+    query('date')
+        .isISO8601()
+        .withMessage('A valid date is required (YYYY-MM-DD)'),
+    query('packageType')
+        .isIn(['basic', 'premium', 'ultimate'])
+        .withMessage('Package type must be one of: basic, premium, ultimate'),
+    query('participants')
+        .optional()
+        .isInt({ min: 1, max: 10 })
+        .withMessage('Participants must be between 1 and 10'),
+    query('duration')
+        .optional()
+        .isInt({ min: 30, max: 240 })
+        .withMessage('Duration must be between 30 and 240 minutes')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const availability = await availabilityService.getAvailability({
+            date: req.query.date,
+            packageType: req.query.packageType,
+            participants: req.query.participants,
+            duration: req.query.duration
+        });
+
+        res.json({
+            success: true,
+            data: availability
+        });
+    } catch (error) {
+        if (error.name === 'AvailabilityError') {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Error fetching availability:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch availability',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
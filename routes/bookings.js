@@ -3,14 +3,29 @@ const router = express.Router();
 const { body, validationResult, param, query } = require('express-validator');
 const Booking = require('../models/Booking');
 const emailService = require('../services/emailService');
+const pricingService = require('../services/pricingService');
+const promoService = require('../services/promoService');
+const giftVoucherService = require('../services/giftVoucherService');
+const loyaltyService = require('../services/loyaltyService');
+const availabilityService = require('../services/availabilityService');
+const roomService = require('../services/roomService');
+const bookingAccessService = require('../services/bookingAccessService');
+const cancellationService = require('../services/cancellationService');
+const paymentService = require('../services/paymentService');
+const holdService = require('../services/holdService');
+const waitlistService = require('../services/waitlistService');
+const checkInService = require('../services/checkInService');
+const Payment = require('../models/Payment');
+const { protect, authorize } = require('../middleware/auth');
+const { setActor } = require('../middleware/requestContext');
 
 // @route   GET /api/bookings
 // @desc    Get all bookings (with pagination and filtering)
-// @access  Public (admin should add auth middleware)
-router.get('/', [
+// @access  Admin
+router.get('/', protect, authorize('bookings:read'), [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-    query('status').optional().isIn(['pending', 'confirmed', 'cancelled', 'completed']).withMessage('Invalid status'),
+    query('status').optional().isIn(['held', 'pending', 'confirmed', 'cancelled', 'completed', 'expired']).withMessage('Invalid status'),
     query('packageType').optional().isIn(['basic', 'premium', 'ultimate']).withMessage('Invalid package type'),
     query('dateFrom').optional().isISO8601().withMessage('Invalid date format for dateFrom'),
     query('dateTo').optional().isISO8601().withMessage('Invalid date format for dateTo')
@@ -29,8 +44,8 @@ router.get('/', [
         const limit = parseInt(req.query.limit) || 10;
         const skip = (page - 1) * limit;
 
-        // Build filter object
-        const filter = {};
+        // Build filter object (checkout holds are only listed when asked for by status)
+        const filter = Booking.withoutHolds();
         if (req.query.status) filter.status = req.query.status;
         if (req.query.packageType) filter.packageType = req.query.packageType;
         if (req.query.dateFrom || req.query.dateTo) {
@@ -43,7 +58,8 @@ router.get('/', [
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(limit)
-            .select('-adminNotes'); // Hide admin notes from public API
+            .select('-adminNotes') // Hide admin notes from public API
+            .populate('room', 'name theme');
 
         const total = await Booking.countDocuments(filter);
         const totalPages = Math.ceil(total / limit);
@@ -72,6 +88,230 @@ router.get('/', [
     }
 });
 
+// Offer a freed place to the waitlist without failing the request
+const promoteWaitlist = async (date) => {
+    if (!date) return;
+    try {
+        await waitlistService.promote(date);
+    } catch (error) {
+        console.error('Failed to promote waitlist:', error);
+    }
+};
+
+// Load the booking a customer's management token grants access to
+const loadManagedBooking = async (req, res, next) => {
+    try {
+        const bookingId = bookingAccessService.verifyToken(bookingAccessService.getTokenFromRequest(req));
+
+        // Set the actor before loading so the audit trail snapshots the booking
+        setActor({ type: 'customer' });
+        const booking = await Booking.findById(bookingId);
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        setActor({ type: 'customer', name: booking.customerName, email: booking.customerEmail });
+        req.booking = booking;
+        next();
+    } catch (error) {
+        if (error.name === 'BookingAccessError') {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        next(error);
+    }
+};
+
+// Customers can only change bookings that are still upcoming
+const ensureManageable = (booking, res) => {
+    if (['cancelled', 'completed', 'expired'].includes(booking.status)) {
+        res.status(400).json({
+            success: false,
+            message: `This booking is already ${booking.status}`
+        });
+        return false;
+    }
+    if ((booking.sessionStart || booking.preferredDate) <= new Date()) {
+        res.status(400).json({
+            success: false,
+            message: 'This session has already started. Please contact us for help.'
+        });
+        return false;
+    }
+    return true;
+};
+
+// @route   GET /api/bookings/manage
+// @desc    View your own booking with a management token (?token= or X-Booking-Token header)
+// @access  Public (token)
+router.get('/manage', loadManagedBooking, async (req, res) => {
+    res.json({
+        success: true,
+        data: bookingAccessService.customerView(req.booking)
+    });
+});
+
+// @route   PUT /api/bookings/manage/reschedule
+// @desc    Move your own booking to another date or time
+// @access  Public (token)
+router.put('/manage/reschedule', loadManagedBooking, [
+    body('preferredDate')
+        .isISO8601()
+        .custom((value) => {
+            if (new Date(value) <= new Date()) {
+                throw new Error('Preferred date must be in the future');
+            }
+            return true;
+        }),
+    body('startTime')
+        .optional()
+        .matches(/^\d{2}:\d{2}$/)
+        .withMessage('Start time must be in HH:mm format'),
+    body('preferredTime')
+        .if(body('startTime').not().exists())
+        .isIn(['morning', 'afternoon', 'evening'])
+        .withMessage('Preferred time must be one of: morning, afternoon, evening')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const booking = req.booking;
+        if (!ensureManageable(booking, res)) return;
+
+        const previous = booking.slotReservation && booking.slotReservation.startTime
+            ? { date: booking.slotReservation.date, startTime: booking.slotReservation.startTime }
+            : null;
+
+        // Free the current slot first so the new time can overlap it, and take it back if the move fails
+        await availabilityService.releaseForBooking(booking);
+        try {
+            const startTime = await availabilityService.resolveStartTime({
+                date: req.body.preferredDate,
+                packageType: booking.packageType,
+                participants: booking.participants,
+                duration: booking.duration,
+                startTime: req.body.startTime,
+                period: req.body.preferredTime
+            });
+            await availabilityService.reserveForBooking(booking, { date: req.body.preferredDate, startTime });
+        } catch (availabilityError) {
+            if (previous) {
+                await availabilityService.reserveForBooking(booking, previous).catch(restoreError => {
+                    console.error('Failed to restore slot after reschedule:', restoreError);
+                });
+            }
+            if (availabilityError.name !== 'AvailabilityError') throw availabilityError;
+            return res.status(availabilityError.status).json({
+                success: false,
+                message: availabilityError.message,
+                ...availabilityError.details
+            });
+        }
+
+        // The old room may not be free at the new time
+        let roomAssignment;
+        if (booking.room) {
+            await roomService.releaseRoom(booking);
+            if (booking.status === 'confirmed') {
+                const room = await roomService.assignRoom(booking);
+                roomAssignment = { assigned: Boolean(room) };
+            }
+        }
+
+        booking.$locals.auditAction = 'reschedule';
+        await booking.save();
+        await promoteWaitlist(previous && previous.date);
+
+        // Resend the confirmation with the new time
+        try {
+            await emailService.sendBookingConfirmation(booking);
+        } catch (emailError) {
+            console.error('Failed to send reschedule confirmation email:', emailError);
+        }
+
+        res.json({
+            success: true,
+            message: 'Booking rescheduled successfully',
+            data: bookingAccessService.customerView(booking),
+            roomAssignment
+        });
+    } catch (error) {
+        console.error('Error rescheduling booking:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reschedule booking',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/bookings/manage/cancel
+// @desc    Cancel your own booking
+// @access  Public (token)
+router.post('/manage/cancel', loadManagedBooking, [
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const booking = req.booking;
+        if (!ensureManageable(booking, res)) return;
+
+        const oldStatus = booking.status;
+        await availabilityService.releaseForBooking(booking);
+        cancellationService.applyToBooking(booking, { cancelledBy: 'customer', note: req.body.reason });
+        await booking.cancel(`Cancelled by customer${req.body.reason ? `: ${req.body.reason}` : ''}`);
+        await promoteWaitlist(booking.slotReservation && booking.slotReservation.date);
+
+        try {
+            await emailService.sendBookingStatusUpdate(booking, oldStatus);
+        } catch (emailError) {
+            console.error('Failed to send cancellation email:', emailError);
+        }
+
+        res.json({
+            success: true,
+            message: 'Booking cancelled successfully',
+            data: bookingAccessService.customerView(booking),
+            refund: {
+                amount: booking.cancellation.refundAmount,
+                percent: booking.cancellation.refundPercent,
+                reason: booking.cancellation.refundReason
+            }
+        });
+    } catch (error) {
+        console.error('Error cancelling booking:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel booking',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 // @route   GET /api/bookings/:id
 // @desc    Get booking by ID
 // @access  Public
@@ -96,9 +336,10 @@ router.get('/:id', [
             });
         }
 
+        // Personal details are only shown with a valid management token
         res.json({
             success: true,
-            data: booking
+            data: bookingAccessService.hasAccess(req, booking) ? booking : bookingAccessService.redact(booking)
         });
     } catch (error) {
         console.error('Error fetching booking:', error);
@@ -137,9 +378,10 @@ router.get('/booking-id/:bookingId', [
             });
         }
 
+        // Personal details are only shown with a valid management token
         res.json({
             success: true,
-            data: booking
+            data: bookingAccessService.hasAccess(req, booking) ? booking : bookingAccessService.redact(booking)
         });
     } catch (error) {
         console.error('Error fetching booking:', error);
@@ -169,11 +411,8 @@ router.post('/', [
     body('packageType')
         .isIn(['basic', 'premium', 'ultimate'])
         .withMessage('Package type must be one of: basic, premium, ultimate'),
-    body('packageName')
-        .trim()
-        .notEmpty()
-        .withMessage('Package name is required'),
     body('packagePrice')
+        .optional()
         .isFloat({ min: 0 })
         .withMessage('Package price must be a positive number'),
     body('preferredDate')
@@ -185,20 +424,55 @@ router.post('/', [
             }
             return true;
         }),
+    body('startTime')
+        .optional()
+        .matches(/^\d{2}:\d{2}$/)
+        .withMessage('Start time must be in HH:mm format'),
     body('preferredTime')
+        .if(body('startTime').not().exists())
         .isIn(['morning', 'afternoon', 'evening'])
         .withMessage('Preferred time must be one of: morning, afternoon, evening'),
     body('duration')
+        .optional()
         .isInt({ min: 30, max: 240 })
         .withMessage('Duration must be between 30 and 240 minutes'),
     body('participants')
         .isInt({ min: 1, max: 10 })
         .withMessage('Participants must be between 1 and 10'),
+    body('addOns')
+        .optional()
+        .isArray()
+        .custom((addOns) => addOns.every(addOn => pricingService.getAddOn(addOn)))
+        .withMessage('Invalid add-ons provided'),
+    body('promoCode')
+        .optional()
+        .trim()
+        .isLength({ min: 3, max: 30 })
+        .withMessage('Promo code must be between 3 and 30 characters'),
+    body('voucherCode')
+        .optional()
+        .trim()
+        .isLength({ min: 3, max: 30 })
+        .withMessage('Voucher code must be between 3 and 30 characters'),
+    body('loyaltyPoints')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Loyalty points must be a positive whole number')
+        .toInt(),
+    body('loyaltyToken')
+        .if(body('loyaltyPoints').exists())
+        .notEmpty()
+        .withMessage('A loyalty access token is required to redeem points'),
     body('specialRequests')
         .optional()
         .trim()
         .isLength({ max: 500 })
-        .withMessage('Special requests cannot exceed 500 characters')
+        .withMessage('Special requests cannot exceed 500 characters'),
+    body('hold')
+        .optional()
+        .isBoolean()
+        .withMessage('hold must be a boolean')
+        .toBoolean()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -210,31 +484,220 @@ router.post('/', [
             });
         }
 
+        // Points can only be spent by someone who has verified the booking's email
+        let loyaltyAccount;
+        if (req.body.loyaltyPoints) {
+            try {
+                loyaltyAccount = await loyaltyService.findRedeemable(
+                    req.body.loyaltyToken,
+                    req.body.customerEmail,
+                    req.body.loyaltyPoints
+                );
+            } catch (loyaltyError) {
+                if (loyaltyError.name !== 'LoyaltyError') throw loyaltyError;
+                return res.status(loyaltyError.status).json({
+                    success: false,
+                    message: loyaltyError.message,
+                    ...loyaltyError.details
+                });
+            }
+        }
+
+        // Price the booking on the server; client-sent prices are never trusted
+        let quote;
+        let promo;
+        try {
+            ({ quote, promo } = await promoService.quote({
+                packageType: req.body.packageType,
+                participants: req.body.participants,
+                duration: req.body.duration,
+                addOns: req.body.addOns,
+                promoCode: req.body.promoCode,
+                loyaltyPoints: loyaltyAccount ? req.body.loyaltyPoints : undefined
+            }));
+        } catch (pricingError) {
+            if (!['PricingError', 'PromoError'].includes(pricingError.name)) throw pricingError;
+            return res.status(pricingError.status).json({
+                success: false,
+                message: pricingError.message,
+                ...pricingError.details
+            });
+        }
+
+        // Reject bookings quoted at a different price than we calculate
+        if (req.body.packagePrice !== undefined && !pricingService.matchesQuote(req.body.packagePrice, quote)) {
+            return res.status(409).json({
+                success: false,
+                message: 'The quoted price does not match the current price for this booking. Please review the updated price.',
+                data: {
+                    quotedPrice: parseFloat(req.body.packagePrice),
+                    breakdown: quote.breakdown,
+                    subtotal: quote.subtotal,
+                    tax: quote.tax,
+                    total: quote.total,
+                    currency: quote.currency
+                }
+            });
+        }
+
+        // Check the gift voucher up front; its balance is only taken once the slot is reserved
+        let voucher;
+        if (req.body.voucherCode) {
+            try {
+                voucher = await giftVoucherService.findRedeemable(req.body.voucherCode);
+            } catch (voucherError) {
+                if (voucherError.name !== 'VoucherError') throw voucherError;
+                return res.status(voucherError.status).json({
+                    success: false,
+                    message: voucherError.message,
+                    ...voucherError.details
+                });
+            }
+        }
+
         // Create new booking
-        const booking = new Booking(req.body);
-        await booking.save();
+        let booking = new Booking({
+            customerName: req.body.customerName,
+            customerEmail: req.body.customerEmail,
+            customerPhone: req.body.customerPhone,
+            packageType: quote.package.type,
+            packageName: quote.package.name,
+            packagePrice: quote.total,
+            addOns: quote.addOns,
+            promoCode: promo ? promo.code : undefined,
+            loyaltyPointsRedeemed: quote.loyalty ? quote.loyalty.points : undefined,
+            priceBreakdown: pricingService.toPriceBreakdown(quote, req.body.packagePrice),
+            preferredDate: req.body.preferredDate,
+            preferredTime: req.body.preferredTime,
+            duration: quote.duration,
+            participants: quote.participants,
+            specialRequests: req.body.specialRequests
+        });
 
-        // Send confirmation email
+        // Pick a concrete start time (the requested one, or the first free one in the preferred period)
+        // and reserve capacity before saving so concurrent bookings cannot overbook the slot
         try {
-            await emailService.sendBookingConfirmation(booking);
-        } catch (emailError) {
-            console.error('Failed to send confirmation email:', emailError);
-            // Don't fail the booking if email fails
+            const startTime = await availabilityService.resolveStartTime({
+                date: req.body.preferredDate,
+                packageType: booking.packageType,
+                participants: booking.participants,
+                duration: booking.duration,
+                startTime: req.body.startTime,
+                period: req.body.preferredTime
+            });
+            await availabilityService.reserveForBooking(booking, { date: req.body.preferredDate, startTime });
+        } catch (availabilityError) {
+            if (availabilityError.name !== 'AvailabilityError') throw availabilityError;
+            return res.status(availabilityError.status).json({
+                success: false,
+                message: availabilityError.message,
+                ...availabilityError.details
+            });
+        }
+
+        // Checkout holds keep the slot for a few minutes and become bookings once paid
+        if (req.body.hold) {
+            holdService.placeHold(booking);
+        }
+
+        // Claim the promo code's usage last so failed bookings don't use it up
+        if (promo) {
+            try {
+                await promoService.redeem(promo, booking, quote.discount.amount);
+            } catch (promoError) {
+                await availabilityService.releaseForBooking(booking);
+                if (promoError.name !== 'PromoError') throw promoError;
+                return res.status(promoError.status).json({
+                    success: false,
+                    message: promoError.message,
+                    ...promoError.details
+                });
+            }
+        }
+
+        // Take the loyalty points the price was discounted by
+        if (quote.loyalty) {
+            try {
+                await loyaltyService.redeem(loyaltyAccount, booking, quote.loyalty);
+            } catch (loyaltyError) {
+                await availabilityService.releaseForBooking(booking);
+                if (promo) await promoService.release(booking);
+                if (loyaltyError.name !== 'LoyaltyError') throw loyaltyError;
+                return res.status(loyaltyError.status).json({
+                    success: false,
+                    message: loyaltyError.message,
+                    ...loyaltyError.details
+                });
+            }
+        }
+
+        // Spend the voucher towards the amount owed
+        let voucherAmount = 0;
+        if (voucher) {
+            try {
+                voucherAmount = await giftVoucherService.redeem(voucher, booking, quote.total);
+            } catch (voucherError) {
+                await availabilityService.releaseForBooking(booking);
+                if (promo) await promoService.release(booking);
+                if (quote.loyalty) await loyaltyService.release(booking);
+                if (voucherError.name !== 'VoucherError') throw voucherError;
+                return res.status(voucherError.status).json({
+                    success: false,
+                    message: voucherError.message,
+                    ...voucherError.details
+                });
+            }
         }
 
-        // Send admin notification
         try {
-            await emailService.sendBookingNotification(booking);
-        } catch (emailError) {
-            console.error('Failed to send admin notification:', emailError);
+            await booking.save();
+        } catch (saveError) {
+            await availabilityService.releaseForBooking(booking);
+            if (promo) await promoService.release(booking);
+            if (quote.loyalty) await loyaltyService.release(booking);
+            if (voucherAmount > 0) await giftVoucherService.restore(voucher, voucherAmount, { booking: booking._id });
+            throw saveError;
+        }
+
+        // The voucher counts as a payment; a voucher that covers everything completes a hold
+        if (voucherAmount > 0) {
+            await giftVoucherService.recordPayment(voucher, booking, voucherAmount);
+            booking = await paymentService.syncBooking(booking._id);
+        }
+
+        // Held bookings are emailed when their payment arrives
+        const held = booking.status === 'held';
+        if (!req.body.hold) {
+            // Send confirmation email
+            try {
+                await emailService.sendBookingConfirmation(booking);
+            } catch (emailError) {
+                console.error('Failed to send confirmation email:', emailError);
+                // Don't fail the booking if email fails
+            }
+
+            // Send admin notification
+            try {
+                await emailService.sendBookingNotification(booking);
+            } catch (emailError) {
+                console.error('Failed to send admin notification:', emailError);
+            }
         }
 
         res.status(201).json({
             success: true,
-            message: 'Booking created successfully',
+            message: held
+                ? `Slot held until ${booking.holdExpiresAt.toISOString()}. Complete payment to keep it.`
+                : 'Booking created successfully',
             data: {
                 booking: booking.toObject(),
-                bookingId: booking.bookingId
+                bookingId: booking.bookingId,
+                holdExpiresAt: booking.holdExpiresAt,
+                giftVoucher: voucher ? { code: voucher.code, amountApplied: voucherAmount } : undefined,
+                loyalty: quote.loyalty ? { pointsRedeemed: quote.loyalty.points, amountApplied: quote.loyalty.amount } : undefined,
+                amountDue: Math.max(booking.packagePrice - (booking.amountPaid || 0), 0),
+                // Lets the customer pay for and manage the booking right away
+                manageToken: bookingAccessService.generateToken(booking)
             }
         });
     } catch (error) {
@@ -258,8 +721,8 @@ router.post('/', [
 
 // @route   PUT /api/bookings/:id/status
 // @desc    Update booking status
-// @access  Admin (should add auth middleware)
-router.put('/:id/status', [
+// @access  Admin
+router.put('/:id/status', protect, authorize('bookings:update'), [
     param('id').isMongoId().withMessage('Invalid booking ID'),
     body('status')
         .isIn(['pending', 'confirmed', 'cancelled', 'completed'])
@@ -268,7 +731,12 @@ router.put('/:id/status', [
         .optional()
         .trim()
         .isLength({ max: 1000 })
-        .withMessage('Admin notes cannot exceed 1000 characters')
+        .withMessage('Admin notes cannot exceed 1000 characters'),
+    body('waiveFee')
+        .optional()
+        .isBoolean()
+        .withMessage('waiveFee must be a boolean')
+        .toBoolean()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -289,7 +757,46 @@ router.put('/:id/status', [
         }
 
         const oldStatus = booking.status;
+
+        // Cancelling frees the slot and applies the refund policy;
+        // reinstating a cancelled booking must reserve the slot again
+        if (req.body.status === 'cancelled' && oldStatus !== 'cancelled') {
+            await availabilityService.releaseForBooking(booking);
+            cancellationService.applyToBooking(booking, {
+                cancelledBy: 'staff',
+                note: req.body.adminNotes,
+                waive: req.body.waiveFee === true
+            });
+        } else if (['cancelled', 'expired'].includes(oldStatus) && req.body.status !== 'cancelled' && booking.slotReservation && booking.slotReservation.startTime) {
+            try {
+                await availabilityService.reserveForBooking(booking, {
+                    date: booking.slotReservation.date,
+                    startTime: booking.slotReservation.startTime
+                });
+            } catch (availabilityError) {
+                if (availabilityError.name !== 'AvailabilityError') throw availabilityError;
+                return res.status(availabilityError.status).json({
+                    success: false,
+                    message: availabilityError.message,
+                    ...availabilityError.details
+                });
+            }
+            booking.cancellation = undefined;
+        }
+
         booking.status = req.body.status;
+        booking.holdExpiresAt = undefined;
+
+        // Confirmed bookings get a room; cancelled or unconfirmed ones give theirs back
+        let roomAssignment;
+        if (req.body.status === 'confirmed' && !booking.room) {
+            const room = await roomService.assignRoom(booking);
+            roomAssignment = room
+                ? { assigned: true, room: room.name }
+                : { assigned: false, message: 'No suitable room is free for this session. Assign one manually.' };
+        } else if (req.body.status === 'cancelled' || (oldStatus === 'confirmed' && req.body.status !== 'completed')) {
+            await roomService.releaseRoom(booking);
+        }
         
         if (req.body.adminNotes) {
             booking.adminNotes = req.body.adminNotes;
@@ -306,6 +813,25 @@ router.put('/:id/status', [
 
         await booking.save();
 
+        if (req.body.status === 'cancelled' && oldStatus !== 'cancelled') {
+            await booking.releaseRedemptions();
+            await promoteWaitlist(booking.slotReservation && booking.slotReservation.date);
+        }
+
+        // Completed bookings earn loyalty points (once per booking)
+        let loyalty;
+        if (req.body.status === 'completed' && oldStatus !== 'completed') {
+            try {
+                loyalty = await loyaltyService.awardForBooking(booking);
+                if (loyalty) {
+                    booking.loyaltyPointsEarned = loyalty.points;
+                    await Booking.updateOne({ _id: booking._id }, { $set: { loyaltyPointsEarned: loyalty.points } });
+                }
+            } catch (loyaltyError) {
+                console.error('Failed to award loyalty points:', loyaltyError);
+            }
+        }
+
         // Send status update email to customer
         try {
             await emailService.sendBookingStatusUpdate(booking, oldStatus);
@@ -313,10 +839,15 @@ router.put('/:id/status', [
             console.error('Failed to send status update email:', emailError);
         }
 
+        await booking.populate('room', 'name theme capacity');
+
         res.json({
             success: true,
             message: `Booking status updated to ${req.body.status}`,
-            data: booking
+            data: booking,
+            roomAssignment,
+            refund: req.body.status === 'cancelled' ? booking.cancellation : undefined,
+            loyalty
         });
     } catch (error) {
         console.error('Error updating booking status:', error);
@@ -328,16 +859,366 @@ router.put('/:id/status', [
     }
 });
 
+// @route   PUT /api/bookings/:id/room
+// @desc    Assign a specific room to a booking
+// @access  Admin
+router.put('/:id/room', protect, authorize('bookings:update'), [
+    param('id').isMongoId().withMessage('Invalid booking ID'),
+    body('roomId').isMongoId().withMessage('A valid room ID is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const booking = await Booking.findById(req.params.id);
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        if (['cancelled', 'completed'].includes(booking.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot assign a room to a ${booking.status} booking`
+            });
+        }
+
+        try {
+            await roomService.assignSpecificRoom(booking, req.body.roomId);
+        } catch (roomError) {
+            if (roomError.name !== 'RoomAssignmentError') throw roomError;
+            return res.status(roomError.status).json({
+                success: false,
+                message: roomError.message,
+                ...roomError.details
+            });
+        }
+
+        await booking.save();
+        await booking.populate('room', 'name theme capacity');
+
+        res.json({
+            success: true,
+            message: 'Room assigned successfully',
+            data: booking
+        });
+    } catch (error) {
+        console.error('Error assigning room:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to assign room',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Check a booking in and describe the party for the front desk
+const checkInBooking = async (req, res, booking) => {
+    try {
+        await checkInService.checkIn(booking, req.admin, { force: req.body.force });
+    } catch (checkInError) {
+        if (checkInError.name !== 'CheckInError') throw checkInError;
+        return res.status(checkInError.status).json({
+            success: false,
+            message: checkInError.message,
+            ...checkInError.details
+        });
+    }
+
+    await booking.save();
+    await booking.populate('room', 'name theme capacity');
+
+    res.json({
+        success: true,
+        message: `${booking.customerName} checked in successfully`,
+        data: {
+            _id: booking._id,
+            bookingId: booking.bookingId,
+            customerName: booking.customerName,
+            customerPhone: booking.customerPhone,
+            packageName: booking.packageName,
+            participants: booking.participants,
+            sessionStart: booking.sessionStart,
+            sessionEnd: booking.sessionEnd,
+            room: booking.room,
+            specialRequests: booking.specialRequests,
+            paymentStatus: booking.paymentStatus,
+            checkedInAt: booking.checkedInAt
+        }
+    });
+};
+
+// @route   POST /api/bookings/check-in
+// @desc    Check a booking in by scanning the QR code from its confirmation email
+// @access  Admin
+router.post('/check-in', protect, authorize('bookings:update'), [
+    body('token').notEmpty().withMessage('A check-in code is required'),
+    body('force').optional().isBoolean().withMessage('Force must be true or false').toBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const bookingId = checkInService.verifyToken(req.body.token);
+        const booking = await Booking.findById(bookingId);
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        await checkInBooking(req, res, booking);
+    } catch (error) {
+        if (error.name === 'CheckInError') {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Error checking in booking:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to check in booking',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/bookings/:id/check-in
+// @desc    Check a booking in manually (e.g. when the customer has no QR code)
+// @access  Admin
+router.post('/:id/check-in', protect, authorize('bookings:update'), [
+    param('id').isMongoId().withMessage('Invalid booking ID'),
+    body('force').optional().isBoolean().withMessage('Force must be true or false').toBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const booking = await Booking.findById(req.params.id);
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        await checkInBooking(req, res, booking);
+    } catch (error) {
+        console.error('Error checking in booking:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to check in booking',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/bookings/:id/payments
+// @desc    Create a payment order for a booking (defaults to the outstanding balance)
+// @access  Public (token)
+router.post('/:id/payments', [
+    param('id').isMongoId().withMessage('Invalid booking ID'),
+    body('amount')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Amount must be a positive whole number of rupees')
+        .toInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const booking = await Booking.findById(req.params.id);
+        if (!booking || !bookingAccessService.hasAccess(req, booking)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        const order = await paymentService.createOrder(booking, { amount: req.body.amount });
+
+        res.status(201).json({
+            success: true,
+            message: 'Payment order created',
+            data: {
+                paymentId: order.payment._id,
+                provider: order.payment.provider,
+                orderId: order.payment.orderId,
+                amount: order.payment.amount,
+                currency: order.payment.currency,
+                balance: order.balance,
+                checkout: order.checkout
+            }
+        });
+    } catch (error) {
+        if (error.name === 'PaymentError') {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Error creating payment order:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create payment order',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/bookings/:id/payments
+// @desc    Get the payment ledger of a booking
+// @access  Admin
+router.get('/:id/payments', protect, authorize('bookings:read'), [
+    param('id').isMongoId().withMessage('Invalid booking ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const booking = await Booking.findById(req.params.id).select('bookingId packagePrice paymentStatus amountPaid amountRefunded');
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        const payments = await Payment.findForBooking(booking._id);
+
+        res.json({
+            success: true,
+            data: {
+                booking,
+                payments
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching payments:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch payments',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/bookings/:id/refunds
+// @desc    Refund a booking through the payment provider (defaults to the cancellation refund)
+// @access  Admin
+router.post('/:id/refunds', protect, authorize('payments:refund'), [
+    param('id').isMongoId().withMessage('Invalid booking ID'),
+    body('amount')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Amount must be a positive whole number of rupees')
+        .toInt(),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const booking = await Booking.findById(req.params.id);
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        const refunds = await paymentService.refundBooking(booking, {
+            amount: req.body.amount,
+            notes: req.body.notes
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Refund requested successfully',
+            data: refunds
+        });
+    } catch (error) {
+        if (error.name === 'PaymentError') {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Error refunding booking:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to refund booking',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 // @route   DELETE /api/bookings/:id
 // @desc    Delete booking (soft delete by setting status to cancelled)
-// @access  Admin (should add auth middleware)
-router.delete('/:id', [
+// @access  Admin
+router.delete('/:id', protect, authorize('bookings:cancel'), [
     param('id').isMongoId().withMessage('Invalid booking ID'),
     body('reason')
         .optional()
         .trim()
         .isLength({ max: 500 })
-        .withMessage('Reason cannot exceed 500 characters')
+        .withMessage('Reason cannot exceed 500 characters'),
+    body('waiveFee')
+        .optional()
+        .isBoolean()
+        .withMessage('waiveFee must be a boolean')
+        .toBoolean()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -357,13 +1238,29 @@ router.delete('/:id', [
             });
         }
 
-        // Soft delete by cancelling
-        await booking.cancel(req.body.reason || 'Booking cancelled by admin');
+        if (booking.status === 'cancelled') {
+            return res.status(400).json({
+                success: false,
+                message: 'Booking is already cancelled'
+            });
+        }
+
+        // Soft delete by cancelling, free the reserved slot and apply the refund policy
+        const reason = req.body.reason || 'Booking cancelled by admin';
+        await availabilityService.releaseForBooking(booking);
+        cancellationService.applyToBooking(booking, {
+            cancelledBy: 'staff',
+            note: reason,
+            waive: req.body.waiveFee === true
+        });
+        await booking.cancel(reason);
+        await promoteWaitlist(booking.slotReservation && booking.slotReservation.date);
 
         res.json({
             success: true,
             message: 'Booking cancelled successfully',
-            data: booking
+            data: booking,
+            refund: booking.cancellation
         });
     } catch (error) {
         console.error('Error cancelling booking:', error);
@@ -377,22 +1274,23 @@ router.delete('/:id', [
 
 // @route   GET /api/bookings/stats/overview
 // @desc    Get booking statistics overview
-// @access  Admin (should add auth middleware)
-router.get('/stats/overview', async (req, res) => {
+// @access  Admin
+router.get('/stats/overview', protect, authorize('bookings:read'), async (req, res) => {
     try {
         const stats = await Promise.all([
             Booking.countDocuments({ status: 'pending' }),
             Booking.countDocuments({ status: 'confirmed' }),
             Booking.countDocuments({ status: 'completed' }),
             Booking.countDocuments({ status: 'cancelled' }),
-            Booking.countDocuments({
+            Booking.countDocuments(Booking.withoutHolds({
                 createdAt: {
                     $gte: new Date(new Date().setDate(new Date().getDate() - 30))
                 }
-            })
+            })),
+            Booking.countDocuments({ status: 'held', holdExpiresAt: { $gt: new Date() } })
         ]);
 
-        const [pending, confirmed, completed, cancelled, lastMonth] = stats;
+        const [pending, confirmed, completed, cancelled, lastMonth, activeHolds] = stats;
         const total = pending + confirmed + completed + cancelled;
 
         res.json({
@@ -404,6 +1302,7 @@ router.get('/stats/overview', async (req, res) => {
                 completed,
                 cancelled,
                 lastMonth,
+                activeHolds,
                 conversionRate: total > 0 ? Math.round((confirmed / total) * 100) : 0
             }
         });
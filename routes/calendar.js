@@ -0,0 +1,358 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, param, query } = require('express-validator');
+const CalendarException = require('../models/CalendarException');
+const calendarService = require('../services/calendarService');
+const { protect, authorize } = require('../middleware/auth');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const EXCEPTION_TYPES = ['holiday', 'blackout', 'special_hours'];
+
+// Days shown when the frontend doesn't ask for a range
+const DEFAULT_RANGE_DAYS = 60;
+
+const EXCEPTION_FIELDS = ['type', 'name', 'startDate', 'endDate', 'startTime', 'endTime', 'openingTime', 'closingTime', 'notes'];
+
+// Shared validation for create and update
+const exceptionValidation = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+    const time = (name, message) => body(name)
+        .optional({ nullable: true })
+        .matches(TIME_PATTERN)
+        .withMessage(message);
+    return [
+        field('type')
+            .isIn(EXCEPTION_TYPES)
+            .withMessage(`Type must be one of: ${EXCEPTION_TYPES.join(', ')}`),
+        field('name')
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Name must be between 1 and 100 characters'),
+        field('startDate')
+            .isISO8601()
+            .withMessage('A valid start date is required (YYYY-MM-DD)'),
+        field('endDate')
+            .isISO8601()
+            .withMessage('A valid end date is required (YYYY-MM-DD)'),
+        time('startTime', 'Start time must be in HH:mm format'),
+        time('endTime', 'End time must be in HH:mm format'),
+        time('openingTime', 'Opening time must be in HH:mm format'),
+        time('closingTime', 'Closing time must be in HH:mm format'),
+        body('notes')
+            .optional()
+            .trim()
+            .isLength({ max: 500 })
+            .withMessage('Notes cannot exceed 500 characters')
+    ];
+};
+
+// Copy the submitted exception fields onto a document (dates as YYYY-MM-DD)
+const applyExceptionFields = (exception, values) => {
+    EXCEPTION_FIELDS.forEach(field => {
+        if (values[field] === undefined) return;
+        const value = values[field] === null ? undefined : values[field];
+        exception[field] = value && ['startDate', 'endDate'].includes(field) ? value.slice(0, 10) : value;
+    });
+    // End date defaults to a single day
+    if (!exception.endDate) exception.endDate = exception.startDate;
+};
+
+const sendValidationError = (res, error) => {
+    if (error.name !== 'ValidationError') return false;
+    res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+    });
+    return true;
+};
+
+// @route   GET /api/calendar
+// @desc    Get opening hours and closures for each day in a range (?from=&to=)
+// @access  Public
+router.get('/', [
+    query('from').optional().isISO8601().withMessage('Invalid from date'),
+    query('to').optional().isISO8601().withMessage('Invalid to date')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const from = req.query.from || calendarService.toDateKey(new Date());
+        const to = req.query.to || calendarService.addDays(calendarService.toDateKey(from), DEFAULT_RANGE_DAYS - 1);
+        const days = await calendarService.getCalendar(from, to);
+
+        res.json({
+            success: true,
+            data: {
+                from: days[0].date,
+                to: days[days.length - 1].date,
+                days
+            }
+        });
+    } catch (error) {
+        if (error.name === 'CalendarError') {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Error fetching calendar:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch calendar',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/calendar/hours
+// @desc    Get the weekly opening hours
+// @access  Public
+router.get('/hours', async (req, res) => {
+    try {
+        const hours = await calendarService.getWeeklyHours();
+
+        res.json({
+            success: true,
+            data: hours
+        });
+    } catch (error) {
+        console.error('Error fetching opening hours:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch opening hours',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   PUT /api/calendar/hours
+// @desc    Set the weekly opening hours for one or more days
+// @access  Admin
+router.put('/hours', protect, authorize('calendar:manage'), [
+    body('days')
+        .isArray({ min: 1, max: 7 })
+        .withMessage('Days must be a list of 1 to 7 entries'),
+    body('days.*.dayOfWeek')
+        .isInt({ min: 0, max: 6 })
+        .toInt()
+        .withMessage('Day of week must be between 0 (Sunday) and 6 (Saturday)'),
+    body('days.*.isOpen')
+        .optional()
+        .isBoolean()
+        .toBoolean()
+        .withMessage('isOpen must be a boolean'),
+    body('days.*.openingTime')
+        .if((value, { req, path }) => req.body.days[path.match(/\d+/)[0]].isOpen !== false)
+        .matches(TIME_PATTERN)
+        .withMessage('Opening time must be in HH:mm format'),
+    body('days.*.closingTime')
+        .if((value, { req, path }) => req.body.days[path.match(/\d+/)[0]].isOpen !== false)
+        .matches(TIME_PATTERN)
+        .withMessage('Closing time must be in HH:mm format'),
+    body('days')
+        .custom((days) => new Set(days.map(day => day.dayOfWeek)).size === days.length)
+        .withMessage('Each day can only be listed once')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const hours = await calendarService.setWeeklyHours(req.body.days);
+
+        res.json({
+            success: true,
+            message: 'Opening hours updated successfully',
+            data: hours
+        });
+    } catch (error) {
+        if (sendValidationError(res, error)) return;
+
+        console.error('Error updating opening hours:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update opening hours',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/calendar/exceptions
+// @desc    Get holidays, blackouts and special hours (filter by from, to, type)
+// @access  Admin
+router.get('/exceptions', protect, authorize('bookings:read'), [
+    query('from').optional().isISO8601().withMessage('Invalid from date'),
+    query('to').optional().isISO8601().withMessage('Invalid to date'),
+    query('type').optional().isIn(EXCEPTION_TYPES).withMessage('Invalid exception type')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const filter = {};
+        if (req.query.from) filter.endDate = { $gte: req.query.from.slice(0, 10) };
+        if (req.query.to) filter.startDate = { $lte: req.query.to.slice(0, 10) };
+        if (req.query.type) filter.type = req.query.type;
+
+        const exceptions = await CalendarException.find(filter).sort({ startDate: 1, type: 1 });
+
+        res.json({
+            success: true,
+            data: exceptions
+        });
+    } catch (error) {
+        console.error('Error fetching calendar exceptions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch calendar exceptions',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/calendar/exceptions
+// @desc    Add a holiday, blackout or special hours; lists the bookings it affects
+// @access  Admin
+router.post('/exceptions', protect, authorize('calendar:manage'), exceptionValidation(false), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const exception = new CalendarException();
+        applyExceptionFields(exception, req.body);
+        await exception.save();
+
+        const affected = await calendarService.findAffectedBookings(exception);
+
+        res.status(201).json({
+            success: true,
+            message: 'Calendar exception created successfully',
+            data: exception,
+            affected
+        });
+    } catch (error) {
+        if (sendValidationError(res, error)) return;
+
+        console.error('Error creating calendar exception:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create calendar exception',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   PUT /api/calendar/exceptions/:id
+// @desc    Update a holiday, blackout or special hours
+// @access  Admin
+router.put('/exceptions/:id', protect, authorize('calendar:manage'), [
+    param('id').isMongoId().withMessage('Invalid exception ID'),
+    ...exceptionValidation(true)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const exception = await CalendarException.findById(req.params.id);
+        if (!exception) {
+            return res.status(404).json({
+                success: false,
+                message: 'Calendar exception not found'
+            });
+        }
+
+        applyExceptionFields(exception, req.body);
+        await exception.save();
+
+        const affected = await calendarService.findAffectedBookings(exception);
+
+        res.json({
+            success: true,
+            message: 'Calendar exception updated successfully',
+            data: exception,
+            affected
+        });
+    } catch (error) {
+        if (sendValidationError(res, error)) return;
+
+        console.error('Error updating calendar exception:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update calendar exception',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   DELETE /api/calendar/exceptions/:id
+// @desc    Remove a holiday, blackout or special hours
+// @access  Admin
+router.delete('/exceptions/:id', protect, authorize('calendar:manage'), [
+    param('id').isMongoId().withMessage('Invalid exception ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const exception = await CalendarException.findByIdAndDelete(req.params.id);
+        if (!exception) {
+            return res.status(404).json({
+                success: false,
+                message: 'Calendar exception not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Calendar exception removed successfully'
+        });
+    } catch (error) {
+        console.error('Error removing calendar exception:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove calendar exception',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
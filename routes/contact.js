@@ -3,11 +3,12 @@ const router = express.Router();
 const { body, validationResult, param, query } = require('express-validator');
 const Contact = require('../models/Contact');
 const emailService = require('../services/emailService');
+const { protect, authorize } = require('../middleware/auth');
 
 // @route   GET /api/contact
 // @desc    Get all contact messages (with pagination and filtering)
-// @access  Admin (should add auth middleware)
-router.get('/', [
+// @access  Admin
+router.get('/', protect, authorize('contacts:read'), [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
     query('status').optional().isIn(['new', 'in_progress', 'resolved', 'closed']).withMessage('Invalid status'),
@@ -68,8 +69,8 @@ router.get('/', [
 
 // @route   GET /api/contact/:id
 // @desc    Get contact by ID
-// @access  Admin (should add auth middleware)
-router.get('/:id', [
+// @access  Admin
+router.get('/:id', protect, authorize('contacts:read'), [
     param('id').isMongoId().withMessage('Invalid contact ID')
 ], async (req, res) => {
     try {
@@ -190,8 +191,8 @@ router.post('/', [
 
 // @route   PUT /api/contact/:id/status
 // @desc    Update contact status
-// @access  Admin (should add auth middleware)
-router.put('/:id/status', [
+// @access  Admin
+router.put('/:id/status', protect, authorize('contacts:update'), [
     param('id').isMongoId().withMessage('Invalid contact ID'),
     body('status')
         .isIn(['new', 'in_progress', 'resolved', 'closed'])
@@ -247,8 +248,8 @@ router.put('/:id/status', [
 
 // @route   POST /api/contact/:id/respond
 // @desc    Respond to contact message
-// @access  Admin (should add auth middleware)
-router.post('/:id/respond', [
+// @access  Admin
+router.post('/:id/respond', protect, authorize('contacts:respond'), [
     param('id').isMongoId().withMessage('Invalid contact ID'),
     body('response')
         .trim()
@@ -308,8 +309,8 @@ router.post('/:id/respond', [
 
 // @route   POST /api/contact/:id/notes
 // @desc    Add internal note to contact
-// @access  Admin (should add auth middleware)
-router.post('/:id/notes', [
+// @access  Admin
+router.post('/:id/notes', protect, authorize('contacts:update'), [
     param('id').isMongoId().withMessage('Invalid contact ID'),
     body('note')
         .trim()
@@ -357,8 +358,8 @@ router.post('/:id/notes', [
 
 // @route   GET /api/contact/stats/urgent
 // @desc    Get urgent contacts
-// @access  Admin (should add auth middleware)
-router.get('/stats/urgent', async (req, res) => {
+// @access  Admin
+router.get('/stats/urgent', protect, authorize('contacts:read'), async (req, res) => {
     try {
         const urgentContacts = await Contact.findUrgent().limit(10);
         const urgentCount = await Contact.countDocuments({
@@ -385,8 +386,8 @@ router.get('/stats/urgent', async (req, res) => {
 
 // @route   GET /api/contact/stats/overview
 // @desc    Get contact statistics overview
-// @access  Admin (should add auth middleware)
-router.get('/stats/overview', async (req, res) => {
+// @access  Admin
+router.get('/stats/overview', protect, authorize('contacts:read'), async (req, res) => {
     try {
         const stats = await Promise.all([
             Contact.countDocuments({ status: 'new' }),
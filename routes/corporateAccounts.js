@@ -0,0 +1,441 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, param, query } = require('express-validator');
+const CorporateAccount = require('../models/CorporateAccount');
+const CorporateBooking = require('../models/CorporateBooking');
+const corporateAccountService = require('../services/corporateAccountService');
+const { PER_HEAD_RATES } = require('../config/corporatePricing');
+const { GSTIN_PATTERN } = require('../config/gst');
+const { protect, authorize } = require('../middleware/auth');
+
+// Escape user input for use in a regular expression
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Turn a service error into a 4xx response, or return false for unexpected errors
+const sendServiceError = (res, error) => {
+    if (error.name !== 'CorporateAccountError') return false;
+    res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+    });
+    return true;
+};
+
+// Account fields without costs for staff who can't see them
+const serializeAccount = (account, admin) => {
+    const data = account.toJSON();
+    if (!admin.hasPermission('corporate:costs')) {
+        delete data.negotiatedRates;
+    }
+    return data;
+};
+
+const accountValidation = (isUpdate) => [
+    (isUpdate ? body('legalName').optional() : body('legalName'))
+        .trim()
+        .isLength({ min: 2, max: 150 })
+        .withMessage('Legal name must be between 2 and 150 characters'),
+    body('domain')
+        .optional({ values: 'falsy' })
+        .trim()
+        .toLowerCase()
+        .matches(/^[a-z0-9-]+(\.[a-z0-9-]+)+$/)
+        .withMessage('Please provide a valid domain (e.g. acme.com)')
+        .custom(domain => corporateAccountService.getDomain(`x@${domain}`) !== null)
+        .withMessage('Personal email domains cannot be used for an account'),
+    body('gstin')
+        .optional({ values: 'falsy' })
+        .trim()
+        .toUpperCase()
+        .matches(GSTIN_PATTERN)
+        .withMessage('Please provide a valid 15-character GSTIN'),
+    body('billingAddress')
+        .optional()
+        .trim()
+        .isLength({ max: 300 })
+        .withMessage('Billing address cannot exceed 300 characters'),
+    body('contacts')
+        .optional()
+        .isArray()
+        .withMessage('Contacts must be an array'),
+    body('contacts.*.name')
+        .trim()
+        .isLength({ min: 2, max: 50 })
+        .withMessage('Contact name must be between 2 and 50 characters'),
+    body('contacts.*.email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid contact email'),
+    body('negotiatedRates.perHeadRates')
+        .optional()
+        .isObject()
+        .withMessage('Per-head rates must be an object keyed by duration')
+        .custom(rates => Object.entries(rates).every(([duration, rate]) =>
+            PER_HEAD_RATES[duration] !== undefined && Number.isFinite(Number(rate)) && Number(rate) >= 0))
+        .withMessage(`Per-head rates must be non-negative amounts for: ${Object.keys(PER_HEAD_RATES).join(', ')}`),
+    body('negotiatedRates.discountPercent')
+        .optional()
+        .isFloat({ min: 0, max: 50 })
+        .withMessage('Discount must be between 0 and 50 percent'),
+    body('status')
+        .optional()
+        .isIn(['active', 'inactive'])
+        .withMessage('Status must be active or inactive'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Notes cannot exceed 1000 characters')
+];
+
+// @route   GET /api/corporate-accounts
+// @desc    Get corporate accounts (search by legal name or domain, filter by status)
+// @access  Admin
+router.get('/', protect, authorize('corporate:read'), [
+    query('status').optional().isIn(['active', 'inactive']).withMessage('Invalid status'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.q) {
+            const pattern = new RegExp(escapeRegex(req.query.q), 'i');
+            filter.$or = [{ legalName: pattern }, { domain: pattern }];
+        }
+
+        const [accounts, total] = await Promise.all([
+            CorporateAccount.find(filter)
+                .sort({ legalName: 1 })
+                .skip(skip)
+                .limit(limit),
+            CorporateAccount.countDocuments(filter)
+        ]);
+        const totalPages = Math.ceil(total / limit);
+
+        res.json({
+            success: true,
+            data: accounts.map(account => serializeAccount(account, req.admin)),
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalItems: total,
+                itemsPerPage: limit,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching corporate accounts:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch corporate accounts',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/corporate-accounts
+// @desc    Create a corporate account (linkExisting also links past bookings from its domain)
+// @access  Admin
+router.post('/', protect, authorize('corporate:update'), accountValidation(false), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (req.body.negotiatedRates && !req.admin.hasPermission('corporate:costs')) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to set negotiated rates',
+                requiredPermissions: ['corporate:costs']
+            });
+        }
+
+        const account = new CorporateAccount({
+            legalName: req.body.legalName,
+            domain: req.body.domain || undefined,
+            gstin: req.body.gstin || undefined,
+            billingAddress: req.body.billingAddress,
+            negotiatedRates: req.body.negotiatedRates,
+            notes: req.body.notes,
+            createdBy: req.admin._id
+        });
+        (req.body.contacts || []).forEach(contact => account.addContact({
+            name: contact.name,
+            email: contact.email,
+            phone: contact.phone,
+            jobTitle: contact.jobTitle
+        }));
+        await account.save();
+
+        const linkedBookings = req.body.linkExisting ? await corporateAccountService.linkByDomain(account) : 0;
+
+        res.status(201).json({
+            success: true,
+            message: 'Corporate account created successfully',
+            data: serializeAccount(account, req.admin),
+            linkedBookings
+        });
+    } catch (error) {
+        console.error('Error creating corporate account:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'An account with this domain already exists'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create corporate account',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/corporate-accounts/:id
+// @desc    Get a corporate account with its booking history and lifetime value
+// @access  Admin
+router.get('/:id', protect, authorize('corporate:read'), [
+    param('id').isMongoId().withMessage('Invalid account ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const account = await CorporateAccount.findById(req.params.id).populate('createdBy', 'name email');
+        if (!account) {
+            return res.status(404).json({
+                success: false,
+                message: 'Corporate account not found'
+            });
+        }
+
+        const { bookings, suggestedBookings, stats } = await corporateAccountService.getHistory(account);
+
+        // Costs stay hidden from staff without corporate cost access
+        if (!req.admin.hasPermission('corporate:costs')) {
+            [...bookings, ...suggestedBookings].forEach(booking => CorporateBooking.COST_FIELDS.forEach(field => delete booking[field]));
+            delete stats.lifetimeValue;
+            delete stats.openValue;
+        }
+
+        res.json({
+            success: true,
+            data: {
+                account: serializeAccount(account, req.admin),
+                bookings,
+                suggestedBookings,
+                stats
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching corporate account:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch corporate account',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   PUT /api/corporate-accounts/:id
+// @desc    Update a corporate account (negotiated rates need corporate cost access)
+// @access  Admin
+router.put('/:id', protect, authorize('corporate:update'), [
+    param('id').isMongoId().withMessage('Invalid account ID'),
+    ...accountValidation(true)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (req.body.negotiatedRates && !req.admin.hasPermission('corporate:costs')) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to change negotiated rates',
+                requiredPermissions: ['corporate:costs']
+            });
+        }
+
+        const account = await CorporateAccount.findById(req.params.id);
+        if (!account) {
+            return res.status(404).json({
+                success: false,
+                message: 'Corporate account not found'
+            });
+        }
+
+        ['legalName', 'billingAddress', 'status', 'notes'].forEach(field => {
+            if (req.body[field] !== undefined) account[field] = req.body[field];
+        });
+        ['domain', 'gstin'].forEach(field => {
+            if (req.body[field] !== undefined) account[field] = req.body[field] || undefined;
+        });
+        if (req.body.negotiatedRates) {
+            const { perHeadRates, discountPercent } = req.body.negotiatedRates;
+            if (perHeadRates !== undefined) account.negotiatedRates.perHeadRates = perHeadRates;
+            if (discountPercent !== undefined) account.negotiatedRates.discountPercent = discountPercent;
+        }
+        (req.body.contacts || []).forEach(contact => account.addContact({
+            name: contact.name,
+            email: contact.email,
+            phone: contact.phone,
+            jobTitle: contact.jobTitle
+        }));
+        await account.save();
+
+        res.json({
+            success: true,
+            message: 'Corporate account updated successfully',
+            data: serializeAccount(account, req.admin)
+        });
+    } catch (error) {
+        console.error('Error updating corporate account:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'An account with this domain already exists'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update corporate account',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Load the account and booking named in the URL, or send a 404
+const loadAccountAndBooking = async (req, res) => {
+    const [account, booking] = await Promise.all([
+        CorporateAccount.findById(req.params.id),
+        CorporateBooking.findById(req.params.bookingId)
+    ]);
+    if (!account || !booking) {
+        res.status(404).json({
+            success: false,
+            message: account ? 'Corporate booking not found' : 'Corporate account not found'
+        });
+        return null;
+    }
+    return { account, booking };
+};
+
+// @route   POST /api/corporate-accounts/:id/bookings/:bookingId
+// @desc    Link a corporate booking to an account
+// @access  Admin
+router.post('/:id/bookings/:bookingId', protect, authorize('corporate:update'), [
+    param('id').isMongoId().withMessage('Invalid account ID'),
+    param('bookingId').isMongoId().withMessage('Invalid booking ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const loaded = await loadAccountAndBooking(req, res);
+        if (!loaded) return;
+
+        const booking = await corporateAccountService.linkBooking(loaded.account, loaded.booking);
+
+        res.json({
+            success: true,
+            message: `Booking ${booking.bookingReference} linked to ${loaded.account.legalName}`,
+            data: {
+                bookingId: booking._id,
+                bookingReference: booking.bookingReference,
+                account: booking.account
+            }
+        });
+    } catch (error) {
+        if (sendServiceError(res, error)) return;
+
+        console.error('Error linking corporate booking:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to link corporate booking',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   DELETE /api/corporate-accounts/:id/bookings/:bookingId
+// @desc    Unlink a corporate booking from an account
+// @access  Admin
+router.delete('/:id/bookings/:bookingId', protect, authorize('corporate:update'), [
+    param('id').isMongoId().withMessage('Invalid account ID'),
+    param('bookingId').isMongoId().withMessage('Invalid booking ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const loaded = await loadAccountAndBooking(req, res);
+        if (!loaded) return;
+
+        const booking = await corporateAccountService.unlinkBooking(loaded.account, loaded.booking);
+
+        res.json({
+            success: true,
+            message: `Booking ${booking.bookingReference} unlinked from ${loaded.account.legalName}`
+        });
+    } catch (error) {
+        if (sendServiceError(res, error)) return;
+
+        console.error('Error unlinking corporate booking:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to unlink corporate booking',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,19 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const CorporateBooking = require('../models/CorporateBooking');
+const CorporateQuote = require('../models/CorporateQuote');
+const Invoice = require('../models/Invoice');
+const roomService = require('../services/roomService');
+const calendarService = require('../services/calendarService');
+const quoteService = require('../services/quoteService');
+const corporateAccountService = require('../services/corporateAccountService');
+const emailService = require('../services/emailService');
+const pipelineService = require('../services/pipelineService');
+const { PER_HEAD_RATES } = require('../config/corporatePricing');
+const { isValidGstin } = require('../config/gst');
+const { STAGES, LOST_REASONS } = require('../config/corporatePipeline');
+const { protect, authorize } = require('../middleware/auth');
 
 // Validation middleware
 const validateCorporateBooking = (req, res, next) => {
@@ -14,7 +27,9 @@ const validateCorporateBooking = (req, res, next) => {
     date, 
     time, 
     duration, 
-    eventType 
+    eventType,
+    gstin,
+    billingAddress
   } = req.body;
 
   const errors = [];
@@ -65,6 +80,14 @@ const validateCorporateBooking = (req, res, next) => {
     errors.push('Event type is required');
   }
 
+  if (gstin && !isValidGstin(gstin)) {
+    errors.push('Please enter a valid 15-character GSTIN');
+  }
+  
+  if (billingAddress && billingAddress.length > 300) {
+    errors.push('Billing address cannot exceed 300 characters');
+  }
+
   if (errors.length > 0) {
     return res.status(400).json({
       success: false,
@@ -81,6 +104,143 @@ const validateCorporateBooking = (req, res, next) => {
   next();
 };
 
+// Quote validation middleware (every field is optional; the booking fills the gaps)
+const validateQuote = (req, res, next) => {
+  const { headcount, duration, addOns, venueExclusive, adjustments, notes, validDays } = req.body;
+
+  const errors = [];
+
+  if (headcount !== undefined && (!Number.isInteger(Number(headcount)) || Number(headcount) < 1 || Number(headcount) > 500)) {
+    errors.push('Headcount must be a whole number between 1 and 500');
+  }
+
+  if (duration !== undefined && !PER_HEAD_RATES[duration]) {
+    errors.push(`Duration must be one of: ${Object.keys(PER_HEAD_RATES).join(', ')}`);
+  }
+
+  if (addOns !== undefined && (!Array.isArray(addOns) || addOns.some(addOn => typeof addOn !== 'string'))) {
+    errors.push('Add-ons must be a list of add-on IDs');
+  }
+
+  if (venueExclusive !== undefined && typeof venueExclusive !== 'boolean') {
+    errors.push('Venue exclusivity must be true or false');
+  }
+
+  if (adjustments !== undefined) {
+    const validAdjustments = Array.isArray(adjustments) && adjustments.every(adjustment =>
+      adjustment &&
+      typeof adjustment.item === 'string' &&
+      adjustment.item.trim().length > 0 &&
+      adjustment.item.length <= 100 &&
+      Number.isFinite(Number(adjustment.amount))
+    );
+    if (!validAdjustments) {
+      errors.push('Adjustments must each have an item (up to 100 characters) and an amount');
+    }
+  }
+
+  if (notes !== undefined && (typeof notes !== 'string' || notes.length > 1000)) {
+    errors.push('Notes cannot exceed 1000 characters');
+  }
+
+  if (validDays !== undefined && (!Number.isInteger(Number(validDays)) || Number(validDays) < 1 || Number(validDays) > 90)) {
+    errors.push('Validity must be between 1 and 90 days');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors
+    });
+  }
+
+  if (adjustments) {
+    req.body.adjustments = adjustments.map(adjustment => ({
+      item: adjustment.item.trim(),
+      amount: Number(adjustment.amount)
+    }));
+  }
+
+  next();
+};
+
+// Pipeline stage validation middleware
+const validateStage = (req, res, next) => {
+  const { stage, note, lostReason, lostNote } = req.body;
+
+  const errors = [];
+
+  if (!stage || !STAGES.includes(stage)) {
+    errors.push(`Stage must be one of: ${STAGES.join(', ')}`);
+  }
+
+  if (stage === 'lost' && !LOST_REASONS[lostReason]) {
+    errors.push(`Lost reason must be one of: ${Object.keys(LOST_REASONS).join(', ')}`);
+  }
+
+  if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+    errors.push('Note cannot exceed 500 characters');
+  }
+
+  if (lostNote !== undefined && (typeof lostNote !== 'string' || lostNote.length > 500)) {
+    errors.push('Lost note cannot exceed 500 characters');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors
+    });
+  }
+
+  next();
+};
+
+// Turn a pipeline error into a 4xx response, or return false for unexpected errors
+const sendPipelineError = (res, error) => {
+  if (error.name !== 'PipelineError') return false;
+  res.status(error.status).json({
+    success: false,
+    message: error.message,
+    ...error.details
+  });
+  return true;
+};
+
+// Turn a quote error into a 4xx response, or return false for unexpected errors
+const sendQuoteError = (res, error) => {
+  if (error.name !== 'QuoteError') return false;
+  res.status(error.status).json({
+    success: false,
+    message: error.message,
+    ...error.details
+  });
+  return true;
+};
+
+// Cost fields are only visible to staff with corporate cost access
+const { COST_FIELDS } = CorporateBooking;
+
+const serializeForStaff = (booking, admin) => {
+  const data = typeof booking.toObject === 'function' ? booking.toObject() : { ...booking };
+  if (!admin.hasPermission('corporate:costs')) {
+    COST_FIELDS.forEach(field => delete data[field]);
+  }
+  return data;
+};
+
+// Fields the booking list can be sorted by; sorting by a cost would reveal it,
+// so costs are only sortable with corporate cost access
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'preferredDate', 'eventStart', 'status', 'stage', 'companyName', 'bookingReference', 'nextActionAt'];
+
+const getSortField = (sortBy, admin) => {
+  if (SORT_FIELDS.includes(sortBy)) return sortBy;
+  if (COST_FIELDS.includes(sortBy) && admin.hasPermission('corporate:costs')) return sortBy;
+  return 'createdAt';
+};
+
 // @desc    Create a new corporate booking
 // @route   POST /api/corporate-bookings
 // @access  Public
@@ -97,7 +257,9 @@ router.post('/', validateCorporateBooking, async (req, res) => {
       preferredTime,
       duration,
       eventType,
-      specialRequests
+      specialRequests,
+      gstin,
+      billingAddress
     } = req.body;
 
     // Check for duplicate booking (same company, email, and date)
@@ -131,12 +293,42 @@ router.post('/', validateCorporateBooking, async (req, res) => {
       preferredTime,
       duration,
       eventType,
-      specialRequests: specialRequests ? specialRequests.trim() : ''
+      specialRequests: specialRequests ? specialRequests.trim() : '',
+      gstin: gstin ? gstin.trim() : undefined,
+      billingAddress: billingAddress ? billingAddress.trim() : undefined
     });
 
+    // Turn away events on days the venue is closed or during a blackout
+    const { start, end } = corporateBooking.setEventWindow();
+    const closure = await calendarService.getClosure(start, end);
+    if (closure) {
+      return res.status(400).json({
+        success: false,
+        message: `We're closed at the requested time (${closure.reason}). Please choose a different date or time.`,
+        closure
+      });
+    }
+
+    // Suggest the account for the company email domain (staff confirm it)
+    const account = await corporateAccountService.matchBooking(corporateBooking);
+
     const savedBooking = await corporateBooking.save();
 
-    console.log(`New corporate booking created: ${savedBooking.bookingReference} for ${savedBooking.companyName}`);
+    console.log(`New corporate booking created: ${savedBooking.bookingReference} for ${savedBooking.companyName}${account ? ` (matches account: ${account.legalName})` : ''}`);
+
+    // Acknowledge the request to the contact person
+    try {
+      await emailService.sendCorporateBookingAcknowledgment(savedBooking);
+    } catch (emailError) {
+      console.error('Failed to send corporate booking acknowledgment email:', emailError);
+    }
+
+    // Alert the team to the new lead
+    try {
+      await emailService.sendCorporateBookingNotification(savedBooking, account);
+    } catch (emailError) {
+      console.error('Failed to send corporate booking notification email:', emailError);
+    }
 
     res.status(201).json({
       success: true,
@@ -173,14 +365,17 @@ router.post('/', validateCorporateBooking, async (req, res) => {
   }
 });
 
-// @desc    Get all corporate bookings (admin only)
+// @desc    Get all corporate bookings
 // @route   GET /api/corporate-bookings
 // @access  Admin
-router.get('/', async (req, res) => {
+router.get('/', protect, authorize('corporate:read'), async (req, res) => {
   try {
     const { 
       status, 
+      stage, 
+      owner, 
       company, 
+      account, 
       page = 1, 
       limit = 10, 
       sortBy = 'createdAt', 
@@ -196,9 +391,25 @@ router.get('/', async (req, res) => {
       filter.status = status;
     }
     
-    // Company search
+    // Company search (plain text, not a pattern)
     if (company) {
-      filter.companyName = { $regex: company, $options: 'i' };
+      filter.companyName = { $regex: company.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+    
+    // Account filter
+    if (account && mongoose.isValidObjectId(account)) {
+      filter.account = account;
+    }
+    
+    // Pipeline filters (owner=me for your own deals)
+    if (stage && STAGES.includes(stage)) {
+      filter.stage = stage;
+    }
+    
+    if (owner === 'me') {
+      filter.owner = req.admin._id;
+    } else if (owner && mongoose.isValidObjectId(owner)) {
+      filter.owner = owner;
     }
     
     // Date range filter
@@ -212,9 +423,12 @@ router.get('/', async (req, res) => {
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const bookings = await CorporateBooking.find(filter)
-      .sort({ [sortBy]: sortDirection })
+      .sort({ [getSortField(sortBy, req.admin)]: sortDirection })
       .skip(skip)
       .limit(parseInt(limit))
+      .populate('room', 'name theme capacity')
+      .populate('account', 'legalName domain')
+      .populate('owner', 'name email')
       .lean();
 
     const total = await CorporateBooking.countDocuments(filter);
@@ -222,7 +436,7 @@ router.get('/', async (req, res) => {
 
     res.json({
       success: true,
-      data: bookings,
+      data: bookings.map(booking => serializeForStaff(booking, req.admin)),
       pagination: {
         currentPage: parseInt(page),
         totalPages,
@@ -242,12 +456,74 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @desc    Sales pipeline board with per-stage totals and conversion rates
+// @route   GET /api/corporate-bookings/pipeline
+// @access  Admin
+router.get('/pipeline', protect, authorize('corporate:read'), async (req, res) => {
+  try {
+    const { owner, startDate, endDate, limit = 25 } = req.query;
+
+    if ((startDate && isNaN(Date.parse(startDate))) || (endDate && isNaN(Date.parse(endDate)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide valid start and end dates'
+      });
+    }
+
+    let ownerFilter;
+    if (owner === 'me') {
+      ownerFilter = req.admin._id;
+    } else if (owner) {
+      if (!mongoose.isValidObjectId(owner)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid owner ID format'
+        });
+      }
+      ownerFilter = owner;
+    }
+
+    const board = await pipelineService.getBoard({
+      owner: ownerFilter,
+      from: startDate ? new Date(startDate) : undefined,
+      to: endDate ? new Date(endDate) : undefined,
+      limit: Math.min(Math.max(parseInt(limit) || 25, 1), 100)
+    });
+
+    // Deal values are derived from costs, so hide them without cost access
+    if (!req.admin.hasPermission('corporate:costs')) {
+      board.stages.forEach(column => {
+        delete column.value;
+        column.deals.forEach(deal => delete deal.value);
+      });
+      delete board.totals.openValue;
+      delete board.totals.wonValue;
+    }
+
+    res.json({
+      success: true,
+      data: board
+    });
+
+  } catch (error) {
+    console.error('Error fetching corporate pipeline:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 // @desc    Get corporate booking by ID
 // @route   GET /api/corporate-bookings/:id
 // @access  Admin
-router.get('/:id', async (req, res) => {
+router.get('/:id', protect, authorize('corporate:read'), async (req, res) => {
   try {
-    const booking = await CorporateBooking.findById(req.params.id);
+    const booking = await CorporateBooking.findById(req.params.id)
+      .populate('room', 'name theme capacity')
+      .populate('account', 'legalName domain gstin')
+      .populate('owner', 'name email')
+      .populate('stageHistory.changedBy', 'name');
     
     if (!booking) {
       return res.status(404).json({
@@ -258,7 +534,7 @@ router.get('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      data: booking
+      data: serializeForStaff(booking, req.admin)
     });
 
   } catch (error) {
@@ -281,9 +557,29 @@ router.get('/:id', async (req, res) => {
 // @desc    Update corporate booking
 // @route   PUT /api/corporate-bookings/:id
 // @access  Admin
-router.put('/:id', async (req, res) => {
+router.put('/:id', protect, authorize('corporate:update'), async (req, res) => {
   try {
-    const { status, estimatedCost, actualCost, adminNotes } = req.body;
+    const {
+      status,
+      estimatedCost,
+      actualCost,
+      adminNotes,
+      roomId,
+      gstin,
+      billingAddress,
+      owner,
+      expectedValue,
+      nextAction,
+      nextActionAt
+    } = req.body;
+
+    if ((estimatedCost !== undefined || actualCost !== undefined || expectedValue !== undefined) && !req.admin.hasPermission('corporate:costs')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to edit corporate booking costs',
+        requiredPermissions: ['corporate:costs']
+      });
+    }
     
     const booking = await CorporateBooking.findById(req.params.id);
     
@@ -294,10 +590,37 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    const oldStatus = booking.status;
+    const oldCosts = { estimatedCost: booking.estimatedCost, actualCost: booking.actualCost };
+
     // Update allowed fields
     if (status && ['pending', 'confirmed', 'cancelled', 'completed'].includes(status)) {
       booking.status = status;
     }
+
+    // Staff can pick a room; otherwise confirming assigns the best free one.
+    // Cancelled and unconfirmed bookings give their room back.
+    let roomAssignment;
+    if (booking.status === 'cancelled' || (oldStatus === 'confirmed' && booking.status === 'pending')) {
+      await roomService.releaseRoom(booking);
+    } else if (roomId) {
+      try {
+        const room = await roomService.assignSpecificRoom(booking, roomId);
+        roomAssignment = { assigned: true, room: room.name };
+      } catch (roomError) {
+        if (roomError.name !== 'RoomAssignmentError') throw roomError;
+        return res.status(roomError.status).json({
+          success: false,
+          message: roomError.message,
+          ...roomError.details
+        });
+      }
+    } else if (booking.status === 'confirmed' && !booking.room) {
+      const room = await roomService.assignRoom(booking);
+      roomAssignment = room
+        ? { assigned: true, room: room.name }
+        : { assigned: false, message: 'No suitable room is free for this event. Assign one manually.' };
+    }
     
     if (estimatedCost !== undefined) {
       booking.estimatedCost = parseFloat(estimatedCost);
@@ -311,15 +634,62 @@ router.put('/:id', async (req, res) => {
       booking.adminNotes = adminNotes;
     }
 
+    // Billing details (an empty value clears them)
+    if (gstin !== undefined) {
+      booking.gstin = gstin || undefined;
+    }
+    
+    if (billingAddress !== undefined) {
+      booking.billingAddress = billingAddress || undefined;
+    }
+
+    // Pipeline details (an empty value clears them)
+    if (owner !== undefined) {
+      booking.owner = owner ? (await pipelineService.getOwner(owner))._id : undefined;
+    }
+    
+    if (expectedValue !== undefined) {
+      booking.expectedValue = expectedValue === null || expectedValue === '' ? undefined : parseFloat(expectedValue);
+    }
+    
+    if (nextAction !== undefined) {
+      booking.nextAction = nextAction || undefined;
+    }
+    
+    if (nextActionAt !== undefined) {
+      booking.nextActionAt = nextActionAt || undefined;
+    }
+
     const updatedBooking = await booking.save();
+    await updatedBooking.populate('room', 'name theme capacity');
+    await updatedBooking.populate('owner', 'name email');
+
+    // Tell the contact person about a status change, or else a cost change
+    const costChanged = Object.keys(oldCosts).some(field => updatedBooking[field] !== oldCosts[field]);
+    if (updatedBooking.status !== oldStatus) {
+      try {
+        await emailService.sendCorporateStatusUpdate(updatedBooking, oldStatus);
+      } catch (emailError) {
+        console.error('Failed to send corporate status update email:', emailError);
+      }
+    } else if (costChanged && updatedBooking.status !== 'cancelled') {
+      try {
+        await emailService.sendCorporateCostUpdate(updatedBooking);
+      } catch (emailError) {
+        console.error('Failed to send corporate cost update email:', emailError);
+      }
+    }
 
     res.json({
       success: true,
       message: 'Corporate booking updated successfully',
-      data: updatedBooking
+      data: serializeForStaff(updatedBooking, req.admin),
+      roomAssignment
     });
 
   } catch (error) {
+    if (sendPipelineError(res, error)) return;
+
     console.error('Error updating corporate booking:', error);
     
     if (error.name === 'ValidationError') {
@@ -345,10 +715,59 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// @desc    Move a corporate booking to a pipeline stage
+// @route   PUT /api/corporate-bookings/:id/stage
+// @access  Admin
+router.put('/:id/stage', protect, authorize('corporate:update'), validateStage, async (req, res) => {
+  try {
+    const booking = await CorporateBooking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Corporate booking not found'
+      });
+    }
+
+    const { stage, note, lostReason, lostNote } = req.body;
+    const previousStage = booking.stage;
+    pipelineService.moveStage(booking, stage, req.admin, {
+      note: note ? note.trim() : undefined,
+      lostReason,
+      lostNote: lostNote ? lostNote.trim() : undefined
+    });
+    await booking.save();
+    await booking.populate('owner', 'name email');
+
+    res.json({
+      success: true,
+      message: `Deal moved from ${previousStage} to ${stage}`,
+      data: serializeForStaff(booking, req.admin)
+    });
+
+  } catch (error) {
+    if (sendPipelineError(res, error)) return;
+
+    console.error('Error moving corporate booking stage:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 // @desc    Delete corporate booking
 // @route   DELETE /api/corporate-bookings/:id
 // @access  Admin
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', protect, authorize('corporate:delete'), async (req, res) => {
   try {
     const booking = await CorporateBooking.findById(req.params.id);
     
@@ -359,6 +778,17 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
+    // Issued and voided invoices are tax records and must keep their booking
+    const invoiceCount = await Invoice.countDocuments({ sourceType: 'CorporateBooking', source: booking._id });
+    if (invoiceCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This booking has been invoiced and cannot be deleted. Cancel it instead.'
+      });
+    }
+
+    await roomService.releaseRoom(booking);
+    await CorporateQuote.deleteMany({ corporateBooking: booking._id });
     await CorporateBooking.findByIdAndDelete(req.params.id);
 
     res.json({
@@ -386,7 +816,7 @@ router.delete('/:id', async (req, res) => {
 // @desc    Get corporate booking statistics
 // @route   GET /api/corporate-bookings/stats/overview
 // @access  Admin
-router.get('/stats/overview', async (req, res) => {
+router.get('/stats/overview', protect, authorize('corporate:read'), async (req, res) => {
   try {
     const stats = await CorporateBooking.getStatistics();
     const upcomingBookings = await CorporateBooking.findUpcoming();
@@ -414,21 +844,29 @@ router.get('/stats/overview', async (req, res) => {
       }
     ]);
 
+    const overview = stats[0] || {
+      totalBookings: 0,
+      pendingBookings: 0,
+      confirmedBookings: 0,
+      completedBookings: 0,
+      totalRevenue: 0,
+      averageTeamSize: 0
+    };
+
+    // Revenue figures are derived from costs, so hide them without cost access
+    if (!req.admin.hasPermission('corporate:costs')) {
+      delete overview.totalRevenue;
+      monthlyStats.forEach(month => delete month.revenue);
+    }
+
     res.json({
       success: true,
       data: {
-        overview: stats[0] || {
-          totalBookings: 0,
-          pendingBookings: 0,
-          confirmedBookings: 0,
-          completedBookings: 0,
-          totalRevenue: 0,
-          averageTeamSize: 0
-        },
+        overview,
         upcomingCount: upcomingBookings.length,
         pendingCount: pendingBookings.length,
         monthlyTrends: monthlyStats,
-        recentBookings: pendingBookings.slice(0, 5) // Last 5 pending bookings
+        recentBookings: pendingBookings.slice(0, 5).map(booking => serializeForStaff(booking, req.admin)) // Last 5 pending bookings
       }
     });
 
@@ -483,4 +921,245 @@ router.get('/reference/:ref', async (req, res) => {
   }
 });
 
+// @desc    Get the quotes for a corporate booking, newest version first
+// @route   GET /api/corporate-bookings/:id/quotes
+// @access  Admin
+router.get('/:id/quotes', protect, authorize('corporate:costs'), async (req, res) => {
+  try {
+    const booking = await CorporateBooking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Corporate booking not found'
+      });
+    }
+
+    const quotes = await CorporateQuote.findForBooking(booking._id)
+      .populate('createdBy sentBy', 'name email');
+
+    res.json({
+      success: true,
+      data: quotes
+    });
+
+  } catch (error) {
+    console.error('Error fetching corporate quotes:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @desc    Draft the next quote version for a corporate booking
+// @route   POST /api/corporate-bookings/:id/quotes
+// @access  Admin
+router.post('/:id/quotes', protect, authorize('corporate:costs'), validateQuote, async (req, res) => {
+  try {
+    const booking = await CorporateBooking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Corporate booking not found'
+      });
+    }
+
+    const quote = await quoteService.createQuote(booking, {
+      headcount: req.body.headcount,
+      duration: req.body.duration,
+      addOns: req.body.addOns,
+      venueExclusive: req.body.venueExclusive,
+      adjustments: req.body.adjustments,
+      notes: req.body.notes
+    }, req.admin);
+
+    res.status(201).json({
+      success: true,
+      message: `Quote ${quote.quoteNumber} drafted`,
+      data: quote
+    });
+
+  } catch (error) {
+    if (sendQuoteError(res, error)) return;
+
+    console.error('Error creating corporate quote:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @desc    Email a quote to the booking's contact person (resending keeps its validity)
+// @route   POST /api/corporate-bookings/:id/quotes/:quoteId/send
+// @access  Admin
+router.post('/:id/quotes/:quoteId/send', protect, authorize('corporate:costs'), validateQuote, async (req, res) => {
+  try {
+    const [booking, quote] = await Promise.all([
+      CorporateBooking.findById(req.params.id),
+      CorporateQuote.findOne({ _id: req.params.quoteId, corporateBooking: req.params.id })
+    ]);
+
+    if (!booking || !quote) {
+      return res.status(404).json({
+        success: false,
+        message: booking ? 'Quote not found' : 'Corporate booking not found'
+      });
+    }
+
+    const { emailed, responseUrl } = await quoteService.sendQuote(quote, booking, req.admin, {
+      validDays: req.body.validDays ? parseInt(req.body.validDays) : undefined
+    });
+
+    res.json({
+      success: true,
+      message: emailed
+        ? `Quote ${quote.quoteNumber} sent to ${booking.email}`
+        : `Quote ${quote.quoteNumber} is ready but the email could not be sent. Share the response link with the customer instead.`,
+      data: {
+        quote,
+        emailed,
+        responseUrl
+      }
+    });
+
+  } catch (error) {
+    if (sendQuoteError(res, error)) return;
+
+    console.error('Error sending corporate quote:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking or quote ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @desc    View a quote from the link in the quote email
+// @route   GET /api/corporate-bookings/reference/:ref/quote?token=
+// @access  Public (token)
+router.get('/reference/:ref/quote', async (req, res) => {
+  try {
+    const { quote, booking } = await quoteService.getForResponse(req.params.ref, req.query.token);
+
+    res.json({
+      success: true,
+      data: {
+        bookingReference: booking.bookingReference,
+        companyName: booking.companyName,
+        contactPerson: booking.contactPerson,
+        eventType: booking.eventType,
+        eventStart: booking.eventStart,
+        status: booking.status,
+        quote: quoteService.customerView(quote)
+      }
+    });
+
+  } catch (error) {
+    if (sendQuoteError(res, error)) return;
+
+    console.error('Error fetching corporate quote:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @desc    Accept a quote, confirming the event at the quoted price
+// @route   POST /api/corporate-bookings/reference/:ref/quote/accept
+// @access  Public (token)
+router.post('/reference/:ref/quote/accept', async (req, res) => {
+  try {
+    const { quote, booking } = await quoteService.accept(req.params.ref, req.body.token, {
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: `Thanks! Your ${booking.eventType.toLowerCase()} is confirmed.`,
+      data: {
+        bookingReference: booking.bookingReference,
+        status: booking.status,
+        quote: quoteService.customerView(quote)
+      }
+    });
+
+  } catch (error) {
+    if (sendQuoteError(res, error)) return;
+
+    console.error('Error accepting corporate quote:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @desc    Decline a quote, optionally with a reason
+// @route   POST /api/corporate-bookings/reference/:ref/quote/decline
+// @access  Public (token)
+router.post('/reference/:ref/quote/decline', async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: ['Reason cannot exceed 500 characters']
+      });
+    }
+
+    const { quote, booking } = await quoteService.decline(req.params.ref, req.body.token, {
+      reason: reason ? reason.trim() : undefined,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: "Thanks for letting us know. We'll be in touch.",
+      data: {
+        bookingReference: booking.bookingReference,
+        status: booking.status,
+        quote: quoteService.customerView(quote)
+      }
+    });
+
+  } catch (error) {
+    if (sendQuoteError(res, error)) return;
+
+    console.error('Error declining corporate quote:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
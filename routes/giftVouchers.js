@@ -0,0 +1,429 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, param, query } = require('express-validator');
+const GiftVoucher = require('../models/GiftVoucher');
+const Payment = require('../models/Payment');
+const giftVoucherService = require('../services/giftVoucherService');
+const { protect, authorize } = require('../middleware/auth');
+
+const PACKAGE_TYPES = ['basic', 'premium', 'ultimate'];
+
+// Value and recipient fields shared by purchases and staff-issued vouchers
+const voucherValidation = [
+    body('packageType')
+        .optional()
+        .isIn(PACKAGE_TYPES)
+        .withMessage('Package type must be one of: basic, premium, ultimate'),
+    body('amount')
+        .if(body('packageType').not().exists())
+        .isInt({ min: 100, max: 50000 })
+        .withMessage('Choose a package or an amount between ₹100 and ₹50,000'),
+    body('recipientName')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Recipient name must be between 2 and 100 characters'),
+    body('recipientEmail')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid recipient email address'),
+    body('message')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Message cannot exceed 500 characters')
+];
+
+const sendVoucherError = (res, error) => {
+    if (!['VoucherError', 'PricingError'].includes(error.name)) return false;
+    res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+    });
+    return true;
+};
+
+// @route   POST /api/gift-vouchers
+// @desc    Buy a gift voucher; returns a payment order. The code is emailed to the recipient once paid.
+// @access  Public
+router.post('/', [
+    ...voucherValidation,
+    body('purchaserName')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Your name must be between 2 and 100 characters'),
+    body('purchaserEmail')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email address')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { voucher, payment, checkout } = await giftVoucherService.purchase({
+            packageType: req.body.packageType,
+            amount: req.body.amount,
+            purchaserName: req.body.purchaserName,
+            purchaserEmail: req.body.purchaserEmail,
+            recipientName: req.body.recipientName,
+            recipientEmail: req.body.recipientEmail,
+            message: req.body.message
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Complete the payment and we will email the voucher to the recipient.',
+            data: {
+                voucherId: voucher._id,
+                value: voucher.value,
+                packageName: voucher.packageName,
+                currency: voucher.currency,
+                status: voucher.status,
+                payment: {
+                    id: payment._id,
+                    provider: payment.provider,
+                    orderId: payment.orderId,
+                    amount: payment.amount
+                },
+                checkout
+            }
+        });
+    } catch (error) {
+        if (sendVoucherError(res, error)) return;
+
+        console.error('Error purchasing gift voucher:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start gift voucher purchase',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/gift-vouchers/balance
+// @desc    Check a voucher's remaining balance (the code is sent in the body to keep it out of URLs)
+// @access  Public
+router.post('/balance', [
+    body('code')
+        .trim()
+        .notEmpty()
+        .withMessage('Voucher code is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const voucher = await GiftVoucher.findOne({ code: giftVoucherService.normalizeCode(req.body.code) });
+        if (!voucher || voucher.status === 'pending_payment') {
+            return res.status(404).json({
+                success: false,
+                message: 'Gift voucher not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                code: voucher.code,
+                packageName: voucher.packageName,
+                value: voucher.value,
+                balance: voucher.balance,
+                currency: voucher.currency,
+                status: voucher.isExpired ? 'expired' : voucher.status,
+                expiresAt: voucher.expiresAt,
+                usable: !voucher.getUnusableReason()
+            }
+        });
+    } catch (error) {
+        console.error('Error checking gift voucher balance:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to check gift voucher balance',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/gift-vouchers
+// @desc    Get gift vouchers (filter by status, source, email)
+// @access  Admin
+router.get('/', protect, authorize('vouchers:read'), [
+    query('status').optional().isIn(['pending_payment', 'active', 'redeemed', 'cancelled']).withMessage('Invalid status'),
+    query('source').optional().isIn(['purchase', 'admin']).withMessage('Invalid source'),
+    query('email').optional().isEmail().withMessage('Invalid email'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.source) filter.source = req.query.source;
+        if (req.query.email) {
+            const email = req.query.email.toLowerCase();
+            filter.$or = [{ recipientEmail: email }, { purchaserEmail: email }];
+        }
+
+        const [vouchers, total] = await Promise.all([
+            GiftVoucher.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .select('-transactions'),
+            GiftVoucher.countDocuments(filter)
+        ]);
+        const totalPages = Math.ceil(total / limit);
+
+        res.json({
+            success: true,
+            data: {
+                vouchers,
+                pagination: {
+                    currentPage: page,
+                    totalPages,
+                    totalItems: total,
+                    itemsPerPage: limit,
+                    hasNextPage: page < totalPages,
+                    hasPrevPage: page > 1
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching gift vouchers:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch gift vouchers',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/gift-vouchers/:id
+// @desc    Get a gift voucher with its balance history and payments
+// @access  Admin
+router.get('/:id', protect, authorize('vouchers:read'), [
+    param('id').isMongoId().withMessage('Invalid voucher ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const voucher = await GiftVoucher.findById(req.params.id)
+            .populate('transactions.booking', 'bookingId status')
+            .populate('issuedBy', 'name email');
+        if (!voucher) {
+            return res.status(404).json({
+                success: false,
+                message: 'Gift voucher not found'
+            });
+        }
+
+        const payments = await Payment.find({ voucher: voucher._id }).sort({ createdAt: 1 });
+
+        res.json({
+            success: true,
+            data: {
+                voucher,
+                payments
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching gift voucher:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch gift voucher',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/gift-vouchers/issue
+// @desc    Issue a gift voucher without payment (goodwill, competitions) and email it
+// @access  Admin
+router.post('/issue', protect, authorize('vouchers:issue'), [
+    ...voucherValidation,
+    body('expiresAt')
+        .optional()
+        .isISO8601()
+        .custom((value) => {
+            if (new Date(value) <= new Date()) {
+                throw new Error('Expiry date must be in the future');
+            }
+            return true;
+        }),
+    body('issueReason')
+        .trim()
+        .isLength({ min: 3, max: 200 })
+        .withMessage('Please give a reason for issuing this voucher (3-200 characters)')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const voucher = await giftVoucherService.issue({
+            packageType: req.body.packageType,
+            amount: req.body.amount,
+            recipientName: req.body.recipientName,
+            recipientEmail: req.body.recipientEmail,
+            message: req.body.message,
+            expiresAt: req.body.expiresAt,
+            issueReason: req.body.issueReason
+        }, req.admin);
+
+        res.status(201).json({
+            success: true,
+            message: voucher.deliveredAt
+                ? 'Gift voucher issued and emailed to the recipient'
+                : 'Gift voucher issued, but the email could not be sent. Use resend to try again.',
+            data: voucher
+        });
+    } catch (error) {
+        if (sendVoucherError(res, error)) return;
+
+        console.error('Error issuing gift voucher:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to issue gift voucher',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/gift-vouchers/:id/resend
+// @desc    Email a voucher to its recipient again
+// @access  Admin
+router.post('/:id/resend', protect, authorize('vouchers:issue'), [
+    param('id').isMongoId().withMessage('Invalid voucher ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const voucher = await GiftVoucher.findById(req.params.id);
+        if (!voucher) {
+            return res.status(404).json({
+                success: false,
+                message: 'Gift voucher not found'
+            });
+        }
+        if (voucher.status !== 'active') {
+            return res.status(400).json({
+                success: false,
+                message: `Only active vouchers can be sent (this one is ${voucher.status})`
+            });
+        }
+
+        const delivered = await giftVoucherService.deliver(voucher);
+        if (!delivered) {
+            return res.status(502).json({
+                success: false,
+                message: 'The voucher email could not be sent'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Gift voucher sent to the recipient'
+        });
+    } catch (error) {
+        console.error('Error resending gift voucher:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to resend gift voucher',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/gift-vouchers/:id/cancel
+// @desc    Cancel a voucher so its remaining balance can no longer be used
+// @access  Admin
+router.post('/:id/cancel', protect, authorize('vouchers:issue'), [
+    param('id').isMongoId().withMessage('Invalid voucher ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const voucher = await GiftVoucher.findById(req.params.id);
+        if (!voucher) {
+            return res.status(404).json({
+                success: false,
+                message: 'Gift voucher not found'
+            });
+        }
+        if (voucher.status === 'cancelled') {
+            return res.status(400).json({
+                success: false,
+                message: 'This voucher is already cancelled'
+            });
+        }
+
+        voucher.status = 'cancelled';
+        await voucher.save();
+
+        res.json({
+            success: true,
+            message: 'Gift voucher cancelled',
+            data: voucher
+        });
+    } catch (error) {
+        console.error('Error cancelling gift voucher:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel gift voucher',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,348 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, param, query } = require('express-validator');
+const Invoice = require('../models/Invoice');
+const Booking = require('../models/Booking');
+const CorporateBooking = require('../models/CorporateBooking');
+const invoiceService = require('../services/invoiceService');
+const { STATES, GSTIN_PATTERN } = require('../config/gst');
+const { protect, authorize } = require('../middleware/auth');
+
+// Turn a service error into a 4xx response, or return false for unexpected errors
+const sendServiceError = (res, error) => {
+    if (error.name !== 'InvoiceError') return false;
+    res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+    });
+    return true;
+};
+
+// Corporate invoices show event costs, so they need corporate cost access too
+const canAccess = (invoice, admin) =>
+    invoice.sourceType !== 'CorporateBooking' || admin.hasPermission('corporate:costs');
+
+const sendForbidden = (res) => res.status(403).json({
+    success: false,
+    message: 'You do not have permission to view corporate invoices',
+    requiredPermissions: ['corporate:costs']
+});
+
+// Optional billing details staff can add when issuing
+const billingValidators = [
+    body('gstin')
+        .optional({ values: 'falsy' })
+        .trim()
+        .toUpperCase()
+        .matches(GSTIN_PATTERN)
+        .withMessage('Please provide a valid 15-character GSTIN'),
+    body('companyName')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Company name cannot exceed 100 characters'),
+    body('address')
+        .optional()
+        .trim()
+        .isLength({ max: 300 })
+        .withMessage('Address cannot exceed 300 characters'),
+    body('placeOfSupply')
+        .optional()
+        .isIn(Object.keys(STATES))
+        .withMessage('Place of supply must be a GST state code (e.g. 29)')
+];
+
+const getBilling = (req) => ({
+    gstin: req.body.gstin,
+    companyName: req.body.companyName,
+    address: req.body.address,
+    placeOfSupply: req.body.placeOfSupply
+});
+
+// @route   GET /api/invoices
+// @desc    Get invoices (filter by status, sourceType, financialYear, reference)
+// @access  Admin
+router.get('/', protect, authorize('invoices:read'), [
+    query('status').optional().isIn(['issued', 'void']).withMessage('Invalid status'),
+    query('sourceType').optional().isIn(['Booking', 'CorporateBooking']).withMessage('Invalid source type'),
+    query('financialYear').optional().matches(/^\d{4}-\d{2}$/).withMessage('Financial year must look like 2026-27'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.sourceType) filter.sourceType = req.query.sourceType;
+        if (req.query.financialYear) filter.financialYear = req.query.financialYear;
+        if (req.query.reference) filter.sourceReference = req.query.reference.toUpperCase();
+        if (!req.admin.hasPermission('corporate:costs')) {
+            if (filter.sourceType === 'CorporateBooking') return sendForbidden(res);
+            filter.sourceType = 'Booking';
+        }
+
+        const [invoices, total] = await Promise.all([
+            Invoice.find(filter)
+                .sort({ issuedAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .select('-seller -items'),
+            Invoice.countDocuments(filter)
+        ]);
+        const totalPages = Math.ceil(total / limit);
+
+        res.json({
+            success: true,
+            data: invoices,
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalItems: total,
+                itemsPerPage: limit,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching invoices:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch invoices',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/invoices/bookings/:id
+// @desc    Issue a tax invoice for a booking
+// @access  Admin
+router.post('/bookings/:id', protect, authorize('invoices:manage'), [
+    param('id').isMongoId().withMessage('Invalid booking ID'),
+    ...billingValidators
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const booking = await Booking.findById(req.params.id);
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        const invoice = await invoiceService.issue('Booking', booking, req.admin, getBilling(req));
+
+        res.status(201).json({
+            success: true,
+            message: `Invoice ${invoice.invoiceNumber} issued`,
+            data: invoice
+        });
+    } catch (error) {
+        if (sendServiceError(res, error)) return;
+
+        console.error('Error issuing booking invoice:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to issue invoice',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/invoices/corporate-bookings/:id
+// @desc    Issue a tax invoice for a corporate booking (uses its GSTIN and billing address)
+// @access  Admin
+router.post('/corporate-bookings/:id', protect, authorize('invoices:manage', 'corporate:costs'), [
+    param('id').isMongoId().withMessage('Invalid corporate booking ID'),
+    ...billingValidators
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const booking = await CorporateBooking.findById(req.params.id);
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Corporate booking not found'
+            });
+        }
+
+        const invoice = await invoiceService.issue('CorporateBooking', booking, req.admin, getBilling(req));
+
+        res.status(201).json({
+            success: true,
+            message: `Invoice ${invoice.invoiceNumber} issued`,
+            data: invoice
+        });
+    } catch (error) {
+        if (sendServiceError(res, error)) return;
+
+        console.error('Error issuing corporate invoice:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to issue invoice',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/invoices/:id
+// @desc    Get an invoice
+// @access  Admin
+router.get('/:id', protect, authorize('invoices:read'), [
+    param('id').isMongoId().withMessage('Invalid invoice ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const invoice = await Invoice.findById(req.params.id)
+            .populate('issuedBy voidedBy', 'name email');
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invoice not found'
+            });
+        }
+        if (!canAccess(invoice, req.admin)) return sendForbidden(res);
+
+        res.json({
+            success: true,
+            data: invoice
+        });
+    } catch (error) {
+        console.error('Error fetching invoice:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch invoice',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/invoices/:id/pdf
+// @desc    Download an invoice as a PDF
+// @access  Admin
+router.get('/:id/pdf', protect, authorize('invoices:read'), [
+    param('id').isMongoId().withMessage('Invalid invoice ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const invoice = await Invoice.findById(req.params.id);
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invoice not found'
+            });
+        }
+        if (!canAccess(invoice, req.admin)) return sendForbidden(res);
+
+        const pdf = await invoiceService.renderPdf(invoice);
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf"`,
+            'Content-Length': pdf.length
+        });
+        res.send(pdf);
+    } catch (error) {
+        console.error('Error rendering invoice PDF:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to render invoice',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/invoices/:id/void
+// @desc    Void an invoice (it keeps its number; the booking can then be invoiced again)
+// @access  Admin
+router.post('/:id/void', protect, authorize('invoices:manage'), [
+    param('id').isMongoId().withMessage('Invalid invoice ID'),
+    body('reason')
+        .trim()
+        .isLength({ min: 3, max: 500 })
+        .withMessage('A reason between 3 and 500 characters is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const invoice = await Invoice.findById(req.params.id);
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invoice not found'
+            });
+        }
+        if (!canAccess(invoice, req.admin)) return sendForbidden(res);
+
+        await invoiceService.void(invoice, req.admin, req.body.reason);
+
+        res.json({
+            success: true,
+            message: `Invoice ${invoice.invoiceNumber} voided`,
+            data: invoice
+        });
+    } catch (error) {
+        if (sendServiceError(res, error)) return;
+
+        console.error('Error voiding invoice:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to void invoice',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,273 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, param, query } = require('express-validator');
+const LoyaltyAccount = require('../models/LoyaltyAccount');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const loyaltyService = require('../services/loyaltyService');
+const loyalty = require('../config/loyalty');
+const { protect, authorize } = require('../middleware/auth');
+
+// @route   GET /api/loyalty/program
+// @desc    Get the tiers and earning rules
+// @access  Public
+router.get('/program', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            pointsPer100: loyalty.POINTS_PER_100,
+            pointValue: loyalty.POINT_VALUE,
+            minRedeemPoints: loyalty.MIN_REDEEM_POINTS,
+            maxRedeemShare: loyalty.MAX_REDEEM_SHARE,
+            tiers: loyalty.TIERS
+        }
+    });
+});
+
+// @route   POST /api/loyalty/access
+// @desc    Email a link to view a points balance (the response is the same whether or not the email has an account)
+// @access  Public
+router.post('/access', [
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email address')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        await loyaltyService.requestAccess(req.body.email);
+
+        res.json({
+            success: true,
+            message: 'If this email has loyalty points, we have sent it a link to view them.'
+        });
+    } catch (error) {
+        console.error('Error requesting loyalty access:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send loyalty link',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/loyalty/account
+// @desc    View your points balance, tier and history (token from the emailed link as ?token= or X-Loyalty-Token)
+// @access  Public (token)
+router.get('/account', async (req, res) => {
+    try {
+        let email;
+        try {
+            email = loyaltyService.verifyAccessToken(req.query.token || req.get('X-Loyalty-Token'));
+        } catch (accessError) {
+            if (accessError.name !== 'LoyaltyError') throw accessError;
+            return res.status(accessError.status).json({
+                success: false,
+                message: accessError.message
+            });
+        }
+
+        const account = await LoyaltyAccount.findOne({ email });
+        if (!account) {
+            return res.status(404).json({
+                success: false,
+                message: 'Loyalty account not found'
+            });
+        }
+
+        const transactions = await LoyaltyTransaction.find({ account: account._id })
+            .sort({ createdAt: -1 })
+            .limit(20)
+            .select('type points balanceAfter bookingReference amount description createdAt');
+
+        res.json({
+            success: true,
+            data: {
+                ...loyaltyService.getSummary(account),
+                transactions
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching loyalty account:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch loyalty account',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/loyalty/accounts
+// @desc    Get loyalty accounts (filter by tier, email)
+// @access  Admin
+router.get('/accounts', protect, authorize('loyalty:read'), [
+    query('tier').optional().isIn(loyalty.TIERS.map(tier => tier.name)).withMessage('Invalid tier'),
+    query('email').optional().isEmail().withMessage('Invalid email'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        if (req.query.tier) filter.tier = req.query.tier;
+        if (req.query.email) filter.email = req.query.email.toLowerCase();
+
+        const [accounts, total] = await Promise.all([
+            LoyaltyAccount.find(filter)
+                .sort({ lifetimeSpend: -1 })
+                .skip(skip)
+                .limit(limit),
+            LoyaltyAccount.countDocuments(filter)
+        ]);
+        const totalPages = Math.ceil(total / limit);
+
+        res.json({
+            success: true,
+            data: {
+                accounts,
+                pagination: {
+                    currentPage: page,
+                    totalPages,
+                    totalItems: total,
+                    itemsPerPage: limit,
+                    hasNextPage: page < totalPages,
+                    hasPrevPage: page > 1
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching loyalty accounts:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch loyalty accounts',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/loyalty/accounts/:id
+// @desc    Get a loyalty account with its points history
+// @access  Admin
+router.get('/accounts/:id', protect, authorize('loyalty:read'), [
+    param('id').isMongoId().withMessage('Invalid account ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const account = await LoyaltyAccount.findById(req.params.id);
+        if (!account) {
+            return res.status(404).json({
+                success: false,
+                message: 'Loyalty account not found'
+            });
+        }
+
+        const transactions = await LoyaltyTransaction.find({ account: account._id })
+            .sort({ createdAt: -1 })
+            .limit(100)
+            .populate('booking', 'bookingId status packagePrice')
+            .populate('createdBy', 'name email');
+
+        res.json({
+            success: true,
+            data: {
+                account,
+                summary: loyaltyService.getSummary(account),
+                transactions
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching loyalty account:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch loyalty account',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/loyalty/accounts/:id/adjust
+// @desc    Add or remove points by hand (goodwill, corrections)
+// @access  Admin
+router.post('/accounts/:id/adjust', protect, authorize('loyalty:manage'), [
+    param('id').isMongoId().withMessage('Invalid account ID'),
+    body('points')
+        .isInt()
+        .custom(points => parseInt(points) !== 0)
+        .withMessage('Points must be a whole number other than zero')
+        .toInt(),
+    body('reason')
+        .trim()
+        .isLength({ min: 3, max: 200 })
+        .withMessage('Please give a reason for the adjustment (3-200 characters)')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const account = await LoyaltyAccount.findById(req.params.id);
+        if (!account) {
+            return res.status(404).json({
+                success: false,
+                message: 'Loyalty account not found'
+            });
+        }
+
+        const result = await loyaltyService.adjust(account, req.body.points, req.body.reason, req.admin);
+
+        res.json({
+            success: true,
+            message: `Adjusted the balance by ${req.body.points} points`,
+            data: result
+        });
+    } catch (error) {
+        if (error.name === 'LoyaltyError') {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Error adjusting loyalty points:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to adjust loyalty points',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -3,11 +3,12 @@ const router = express.Router();
 const { body, validationResult, param, query } = require('express-validator');
 const Newsletter = require('../models/Newsletter');
 const emailService = require('../services/emailService');
+const { protect, authorize } = require('../middleware/auth');
 
 // @route   GET /api/newsletter
 // @desc    Get all newsletter subscribers (with pagination and filtering)
-// @access  Admin (should add auth middleware)
-router.get('/', [
+// @access  Admin
+router.get('/', protect, authorize('newsletter:read'), [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
     query('status').optional().isIn(['active', 'unsubscribed', 'bounced', 'spam']).withMessage('Invalid status'),
@@ -67,8 +68,8 @@ router.get('/', [
 
 // @route   GET /api/newsletter/:id
 // @desc    Get subscriber by ID
-// @access  Admin (should add auth middleware)
-router.get('/:id', [
+// @access  Admin
+router.get('/:id', protect, authorize('newsletter:read'), [
     param('id').isMongoId().withMessage('Invalid subscriber ID')
 ], async (req, res) => {
     try {
@@ -352,8 +353,8 @@ router.put('/:id/preferences', [
 
 // @route   GET /api/newsletter/stats/overview
 // @desc    Get newsletter statistics overview
-// @access  Admin (should add auth middleware)
-router.get('/stats/overview', async (req, res) => {
+// @access  Admin
+router.get('/stats/overview', protect, authorize('newsletter:read'), async (req, res) => {
     try {
         const stats = await Promise.all([
             Newsletter.countDocuments({ status: 'active' }),
@@ -436,8 +437,8 @@ router.get('/stats/overview', async (req, res) => {
 
 // @route   GET /api/newsletter/stats/interests
 // @desc    Get subscriber interests breakdown
-// @access  Admin (should add auth middleware)
-router.get('/stats/interests', async (req, res) => {
+// @access  Admin
+router.get('/stats/interests', protect, authorize('newsletter:read'), async (req, res) => {
     try {
         const interestStats = await Newsletter.aggregate([
             {
@@ -1,90 +1,7 @@
 const express = require('express');
 const router = express.Router();
-
-// Package data - in a real app, this might come from a database
-const packages = [
-    {
-        id: 'basic',
-        name: 'Basic Stress Relief',
-        type: 'basic',
-        price: 500,
-        currency: 'INR',
-        duration: 30,
-        description: 'Perfect for quick stress relief sessions',
-        features: [
-            '30-minute session',
-            'Basic equipment access',
-            'Personal protective gear included',
-            'Music of your choice',
-            'Post-session relaxation area'
-        ],
-        includes: [
-            'Safety briefing',
-            'Equipment rental',
-            'Clean-up service',
-            'Refreshments'
-        ],
-        maxParticipants: 2,
-        availability: 'Walk-in friendly',
-        popular: false
-    },
-    {
-        id: 'premium',
-        name: 'Premium Rage Room',
-        type: 'premium',
-        price: 800,
-        currency: 'INR',
-        duration: 60,
-        description: 'Enhanced experience with more variety and time',
-        features: [
-            '60-minute session',
-            'Premium equipment selection',
-            'Variety of breakable items',
-            'Themed room options',
-            'Photo/video session',
-            'Post-session consultation'
-        ],
-        includes: [
-            'Everything in Basic',
-            'Extended item selection',
-            'Professional photography',
-            'Stress management tips',
-            'Healthy snacks & drinks'
-        ],
-        maxParticipants: 4,
-        availability: 'Advance booking recommended',
-        popular: true
-    },
-    {
-        id: 'ultimate',
-        name: 'Ultimate Destruction',
-        type: 'ultimate',
-        price: 1200,
-        currency: 'INR',
-        duration: 90,
-        description: 'The complete stress relief experience',
-        features: [
-            '90-minute session',
-            'VIP room access',
-            'Premium destruction items',
-            'Multiple themed rooms',
-            'Professional video recording',
-            'Stress counseling session',
-            'Group activities'
-        ],
-        includes: [
-            'Everything in Premium',
-            'VIP treatment',
-            'Professional counseling',
-            'Group coordination',
-            'Premium refreshments',
-            'Keepsake video'
-        ],
-        maxParticipants: 6,
-        availability: 'Must book in advance',
-        popular: false
-    }
-];
+const { packages, addOns } = require('../config/packages');
+const promoService = require('../services/promoService');
 
 // @route   GET /api/packages
 // @desc    Get all packages
@@ -205,11 +122,11 @@ router.get('/pricing/comparison', (req, res) => {
 });
 
 // @route   POST /api/packages/calculate
-// @desc    Calculate total price based on package and participants
+// @desc    Calculate total price based on package and participants (and an optional promoCode and loyaltyPoints)
 // @access  Public
-router.post('/calculate', (req, res) => {
+router.post('/calculate', async (req, res) => {
     try {
-        const { packageType, participants = 1, duration, addOns = [] } = req.body;
+        const { packageType, participants = 1, duration, addOns: selectedAddOns = [], promoCode, loyaltyPoints } = req.body;
 
         // Validate input
         if (!packageType) {
@@ -219,100 +136,47 @@ router.post('/calculate', (req, res) => {
             });
         }
 
-        const package = packages.find(pkg => pkg.type === packageType.toLowerCase());
-        if (!package) {
-            return res.status(404).json({
-                success: false,
-                message: 'Package not found'
-            });
-        }
-
-        // Validate participants
-        if (participants > package.maxParticipants) {
-            return res.status(400).json({
+        let quote;
+        try {
+            ({ quote } = await promoService.quote({
+                packageType,
+                participants,
+                duration,
+                addOns: selectedAddOns,
+                promoCode,
+                // Preview only; the balance is checked when the booking is made
+                loyaltyPoints: parseInt(loyaltyPoints) || undefined
+            }));
+        } catch (pricingError) {
+            if (!['PricingError', 'PromoError'].includes(pricingError.name)) throw pricingError;
+            return res.status(pricingError.status).json({
                 success: false,
-                message: `Maximum ${package.maxParticipants} participants allowed for ${package.name}`,
-                maxParticipants: package.maxParticipants
-            });
-        }
-
-        // Base calculation
-        let totalPrice = package.price;
-        let breakdown = [{
-            item: `${package.name} (${package.duration} min)`,
-            price: package.price,
-            quantity: 1
-        }];
-
-        // Additional participants (if package allows group pricing)
-        if (participants > 1) {
-            const additionalParticipants = participants - 1;
-            const additionalCost = Math.round(package.price * 0.5 * additionalParticipants); // 50% for additional participants
-            totalPrice += additionalCost;
-            breakdown.push({
-                item: `Additional participants (${additionalParticipants})`,
-                price: additionalCost,
-                quantity: 1
-            });
-        }
-
-        // Extended duration (if requested)
-        if (duration && duration > package.duration) {
-            const extraTime = duration - package.duration;
-            const extraCost = Math.round((package.price / package.duration) * extraTime * 0.8); // 80% rate for extra time
-            totalPrice += extraCost;
-            breakdown.push({
-                item: `Extended duration (${extraTime} min)`,
-                price: extraCost,
-                quantity: 1
+                message: pricingError.message,
+                ...pricingError.details
             });
         }
 
-        // Add-ons (if any)
-        const availableAddOns = {
-            photography: { name: 'Professional Photography', price: 200 },
-            videography: { name: 'Video Recording', price: 300 },
-            counseling: { name: 'Post-session Counseling', price: 500 },
-            refreshments: { name: 'Premium Refreshments', price: 150 },
-            group_coordination: { name: 'Group Activity Coordination', price: 250 }
-        };
-
-        addOns.forEach(addOn => {
-            if (availableAddOns[addOn]) {
-                const service = availableAddOns[addOn];
-                totalPrice += service.price;
-                breakdown.push({
-                    item: service.name,
-                    price: service.price,
-                    quantity: 1
-                });
-            }
-        });
-
-        // Apply taxes
-        const taxRate = 0.18; // 18% GST
-        const taxAmount = Math.round(totalPrice * taxRate);
-        const finalTotal = totalPrice + taxAmount;
-
         res.json({
             success: true,
             data: {
                 package: {
-                    type: package.type,
-                    name: package.name,
-                    baseDuration: package.duration
+                    type: quote.package.type,
+                    name: quote.package.name,
+                    baseDuration: quote.package.duration
                 },
-                participants,
-                requestedDuration: duration || package.duration,
-                breakdown,
-                subtotal: totalPrice,
+                participants: quote.participants,
+                requestedDuration: quote.requestedDuration,
+                breakdown: quote.breakdown,
+                discount: quote.discount,
+                loyalty: quote.loyalty,
+                subtotal: quote.subtotal,
                 tax: {
-                    rate: '18%',
-                    amount: taxAmount
+                    rate: `${Math.round(quote.tax.rate * 100)}%`,
+                    amount: quote.tax.amount
                 },
-                total: finalTotal,
-                currency: 'INR',
-                savings: package.popular ? Math.round(finalTotal * 0.1) : 0, // 10% savings on popular packages
+                total: quote.total,
+                currency: quote.currency,
+                savings: quote.package.popular ? Math.round(quote.total * 0.1) : 0, // 10% savings on popular packages
                 validUntil: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // Valid for 24 hours
             }
         });
@@ -331,49 +195,6 @@ router.post('/calculate', (req, res) => {
 // @access  Public
 router.get('/addons/available', (req, res) => {
     try {
-        const addOns = [
-            {
-                id: 'photography',
-                name: 'Professional Photography',
-                description: 'Capture your stress-relief moments with professional photos',
-                price: 200,
-                duration: 'Included in session',
-                includes: ['10-15 high-quality photos', 'Basic editing', 'Digital delivery']
-            },
-            {
-                id: 'videography',
-                name: 'Video Recording',
-                description: 'Get a keepsake video of your destruction session',
-                price: 300,
-                duration: 'Full session coverage',
-                includes: ['Professional video recording', 'Basic editing', 'MP4 delivery']
-            },
-            {
-                id: 'counseling',
-                name: 'Post-session Counseling',
-                description: 'Professional stress management consultation',
-                price: 500,
-                duration: '30 minutes',
-                includes: ['Stress assessment', 'Coping strategies', 'Follow-up resources']
-            },
-            {
-                id: 'refreshments',
-                name: 'Premium Refreshments',
-                description: 'Enhanced food and beverage options',
-                price: 150,
-                duration: 'Throughout session',
-                includes: ['Healthy snacks', 'Fresh juices', 'Energy drinks', 'Relaxation tea']
-            },
-            {
-                id: 'group_coordination',
-                name: 'Group Activity Coordination',
-                description: 'Professional facilitation for group sessions',
-                price: 250,
-                duration: 'Full session',
-                includes: ['Team building activities', 'Group dynamics guidance', 'Conflict resolution']
-            }
-        ];
-
         res.json({
             success: true,
             data: {
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const paymentService = require('../services/paymentService');
+const { setActor } = require('../middleware/requestContext');
+
+// @route   POST /api/payments/webhook
+// @desc    Receive signed payment and refund events from the payment provider
+// @access  Public (HMAC signature)
+router.post('/webhook', async (req, res) => {
+    try {
+        const provider = paymentService.getProvider();
+
+        // Booking changes made by the webhook are attributed to the provider in the audit trail
+        setActor({ type: 'system', name: `${provider.name} webhook` });
+
+        const result = await paymentService.handleWebhook(req.rawBody, req.headers, req.body);
+
+        res.json({
+            success: true,
+            applied: result.applied,
+            duplicate: result.duplicate || undefined
+        });
+    } catch (error) {
+        if (error.name === 'PaymentError') {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Error handling payment webhook:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process webhook',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,401 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, param, query } = require('express-validator');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const promoService = require('../services/promoService');
+const pricingService = require('../services/pricingService');
+const { protect, authorize } = require('../middleware/auth');
+
+const PACKAGE_TYPES = ['basic', 'premium', 'ultimate'];
+const PROMO_FIELDS = [
+    'code', 'description', 'discountType', 'discountValue', 'maxDiscount', 'minSpend',
+    'packageTypes', 'validFrom', 'validUntil', 'usageLimit', 'perEmailLimit', 'campaign', 'isActive'
+];
+
+// Shared validation for create and update
+const promoValidation = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+    return [
+        field('code')
+            .trim()
+            .matches(/^[A-Za-z0-9_-]{3,30}$/)
+            .withMessage('Promo code must be 3-30 letters, numbers, dashes or underscores'),
+        body('description')
+            .optional()
+            .trim()
+            .isLength({ max: 200 })
+            .withMessage('Description cannot exceed 200 characters'),
+        field('discountType')
+            .isIn(['percentage', 'flat'])
+            .withMessage('Discount type must be one of: percentage, flat'),
+        field('discountValue')
+            .isFloat({ min: 0 })
+            .withMessage('Discount value must be a positive number'),
+        body('maxDiscount')
+            .optional({ nullable: true })
+            .isFloat({ min: 0 })
+            .withMessage('Maximum discount must be a positive number'),
+        body('minSpend')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('Minimum spend must be a positive number'),
+        body('packageTypes')
+            .optional()
+            .isArray()
+            .custom((types) => types.every(type => PACKAGE_TYPES.includes(type)))
+            .withMessage(`Package types must be any of: ${PACKAGE_TYPES.join(', ')}`),
+        body('validFrom')
+            .optional({ nullable: true })
+            .isISO8601()
+            .withMessage('Invalid validFrom date'),
+        body('validUntil')
+            .optional({ nullable: true })
+            .isISO8601()
+            .withMessage('Invalid validUntil date'),
+        body('usageLimit')
+            .optional({ nullable: true })
+            .isInt({ min: 1 })
+            .withMessage('Usage limit must be at least 1'),
+        body('perEmailLimit')
+            .optional({ nullable: true })
+            .isInt({ min: 1 })
+            .withMessage('Per-email limit must be at least 1'),
+        body('campaign')
+            .optional()
+            .trim()
+            .isLength({ max: 100 })
+            .withMessage('Campaign cannot exceed 100 characters'),
+        body('isActive')
+            .optional()
+            .isBoolean()
+            .withMessage('isActive must be a boolean')
+    ];
+};
+
+// Copy the submitted promo fields onto a document (null clears optional limits)
+const applyPromoFields = (promo, values) => {
+    PROMO_FIELDS.forEach(field => {
+        if (values[field] === undefined) return;
+        promo[field] = values[field] === null ? undefined : values[field];
+    });
+};
+
+const sendSaveError = (res, error) => {
+    if (error.code === 11000) {
+        res.status(400).json({
+            success: false,
+            message: 'A promo code with this code already exists'
+        });
+        return true;
+    }
+    if (error.name === 'ValidationError') {
+        res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: Object.values(error.errors).map(err => err.message)
+        });
+        return true;
+    }
+    return false;
+};
+
+// @route   POST /api/promo-codes/validate
+// @desc    Check a promo code against a package selection and preview the discount
+// @access  Public
+router.post('/validate', [
+    body('code')
+        .trim()
+        .notEmpty()
+        .withMessage('Promo code is required'),
+    body('packageType')
+        .isIn(PACKAGE_TYPES)
+        .withMessage('Package type must be one of: basic, premium, ultimate'),
+    body('participants')
+        .optional()
+        .isInt({ min: 1, max: 10 })
+        .withMessage('Participants must be between 1 and 10'),
+    body('duration')
+        .optional()
+        .isInt({ min: 30, max: 240 })
+        .withMessage('Duration must be between 30 and 240 minutes'),
+    body('addOns')
+        .optional()
+        .isArray()
+        .custom((addOns) => addOns.every(addOn => pricingService.getAddOn(addOn)))
+        .withMessage('Invalid add-ons provided')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { quote, promo } = await promoService.quote({
+            packageType: req.body.packageType,
+            participants: req.body.participants,
+            duration: req.body.duration,
+            addOns: req.body.addOns,
+            promoCode: req.body.code
+        });
+
+        res.json({
+            success: true,
+            message: 'Promo code applied',
+            data: {
+                code: promo.code,
+                description: promo.description,
+                discount: quote.discount,
+                breakdown: quote.breakdown,
+                subtotal: quote.subtotal,
+                tax: quote.tax,
+                total: quote.total,
+                currency: quote.currency
+            }
+        });
+    } catch (error) {
+        if (['PromoError', 'PricingError'].includes(error.name)) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('Error validating promo code:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to validate promo code',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/promo-codes
+// @desc    Get all promo codes (filter by isActive, campaign)
+// @access  Admin
+router.get('/', protect, authorize('promotions:read'), [
+    query('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    query('campaign').optional().trim().isLength({ max: 100 }).withMessage('Invalid campaign')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const filter = {};
+        if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+        if (req.query.campaign) filter.campaign = req.query.campaign;
+
+        const promoCodes = await PromoCode.find(filter).sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: promoCodes
+        });
+    } catch (error) {
+        console.error('Error fetching promo codes:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch promo codes',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/promo-codes/:id
+// @desc    Get a promo code with its redemptions
+// @access  Admin
+router.get('/:id', protect, authorize('promotions:read'), [
+    param('id').isMongoId().withMessage('Invalid promo code ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const promo = await PromoCode.findById(req.params.id);
+        if (!promo) {
+            return res.status(404).json({
+                success: false,
+                message: 'Promo code not found'
+            });
+        }
+
+        const [redemptions, totals] = await Promise.all([
+            PromoRedemption.find({ promoCode: promo._id })
+                .sort({ createdAt: -1 })
+                .limit(100)
+                .populate('booking', 'bookingId status packagePrice'),
+            PromoRedemption.aggregate([
+                { $match: { promoCode: promo._id, status: 'redeemed' } },
+                {
+                    $group: {
+                        _id: null,
+                        redemptions: { $sum: 1 },
+                        totalDiscount: { $sum: '$discountAmount' },
+                        customers: { $addToSet: '$customerEmail' }
+                    }
+                }
+            ])
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                promoCode: promo,
+                redemptions,
+                stats: {
+                    redemptions: totals.length > 0 ? totals[0].redemptions : 0,
+                    totalDiscount: totals.length > 0 ? totals[0].totalDiscount : 0,
+                    uniqueCustomers: totals.length > 0 ? totals[0].customers.length : 0
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching promo code:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch promo code',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/promo-codes
+// @desc    Create a promo code
+// @access  Admin
+router.post('/', protect, authorize('promotions:manage'), promoValidation(false), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const promo = new PromoCode();
+        applyPromoFields(promo, req.body);
+        await promo.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Promo code created successfully',
+            data: promo
+        });
+    } catch (error) {
+        if (sendSaveError(res, error)) return;
+
+        console.error('Error creating promo code:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create promo code',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   PUT /api/promo-codes/:id
+// @desc    Update a promo code
+// @access  Admin
+router.put('/:id', protect, authorize('promotions:manage'), [
+    param('id').isMongoId().withMessage('Invalid promo code ID'),
+    ...promoValidation(true)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const promo = await PromoCode.findById(req.params.id);
+        if (!promo) {
+            return res.status(404).json({
+                success: false,
+                message: 'Promo code not found'
+            });
+        }
+
+        applyPromoFields(promo, req.body);
+        await promo.save();
+
+        res.json({
+            success: true,
+            message: 'Promo code updated successfully',
+            data: promo
+        });
+    } catch (error) {
+        if (sendSaveError(res, error)) return;
+
+        console.error('Error updating promo code:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update promo code',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   DELETE /api/promo-codes/:id
+// @desc    Deactivate a promo code (soft delete so redemptions keep their code)
+// @access  Admin
+router.delete('/:id', protect, authorize('promotions:manage'), [
+    param('id').isMongoId().withMessage('Invalid promo code ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const promo = await PromoCode.findById(req.params.id);
+        if (!promo) {
+            return res.status(404).json({
+                success: false,
+                message: 'Promo code not found'
+            });
+        }
+
+        promo.isActive = false;
+        await promo.save();
+
+        res.json({
+            success: true,
+            message: 'Promo code deactivated successfully',
+            data: promo
+        });
+    } catch (error) {
+        console.error('Error deactivating promo code:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to deactivate promo code',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Registration = require('../models/Registration');
+const { protect, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -83,9 +84,9 @@ router.post('/', [
 });
 
 // @route   GET /api/registrations
-// @desc    Get all registrations (Admin only - should add auth middleware)
+// @desc    Get all registrations
 // @access  Admin
-router.get('/', async (req, res) => {
+router.get('/', protect, authorize('registrations:read'), async (req, res) => {
     try {
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 10;
@@ -136,7 +137,7 @@ router.get('/', async (req, res) => {
 // @route   GET /api/registrations/:id
 // @desc    Get registration by ID
 // @access  Admin
-router.get('/:id', async (req, res) => {
+router.get('/:id', protect, authorize('registrations:read'), async (req, res) => {
     try {
         const registration = await Registration.findById(req.params.id);
         
@@ -164,7 +165,7 @@ router.get('/:id', async (req, res) => {
 // @route   PUT /api/registrations/:id/status
 // @desc    Update registration status
 // @access  Admin
-router.put('/:id/status', [
+router.put('/:id/status', protect, authorize('registrations:update'), [
     body('status')
         .isIn(['active', 'inactive', 'unsubscribed'])
         .withMessage('Status must be one of: active, inactive, unsubscribed')
@@ -213,7 +214,7 @@ router.put('/:id/status', [
 // @route   GET /api/registrations/stats/overview
 // @desc    Get registration statistics
 // @access  Admin
-router.get('/stats/overview', async (req, res) => {
+router.get('/stats/overview', protect, authorize('registrations:read'), async (req, res) => {
     try {
         const stats = await Promise.all([
             Registration.countDocuments({ status: 'active' }),
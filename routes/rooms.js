@@ -0,0 +1,258 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, param, query } = require('express-validator');
+const Room = require('../models/Room');
+const { protect, authorize } = require('../middleware/auth');
+
+const PACKAGE_TYPES = ['basic', 'premium', 'ultimate', 'corporate'];
+
+// Shared validation for create and update
+const roomValidation = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+    return [
+        field('name')
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Room name must be between 1 and 100 characters'),
+        body('theme')
+            .optional()
+            .trim()
+            .isLength({ max: 100 })
+            .withMessage('Theme cannot exceed 100 characters'),
+        body('description')
+            .optional()
+            .trim()
+            .isLength({ max: 500 })
+            .withMessage('Description cannot exceed 500 characters'),
+        field('capacity')
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Capacity must be between 1 and 100'),
+        field('packageTypes')
+            .isArray({ min: 1 })
+            .custom((types) => types.every(type => PACKAGE_TYPES.includes(type)))
+            .withMessage(`Package types must be one or more of: ${PACKAGE_TYPES.join(', ')}`),
+        body('isActive')
+            .optional()
+            .isBoolean()
+            .withMessage('isActive must be a boolean')
+    ];
+};
+
+// @route   GET /api/rooms
+// @desc    Get all rooms
+// @access  Admin
+router.get('/', protect, authorize('rooms:read'), [
+    query('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    query('packageType').optional().isIn(PACKAGE_TYPES).withMessage('Invalid package type')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const filter = {};
+        if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+        if (req.query.packageType) filter.packageTypes = req.query.packageType;
+
+        const rooms = await Room.find(filter).sort({ name: 1 });
+
+        res.json({
+            success: true,
+            data: rooms
+        });
+    } catch (error) {
+        console.error('Error fetching rooms:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch rooms',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/rooms/:id
+// @desc    Get room by ID
+// @access  Admin
+router.get('/:id', protect, authorize('rooms:read'), [
+    param('id').isMongoId().withMessage('Invalid room ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const room = await Room.findById(req.params.id);
+        if (!room) {
+            return res.status(404).json({
+                success: false,
+                message: 'Room not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: room
+        });
+    } catch (error) {
+        console.error('Error fetching room:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch room',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/rooms
+// @desc    Create a room
+// @access  Admin
+router.post('/', protect, authorize('rooms:manage'), roomValidation(false), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const room = new Room({
+            name: req.body.name,
+            theme: req.body.theme,
+            description: req.body.description,
+            capacity: req.body.capacity,
+            packageTypes: req.body.packageTypes,
+            isActive: req.body.isActive !== undefined ? req.body.isActive : true
+        });
+        await room.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Room created successfully',
+            data: room
+        });
+    } catch (error) {
+        console.error('Error creating room:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A room with this name already exists'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create room',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   PUT /api/rooms/:id
+// @desc    Update a room
+// @access  Admin
+router.put('/:id', protect, authorize('rooms:manage'), [
+    param('id').isMongoId().withMessage('Invalid room ID'),
+    ...roomValidation(true)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const room = await Room.findById(req.params.id);
+        if (!room) {
+            return res.status(404).json({
+                success: false,
+                message: 'Room not found'
+            });
+        }
+
+        ['name', 'theme', 'description', 'capacity', 'packageTypes', 'isActive'].forEach(field => {
+            if (req.body[field] !== undefined) room[field] = req.body[field];
+        });
+        await room.save();
+
+        res.json({
+            success: true,
+            message: 'Room updated successfully',
+            data: room
+        });
+    } catch (error) {
+        console.error('Error updating room:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A room with this name already exists'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update room',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   DELETE /api/rooms/:id
+// @desc    Deactivate a room (soft delete so past bookings keep their room)
+// @access  Admin
+router.delete('/:id', protect, authorize('rooms:manage'), [
+    param('id').isMongoId().withMessage('Invalid room ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const room = await Room.findById(req.params.id);
+        if (!room) {
+            return res.status(404).json({
+                success: false,
+                message: 'Room not found'
+            });
+        }
+
+        room.isActive = false;
+        await room.save();
+
+        res.json({
+            success: true,
+            message: 'Room deactivated successfully',
+            data: room
+        });
+    } catch (error) {
+        console.error('Error deactivating room:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to deactivate room',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,280 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, param } = require('express-validator');
+const AdminUser = require('../models/AdminUser');
+const { protect, authorize } = require('../middleware/auth');
+const { PERMISSIONS, ROLE_PERMISSIONS, ROLES } = require('../config/roles');
+
+// Every staff management route is owner-only
+router.use(protect, authorize('staff:manage'));
+
+// Prevent the last active owner from being demoted or disabled
+async function isLastActiveOwner(staff) {
+    if (staff.role !== 'owner' || !staff.isActive) return false;
+    const owners = await AdminUser.countDocuments({ role: 'owner', isActive: true });
+    return owners <= 1;
+}
+
+// @route   GET /api/staff/roles
+// @desc    Get available roles and the permissions they grant
+// @access  Owner
+router.get('/roles', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            roles: ROLES.map(role => ({
+                role,
+                permissions: ROLE_PERMISSIONS[role]
+            })),
+            permissions: PERMISSIONS
+        }
+    });
+});
+
+// @route   GET /api/staff
+// @desc    Get all staff accounts
+// @access  Owner
+router.get('/', async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.role && ROLES.includes(req.query.role)) filter.role = req.query.role;
+        if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+        const staff = await AdminUser.find(filter).sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: staff
+        });
+    } catch (error) {
+        console.error('Error fetching staff:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch staff',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/staff
+// @desc    Create a staff account
+// @access  Owner
+router.post('/', [
+    body('name')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Name must be between 2 and 100 characters'),
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email address'),
+    body('password')
+        .isLength({ min: 8 })
+        .withMessage('Password must be at least 8 characters long'),
+    body('role')
+        .isIn(ROLES)
+        .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const existing = await AdminUser.findOne({ email: req.body.email });
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: 'A staff account with this email already exists'
+            });
+        }
+
+        const staff = new AdminUser({
+            name: req.body.name,
+            email: req.body.email,
+            password: req.body.password,
+            role: req.body.role,
+            createdBy: req.admin._id
+        });
+        await staff.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Staff account created successfully',
+            data: staff
+        });
+    } catch (error) {
+        console.error('Error creating staff account:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create staff account',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   PUT /api/staff/:id
+// @desc    Update a staff account's name, role or active flag
+// @access  Owner
+router.put('/:id', [
+    param('id').isMongoId().withMessage('Invalid staff ID'),
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Name must be between 2 and 100 characters'),
+    body('role')
+        .optional()
+        .isIn(ROLES)
+        .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const staff = await AdminUser.findById(req.params.id);
+        if (!staff) {
+            return res.status(404).json({
+                success: false,
+                message: 'Staff account not found'
+            });
+        }
+
+        const demoting = req.body.role !== undefined && req.body.role !== 'owner';
+        const disabling = req.body.isActive !== undefined && String(req.body.isActive) === 'false';
+        if ((demoting || disabling) && await isLastActiveOwner(staff)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot demote or disable the last active owner'
+            });
+        }
+
+        if (req.body.name) staff.name = req.body.name;
+        if (req.body.role) staff.role = req.body.role;
+        if (req.body.isActive !== undefined) staff.isActive = String(req.body.isActive) === 'true';
+
+        await staff.save();
+
+        res.json({
+            success: true,
+            message: 'Staff account updated successfully',
+            data: staff
+        });
+    } catch (error) {
+        console.error('Error updating staff account:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update staff account',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   PUT /api/staff/:id/password
+// @desc    Reset a staff account's password
+// @access  Owner
+router.put('/:id/password', [
+    param('id').isMongoId().withMessage('Invalid staff ID'),
+    body('password')
+        .isLength({ min: 8 })
+        .withMessage('Password must be at least 8 characters long')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const staff = await AdminUser.findById(req.params.id);
+        if (!staff) {
+            return res.status(404).json({
+                success: false,
+                message: 'Staff account not found'
+            });
+        }
+
+        staff.password = req.body.password;
+        await staff.save();
+
+        res.json({
+            success: true,
+            message: 'Password reset successfully. Existing sessions have been signed out.'
+        });
+    } catch (error) {
+        console.error('Error resetting staff password:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reset password',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   DELETE /api/staff/:id
+// @desc    Deactivate a staff account (soft delete)
+// @access  Owner
+router.delete('/:id', [
+    param('id').isMongoId().withMessage('Invalid staff ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const staff = await AdminUser.findById(req.params.id);
+        if (!staff) {
+            return res.status(404).json({
+                success: false,
+                message: 'Staff account not found'
+            });
+        }
+
+        if (await isLastActiveOwner(staff)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot deactivate the last active owner'
+            });
+        }
+
+        staff.isActive = false;
+        await staff.save();
+
+        res.json({
+            success: true,
+            message: 'Staff account deactivated successfully',
+            data: staff
+        });
+    } catch (error) {
+        console.error('Error deactivating staff account:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to deactivate staff account',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,274 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, param, query } = require('express-validator');
+const Waitlist = require('../models/Waitlist');
+const waitlistService = require('../services/waitlistService');
+const bookingAccessService = require('../services/bookingAccessService');
+const { protect, authorize } = require('../middleware/auth');
+
+// Turn a service error into a 4xx response, or return false for unexpected errors
+const sendServiceError = (res, error) => {
+    if (!['WaitlistError', 'PricingError', 'AvailabilityError'].includes(error.name)) return false;
+    res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+    });
+    return true;
+};
+
+// @route   POST /api/waitlist
+// @desc    Join the waitlist for a fully booked session
+// @access  Public
+router.post('/', [
+    body('customerName')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Customer name must be between 2 and 100 characters'),
+    body('customerEmail')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email address'),
+    body('customerPhone')
+        .matches(/^\+?[\d\s\-\(\)]{10,}$/)
+        .withMessage('Please provide a valid phone number'),
+    body('date')
+        .isISO8601()
+        .withMessage('A valid date is required (YYYY-MM-DD)'),
+    body('startTime')
+        .matches(/^\d{2}:\d{2}$/)
+        .withMessage('Start time must be in HH:mm format'),
+    body('packageType')
+        .isIn(['basic', 'premium', 'ultimate'])
+        .withMessage('Package type must be one of: basic, premium, ultimate'),
+    body('participants')
+        .isInt({ min: 1, max: 10 })
+        .withMessage('Participants must be between 1 and 10'),
+    body('duration')
+        .optional()
+        .isInt({ min: 30, max: 240 })
+        .withMessage('Duration must be between 30 and 240 minutes')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { entry, position } = await waitlistService.join({
+            customerName: req.body.customerName,
+            customerEmail: req.body.customerEmail,
+            customerPhone: req.body.customerPhone,
+            date: req.body.date,
+            startTime: req.body.startTime,
+            packageType: req.body.packageType,
+            participants: req.body.participants,
+            duration: req.body.duration
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "You're on the waitlist. We'll email you if a spot opens up.",
+            data: {
+                id: entry._id,
+                date: entry.date,
+                startTime: entry.startTime,
+                packageType: entry.packageType,
+                participants: entry.participants,
+                position
+            }
+        });
+    } catch (error) {
+        if (sendServiceError(res, error)) return;
+
+        console.error('Error joining waitlist:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to join waitlist',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/waitlist/claim
+// @desc    View a waitlist offer from its claim link (?token=)
+// @access  Public (token)
+router.get('/claim', async (req, res) => {
+    try {
+        const entry = await waitlistService.getOffer(req.query.token);
+
+        res.json({
+            success: true,
+            data: {
+                status: entry.status,
+                offerExpiresAt: entry.offerExpiresAt,
+                booking: bookingAccessService.redact(entry.booking),
+                packagePrice: entry.booking.packagePrice
+            }
+        });
+    } catch (error) {
+        if (sendServiceError(res, error)) return;
+
+        console.error('Error fetching waitlist offer:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch waitlist offer',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/waitlist/claim
+// @desc    Claim a waitlist offer and turn it into a booking
+// @access  Public (token)
+router.post('/claim', [
+    body('token').notEmpty().withMessage('Claim token is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { booking } = await waitlistService.claim(req.body.token);
+
+        res.json({
+            success: true,
+            message: 'Spot claimed! Check your email for your booking details.',
+            data: {
+                booking: bookingAccessService.customerView(booking),
+                bookingId: booking.bookingId,
+                manageToken: bookingAccessService.generateToken(booking)
+            }
+        });
+    } catch (error) {
+        if (sendServiceError(res, error)) return;
+
+        console.error('Error claiming waitlist offer:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to claim waitlist offer',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/waitlist
+// @desc    Get waitlist entries (filter by date, status)
+// @access  Admin
+router.get('/', protect, authorize('bookings:read'), [
+    query('date').optional().isISO8601().withMessage('Invalid date format'),
+    query('status').optional().isIn(['waiting', 'offered', 'claimed', 'expired', 'cancelled']).withMessage('Invalid status'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        if (req.query.date) filter.date = req.query.date.slice(0, 10);
+        if (req.query.status) filter.status = req.query.status;
+
+        const [entries, total] = await Promise.all([
+            Waitlist.find(filter)
+                .sort({ date: 1, startTime: 1, createdAt: 1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('booking', 'bookingId status'),
+            Waitlist.countDocuments(filter)
+        ]);
+        const totalPages = Math.ceil(total / limit);
+
+        res.json({
+            success: true,
+            data: {
+                entries,
+                pagination: {
+                    currentPage: page,
+                    totalPages,
+                    totalItems: total,
+                    itemsPerPage: limit,
+                    hasNextPage: page < totalPages,
+                    hasPrevPage: page > 1
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching waitlist:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch waitlist',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   DELETE /api/waitlist/:id
+// @desc    Remove a waiting customer from the waitlist
+// @access  Admin
+router.delete('/:id', protect, authorize('bookings:update'), [
+    param('id').isMongoId().withMessage('Invalid waitlist entry ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const entry = await Waitlist.findById(req.params.id);
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Waitlist entry not found'
+            });
+        }
+
+        if (entry.status !== 'waiting') {
+            return res.status(400).json({
+                success: false,
+                message: `Only waiting entries can be removed (this one is ${entry.status})`
+            });
+        }
+
+        entry.status = 'cancelled';
+        await entry.save();
+
+        res.json({
+            success: true,
+            message: 'Removed from waitlist',
+            data: entry
+        });
+    } catch (error) {
+        console.error('Error removing waitlist entry:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove waitlist entry',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,166 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, param } = require('express-validator');
+const Booking = require('../models/Booking');
+const Waiver = require('../models/Waiver');
+const waiverService = require('../services/waiverService');
+const bookingAccessService = require('../services/bookingAccessService');
+const { protect, authorize } = require('../middleware/auth');
+
+// Turn a service error into a 4xx response, or return false for unexpected errors
+const sendServiceError = (res, error) => {
+    if (error.name !== 'WaiverError') return false;
+    res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+    });
+    return true;
+};
+
+// @route   GET /api/waivers
+// @desc    View the waiver and who has signed it from the booking's waiver link (?token=)
+// @access  Public (token)
+router.get('/', async (req, res) => {
+    try {
+        const booking = await waiverService.getBooking(req.query.token);
+
+        res.json({
+            success: true,
+            data: {
+                waiver: waiverService.getTerms(),
+                booking: bookingAccessService.redact(booking),
+                status: await waiverService.getStatus(booking)
+            }
+        });
+    } catch (error) {
+        if (sendServiceError(res, error)) return;
+
+        console.error('Error fetching waiver:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch waiver',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/waivers
+// @desc    Sign the waiver for one participant
+// @access  Public (token)
+router.post('/', [
+    body('token').notEmpty().withMessage('Waiver token is required'),
+    body('participantName')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Participant name must be between 2 and 100 characters'),
+    body('ageConfirmed')
+        .isBoolean()
+        .withMessage('Age confirmation is required')
+        .toBoolean(),
+    body('signatureType')
+        .isIn(['typed', 'image'])
+        .withMessage('Signature type must be one of: typed, image'),
+    body('signature')
+        .if(body('signatureType').equals('typed'))
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Type your full name to sign'),
+    body('signature')
+        .if(body('signatureType').equals('image'))
+        .matches(/^data:image\/(png|jpeg);base64,/)
+        .withMessage('Signature image must be a PNG or JPEG data URL')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const booking = await waiverService.getBooking(req.body.token);
+        const waiver = await waiverService.sign(booking, {
+            participantName: req.body.participantName,
+            ageConfirmed: req.body.ageConfirmed,
+            signatureType: req.body.signatureType,
+            signature: req.body.signature
+        }, {
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `Thanks ${waiver.participantName}, your waiver is signed`,
+            data: {
+                participantName: waiver.participantName,
+                signedAt: waiver.signedAt,
+                waiverVersion: waiver.waiverVersion,
+                status: await waiverService.getStatus(booking)
+            }
+        });
+    } catch (error) {
+        if (sendServiceError(res, error)) return;
+
+        console.error('Error signing waiver:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to sign waiver',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/waivers/bookings/:id
+// @desc    Get the signed waivers for a booking, with its signing link
+// @access  Admin
+router.get('/bookings/:id', protect, authorize('bookings:read'), [
+    param('id').isMongoId().withMessage('Invalid booking ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const booking = await Booking.findById(req.params.id);
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        const waivers = await Waiver.find({ booking: booking._id }).sort({ signedAt: 1 });
+        const status = await waiverService.getStatus(booking);
+
+        res.json({
+            success: true,
+            data: {
+                bookingId: booking.bookingId,
+                required: status.required,
+                signed: status.signed,
+                remaining: status.remaining,
+                complete: status.complete,
+                waiverUrl: waiverService.getSignUrl(booking),
+                waivers
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching booking waivers:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch booking waivers',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,233 @@
+const Slot = require('../models/Slot');
+const pricingService = require('./pricingService');
+const calendarService = require('./calendarService');
+const { SLOT_SETTINGS, TIME_PERIODS } = require('../config/slots');
+
+class AvailabilityService {
+    constructor() {
+        this.settings = SLOT_SETTINGS;
+    }
+
+    // Build an error the routes can turn into a 4xx response
+    createError(message, status, details = {}) {
+        const error = new Error(message);
+        error.name = 'AvailabilityError';
+        error.status = status;
+        error.details = details;
+        return error;
+    }
+
+    // Time helpers
+
+    toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    fromMinutes(totalMinutes) {
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+
+    // Calendar date (YYYY-MM-DD) of a date in the venue's timezone
+    toDateKey(date) {
+        return new Date(date).toLocaleDateString('en-CA', { timeZone: this.settings.timezone });
+    }
+
+    // Absolute time of a wall-clock time on a venue date
+    toDateTime(dateKey, time) {
+        return new Date(`${dateKey}T${time}:00${this.settings.utcOffset}`);
+    }
+
+    getPeriod(startTime) {
+        const minutes = this.toMinutes(startTime);
+        return Object.keys(TIME_PERIODS).find(period => {
+            const [from, to] = TIME_PERIODS[period];
+            return minutes >= this.toMinutes(from) && minutes < this.toMinutes(to);
+        });
+    }
+
+    // Slot intervals covered by a session
+    getIntervals(startTime, duration) {
+        const start = this.toMinutes(startTime);
+        const count = Math.ceil(duration / this.settings.intervalMinutes);
+        return Array.from({ length: count }, (_, index) =>
+            this.fromMinutes(start + index * this.settings.intervalMinutes)
+        );
+    }
+
+    // Every start time at which a session of this duration fits in a day's opening hours
+    // (from calendarService.getHours) without running into a blackout.
+    // Uses the default hours when no day is given.
+    getStartTimes(duration, hours = this.settings) {
+        if (hours.isOpen === false) return [];
+
+        const opening = this.toMinutes(hours.openingTime);
+        const closing = this.toMinutes(hours.closingTime);
+        const blackouts = (hours.blackouts || []).map(blackout => [
+            this.toMinutes(blackout.startTime),
+            this.toMinutes(blackout.endTime)
+        ]);
+        const startTimes = [];
+
+        for (let start = opening; start + duration <= closing; start += this.settings.intervalMinutes) {
+            const end = start + duration;
+            if (blackouts.some(([from, to]) => from < end && to > start)) continue;
+            startTimes.push(this.fromMinutes(start));
+        }
+        return startTimes;
+    }
+
+    isValidStartTime(startTime, duration, hours) {
+        return this.getStartTimes(duration, hours).includes(startTime);
+    }
+
+    // Availability
+
+    // Get every start time on a date with its remaining capacity
+    async getAvailability({ date, packageType, participants = 1, duration }) {
+        const pkg = pricingService.getPackage(packageType);
+        if (!pkg) {
+            throw this.createError('Package not found', 404);
+        }
+
+        participants = parseInt(participants) || 1;
+        if (participants > pkg.maxParticipants) {
+            throw this.createError(
+                `Maximum ${pkg.maxParticipants} participants allowed for ${pkg.name}`,
+                400,
+                { maxParticipants: pkg.maxParticipants }
+            );
+        }
+
+        const sessionDuration = Math.max(parseInt(duration) || 0, pkg.duration);
+        const dateKey = this.toDateKey(date);
+        const [slots, hours] = await Promise.all([
+            Slot.find({ date: dateKey }),
+            calendarService.getHours(dateKey)
+        ]);
+        const reservedByTime = new Map(slots.map(slot => [slot.startTime, slot]));
+        const now = new Date();
+
+        const startTimes = this.getStartTimes(sessionDuration, hours).map(startTime => {
+            const remainingCapacity = Math.min(...this.getIntervals(startTime, sessionDuration).map(interval => {
+                const slot = reservedByTime.get(interval);
+                return slot ? slot.remaining : this.settings.capacity;
+            }));
+            const startsAt = this.toDateTime(dateKey, startTime);
+
+            return {
+                startTime,
+                endTime: this.fromMinutes(this.toMinutes(startTime) + sessionDuration),
+                period: this.getPeriod(startTime),
+                remainingCapacity,
+                available: startsAt > now && remainingCapacity >= participants
+            };
+        });
+
+        return {
+            date: dateKey,
+            timezone: this.settings.timezone,
+            package: {
+                type: pkg.type,
+                name: pkg.name,
+                duration: sessionDuration
+            },
+            participants,
+            isOpen: hours.isOpen,
+            closedReason: hours.reason,
+            openingTime: hours.openingTime,
+            closingTime: hours.closingTime,
+            slots: startTimes
+        };
+    }
+
+    // Pick the earliest available start time within a preferredTime period
+    async findFirstAvailableStart({ date, packageType, participants, duration, period }) {
+        const availability = await this.getAvailability({ date, packageType, participants, duration });
+        const slot = availability.slots.find(item => item.available && (!period || item.period === period));
+        return slot ? slot.startTime : null;
+    }
+
+    // Validate a requested start time, or pick the first free one in a period.
+    // Throws a 400 or 409 AvailabilityError when no usable start time exists.
+    async resolveStartTime({ date, packageType, participants, duration, startTime, period }) {
+        const hours = await calendarService.getHours(date);
+        if (!hours.isOpen) {
+            throw this.createError(`We're closed on this date (${hours.reason}). Please choose another day.`, 400, {
+                date: hours.date,
+                closedReason: hours.reason
+            });
+        }
+
+        if (startTime) {
+            if (!this.isValidStartTime(startTime, duration, hours)) {
+                throw this.createError('Sessions cannot start at this time. Please choose a time from the availability list.', 400);
+            }
+            if (this.toDateTime(this.toDateKey(date), startTime) <= new Date()) {
+                throw this.createError('This start time has already passed. Please choose a later time.', 400);
+            }
+            return startTime;
+        }
+
+        const firstAvailable = await this.findFirstAvailableStart({ date, packageType, participants, duration, period });
+        if (!firstAvailable) {
+            throw this.createError(`No sessions are available in the ${period} on this date. Please choose another time.`, 409);
+        }
+        return firstAvailable;
+    }
+
+    // Reservations
+
+    // Reserve capacity for a booking (before it is saved) and set its session times.
+    // Throws a 409 AvailabilityError when any covered interval is full.
+    async reserveForBooking(booking, { date, startTime }) {
+        const dateKey = this.toDateKey(date);
+        const intervals = this.getIntervals(startTime, booking.duration);
+        const reserved = [];
+
+        for (const interval of intervals) {
+            const slot = await Slot.reserve(dateKey, interval, this.settings.capacity, booking._id, booking.participants);
+            if (!slot) {
+                await Promise.all(reserved.map(item =>
+                    Slot.release(dateKey, item, booking._id, booking.participants)
+                ));
+                throw this.createError('This time slot is fully booked. Please choose another time.', 409, {
+                    date: dateKey,
+                    startTime,
+                    conflictAt: interval
+                });
+            }
+            reserved.push(interval);
+        }
+
+        booking.sessionStart = this.toDateTime(dateKey, startTime);
+        booking.preferredDate = booking.sessionStart;
+        booking.preferredTime = this.getPeriod(startTime);
+        booking.sessionEnd = new Date(booking.sessionStart.getTime() + booking.duration * 60 * 1000);
+        booking.slotReservation = {
+            date: dateKey,
+            startTime,
+            intervals,
+            participants: booking.participants,
+            reservedAt: new Date(),
+            releasedAt: undefined
+        };
+        return booking;
+    }
+
+    // Release a booking's reserved capacity (e.g. when it is cancelled)
+    async releaseForBooking(booking) {
+        const reservation = booking.slotReservation;
+        if (!reservation || !reservation.reservedAt || reservation.releasedAt) return false;
+
+        await Promise.all(reservation.intervals.map(interval =>
+            Slot.release(reservation.date, interval, booking._id, reservation.participants)
+        ));
+        booking.slotReservation.releasedAt = new Date();
+        return true;
+    }
+}
+
+module.exports = new AvailabilityService();
@@ -0,0 +1,107 @@
+const jwt = require('jsonwebtoken');
+
+// Audience claim that keeps booking links and admin tokens from being swapped
+const TOKEN_AUDIENCE = 'booking-manage';
+
+class BookingAccessService {
+    // Build an error the routes can turn into a 4xx response
+    createError(message, status, details = {}) {
+        const error = new Error(message);
+        error.name = 'BookingAccessError';
+        error.status = status;
+        error.details = details;
+        return error;
+    }
+
+    getSecret() {
+        const secret = process.env.BOOKING_TOKEN_SECRET || process.env.JWT_SECRET;
+        if (!secret) {
+            throw new Error('BOOKING_TOKEN_SECRET or JWT_SECRET must be set to sign booking links');
+        }
+        return secret;
+    }
+
+    // Signed, expiring token that lets a customer manage one booking
+    generateToken(booking) {
+        return jwt.sign(
+            { booking: booking._id.toString(), ref: booking.bookingId },
+            this.getSecret(),
+            {
+                audience: TOKEN_AUDIENCE,
+                expiresIn: process.env.BOOKING_TOKEN_EXPIRE || '30d'
+            }
+        );
+    }
+
+    // Link to the frontend booking management page
+    getManageUrl(booking) {
+        const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+        return `${baseUrl}/bookings/manage?token=${encodeURIComponent(this.generateToken(booking))}`;
+    }
+
+    // Token from the ?token= query or the X-Booking-Token header
+    getTokenFromRequest(req) {
+        return req.query.token || req.get('X-Booking-Token') || null;
+    }
+
+    // Verify a token and return the booking ID it grants access to.
+    // Throws a 401 BookingAccessError when the token is invalid or expired.
+    verifyToken(token) {
+        if (!token) {
+            throw this.createError('A booking management token is required', 401);
+        }
+
+        try {
+            const decoded = jwt.verify(token, this.getSecret(), { audience: TOKEN_AUDIENCE });
+            return decoded.booking;
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') {
+                throw this.createError('This booking link has expired. Please contact us for a new one.', 401);
+            }
+            if (error.name === 'JsonWebTokenError') {
+                throw this.createError('Invalid booking link', 401);
+            }
+            throw error;
+        }
+    }
+
+    // Whether a request carries a valid token for this particular booking
+    hasAccess(req, booking) {
+        const token = this.getTokenFromRequest(req);
+        if (!token) return false;
+
+        try {
+            return this.verifyToken(token) === booking._id.toString();
+        } catch (error) {
+            if (error.name === 'BookingAccessError') return false;
+            throw error;
+        }
+    }
+
+    // Full booking as shown to its customer (internal notes stay private)
+    customerView(booking) {
+        const data = booking.toObject();
+        delete data.adminNotes;
+        return data;
+    }
+
+    // Public view of a booking without the customer's personal details
+    redact(booking) {
+        return {
+            bookingId: booking.bookingId,
+            customerName: (booking.customerName || '').split(' ')[0],
+            packageType: booking.packageType,
+            packageName: booking.packageName,
+            preferredDate: booking.preferredDate,
+            preferredTime: booking.preferredTime,
+            sessionStart: booking.sessionStart,
+            sessionEnd: booking.sessionEnd,
+            duration: booking.duration,
+            participants: booking.participants,
+            status: booking.status,
+            redacted: true
+        };
+    }
+}
+
+module.exports = new BookingAccessService();
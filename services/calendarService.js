@@ -0,0 +1,222 @@
+const Booking = require('../models/Booking');
+const CorporateBooking = require('../models/CorporateBooking');
+const OpeningHours = require('../models/OpeningHours');
+const CalendarException = require('../models/CalendarException');
+const { SLOT_SETTINGS } = require('../config/slots');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Longest range the public calendar returns in one request
+const MAX_RANGE_DAYS = 366;
+
+class CalendarService {
+    // Build an error the routes can turn into a 4xx response
+    createError(message, status, details = {}) {
+        const error = new Error(message);
+        error.name = 'CalendarError';
+        error.status = status;
+        error.details = details;
+        return error;
+    }
+
+    // Date helpers (dates are YYYY-MM-DD venue dates)
+
+    toDateKey(date) {
+        return new Date(date).toLocaleDateString('en-CA', { timeZone: SLOT_SETTINGS.timezone });
+    }
+
+    // Wall-clock time (HH:mm) of an instant in the venue's timezone
+    toTimeKey(date) {
+        return new Date(date).toLocaleTimeString('en-GB', {
+            timeZone: SLOT_SETTINGS.timezone,
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        });
+    }
+
+    getDayOfWeek(dateKey) {
+        return new Date(`${dateKey}T12:00:00Z`).getUTCDay();
+    }
+
+    addDays(dateKey, days) {
+        const date = new Date(`${dateKey}T12:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().slice(0, 10);
+    }
+
+    // Weekly hours
+
+    // Opening hours for every day of the week. Days without a stored entry
+    // use the default hours from the slot settings.
+    async getWeeklyHours() {
+        const stored = await OpeningHours.find();
+        const byDay = new Map(stored.map(entry => [entry.dayOfWeek, entry]));
+
+        return DAY_NAMES.map((dayName, dayOfWeek) => {
+            const entry = byDay.get(dayOfWeek);
+            if (!entry) {
+                return {
+                    dayOfWeek,
+                    dayName,
+                    isOpen: true,
+                    openingTime: SLOT_SETTINGS.openingTime,
+                    closingTime: SLOT_SETTINGS.closingTime
+                };
+            }
+            return {
+                dayOfWeek,
+                dayName,
+                isOpen: entry.isOpen,
+                openingTime: entry.isOpen ? entry.openingTime : null,
+                closingTime: entry.isOpen ? entry.closingTime : null
+            };
+        });
+    }
+
+    // Replace the hours of the given days (unlisted days keep their hours)
+    async setWeeklyHours(days) {
+        for (const day of days) {
+            let entry = await OpeningHours.findOne({ dayOfWeek: day.dayOfWeek });
+            if (!entry) entry = new OpeningHours({ dayOfWeek: day.dayOfWeek });
+
+            entry.isOpen = day.isOpen !== false;
+            entry.openingTime = entry.isOpen ? day.openingTime : undefined;
+            entry.closingTime = entry.isOpen ? day.closingTime : undefined;
+            await entry.save();
+        }
+        return this.getWeeklyHours();
+    }
+
+    // Daily hours
+
+    // Work out a single day from the weekly hours and the exceptions touching it.
+    // Holidays and full-day blackouts close the day; special hours replace the
+    // weekly hours; partial blackouts are listed for the caller to avoid.
+    resolveDay(dateKey, weeklyHours, exceptions) {
+        const weekly = weeklyHours[this.getDayOfWeek(dateKey)];
+        const todays = exceptions.filter(exception =>
+            exception.startDate <= dateKey && exception.endDate >= dateKey
+        );
+
+        const day = {
+            date: dateKey,
+            dayName: weekly.dayName,
+            isOpen: weekly.isOpen,
+            openingTime: weekly.openingTime,
+            closingTime: weekly.closingTime,
+            reason: weekly.isOpen ? null : 'Closed',
+            blackouts: []
+        };
+
+        const special = todays.find(exception => exception.type === 'special_hours');
+        if (special) {
+            day.isOpen = true;
+            day.openingTime = special.openingTime;
+            day.closingTime = special.closingTime;
+            day.reason = null;
+            day.specialHours = special.name;
+        }
+
+        const closure = todays.find(exception => exception.isFullDay);
+        if (closure) {
+            day.isOpen = false;
+            day.openingTime = null;
+            day.closingTime = null;
+            day.reason = closure.name;
+            return day;
+        }
+
+        day.blackouts = todays
+            .filter(exception => exception.type === 'blackout')
+            .map(exception => ({
+                name: exception.name,
+                startTime: exception.startTime,
+                endTime: exception.endTime
+            }));
+        return day;
+    }
+
+    // Hours for one date
+    async getHours(date) {
+        const dateKey = this.toDateKey(date);
+        const [weeklyHours, exceptions] = await Promise.all([
+            this.getWeeklyHours(),
+            CalendarException.findInRange(dateKey, dateKey)
+        ]);
+        return this.resolveDay(dateKey, weeklyHours, exceptions);
+    }
+
+    // Hours for every date in an inclusive range
+    async getCalendar(from, to) {
+        const fromKey = this.toDateKey(from);
+        const toKey = this.toDateKey(to);
+        if (toKey < fromKey) {
+            throw this.createError('The end date cannot be before the start date', 400);
+        }
+
+        const days = [];
+        for (let dateKey = fromKey; dateKey <= toKey; dateKey = this.addDays(dateKey, 1)) {
+            days.push(dateKey);
+            if (days.length > MAX_RANGE_DAYS) {
+                throw this.createError(`The calendar can cover at most ${MAX_RANGE_DAYS} days at a time`, 400);
+            }
+        }
+
+        const [weeklyHours, exceptions] = await Promise.all([
+            this.getWeeklyHours(),
+            CalendarException.findInRange(fromKey, toKey)
+        ]);
+        return days.map(dateKey => this.resolveDay(dateKey, weeklyHours, exceptions));
+    }
+
+    // Why an event between two instants cannot go ahead, or null when the venue
+    // is open on that date and no blackout overlaps it. Events keep their own
+    // times, so only closures are checked, not the opening hours themselves.
+    async getClosure(start, end) {
+        const day = await this.getHours(start);
+        if (!day.isOpen) {
+            return { date: day.date, reason: day.reason };
+        }
+
+        const startTime = this.toTimeKey(start);
+        const endTime = this.toDateKey(end) > day.date ? '24:00' : this.toTimeKey(end);
+        const blackout = day.blackouts.find(item => item.startTime < endTime && item.endTime > startTime);
+        if (blackout) {
+            return { date: day.date, reason: blackout.name, startTime: blackout.startTime, endTime: blackout.endTime };
+        }
+        return null;
+    }
+
+    // Upcoming bookings that fall inside a closure, so staff can move them
+    async findAffectedBookings(exception) {
+        if (exception.type === 'special_hours') {
+            return { bookings: [], corporateBookings: [] };
+        }
+
+        const [bookings, corporateBookings] = await Promise.all([
+            Booking.find({
+                'slotReservation.date': { $gte: exception.startDate, $lte: exception.endDate },
+                status: { $in: ['held', 'pending', 'confirmed'] }
+            }).select('bookingId customerName customerEmail status slotReservation sessionStart sessionEnd'),
+            CorporateBooking.find({
+                eventStart: {
+                    $gte: new Date(`${exception.startDate}T00:00:00${SLOT_SETTINGS.utcOffset}`),
+                    $lt: new Date(`${this.addDays(exception.endDate, 1)}T00:00:00${SLOT_SETTINGS.utcOffset}`)
+                },
+                status: { $in: ['pending', 'confirmed'] }
+            }).select('bookingReference companyName contactPerson email status eventStart eventEnd')
+        ]);
+
+        // Partial blackouts only affect sessions that overlap them
+        const overlaps = (start, end) => exception.isFullDay ||
+            (this.toTimeKey(start) < exception.endTime && this.toTimeKey(end) > exception.startTime);
+
+        return {
+            bookings: bookings.filter(booking => overlaps(booking.sessionStart, booking.sessionEnd)),
+            corporateBookings: corporateBookings.filter(booking => overlaps(booking.eventStart, booking.eventEnd))
+        };
+    }
+}
+
+module.exports = new CalendarService();
@@ -0,0 +1,52 @@
+const { getTiers } = require('../config/cancellationPolicy');
+
+class CancellationService {
+    // Work out the refund a booking is due if it is cancelled now. Refunds are
+    // a share of what the Payment ledger shows was paid and not yet refunded.
+    // Staff can waive the policy to give a full refund.
+    evaluate(booking, { cancelledAt = new Date(), waive = false } = {}) {
+        const sessionStart = booking.sessionStart || booking.preferredDate;
+        const hoursBeforeSession = Math.max((sessionStart - cancelledAt) / (60 * 60 * 1000), 0);
+
+        const collected = Math.max((booking.amountPaid || 0) - (booking.amountRefunded || 0), 0);
+        const tier = getTiers(booking.packageType).find(item => hoursBeforeSession >= item.minHoursBefore);
+
+        let refundPercent = tier ? tier.refundPercent : 0;
+        let reason = tier ? tier.label : 'No refund tier applies';
+        if (waive) {
+            refundPercent = 100;
+            reason = 'Cancellation fee waived by staff';
+        }
+        if (collected <= 0) {
+            refundPercent = 0;
+            reason = 'No payment was collected';
+        }
+
+        return {
+            hoursBeforeSession: Math.round(hoursBeforeSession * 10) / 10,
+            refundPercent,
+            refundAmount: Math.round(collected * refundPercent / 100),
+            reason
+        };
+    }
+
+    // Record the policy outcome on a booking that is being cancelled (not saved)
+    applyToBooking(booking, { cancelledBy, note, waive } = {}) {
+        const cancelledAt = new Date();
+        const outcome = this.evaluate(booking, { cancelledAt, waive });
+
+        booking.cancellation = {
+            cancelledBy,
+            note,
+            hoursBeforeSession: outcome.hoursBeforeSession,
+            refundPercent: outcome.refundPercent,
+            refundAmount: outcome.refundAmount,
+            refundReason: outcome.reason,
+            refundStatus: outcome.refundAmount > 0 ? 'pending' : 'not_applicable',
+            evaluatedAt: cancelledAt
+        };
+        return booking.cancellation;
+    }
+}
+
+module.exports = new CancellationService();
@@ -0,0 +1,136 @@
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const Booking = require('../models/Booking');
+const bookingAccessService = require('./bookingAccessService');
+const waiverService = require('./waiverService');
+
+// Audience claim that keeps check-in codes apart from other signed tokens
+const TOKEN_AUDIENCE = 'booking-checkin';
+
+const MINUTE_MS = 60 * 1000;
+
+class CheckInService {
+    constructor() {
+        // How early before the session a customer can check in
+        this.earlyMinutes = parseInt(process.env.CHECK_IN_EARLY_MINUTES) || 60;
+        // How long after the session starts an absent booking becomes a no-show
+        this.noShowGraceMinutes = parseInt(process.env.NO_SHOW_GRACE_MINUTES) || 30;
+    }
+
+    // Build an error the routes can turn into a 4xx response
+    createError(message, status, details = {}) {
+        const error = new Error(message);
+        error.name = 'CheckInError';
+        error.status = status;
+        error.details = details;
+        return error;
+    }
+
+    // Codes
+
+    // Signed token for a booking's QR code. It stays valid until a day after the
+    // session ends; rescheduling sends a new confirmation with a new code.
+    generateToken(booking) {
+        const sessionEnd = booking.sessionEnd || booking.preferredDate;
+        const expiresAt = Math.max(new Date(sessionEnd).getTime() + 24 * 60 * MINUTE_MS, Date.now() + 60 * MINUTE_MS);
+        return jwt.sign(
+            { booking: booking._id.toString(), ref: booking.bookingId },
+            bookingAccessService.getSecret(),
+            { audience: TOKEN_AUDIENCE, expiresIn: Math.floor((expiresAt - Date.now()) / 1000) }
+        );
+    }
+
+    // PNG of the QR code, for attaching to emails
+    generateQRCode(booking) {
+        return QRCode.toBuffer(this.generateToken(booking), { type: 'png', width: 240, margin: 2 });
+    }
+
+    // Verify a scanned token and return the booking ID it is for.
+    // Throws a 400 CheckInError when the code is invalid or expired.
+    verifyToken(token) {
+        if (!token) {
+            throw this.createError('A check-in code is required', 400);
+        }
+
+        try {
+            const decoded = jwt.verify(token, bookingAccessService.getSecret(), { audience: TOKEN_AUDIENCE });
+            return decoded.booking;
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') {
+                throw this.createError('This check-in code has expired', 400);
+            }
+            if (error.name === 'JsonWebTokenError') {
+                throw this.createError('Invalid check-in code', 400);
+            }
+            throw error;
+        }
+    }
+
+    // Checking in
+
+    // Mark a booking as arrived (not saved). Only pending and confirmed bookings can
+    // check in, and only around their session unless staff force it. Every
+    // participant must have signed the waiver; forcing doesn't skip that.
+    async checkIn(booking, admin, { force = false, now = new Date() } = {}) {
+        if (booking.checkedInAt) {
+            throw this.createError('This booking has already checked in', 409, { checkedInAt: booking.checkedInAt });
+        }
+        if (!['pending', 'confirmed'].includes(booking.status)) {
+            throw this.createError(`A ${booking.status} booking cannot check in`, 409, { status: booking.status });
+        }
+
+        const start = booking.sessionStart || booking.preferredDate;
+        const end = booking.sessionEnd || new Date(new Date(start).getTime() + booking.duration * MINUTE_MS);
+        const opensAt = new Date(new Date(start).getTime() - this.earlyMinutes * MINUTE_MS);
+        if (!force && (now < opensAt || now > end)) {
+            throw this.createError(
+                now < opensAt ? 'Check-in has not opened for this session yet' : 'This session has already ended',
+                400,
+                { sessionStart: start, sessionEnd: end, checkInOpensAt: opensAt }
+            );
+        }
+
+        const waivers = await waiverService.getStatus(booking);
+        if (!waivers.complete) {
+            throw this.createError(`${waivers.remaining} participant(s) still need to sign the waiver`, 409, {
+                waivers: {
+                    required: waivers.required,
+                    signed: waivers.signed,
+                    remaining: waivers.remaining
+                },
+                waiverUrl: waiverService.getSignUrl(booking)
+            });
+        }
+
+        booking.$locals.auditAction = 'check_in';
+        booking.checkedInAt = now;
+        booking.checkedInBy = admin ? admin._id : undefined;
+        // A late arrival clears an earlier no-show
+        booking.noShow = false;
+        booking.noShowAt = undefined;
+        return booking;
+    }
+
+    // No-shows
+
+    // Flag confirmed bookings whose session started more than the grace period ago
+    // without a check-in. Only the last two days are checked so sessions from before
+    // check-in existed aren't flagged. Returns how many were flagged.
+    async markNoShows(now = new Date()) {
+        const result = await Booking.updateMany(
+            {
+                status: 'confirmed',
+                checkedInAt: null,
+                noShow: { $ne: true },
+                sessionStart: {
+                    $gte: new Date(now.getTime() - 48 * 60 * MINUTE_MS),
+                    $lte: new Date(now.getTime() - this.noShowGraceMinutes * MINUTE_MS)
+                }
+            },
+            { $set: { noShow: true, noShowAt: now } }
+        );
+        return result.modifiedCount;
+    }
+}
+
+module.exports = new CheckInService();
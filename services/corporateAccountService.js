@@ -0,0 +1,154 @@
+const CorporateAccount = require('../models/CorporateAccount');
+const CorporateBooking = require('../models/CorporateBooking');
+
+// Personal mail providers; bookings from these are never matched to an account by domain
+const PERSONAL_EMAIL_DOMAINS = [
+    'gmail.com',
+    'googlemail.com',
+    'yahoo.com',
+    'yahoo.co.in',
+    'outlook.com',
+    'hotmail.com',
+    'live.com',
+    'msn.com',
+    'icloud.com',
+    'me.com',
+    'aol.com',
+    'proton.me',
+    'protonmail.com',
+    'rediffmail.com',
+    'zoho.com'
+];
+
+class CorporateAccountService {
+    // Build an error the routes can turn into a 4xx response
+    createError(message, status, details = {}) {
+        const error = new Error(message);
+        error.name = 'CorporateAccountError';
+        error.status = status;
+        error.details = details;
+        return error;
+    }
+
+    // Company domain of an email address, or null for personal mail providers
+    getDomain(email) {
+        const domain = String(email || '').toLowerCase().split('@')[1];
+        if (!domain || PERSONAL_EMAIL_DOMAINS.includes(domain)) return null;
+        return domain;
+    }
+
+    // Matching
+
+    // Link a new booking (not saved) to the active account for its email domain.
+    // Submissions are public and the email is unverified, so the link is only a
+    // suggestion: the contact isn't added and the account's billing details and
+    // rates don't apply until staff confirm it with linkBooking. Returns the
+    // account or null.
+    async matchBooking(booking) {
+        const domain = this.getDomain(booking.email);
+        if (!domain) return null;
+
+        const account = await CorporateAccount.findByDomain(domain);
+        if (!account) return null;
+
+        booking.account = account._id;
+        return account;
+    }
+
+    // Suggest the account for existing unlinked bookings from its domain. Like
+    // matchBooking, these stay unconfirmed until staff confirm them with
+    // linkBooking. Returns how many were linked.
+    async linkByDomain(account) {
+        if (!account.domain) return 0;
+
+        const domainPattern = new RegExp(`@${account.domain.replace(/\./g, '\\.')}$`, 'i');
+        const result = await CorporateBooking.updateMany(
+            { account: null, email: domainPattern },
+            { $set: { account: account._id } }
+        );
+        return result.modifiedCount;
+    }
+
+    // Link one booking to an account, or confirm a link made by domain matching
+    // (saved). Confirmed bookings use the account's billing details and rates,
+    // and their contact person joins the account's contacts.
+    async linkBooking(account, booking) {
+        if (booking.account && !booking.account.equals(account._id)) {
+            throw this.createError('This booking belongs to another account. Unlink it first.', 409, {
+                accountId: booking.account
+            });
+        }
+        if (booking.accountConfirmedAt) {
+            throw this.createError('This booking is already linked to this account', 409);
+        }
+
+        booking.$locals.auditAction = 'account_link';
+        booking.account = account._id;
+        booking.accountConfirmedAt = new Date();
+        if (!booking.gstin && account.gstin) booking.gstin = account.gstin;
+        if (!booking.billingAddress && account.billingAddress) booking.billingAddress = account.billingAddress;
+        await booking.save();
+
+        if (account.addContact({
+            name: booking.contactPerson,
+            email: booking.email,
+            phone: booking.phone,
+            jobTitle: booking.jobTitle
+        })) {
+            await account.save();
+        }
+        return booking;
+    }
+
+    async unlinkBooking(account, booking) {
+        if (!booking.account || !booking.account.equals(account._id)) {
+            throw this.createError('This booking is not linked to this account', 404);
+        }
+
+        booking.$locals.auditAction = 'account_unlink';
+        booking.account = undefined;
+        booking.accountConfirmedAt = undefined;
+        return booking.save();
+    }
+
+    // History
+
+    // Bookings for an account, newest event first, with lifetime figures.
+    // Only confirmed links count; domain matches staff haven't confirmed are
+    // listed separately as suggestions. Lifetime value counts completed events
+    // at their actual (else estimated) cost; open value is confirmed and
+    // pending events still to come.
+    async getHistory(account) {
+        const linked = await CorporateBooking.find({ account: account._id })
+            .sort({ eventStart: -1, createdAt: -1 })
+            .populate('room', 'name theme capacity')
+            .lean();
+        const bookings = linked.filter(booking => booking.accountConfirmedAt);
+        const suggestedBookings = linked.filter(booking => !booking.accountConfirmedAt);
+
+        const cost = booking => (booking.actualCost !== undefined && booking.actualCost !== null
+            ? booking.actualCost
+            : booking.estimatedCost || 0);
+        const byStatus = status => bookings.filter(booking => booking.status === status);
+        const completed = byStatus('completed');
+        const open = bookings.filter(booking => ['pending', 'confirmed'].includes(booking.status));
+
+        return {
+            bookings,
+            suggestedBookings,
+            stats: {
+                totalBookings: bookings.length,
+                completedBookings: completed.length,
+                cancelledBookings: byStatus('cancelled').length,
+                openBookings: open.length,
+                lifetimeValue: completed.reduce((sum, booking) => sum + cost(booking), 0),
+                openValue: open.reduce((sum, booking) => sum + cost(booking), 0),
+                firstEventAt: completed.length > 0 ? completed[completed.length - 1].eventStart : null,
+                lastEventAt: completed.length > 0 ? completed[0].eventStart : null,
+                currency: 'INR'
+            }
+        };
+    }
+}
+
+module.exports = new CorporateAccountService();
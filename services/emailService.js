@@ -1,4 +1,19 @@
 const nodemailer = require('nodemailer');
+const bookingAccessService = require('./bookingAccessService');
+const icalService = require('./icalService');
+const checkInService = require('./checkInService');
+const waiverService = require('./waiverService');
+
+// Content ID the confirmation email uses to show the check-in QR code inline
+const CHECK_IN_QR_CID = 'checkin-qr@smashlabs';
+
+// Subject and heading for each corporate booking status email
+const CORPORATE_STATUS_HEADINGS = {
+    pending: 'Event Request Under Review',
+    confirmed: 'Your Team Event Is Confirmed',
+    cancelled: 'Your Team Event Has Been Cancelled',
+    completed: 'Thanks for Visiting SmashLabs'
+};
 
 class EmailService {
     constructor() {
@@ -36,12 +51,28 @@ class EmailService {
             throw new Error('Email transporter not initialized');
         }
 
+        // Signed link that lets the customer view, reschedule or cancel the booking
+        const manageUrl = bookingAccessService.getManageUrl(booking);
+        // QR code staff scan at the front desk to check the booking in
+        const qrCode = await checkInService.generateQRCode(booking);
+        // Link everyone in the group uses to sign the liability waiver
+        const waiverUrl = waiverService.getSignUrl(booking);
+
         const mailOptions = {
             from: `"SmashLabs Team" <${process.env.EMAIL_USER}>`,
             to: booking.customerEmail,
             subject: `Booking Confirmation - ${booking.bookingId}`,
-            html: this.generateBookingConfirmationHTML(booking),
-            text: this.generateBookingConfirmationText(booking)
+            html: this.generateBookingConfirmationHTML(booking, manageUrl, CHECK_IN_QR_CID, waiverUrl),
+            text: this.generateBookingConfirmationText(booking, manageUrl, waiverUrl),
+            attachments: [
+                {
+                    filename: `check-in-${booking.bookingId}.png`,
+                    content: qrCode,
+                    cid: CHECK_IN_QR_CID
+                }
+            ],
+            // Calendar invite for the session (IST, booking.duration long)
+            icalEvent: icalService.bookingInvite(booking)
         };
 
         try {
@@ -89,7 +120,9 @@ class EmailService {
             to: booking.customerEmail,
             subject: `Booking Update - ${booking.bookingId}`,
             html: this.generateBookingStatusUpdateHTML(booking, oldStatus),
-            text: this.generateBookingStatusUpdateText(booking, oldStatus)
+            text: this.generateBookingStatusUpdateText(booking, oldStatus),
+            // Updates the calendar event, or removes it when the booking is cancelled
+            icalEvent: icalService.bookingInvite(booking)
         };
 
         try {
@@ -198,9 +231,277 @@ class EmailService {
         }
     }
 
+    // Send a waitlist offer with a time-limited claim link
+    async sendWaitlistOffer(entry, claimUrl) {
+        if (!this.transporter) {
+            throw new Error('Email transporter not initialized');
+        }
+
+        const mailOptions = {
+            from: `"SmashLabs Team" <${process.env.EMAIL_USER}>`,
+            to: entry.customerEmail,
+            subject: `A spot just opened up - ${entry.date} at ${entry.startTime}`,
+            html: this.generateWaitlistOfferHTML(entry, claimUrl),
+            text: this.generateWaitlistOfferText(entry, claimUrl)
+        };
+
+        try {
+            const result = await this.transporter.sendMail(mailOptions);
+            console.log('Waitlist offer email sent successfully:', result.messageId);
+            return result;
+        } catch (error) {
+            console.error('Failed to send waitlist offer email:', error);
+            throw error;
+        }
+    }
+
+    // Send a gift voucher to its recipient
+    async sendGiftVoucher(voucher) {
+        if (!this.transporter) {
+            throw new Error('Email transporter not initialized');
+        }
+
+        const mailOptions = {
+            from: `"SmashLabs Team" <${process.env.EMAIL_USER}>`,
+            to: voucher.recipientEmail,
+            subject: voucher.purchaserName
+                ? `${voucher.purchaserName} sent you a SmashLabs gift voucher`
+                : 'You have a SmashLabs gift voucher',
+            html: this.generateGiftVoucherHTML(voucher),
+            text: this.generateGiftVoucherText(voucher)
+        };
+
+        try {
+            const result = await this.transporter.sendMail(mailOptions);
+            console.log('Gift voucher email sent successfully:', result.messageId);
+            return result;
+        } catch (error) {
+            console.error('Failed to send gift voucher email:', error);
+            throw error;
+        }
+    }
+
+    // Send a link to view a loyalty balance (proves the customer owns the email)
+    async sendLoyaltyAccess(account, accessUrl) {
+        if (!this.transporter) {
+            throw new Error('Email transporter not initialized');
+        }
+
+        const mailOptions = {
+            from: `"SmashLabs Team" <${process.env.EMAIL_USER}>`,
+            to: account.email,
+            subject: 'Your SmashLabs loyalty points',
+            html: this.generateLoyaltyAccessHTML(account, accessUrl),
+            text: this.generateLoyaltyAccessText(account, accessUrl)
+        };
+
+        try {
+            const result = await this.transporter.sendMail(mailOptions);
+            console.log('Loyalty access email sent successfully:', result.messageId);
+            return result;
+        } catch (error) {
+            console.error('Failed to send loyalty access email:', error);
+            throw error;
+        }
+    }
+
+    // Remind a customer about an upcoming session
+    async sendSessionReminder(booking) {
+        if (!this.transporter) {
+            throw new Error('Email transporter not initialized');
+        }
+
+        const manageUrl = bookingAccessService.getManageUrl(booking);
+
+        const mailOptions = {
+            from: `"SmashLabs Team" <${process.env.EMAIL_USER}>`,
+            to: booking.customerEmail,
+            subject: `Reminder: your SmashLabs session on ${this.formatSessionTime(booking.sessionStart)}`,
+            html: this.generateSessionReminderHTML(booking, manageUrl),
+            text: this.generateSessionReminderText(booking, manageUrl)
+        };
+
+        try {
+            const result = await this.transporter.sendMail(mailOptions);
+            console.log('Session reminder email sent successfully:', result.messageId);
+            return result;
+        } catch (error) {
+            console.error('Failed to send session reminder email:', error);
+            throw error;
+        }
+    }
+
+    // Remind a corporate contact about an upcoming event
+    async sendCorporateEventReminder(booking) {
+        if (!this.transporter) {
+            throw new Error('Email transporter not initialized');
+        }
+
+        const mailOptions = {
+            from: `"SmashLabs Team" <${process.env.EMAIL_USER}>`,
+            to: booking.email,
+            subject: `Reminder: ${booking.companyName} event on ${this.formatSessionTime(booking.eventStart)}`,
+            html: this.generateCorporateEventReminderHTML(booking),
+            text: this.generateCorporateEventReminderText(booking)
+        };
+
+        try {
+            const result = await this.transporter.sendMail(mailOptions);
+            console.log('Corporate event reminder email sent successfully:', result.messageId);
+            return result;
+        } catch (error) {
+            console.error('Failed to send corporate event reminder email:', error);
+            throw error;
+        }
+    }
+
+    // Send a corporate event quote to the booking's contact person
+    async sendCorporateQuote(booking, quote, responseUrl) {
+        if (!this.transporter) {
+            throw new Error('Email transporter not initialized');
+        }
+
+        const mailOptions = {
+            from: `"SmashLabs Team" <${process.env.EMAIL_USER}>`,
+            to: booking.email,
+            subject: `Your SmashLabs Quote ${quote.quoteNumber} - ${booking.companyName}`,
+            html: this.generateCorporateQuoteHTML(booking, quote, responseUrl),
+            text: this.generateCorporateQuoteText(booking, quote, responseUrl)
+        };
+
+        try {
+            const result = await this.transporter.sendMail(mailOptions);
+            console.log('Corporate quote email sent successfully:', result.messageId);
+            return result;
+        } catch (error) {
+            console.error('Failed to send corporate quote email:', error);
+            throw error;
+        }
+    }
+
+    // Acknowledge a corporate booking request to its contact person
+    async sendCorporateBookingAcknowledgment(booking) {
+        if (!this.transporter) {
+            throw new Error('Email transporter not initialized');
+        }
+
+        const mailOptions = {
+            from: `"SmashLabs Team" <${process.env.EMAIL_USER}>`,
+            to: booking.email,
+            subject: `We've Received Your Event Request - ${booking.bookingReference}`,
+            html: this.generateCorporateBookingAcknowledgmentHTML(booking),
+            text: this.generateCorporateBookingAcknowledgmentText(booking)
+        };
+
+        try {
+            const result = await this.transporter.sendMail(mailOptions);
+            console.log('Corporate booking acknowledgment email sent successfully:', result.messageId);
+            return result;
+        } catch (error) {
+            console.error('Failed to send corporate booking acknowledgment email:', error);
+            throw error;
+        }
+    }
+
+    // Alert the team to a new corporate lead
+    async sendCorporateBookingNotification(booking, account) {
+        if (!this.transporter) {
+            throw new Error('Email transporter not initialized');
+        }
+
+        const mailOptions = {
+            from: `"SmashLabs System" <${process.env.EMAIL_USER}>`,
+            to: process.env.ADMIN_EMAIL || process.env.EMAIL_USER,
+            subject: `New Corporate Lead - ${booking.companyName} (${booking.bookingReference})`,
+            html: this.generateCorporateBookingNotificationHTML(booking, account),
+            text: this.generateCorporateBookingNotificationText(booking, account)
+        };
+
+        try {
+            const result = await this.transporter.sendMail(mailOptions);
+            console.log('Corporate booking notification email sent successfully:', result.messageId);
+            return result;
+        } catch (error) {
+            console.error('Failed to send corporate booking notification email:', error);
+            throw error;
+        }
+    }
+
+    // Tell the contact person their corporate booking's status changed
+    async sendCorporateStatusUpdate(booking, oldStatus) {
+        if (!this.transporter) {
+            throw new Error('Email transporter not initialized');
+        }
+
+        const mailOptions = {
+            from: `"SmashLabs Team" <${process.env.EMAIL_USER}>`,
+            to: booking.email,
+            subject: `${CORPORATE_STATUS_HEADINGS[booking.status] || 'Event Update'} - ${booking.bookingReference}`,
+            html: this.generateCorporateStatusUpdateHTML(booking, oldStatus),
+            text: this.generateCorporateStatusUpdateText(booking, oldStatus)
+        };
+
+        try {
+            const result = await this.transporter.sendMail(mailOptions);
+            console.log('Corporate status update email sent successfully:', result.messageId);
+            return result;
+        } catch (error) {
+            console.error('Failed to send corporate status update email:', error);
+            throw error;
+        }
+    }
+
+    // Tell the contact person their event's estimated or final cost changed
+    async sendCorporateCostUpdate(booking) {
+        if (!this.transporter) {
+            throw new Error('Email transporter not initialized');
+        }
+
+        const mailOptions = {
+            from: `"SmashLabs Team" <${process.env.EMAIL_USER}>`,
+            to: booking.email,
+            subject: `Event Cost Update - ${booking.bookingReference}`,
+            html: this.generateCorporateCostUpdateHTML(booking),
+            text: this.generateCorporateCostUpdateText(booking)
+        };
+
+        try {
+            const result = await this.transporter.sendMail(mailOptions);
+            console.log('Corporate cost update email sent successfully:', result.messageId);
+            return result;
+        } catch (error) {
+            console.error('Failed to send corporate cost update email:', error);
+            throw error;
+        }
+    }
+
+    // Alert the team that a customer accepted or declined a quote
+    async sendCorporateQuoteResponse(booking, quote) {
+        if (!this.transporter) {
+            throw new Error('Email transporter not initialized');
+        }
+
+        const mailOptions = {
+            from: `"SmashLabs System" <${process.env.EMAIL_USER}>`,
+            to: process.env.ADMIN_EMAIL || process.env.EMAIL_USER,
+            subject: `Quote ${quote.status === 'accepted' ? 'Accepted' : 'Declined'} - ${quote.quoteNumber} (${booking.companyName})`,
+            html: this.generateCorporateQuoteResponseHTML(booking, quote),
+            text: this.generateCorporateQuoteResponseText(booking, quote)
+        };
+
+        try {
+            const result = await this.transporter.sendMail(mailOptions);
+            console.log('Corporate quote response email sent successfully:', result.messageId);
+            return result;
+        } catch (error) {
+            console.error('Failed to send corporate quote response email:', error);
+            throw error;
+        }
+    }
+
     // HTML Email Templates
 
-    generateBookingConfirmationHTML(booking) {
+    generateBookingConfirmationHTML(booking, manageUrl, qrCodeCid, waiverUrl) {
         return `
         <!DOCTYPE html>
         <html>
@@ -235,7 +536,11 @@ class EmailService {
                         <p><strong>Time:</strong> ${booking.preferredTime}</p>
                         <p><strong>Duration:</strong> ${booking.duration} minutes</p>
                         <p><strong>Participants:</strong> ${booking.participants}</p>
-                        <p><strong>Total Cost:</strong> ₹${booking.packagePrice}</p>
+                    </div>
+                    
+                    <div class="booking-details">
+                        <h3>💰 Price Breakdown</h3>
+                        ${this.generateLineItemsHTML(booking)}
                     </div>
                     
                     ${booking.specialRequests ? `<p><strong>Special Requests:</strong> ${booking.specialRequests}</p>` : ''}
@@ -244,6 +549,21 @@ class EmailService {
                     <p>📞 <strong>Contact:</strong> ${process.env.COMPANY_PHONE}</p>
                     
                     <p>We'll contact you soon to confirm the final details. Get ready to smash away your stress! 💪</p>
+                    
+                    ${waiverUrl ? `<div class="booking-details">
+                        <h3>✍️ Liability Waiver</h3>
+                        <p>Everyone in your group (${booking.participants} participant${booking.participants === 1 ? '' : 's'}) must sign our liability waiver before we can check you in. Share this link with your group so each person can sign:</p>
+                        <p style="text-align: center;"><a class="button" href="${waiverUrl}">Sign the Waiver</a></p>
+                    </div>` : ''}
+                    
+                    ${qrCodeCid ? `<div class="booking-details" style="text-align: center;">
+                        <h3>🎟️ Check-in Code</h3>
+                        <img src="cid:${qrCodeCid}" alt="Check-in QR code for ${booking.bookingId}" width="200" height="200">
+                        <p style="font-size: 13px; color: #666;">Show this code at the front desk when you arrive and we'll check you in.</p>
+                    </div>` : ''}
+                    
+                    ${manageUrl ? `<p style="text-align: center;"><a class="button" href="${manageUrl}">Manage My Booking</a></p>
+                    <p style="font-size: 13px; color: #666;">Use this link to view, reschedule or cancel your booking. Keep it private - anyone with the link can manage your booking.</p>` : ''}
                 </div>
                 <div class="footer">
                     <p>Thank you for choosing SmashLabs!</p>
@@ -345,7 +665,7 @@ class EmailService {
 
     // Text versions of emails (fallback for HTML)
 
-    generateBookingConfirmationText(booking) {
+    generateBookingConfirmationText(booking, manageUrl, waiverUrl) {
         return `
 SmashLabs - Booking Confirmed!
 
@@ -360,7 +680,9 @@ Booking Details:
 - Time: ${booking.preferredTime}
 - Duration: ${booking.duration} minutes
 - Participants: ${booking.participants}
-- Total Cost: ₹${booking.packagePrice}
+
+Price Breakdown:
+${this.generateLineItemsText(booking)}
 
 ${booking.specialRequests ? `Special Requests: ${booking.specialRequests}` : ''}
 
@@ -369,6 +691,13 @@ Contact: ${process.env.COMPANY_PHONE}
 
 We'll contact you soon to confirm the final details. Get ready to smash away your stress!
 
+${waiverUrl ? `Liability waiver: everyone in your group (${booking.participants} participant${booking.participants === 1 ? '' : 's'}) must sign before check-in. Share this link so each person can sign: ${waiverUrl}
+
+` : ''}Check-in: show the QR code attached to this email (check-in-${booking.bookingId}.png) at the front desk when you arrive.
+
+${manageUrl ? `Manage your booking (view, reschedule or cancel): ${manageUrl}
+Keep this link private - anyone with it can manage your booking.` : ''}
+
 Thank you for choosing SmashLabs!
         `;
     }
@@ -412,21 +741,733 @@ SmashLabs Team
         `;
     }
 
-    // Additional template generators for other email types...
-    generateBookingNotificationHTML(booking) {
-        return `<h2>New Booking Alert</h2><p>Booking ID: ${booking.bookingId}</p><p>Customer: ${booking.customerName}</p><p>Package: ${booking.packageName}</p><p>Date: ${booking.formattedDate}</p>`;
+    generateWaitlistOfferHTML(entry, claimUrl) {
+        const expiresAt = entry.offerExpiresAt.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+        return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="utf-8">
+            <title>A Spot Opened Up</title>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background: #ff4444; color: white; padding: 20px; text-align: center; }
+                .content { padding: 20px; background: #f9f9f9; }
+                .booking-details { background: white; padding: 15px; margin: 10px 0; border-radius: 5px; }
+                .footer { text-align: center; padding: 20px; font-size: 14px; color: #666; }
+                .button { display: inline-block; padding: 10px 20px; background: #ff4444; color: white; text-decoration: none; border-radius: 5px; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>🎯 SmashLabs</h1>
+                    <h2>Your Spot Is Ready!</h2>
+                </div>
+                <div class="content">
+                    <p>Hi ${entry.customerName},</p>
+                    <p>Good news! A place opened up for the session you were waiting for, and we're holding it for you.</p>
+                    
+                    <div class="booking-details">
+                        <h3>📋 Session Details</h3>
+                        <p><strong>Date:</strong> ${entry.date}</p>
+                        <p><strong>Start Time:</strong> ${entry.startTime}</p>
+                        <p><strong>Package:</strong> ${entry.packageType}</p>
+                        <p><strong>Participants:</strong> ${entry.participants}</p>
+                    </div>
+                    
+                    <p style="text-align: center;"><a class="button" href="${claimUrl}">Claim My Spot</a></p>
+                    <p><strong>This offer expires at ${expiresAt}.</strong> After that the spot goes to the next person on the waitlist.</p>
+                </div>
+                <div class="footer">
+                    <p>Thank you for choosing SmashLabs!</p>
+                    <p>Need help? Contact us at ${process.env.COMPANY_EMAIL}</p>
+                </div>
+            </div>
+        </body>
+        </html>
+        `;
     }
 
-    generateBookingNotificationText(booking) {
-        return `New Booking Alert\nBooking ID: ${booking.bookingId}\nCustomer: ${booking.customerName}\nPackage: ${booking.packageName}`;
-    }
+    generateWaitlistOfferText(entry, claimUrl) {
+        const expiresAt = entry.offerExpiresAt.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+        return `
+SmashLabs - Your Spot Is Ready!
 
-    generateBookingStatusUpdateHTML(booking, oldStatus) {
-        return `<h2>Booking Status Update</h2><p>Your booking ${booking.bookingId} status has been changed from ${oldStatus} to ${booking.status}</p>`;
+Hi ${entry.customerName},
+
+A place opened up for the session you were waiting for, and we're holding it for you.
+
+Session Details:
+- Date: ${entry.date}
+- Start Time: ${entry.startTime}
+- Package: ${entry.packageType}
+- Participants: ${entry.participants}
+
+Claim your spot: ${claimUrl}
+
+This offer expires at ${expiresAt}. After that the spot goes to the next person on the waitlist.
+
+Thank you for choosing SmashLabs!
+        `;
     }
 
-    generateBookingStatusUpdateText(booking, oldStatus) {
-        return `Booking Status Update\nYour booking ${booking.bookingId} status has been changed from ${oldStatus} to ${booking.status}`;
+    generateGiftVoucherHTML(voucher) {
+        const expiresAt = voucher.expiresAt.toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', year: 'numeric', month: 'long', day: 'numeric' });
+        const bookUrl = `${(process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '')}/book?voucher=${encodeURIComponent(voucher.code)}`;
+        return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="utf-8">
+            <title>Your Gift Voucher</title>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background: #ff4444; color: white; padding: 20px; text-align: center; }
+                .content { padding: 20px; background: #f9f9f9; }
+                .booking-details { background: white; padding: 15px; margin: 10px 0; border-radius: 5px; text-align: center; }
+                .code { font-size: 24px; font-weight: bold; letter-spacing: 2px; }
+                .footer { text-align: center; padding: 20px; font-size: 14px; color: #666; }
+                .button { display: inline-block; padding: 10px 20px; background: #ff4444; color: white; text-decoration: none; border-radius: 5px; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>🎯 SmashLabs</h1>
+                    <h2>You've Got a Gift! 🎁</h2>
+                </div>
+                <div class="content">
+                    <p>Hi ${voucher.recipientName},</p>
+                    <p>${voucher.purchaserName ? `${voucher.purchaserName} has sent you` : "You've received"} a SmashLabs gift voucher${voucher.packageName ? ` for a <strong>${voucher.packageName}</strong> session` : ''}.</p>
+                    
+                    ${voucher.message ? `<p><em>"${voucher.message}"</em></p>` : ''}
+                    
+                    <div class="booking-details">
+                        <p>Your voucher code</p>
+                        <p class="code">${voucher.code}</p>
+                        <p><strong>Value:</strong> ₹${voucher.balance}</p>
+                        <p><strong>Valid until:</strong> ${expiresAt}</p>
+                    </div>
+                    
+                    <p style="text-align: center;"><a class="button" href="${bookUrl}">Book My Session</a></p>
+                    <p style="font-size: 13px; color: #666;">Enter the code at checkout. Any balance you don't use stays on the voucher for your next visit.</p>
+                </div>
+                <div class="footer">
+                    <p>Thank you for choosing SmashLabs!</p>
+                    <p>Need help? Contact us at ${process.env.COMPANY_EMAIL}</p>
+                </div>
+            </div>
+        </body>
+        </html>
+        `;
+    }
+
+    generateGiftVoucherText(voucher) {
+        const expiresAt = voucher.expiresAt.toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', year: 'numeric', month: 'long', day: 'numeric' });
+        const bookUrl = `${(process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '')}/book?voucher=${encodeURIComponent(voucher.code)}`;
+        return `
+SmashLabs - You've Got a Gift!
+
+Hi ${voucher.recipientName},
+
+${voucher.purchaserName ? `${voucher.purchaserName} has sent you` : "You've received"} a SmashLabs gift voucher${voucher.packageName ? ` for a ${voucher.packageName} session` : ''}.
+${voucher.message ? `\n"${voucher.message}"\n` : ''}
+Voucher code: ${voucher.code}
+Value: ₹${voucher.balance}
+Valid until: ${expiresAt}
+
+Book your session: ${bookUrl}
+Enter the code at checkout. Any balance you don't use stays on the voucher for your next visit.
+
+Thank you for choosing SmashLabs!
+        `;
+    }
+
+    generateLoyaltyAccessHTML(account, accessUrl) {
+        return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="utf-8">
+            <title>Your Loyalty Points</title>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background: #ff4444; color: white; padding: 20px; text-align: center; }
+                .content { padding: 20px; background: #f9f9f9; }
+                .footer { text-align: center; padding: 20px; font-size: 14px; color: #666; }
+                .button { display: inline-block; padding: 10px 20px; background: #ff4444; color: white; text-decoration: none; border-radius: 5px; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>🎯 SmashLabs</h1>
+                    <h2>Your Loyalty Points</h2>
+                </div>
+                <div class="content">
+                    <p>Hi${account.name ? ` ${account.name}` : ''},</p>
+                    <p>Use the button below to see your points balance and tier, or to spend your points on your next booking.</p>
+                    <p style="text-align: center;"><a class="button" href="${accessUrl}">View My Points</a></p>
+                    <p style="font-size: 13px; color: #666;">This link expires soon. If you didn't ask for it, you can ignore this email.</p>
+                </div>
+                <div class="footer">
+                    <p>Thank you for choosing SmashLabs!</p>
+                    <p>Need help? Contact us at ${process.env.COMPANY_EMAIL}</p>
+                </div>
+            </div>
+        </body>
+        </html>
+        `;
+    }
+
+    generateLoyaltyAccessText(account, accessUrl) {
+        return `
+SmashLabs - Your Loyalty Points
+
+Hi${account.name ? ` ${account.name}` : ''},
+
+Use this link to see your points balance and tier, or to spend your points on your next booking:
+${accessUrl}
+
+This link expires soon. If you didn't ask for it, you can ignore this email.
+
+Thank you for choosing SmashLabs!
+        `;
+    }
+
+    generateSessionReminderHTML(booking, manageUrl) {
+        return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="utf-8">
+            <title>Session Reminder</title>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background: #ff4444; color: white; padding: 20px; text-align: center; }
+                .content { padding: 20px; background: #f9f9f9; }
+                .booking-details { background: white; padding: 15px; margin: 10px 0; border-radius: 5px; }
+                .footer { text-align: center; padding: 20px; font-size: 14px; color: #666; }
+                .button { display: inline-block; padding: 10px 20px; background: #ff4444; color: white; text-decoration: none; border-radius: 5px; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>🎯 SmashLabs</h1>
+                    <h2>See You Soon!</h2>
+                </div>
+                <div class="content">
+                    <p>Hi ${booking.customerName},</p>
+                    <p>This is a reminder that your SmashLabs session is coming up.</p>
+                    
+                    <div class="booking-details">
+                        <h3>📋 Session Details</h3>
+                        <p><strong>Booking ID:</strong> ${booking.bookingId}</p>
+                        <p><strong>Package:</strong> ${booking.packageName}</p>
+                        <p><strong>When:</strong> ${this.formatSessionTime(booking.sessionStart)}</p>
+                        <p><strong>Duration:</strong> ${booking.duration} minutes</p>
+                        <p><strong>Participants:</strong> ${booking.participants}</p>
+                    </div>
+                    
+                    <p>📍 <strong>Location:</strong> ${process.env.COMPANY_ADDRESS}</p>
+                    <p>Please arrive 15 minutes early and wear closed-toe shoes.</p>
+                    
+                    ${manageUrl ? `<p style="text-align: center;"><a class="button" href="${manageUrl}">Manage My Booking</a></p>
+                    <p style="font-size: 13px; color: #666;">Can't make it? Use the link above to reschedule or cancel so someone else can take your place.</p>` : ''}
+                </div>
+                <div class="footer">
+                    <p>Thank you for choosing SmashLabs!</p>
+                    <p>Need help? Contact us at ${process.env.COMPANY_EMAIL}</p>
+                </div>
+            </div>
+        </body>
+        </html>
+        `;
+    }
+
+    generateSessionReminderText(booking, manageUrl) {
+        return `
+SmashLabs - See You Soon!
+
+Hi ${booking.customerName},
+
+This is a reminder that your SmashLabs session is coming up.
+
+Session Details:
+- Booking ID: ${booking.bookingId}
+- Package: ${booking.packageName}
+- When: ${this.formatSessionTime(booking.sessionStart)}
+- Duration: ${booking.duration} minutes
+- Participants: ${booking.participants}
+
+Location: ${process.env.COMPANY_ADDRESS}
+Please arrive 15 minutes early and wear closed-toe shoes.
+${manageUrl ? `\nCan't make it? Reschedule or cancel here so someone else can take your place: ${manageUrl}\n` : ''}
+Thank you for choosing SmashLabs!
+        `;
+    }
+
+    generateCorporateEventReminderHTML(booking) {
+        return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="utf-8">
+            <title>Event Reminder</title>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background: #ff4444; color: white; padding: 20px; text-align: center; }
+                .content { padding: 20px; background: #f9f9f9; }
+                .booking-details { background: white; padding: 15px; margin: 10px 0; border-radius: 5px; }
+                .footer { text-align: center; padding: 20px; font-size: 14px; color: #666; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>🎯 SmashLabs</h1>
+                    <h2>Your Team Event Is Coming Up</h2>
+                </div>
+                <div class="content">
+                    <p>Hi ${booking.contactPerson},</p>
+                    <p>This is a reminder about ${booking.companyName}'s upcoming event at SmashLabs.</p>
+                    
+                    <div class="booking-details">
+                        <h3>📋 Event Details</h3>
+                        <p><strong>Reference:</strong> ${booking.bookingReference}</p>
+                        <p><strong>Event:</strong> ${booking.eventType}</p>
+                        <p><strong>When:</strong> ${this.formatSessionTime(booking.eventStart)}</p>
+                        <p><strong>Duration:</strong> ${booking.duration}</p>
+                        <p><strong>Team Size:</strong> ${booking.teamSize}</p>
+                    </div>
+                    
+                    <p>📍 <strong>Location:</strong> ${process.env.COMPANY_ADDRESS}</p>
+                    <p>Please ask your team to arrive 15 minutes early and wear closed-toe shoes. If your plans have changed, reply to this email or call us at ${process.env.COMPANY_PHONE}.</p>
+                </div>
+                <div class="footer">
+                    <p>Thank you for choosing SmashLabs!</p>
+                    <p>Need help? Contact us at ${process.env.COMPANY_EMAIL}</p>
+                </div>
+            </div>
+        </body>
+        </html>
+        `;
+    }
+
+    generateCorporateEventReminderText(booking) {
+        return `
+SmashLabs - Your Team Event Is Coming Up
+
+Hi ${booking.contactPerson},
+
+This is a reminder about ${booking.companyName}'s upcoming event at SmashLabs.
+
+Event Details:
+- Reference: ${booking.bookingReference}
+- Event: ${booking.eventType}
+- When: ${this.formatSessionTime(booking.eventStart)}
+- Duration: ${booking.duration}
+- Team Size: ${booking.teamSize}
+
+Location: ${process.env.COMPANY_ADDRESS}
+Please ask your team to arrive 15 minutes early and wear closed-toe shoes. If your plans have changed, reply to this email or call us at ${process.env.COMPANY_PHONE}.
+
+Thank you for choosing SmashLabs!
+        `;
+    }
+
+    generateCorporateQuoteHTML(booking, quote, responseUrl) {
+        const rows = quote.items.map(line =>
+            `<tr><td>${line.item}</td><td style="text-align: right;">${this.formatAmount(line.price)}</td></tr>`
+        ).join('');
+
+        return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="utf-8">
+            <title>Your Event Quote</title>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background: #ff4444; color: white; padding: 20px; text-align: center; }
+                .content { padding: 20px; background: #f9f9f9; }
+                .booking-details { background: white; padding: 15px; margin: 10px 0; border-radius: 5px; }
+                .button { display: inline-block; padding: 10px 20px; background: #ff4444; color: white; text-decoration: none; border-radius: 5px; }
+                .footer { text-align: center; padding: 20px; font-size: 14px; color: #666; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>🎯 SmashLabs</h1>
+                    <h2>Your Team Event Quote</h2>
+                </div>
+                <div class="content">
+                    <p>Hi ${booking.contactPerson},</p>
+                    <p>Thanks for considering SmashLabs for ${booking.companyName}'s ${booking.eventType.toLowerCase()}. Here is your quote.</p>
+                    
+                    <div class="booking-details">
+                        <h3>📋 Event Details</h3>
+                        <p><strong>Reference:</strong> ${booking.bookingReference}</p>
+                        <p><strong>Quote:</strong> ${quote.quoteNumber}</p>
+                        <p><strong>When:</strong> ${this.formatSessionTime(booking.eventStart)}</p>
+                        <p><strong>Duration:</strong> ${quote.duration}</p>
+                        <p><strong>Guests:</strong> ${quote.headcount}</p>
+                    </div>
+                    
+                    <div class="booking-details">
+                        <h3>💰 Quote</h3>
+                        <table style="width: 100%; border-collapse: collapse;">${rows}<tr><td><strong>Total</strong></td><td style="text-align: right;"><strong>₹${quote.total}</strong></td></tr></table>
+                    </div>
+                    
+                    ${quote.notes ? `<p><strong>Notes:</strong> ${quote.notes}</p>` : ''}
+                    
+                    <p>This quote is valid until ${this.formatSessionTime(quote.validUntil)}. Accepting it confirms your event at the quoted price.</p>
+                    <p style="text-align: center;"><a class="button" href="${responseUrl}">Review and Respond</a></p>
+                    <p>Questions or changes? Reply to this email or call us at ${process.env.COMPANY_PHONE}.</p>
+                </div>
+                <div class="footer">
+                    <p>Thank you for choosing SmashLabs!</p>
+                    <p>Need help? Contact us at ${process.env.COMPANY_EMAIL}</p>
+                </div>
+            </div>
+        </body>
+        </html>
+        `;
+    }
+
+    generateCorporateQuoteText(booking, quote, responseUrl) {
+        const lines = quote.items.map(line => `- ${line.item}: ${this.formatAmount(line.price)}`).join('\n');
+
+        return `
+SmashLabs - Your Team Event Quote
+
+Hi ${booking.contactPerson},
+
+Thanks for considering SmashLabs for ${booking.companyName}'s ${booking.eventType.toLowerCase()}. Here is your quote.
+
+Event Details:
+- Reference: ${booking.bookingReference}
+- Quote: ${quote.quoteNumber}
+- When: ${this.formatSessionTime(booking.eventStart)}
+- Duration: ${quote.duration}
+- Guests: ${quote.headcount}
+
+Quote:
+${lines}
+Total: ₹${quote.total}
+${quote.notes ? `\nNotes: ${quote.notes}\n` : ''}
+This quote is valid until ${this.formatSessionTime(quote.validUntil)}. Accepting it confirms your event at the quoted price.
+Review and respond: ${responseUrl}
+
+Questions or changes? Reply to this email or call us at ${process.env.COMPANY_PHONE}.
+
+Thank you for choosing SmashLabs!
+        `;
+    }
+
+    generateCorporateBookingAcknowledgmentHTML(booking) {
+        return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="utf-8">
+            <title>Event Request Received</title>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background: #ff4444; color: white; padding: 20px; text-align: center; }
+                .content { padding: 20px; background: #f9f9f9; }
+                .booking-details { background: white; padding: 15px; margin: 10px 0; border-radius: 5px; }
+                .footer { text-align: center; padding: 20px; font-size: 14px; color: #666; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>🎯 SmashLabs</h1>
+                    <h2>We've Received Your Event Request</h2>
+                </div>
+                <div class="content">
+                    <p>Hi ${booking.contactPerson},</p>
+                    <p>Thanks for choosing SmashLabs for ${booking.companyName}'s ${booking.eventType.toLowerCase()}. Our corporate team will review your request and get back to you with a quote shortly.</p>
+                    
+                    <div class="booking-details">
+                        <h3>📋 Request Details</h3>
+                        <p><strong>Reference:</strong> ${booking.bookingReference}</p>
+                        <p><strong>Event:</strong> ${booking.eventType}</p>
+                        <p><strong>When:</strong> ${this.formatSessionTime(booking.eventStart)}</p>
+                        <p><strong>Duration:</strong> ${booking.duration}</p>
+                        <p><strong>Team Size:</strong> ${booking.teamSize}</p>
+                        ${booking.specialRequests ? `<p><strong>Special Requests:</strong> ${booking.specialRequests}</p>` : ''}
+                    </div>
+                    
+                    <p>Please quote your reference <strong>${booking.bookingReference}</strong> if you get in touch. Need to change something? Reply to this email or call us at ${process.env.COMPANY_PHONE}.</p>
+                </div>
+                <div class="footer">
+                    <p>Thank you for choosing SmashLabs!</p>
+                    <p>Need help? Contact us at ${process.env.COMPANY_EMAIL}</p>
+                </div>
+            </div>
+        </body>
+        </html>
+        `;
+    }
+
+    generateCorporateBookingAcknowledgmentText(booking) {
+        return `
+SmashLabs - We've Received Your Event Request
+
+Hi ${booking.contactPerson},
+
+Thanks for choosing SmashLabs for ${booking.companyName}'s ${booking.eventType.toLowerCase()}. Our corporate team will review your request and get back to you with a quote shortly.
+
+Request Details:
+- Reference: ${booking.bookingReference}
+- Event: ${booking.eventType}
+- When: ${this.formatSessionTime(booking.eventStart)}
+- Duration: ${booking.duration}
+- Team Size: ${booking.teamSize}
+${booking.specialRequests ? `- Special Requests: ${booking.specialRequests}\n` : ''}
+Please quote your reference ${booking.bookingReference} if you get in touch. Need to change something? Reply to this email or call us at ${process.env.COMPANY_PHONE}.
+
+Thank you for choosing SmashLabs!
+        `;
+    }
+
+    generateCorporateStatusUpdateHTML(booking, oldStatus) {
+        return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="utf-8">
+            <title>Event Update</title>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background: #ff4444; color: white; padding: 20px; text-align: center; }
+                .content { padding: 20px; background: #f9f9f9; }
+                .booking-details { background: white; padding: 15px; margin: 10px 0; border-radius: 5px; }
+                .footer { text-align: center; padding: 20px; font-size: 14px; color: #666; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>🎯 SmashLabs</h1>
+                    <h2>${CORPORATE_STATUS_HEADINGS[booking.status] || 'Event Update'}</h2>
+                </div>
+                <div class="content">
+                    <p>Hi ${booking.contactPerson},</p>
+                    <p>${this.generateCorporateStatusMessage(booking, oldStatus)}</p>
+                    
+                    <div class="booking-details">
+                        <h3>📋 Event Details</h3>
+                        <p><strong>Reference:</strong> ${booking.bookingReference}</p>
+                        <p><strong>Event:</strong> ${booking.eventType}</p>
+                        <p><strong>When:</strong> ${this.formatSessionTime(booking.eventStart)}</p>
+                        <p><strong>Duration:</strong> ${booking.duration}</p>
+                        <p><strong>Team Size:</strong> ${booking.teamSize}</p>
+                        ${booking.estimatedCost > 0 && booking.status !== 'cancelled' ? `<p><strong>Estimated Cost:</strong> ₹${booking.estimatedCost}</p>` : ''}
+                    </div>
+                    
+                    ${booking.status === 'confirmed' ? `<p>📍 <strong>Location:</strong> ${process.env.COMPANY_ADDRESS}</p>` : ''}
+                    <p>Questions? Reply to this email or call us at ${process.env.COMPANY_PHONE}.</p>
+                </div>
+                <div class="footer">
+                    <p>Thank you for choosing SmashLabs!</p>
+                    <p>Need help? Contact us at ${process.env.COMPANY_EMAIL}</p>
+                </div>
+            </div>
+        </body>
+        </html>
+        `;
+    }
+
+    generateCorporateStatusUpdateText(booking, oldStatus) {
+        return `
+SmashLabs - ${CORPORATE_STATUS_HEADINGS[booking.status] || 'Event Update'}
+
+Hi ${booking.contactPerson},
+
+${this.generateCorporateStatusMessage(booking, oldStatus)}
+
+Event Details:
+- Reference: ${booking.bookingReference}
+- Event: ${booking.eventType}
+- When: ${this.formatSessionTime(booking.eventStart)}
+- Duration: ${booking.duration}
+- Team Size: ${booking.teamSize}
+${booking.estimatedCost > 0 && booking.status !== 'cancelled' ? `- Estimated Cost: ₹${booking.estimatedCost}\n` : ''}${booking.status === 'confirmed' ? `\nLocation: ${process.env.COMPANY_ADDRESS}\n` : ''}
+Questions? Reply to this email or call us at ${process.env.COMPANY_PHONE}.
+
+Thank you for choosing SmashLabs!
+        `;
+    }
+
+    generateCorporateCostUpdateHTML(booking) {
+        return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="utf-8">
+            <title>Event Cost Update</title>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background: #ff4444; color: white; padding: 20px; text-align: center; }
+                .content { padding: 20px; background: #f9f9f9; }
+                .booking-details { background: white; padding: 15px; margin: 10px 0; border-radius: 5px; }
+                .footer { text-align: center; padding: 20px; font-size: 14px; color: #666; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>🎯 SmashLabs</h1>
+                    <h2>Event Cost Update</h2>
+                </div>
+                <div class="content">
+                    <p>Hi ${booking.contactPerson},</p>
+                    <p>We've updated the cost of ${booking.companyName}'s ${booking.eventType.toLowerCase()} on ${this.formatSessionTime(booking.eventStart)}.</p>
+                    
+                    <div class="booking-details">
+                        <h3>💰 Cost</h3>
+                        <p><strong>Reference:</strong> ${booking.bookingReference}</p>
+                        <p><strong>Estimated Cost:</strong> ₹${booking.estimatedCost}</p>
+                        ${booking.actualCost !== undefined && booking.actualCost !== null ? `<p><strong>Final Cost:</strong> ₹${booking.actualCost}</p>` : ''}
+                    </div>
+                    
+                    <p>Questions about the change? Reply to this email or call us at ${process.env.COMPANY_PHONE}.</p>
+                </div>
+                <div class="footer">
+                    <p>Thank you for choosing SmashLabs!</p>
+                    <p>Need help? Contact us at ${process.env.COMPANY_EMAIL}</p>
+                </div>
+            </div>
+        </body>
+        </html>
+        `;
+    }
+
+    generateCorporateCostUpdateText(booking) {
+        return `
+SmashLabs - Event Cost Update
+
+Hi ${booking.contactPerson},
+
+We've updated the cost of ${booking.companyName}'s ${booking.eventType.toLowerCase()} on ${this.formatSessionTime(booking.eventStart)}.
+
+Cost:
+- Reference: ${booking.bookingReference}
+- Estimated Cost: ₹${booking.estimatedCost}
+${booking.actualCost !== undefined && booking.actualCost !== null ? `- Final Cost: ₹${booking.actualCost}\n` : ''}
+Questions about the change? Reply to this email or call us at ${process.env.COMPANY_PHONE}.
+
+Thank you for choosing SmashLabs!
+        `;
+    }
+
+    // What a corporate status change means for the customer
+    generateCorporateStatusMessage(booking, oldStatus) {
+        switch (booking.status) {
+            case 'confirmed':
+                return `Great news: ${booking.companyName}'s ${booking.eventType.toLowerCase()} is confirmed. We look forward to hosting your team.`;
+            case 'cancelled':
+                return `${booking.companyName}'s ${booking.eventType.toLowerCase()} has been cancelled. If this is unexpected or you'd like to pick a new date, please get in touch.`;
+            case 'completed':
+                return `Thanks for bringing your team to SmashLabs! We hope everyone had a smashing time, and we'd love to host you again.`;
+            default:
+                return `The status of ${booking.companyName}'s ${booking.eventType.toLowerCase()} has changed from ${oldStatus} to ${booking.status}. Our corporate team will be in touch.`;
+        }
+    }
+
+    // Additional template generators for other email types...
+    generateBookingNotificationHTML(booking) {
+        return `<h2>New Booking Alert</h2><p>Booking ID: ${booking.bookingId}</p><p>Customer: ${booking.customerName}</p><p>Package: ${booking.packageName}</p><p>Date: ${booking.formattedDate}</p>${this.generateLineItemsHTML(booking)}`;
+    }
+
+    generateBookingNotificationText(booking) {
+        return `New Booking Alert\nBooking ID: ${booking.bookingId}\nCustomer: ${booking.customerName}\nPackage: ${booking.packageName}\n${this.generateLineItemsText(booking)}`;
+    }
+
+    generateBookingStatusUpdateHTML(booking, oldStatus) {
+        return `<h2>Booking Status Update</h2><p>Your booking ${booking.bookingId} status has been changed from ${oldStatus} to ${booking.status}</p>${this.generateRefundSummary(booking) ? `<p>${this.generateRefundSummary(booking)}</p>` : ''}${this.generateLoyaltySummary(booking) ? `<p>${this.generateLoyaltySummary(booking)}</p>` : ''}`;
+    }
+
+    generateBookingStatusUpdateText(booking, oldStatus) {
+        return `Booking Status Update\nYour booking ${booking.bookingId} status has been changed from ${oldStatus} to ${booking.status}${this.generateRefundSummary(booking) ? `\n${this.generateRefundSummary(booking)}` : ''}${this.generateLoyaltySummary(booking) ? `\n${this.generateLoyaltySummary(booking)}` : ''}`;
+    }
+
+    generateCorporateBookingNotificationHTML(booking, account) {
+        return `<h2>New Corporate Lead</h2><p>Reference: ${booking.bookingReference}</p><p>Company: ${booking.companyName}${account ? ` (matches account: ${account.legalName}, unconfirmed)` : ''}</p><p>Contact: ${booking.contactPerson}, ${booking.jobTitle} (${booking.email}, ${booking.phone})</p><p>Event: ${booking.eventType}, ${booking.teamSize}, ${booking.duration}</p><p>When: ${this.formatSessionTime(booking.eventStart)} (${booking.preferredTime})</p>${booking.specialRequests ? `<p>Special requests: ${booking.specialRequests}</p>` : ''}`;
+    }
+
+    generateCorporateBookingNotificationText(booking, account) {
+        return `New Corporate Lead\nReference: ${booking.bookingReference}\nCompany: ${booking.companyName}${account ? ` (matches account: ${account.legalName}, unconfirmed)` : ''}\nContact: ${booking.contactPerson}, ${booking.jobTitle} (${booking.email}, ${booking.phone})\nEvent: ${booking.eventType}, ${booking.teamSize}, ${booking.duration}\nWhen: ${this.formatSessionTime(booking.eventStart)} (${booking.preferredTime})${booking.specialRequests ? `\nSpecial requests: ${booking.specialRequests}` : ''}`;
+    }
+
+    generateCorporateQuoteResponseHTML(booking, quote) {
+        return `<h2>Quote ${quote.status === 'accepted' ? 'Accepted' : 'Declined'}</h2><p>Quote: ${quote.quoteNumber} (₹${quote.total})</p><p>Company: ${booking.companyName} (${booking.bookingReference})</p><p>Contact: ${booking.contactPerson} (${booking.email}, ${booking.phone})</p>${quote.declineReason ? `<p>Reason: ${quote.declineReason}</p>` : ''}`;
+    }
+
+    generateCorporateQuoteResponseText(booking, quote) {
+        return `Quote ${quote.status === 'accepted' ? 'Accepted' : 'Declined'}\nQuote: ${quote.quoteNumber} (₹${quote.total})\nCompany: ${booking.companyName} (${booking.bookingReference})\nContact: ${booking.contactPerson} (${booking.email}, ${booking.phone})${quote.declineReason ? `\nReason: ${quote.declineReason}` : ''}`;
+    }
+
+    // Refund line for cancelled bookings
+    generateRefundSummary(booking) {
+        const cancellation = booking.cancellation;
+        if (booking.status !== 'cancelled' || !cancellation || cancellation.refundPercent === undefined) return '';
+        return cancellation.refundAmount > 0
+            ? `Refund: ₹${cancellation.refundAmount} (${cancellation.refundPercent}% - ${cancellation.refundReason})`
+            : `No refund is due (${cancellation.refundReason}).`;
+    }
+
+    // Points line for completed bookings
+    generateLoyaltySummary(booking) {
+        if (booking.status !== 'completed' || !booking.loyaltyPointsEarned) return '';
+        return `You earned ${booking.loyaltyPointsEarned} loyalty points for this visit.`;
+    }
+
+    // Session start in the venue's timezone, e.g. "Friday, 23 October 2026 at 6:30 pm"
+    formatSessionTime(date) {
+        if (!date) return 'Time not set';
+        return new Date(date).toLocaleString('en-IN', {
+            timeZone: 'Asia/Kolkata',
+            weekday: 'long',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    }
+
+    // Discount lines are negative
+    formatAmount(amount) {
+        return amount < 0 ? `-₹${Math.abs(amount)}` : `₹${amount}`;
+    }
+
+    // Itemised price (package, extras, add-ons, discount and tax) for booking emails
+    generateLineItemsHTML(booking) {
+        const rows = booking.getLineItems().map(line =>
+            `<tr><td>${line.item}</td><td style="text-align: right;">${this.formatAmount(line.price)}</td></tr>`
+        ).join('');
+        return `<table style="width: 100%; border-collapse: collapse;">${rows}<tr><td><strong>Total</strong></td><td style="text-align: right;"><strong>₹${booking.packagePrice}</strong></td></tr></table>`;
+    }
+
+    generateLineItemsText(booking) {
+        const lines = booking.getLineItems().map(line => `- ${line.item}: ${this.formatAmount(line.price)}`);
+        return [...lines, `Total: ₹${booking.packagePrice}`].join('\n');
     }
 
     generateContactNotificationHTML(contact) {
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const GiftVoucher = require('../models/GiftVoucher');
+const Payment = require('../models/Payment');
+const { getProvider } = require('./paymentProviders');
+const pricingService = require('./pricingService');
+const emailService = require('./emailService');
+
+// Ledger provider name for booking amounts paid with a gift voucher
+const VOUCHER_PROVIDER = 'gift_voucher';
+
+// Letters and digits that can't be confused with each other when read aloud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+class GiftVoucherService {
+    constructor() {
+        this.providerName = VOUCHER_PROVIDER;
+        // How long a voucher can be used after it is issued
+        this.validMonths = parseInt(process.env.GIFT_VOUCHER_VALID_MONTHS) || 12;
+    }
+
+    // Build an error the routes can turn into a 4xx response
+    createError(message, status, details = {}) {
+        const error = new Error(message);
+        error.name = 'VoucherError';
+        error.status = status;
+        error.details = details;
+        return error;
+    }
+
+    normalizeCode(code) {
+        return String(code || '').trim().toUpperCase();
+    }
+
+    // Codes look like GV-XXXX-XXXX-XXXX
+    generateCode() {
+        const bytes = crypto.randomBytes(12);
+        const characters = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+        return `GV-${characters.slice(0, 4)}-${characters.slice(4, 8)}-${characters.slice(8, 12)}`;
+    }
+
+    getDefaultExpiry(from = new Date()) {
+        const expiresAt = new Date(from);
+        expiresAt.setMonth(expiresAt.getMonth() + this.validMonths);
+        return expiresAt;
+    }
+
+    // Voucher value for a package session (one participant, tax included) or a custom amount
+    resolveValue({ packageType, amount }) {
+        if (packageType) {
+            const quote = pricingService.calculate({ packageType });
+            return { value: quote.total, packageType: quote.package.type, packageName: quote.package.name };
+        }
+        const value = Math.round(Number(amount));
+        if (!value || value < 1) {
+            throw this.createError('A voucher needs a package or an amount', 400);
+        }
+        return { value };
+    }
+
+    // Issuing
+
+    // Start a customer purchase: the voucher stays pending until the provider confirms payment
+    async purchase({ packageType, amount, purchaserName, purchaserEmail, recipientName, recipientEmail, message }) {
+        const voucher = new GiftVoucher({
+            ...this.resolveValue({ packageType, amount }),
+            code: this.generateCode(),
+            purchaserName,
+            purchaserEmail,
+            recipientName,
+            recipientEmail,
+            message,
+            source: 'purchase',
+            status: 'pending_payment',
+            expiresAt: this.getDefaultExpiry()
+        });
+        voucher.balance = voucher.value;
+        await voucher.save();
+
+        const provider = getProvider();
+        const order = await provider.createOrder({
+            amount: voucher.value,
+            currency: voucher.currency,
+            receipt: voucher.code,
+            notes: { voucherId: voucher._id.toString() }
+        });
+
+        const payment = await Payment.create({
+            voucher: voucher._id,
+            bookingReference: voucher.code,
+            kind: 'charge',
+            provider: provider.name,
+            amount: order.amount,
+            currency: order.currency,
+            status: 'created',
+            orderId: order.orderId
+        });
+
+        return { voucher, payment, checkout: order.checkout };
+    }
+
+    // Staff-issued vouchers (goodwill, competitions) are active straight away
+    async issue({ packageType, amount, recipientName, recipientEmail, message, expiresAt, issueReason }, admin) {
+        const voucher = new GiftVoucher({
+            ...this.resolveValue({ packageType, amount }),
+            code: this.generateCode(),
+            recipientName,
+            recipientEmail,
+            message,
+            source: 'admin',
+            status: 'active',
+            issuedBy: admin ? admin._id : undefined,
+            issueReason,
+            activatedAt: new Date(),
+            expiresAt: expiresAt ? new Date(expiresAt) : this.getDefaultExpiry()
+        });
+        voucher.balance = voucher.value;
+        await voucher.save();
+
+        await this.deliver(voucher);
+        return voucher;
+    }
+
+    // Activate a purchased voucher once its payment is captured
+    async syncVoucher(voucherId) {
+        const voucher = await GiftVoucher.findById(voucherId);
+        if (!voucher || voucher.status !== 'pending_payment') return voucher;
+
+        const paid = await Payment.exists({ voucher: voucher._id, kind: 'charge', status: 'paid' });
+        if (!paid) return voucher;
+
+        voucher.status = 'active';
+        voucher.activatedAt = new Date();
+        // The voucher's validity starts when it is paid for
+        voucher.expiresAt = this.getDefaultExpiry(voucher.activatedAt);
+        await voucher.save();
+
+        await this.deliver(voucher);
+        return voucher;
+    }
+
+    // Email the voucher to its recipient
+    async deliver(voucher) {
+        try {
+            await emailService.sendGiftVoucher(voucher);
+            voucher.deliveredAt = new Date();
+            await voucher.save();
+            return true;
+        } catch (emailError) {
+            console.error('Failed to send gift voucher email:', emailError);
+            return false;
+        }
+    }
+
+    // Redemption
+
+    // Load a voucher that can be spent. Throws a 404 or 400 VoucherError.
+    async findRedeemable(code) {
+        const voucher = await GiftVoucher.findOne({ code: this.normalizeCode(code) });
+        if (!voucher) {
+            throw this.createError('Gift voucher not found', 404);
+        }
+
+        const reason = voucher.getUnusableReason();
+        if (reason) {
+            throw this.createError(reason, 400, { balance: voucher.balance, expiresAt: voucher.expiresAt });
+        }
+        return voucher;
+    }
+
+    // Spend up to amountOwed from a voucher on a booking (before the booking is saved).
+    // The balance is taken atomically so two checkouts can't spend the same money.
+    // Returns the amount taken.
+    async redeem(voucher, booking, amountOwed) {
+        const amount = Math.min(voucher.balance, amountOwed);
+        if (amount <= 0) return 0;
+
+        const updated = await GiftVoucher.findOneAndUpdate(
+            {
+                _id: voucher._id,
+                status: 'active',
+                expiresAt: { $gt: new Date() },
+                balance: { $gte: amount }
+            },
+            {
+                $inc: { balance: -amount },
+                $push: { transactions: { type: 'redeem', amount, booking: booking._id } }
+            },
+            { new: true }
+        );
+        if (!updated) {
+            throw this.createError('This gift voucher could not be used. Please check its balance and try again.', 409);
+        }
+        if (updated.balance === 0) {
+            await GiftVoucher.updateOne({ _id: updated._id, balance: 0 }, { $set: { status: 'redeemed' } });
+        }
+        return amount;
+    }
+
+    // Put an amount back on the voucher (a failed checkout or a refunded booking)
+    async restore(voucher, amount, { booking, bookingReference } = {}) {
+        await GiftVoucher.updateOne(
+            { _id: voucher._id },
+            {
+                $inc: { balance: amount },
+                $push: { transactions: { type: 'refund', amount, booking, bookingReference } }
+            }
+        );
+        // A used-up voucher can be spent again; cancelled ones stay cancelled
+        await GiftVoucher.updateOne(
+            { _id: voucher._id, status: 'redeemed', balance: { $gt: 0 } },
+            { $set: { status: 'active' } }
+        );
+    }
+
+    // Record the redeemed amount as a paid charge in the booking's payment ledger (after it is saved)
+    recordPayment(voucher, booking, amount) {
+        return Payment.create({
+            booking: booking._id,
+            voucher: voucher._id,
+            bookingReference: booking.bookingId,
+            kind: 'charge',
+            provider: VOUCHER_PROVIDER,
+            amount,
+            currency: voucher.currency,
+            status: 'paid',
+            method: 'gift_voucher',
+            paymentId: voucher.code,
+            paidAt: new Date()
+        });
+    }
+
+    // Refunds
+
+    // Refund part of a voucher charge back onto the voucher.
+    // Same shape as PaymentProvider.createRefund so paymentService can treat it as a provider.
+    async createRefund({ paymentId, amount, notes }) {
+        const voucher = await GiftVoucher.findOne({ code: paymentId });
+        if (!voucher) {
+            throw this.createError(`Gift voucher ${paymentId} not found`, 404);
+        }
+
+        await this.restore(voucher, amount, { bookingReference: notes && notes.bookingId });
+        return {
+            refundId: `vrf_${crypto.randomBytes(7).toString('hex')}`,
+            status: 'processed'
+        };
+    }
+}
+
+module.exports = new GiftVoucherService();
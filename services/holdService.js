@@ -0,0 +1,79 @@
+const Booking = require('../models/Booking');
+const Slot = require('../models/Slot');
+const availabilityService = require('./availabilityService');
+
+class HoldService {
+    constructor() {
+        // How long a checkout keeps its slot before it must be paid
+        this.holdMinutes = parseInt(process.env.BOOKING_HOLD_MINUTES) || 10;
+    }
+
+    // Mark a new booking as held for checkout (not saved)
+    placeHold(booking, expiresAt = new Date(Date.now() + this.holdMinutes * 60 * 1000)) {
+        booking.status = 'held';
+        booking.holdExpiresAt = expiresAt;
+        return booking.holdExpiresAt;
+    }
+
+    isExpired(booking) {
+        return booking.status === 'expired' ||
+            (booking.status === 'held' && booking.holdExpiresAt && booking.holdExpiresAt <= new Date());
+    }
+
+    // Turn a paid hold into a normal pending booking (not saved).
+    // A hold that expired before the payment arrived gets its slot back if it is still free.
+    // Returns true when the booking left the hold state.
+    async completeHold(booking) {
+        if (booking.status === 'expired') {
+            try {
+                await availabilityService.reserveForBooking(booking, {
+                    date: booking.slotReservation.date,
+                    startTime: booking.slotReservation.startTime
+                });
+            } catch (error) {
+                if (error.name !== 'AvailabilityError') throw error;
+                console.warn(`Booking ${booking.bookingId} was paid after its hold expired and the slot is taken`);
+                return false;
+            }
+        } else if (booking.status !== 'held') {
+            return false;
+        }
+
+        booking.status = 'pending';
+        booking.holdExpiresAt = undefined;
+        return true;
+    }
+
+    // Expire unpaid holds and free their slots. Returns the expired bookings.
+    async sweepExpired(now = new Date()) {
+        const candidates = await Booking.find({
+            status: 'held',
+            holdExpiresAt: { $lte: now }
+        }).select('_id');
+
+        const expired = [];
+        for (const { _id } of candidates) {
+            // Conditional update so a payment arriving mid-sweep wins
+            const booking = await Booking.findOneAndUpdate(
+                { _id, status: 'held', holdExpiresAt: { $lte: now } },
+                { $set: { status: 'expired' } },
+                { new: true }
+            );
+            if (!booking) continue;
+
+            const reservation = booking.slotReservation;
+            if (reservation && reservation.reservedAt && !reservation.releasedAt) {
+                await Promise.all(reservation.intervals.map(interval =>
+                    Slot.release(reservation.date, interval, booking._id, reservation.participants)
+                ));
+                await Booking.updateOne({ _id }, { $set: { 'slotReservation.releasedAt': new Date() } });
+            }
+            // Abandoned checkouts don't use up promo codes or loyalty points
+            await booking.releaseRedemptions();
+            expired.push(booking);
+        }
+        return expired;
+    }
+}
+
+module.exports = new HoldService();
@@ -0,0 +1,206 @@
+const { SLOT_SETTINGS } = require('../config/slots');
+
+const CRLF = '\r\n';
+
+// Lines longer than this many bytes are folded (RFC 5545 section 3.1)
+const MAX_LINE_BYTES = 75;
+
+// Venue offset in minutes, e.g. '+05:30' -> 330
+const parseOffset = (offset) => {
+    const [, sign, hours, minutes] = offset.match(/^([+-])(\d{2}):(\d{2})$/);
+    return (sign === '-' ? -1 : 1) * (parseInt(hours) * 60 + parseInt(minutes));
+};
+
+const BOOKING_STATUSES = {
+    pending: 'TENTATIVE',
+    held: 'TENTATIVE',
+    confirmed: 'CONFIRMED',
+    completed: 'CONFIRMED',
+    cancelled: 'CANCELLED',
+    expired: 'CANCELLED'
+};
+
+class ICalService {
+    constructor() {
+        this.timezone = SLOT_SETTINGS.timezone;
+        this.offsetMinutes = parseOffset(SLOT_SETTINGS.utcOffset);
+        this.domain = process.env.ICAL_UID_DOMAIN || 'smashlabs.in';
+    }
+
+    // Formatting
+
+    escapeText(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // Split a content line into 75-byte chunks without breaking UTF-8 characters
+    foldLine(line) {
+        if (Buffer.byteLength(line) <= MAX_LINE_BYTES) return line;
+
+        const chunks = [];
+        let chunk = '';
+        for (const character of line) {
+            // Continuation lines start with a space, which counts towards the limit
+            const limit = chunks.length === 0 ? MAX_LINE_BYTES : MAX_LINE_BYTES - 1;
+            if (Buffer.byteLength(chunk + character) > limit) {
+                chunks.push(chunk);
+                chunk = '';
+            }
+            chunk += character;
+        }
+        chunks.push(chunk);
+        return chunks.join(`${CRLF} `);
+    }
+
+    // 20261021T183000 in the venue's timezone (used with TZID)
+    formatLocal(date) {
+        const local = new Date(new Date(date).getTime() + this.offsetMinutes * 60 * 1000);
+        return local.toISOString().replace(/[-:]/g, '').slice(0, 15);
+    }
+
+    // 20261021T130000Z
+    formatUtc(date) {
+        return new Date(date).toISOString().replace(/[-:]/g, '').slice(0, 15) + 'Z';
+    }
+
+    // The venue has no daylight saving, so one STANDARD block covers every date
+    buildTimezone() {
+        const offset = SLOT_SETTINGS.utcOffset.replace(':', '');
+        return [
+            'BEGIN:VTIMEZONE',
+            `TZID:${this.timezone}`,
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T000000',
+            `TZOFFSETFROM:${offset}`,
+            `TZOFFSETTO:${offset}`,
+            'TZNAME:IST',
+            'END:STANDARD',
+            'END:VTIMEZONE'
+        ];
+    }
+
+    // Events
+
+    // One VEVENT as content lines
+    buildEvent({ uid, start, end, summary, description, location, status, sequence, updatedAt, organizer, attendee }) {
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${uid}`,
+            `DTSTAMP:${this.formatUtc(updatedAt || new Date())}`,
+            `DTSTART;TZID=${this.timezone}:${this.formatLocal(start)}`,
+            `DTEND;TZID=${this.timezone}:${this.formatLocal(end)}`,
+            `SUMMARY:${this.escapeText(summary)}`
+        ];
+        if (description) lines.push(`DESCRIPTION:${this.escapeText(description)}`);
+        if (location) lines.push(`LOCATION:${this.escapeText(location)}`);
+        if (status) lines.push(`STATUS:${status}`);
+        if (sequence !== undefined) lines.push(`SEQUENCE:${sequence}`);
+        if (organizer) lines.push(`ORGANIZER;CN=${this.escapeText(organizer.name)}:mailto:${organizer.email}`);
+        if (attendee) {
+            lines.push(`ATTENDEE;CN=${this.escapeText(attendee.name)};ROLE=REQ-PARTICIPANT;RSVP=FALSE:mailto:${attendee.email}`);
+        }
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    // Wrap events in a VCALENDAR. method is REQUEST or CANCEL for emailed
+    // invites and left out for subscribed feeds.
+    buildCalendar(events, { method, name } = {}) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//SmashLabs//Bookings//EN',
+            'CALSCALE:GREGORIAN'
+        ];
+        if (method) lines.push(`METHOD:${method}`);
+        if (name) {
+            lines.push(`X-WR-CALNAME:${this.escapeText(name)}`);
+            lines.push(`X-WR-TIMEZONE:${this.timezone}`);
+        }
+        lines.push(...this.buildTimezone());
+        events.forEach(event => lines.push(...event));
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldLine(line)).join(CRLF) + CRLF;
+    }
+
+    // Sequence numbers must grow with every change, so use the last update time in seconds
+    getSequence(doc) {
+        return doc.updatedAt ? Math.floor(new Date(doc.updatedAt).getTime() / 1000) : 0;
+    }
+
+    getOrganizer() {
+        if (!process.env.EMAIL_USER) return null;
+        return { name: process.env.COMPANY_NAME || 'SmashLabs', email: process.env.EMAIL_USER };
+    }
+
+    // Event for an individual booking, lasting booking.duration minutes from the session start
+    bookingEvent(booking, { forStaff = false } = {}) {
+        const start = booking.sessionStart || booking.preferredDate;
+        const end = booking.sessionEnd || new Date(new Date(start).getTime() + booking.duration * 60 * 1000);
+        const room = booking.room && booking.room.name ? booking.room.name : null;
+
+        return this.buildEvent({
+            uid: `${booking.bookingId}@${this.domain}`,
+            start,
+            end,
+            summary: forStaff
+                ? `${booking.customerName} - ${booking.packageName} (${booking.participants})`
+                : `SmashLabs: ${booking.packageName}`,
+            description: [
+                `Booking ID: ${booking.bookingId}`,
+                `Package: ${booking.packageName}`,
+                `Duration: ${booking.duration} minutes`,
+                `Participants: ${booking.participants}`,
+                room ? `Room: ${room}` : null,
+                forStaff ? `Customer: ${booking.customerName} (${booking.customerPhone})` : null,
+                forStaff && booking.specialRequests ? `Special requests: ${booking.specialRequests}` : null
+            ].filter(Boolean).join('\n'),
+            location: process.env.COMPANY_ADDRESS,
+            status: BOOKING_STATUSES[booking.status] || 'TENTATIVE',
+            sequence: this.getSequence(booking),
+            updatedAt: booking.updatedAt,
+            organizer: forStaff ? null : this.getOrganizer(),
+            attendee: forStaff ? null : { name: booking.customerName, email: booking.customerEmail }
+        });
+    }
+
+    // Event for a corporate booking's event window
+    corporateEvent(booking) {
+        const room = booking.room && booking.room.name ? booking.room.name : null;
+
+        return this.buildEvent({
+            uid: `${booking.bookingReference}@${this.domain}`,
+            start: booking.eventStart,
+            end: booking.eventEnd,
+            summary: `Corporate: ${booking.companyName} - ${booking.eventType}`,
+            description: [
+                `Reference: ${booking.bookingReference}`,
+                `Team size: ${booking.teamSize}`,
+                `Duration: ${booking.duration}`,
+                room ? `Room: ${room}` : null,
+                `Contact: ${booking.contactPerson} (${booking.phone})`,
+                booking.specialRequests ? `Special requests: ${booking.specialRequests}` : null
+            ].filter(Boolean).join('\n'),
+            location: process.env.COMPANY_ADDRESS,
+            status: booking.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+            sequence: this.getSequence(booking),
+            updatedAt: booking.updatedAt
+        });
+    }
+
+    // Invite attached to a customer's booking emails (cancellations remove the event)
+    bookingInvite(booking) {
+        const method = BOOKING_STATUSES[booking.status] === 'CANCELLED' ? 'CANCEL' : 'REQUEST';
+        return {
+            method,
+            filename: `smashlabs-${booking.bookingId}.ics`,
+            content: this.buildCalendar([this.bookingEvent(booking)], { method })
+        };
+    }
+}
+
+module.exports = new ICalService();
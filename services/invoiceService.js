@@ -0,0 +1,398 @@
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const CorporateQuote = require('../models/CorporateQuote');
+const CorporateAccount = require('../models/CorporateAccount');
+const { TAX_RATE, CURRENCY } = require('../config/packages');
+const { SAC_CODE, STATES, isValidGstin, getStateCode } = require('../config/gst');
+
+// Bookings that can be invoiced
+const INVOICEABLE_STATUSES = ['confirmed', 'completed'];
+
+// Round to paise
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+class InvoiceService {
+    constructor() {
+        this.prefix = process.env.INVOICE_PREFIX || 'SL';
+        this.taxRate = TAX_RATE;
+    }
+
+    // Build an error the routes can turn into a 4xx response
+    createError(message, status, details = {}) {
+        const error = new Error(message);
+        error.name = 'InvoiceError';
+        error.status = status;
+        error.details = details;
+        return error;
+    }
+
+    // Numbering
+
+    // Indian financial year (April to March) in the venue's timezone, e.g. '2026-27'
+    getFinancialYear(date = new Date()) {
+        const [year, month] = new Date(date)
+            .toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' })
+            .split('-')
+            .map(Number);
+        const startYear = month >= 4 ? year : year - 1;
+        return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+    }
+
+    // Next invoice number for a financial year, e.g. SL/2026-27/00042.
+    // Numbers are never reused; a voided invoice keeps its number.
+    async nextNumber(financialYear) {
+        const sequence = await Counter.next(`invoice:${financialYear}`);
+        return {
+            sequence,
+            invoiceNumber: `${this.prefix}/${financialYear}/${String(sequence).padStart(5, '0')}`
+        };
+    }
+
+    // Parties
+
+    // The venue as supplier. Tax invoices need its GSTIN, which also sets its state.
+    getSeller() {
+        const gstin = (process.env.COMPANY_GSTIN || '').toUpperCase();
+        if (!isValidGstin(gstin)) {
+            throw this.createError('Invoicing is not configured. Set a valid COMPANY_GSTIN.', 503);
+        }
+        const stateCode = getStateCode(gstin);
+        return {
+            name: process.env.COMPANY_LEGAL_NAME || process.env.COMPANY_NAME || 'SmashLabs',
+            address: process.env.COMPANY_ADDRESS,
+            email: process.env.COMPANY_EMAIL,
+            phone: process.env.COMPANY_PHONE,
+            gstin,
+            stateCode,
+            stateName: STATES[stateCode]
+        };
+    }
+
+    // Place of supply: an explicit state, else the registered recipient's state
+    // (events for GST-registered businesses), else the venue's state.
+    getPlaceOfSupply(seller, billTo, stateCode) {
+        const code = stateCode || (billTo.gstin ? getStateCode(billTo.gstin) : null) || seller.stateCode;
+        if (!STATES[code]) {
+            throw this.createError('Invalid place of supply state code', 400, { stateCode: code });
+        }
+        return { stateCode: code, stateName: STATES[code] };
+    }
+
+    // Amounts
+
+    // Split GST charged into CGST + SGST (same state) or IGST (another state)
+    splitTax(totalTax, supplyType) {
+        if (supplyType === 'inter_state') {
+            return { cgstAmount: 0, sgstAmount: 0, igstAmount: roundAmount(totalTax) };
+        }
+        const cgstAmount = roundAmount(totalTax / 2);
+        return { cgstAmount, sgstAmount: roundAmount(totalTax - cgstAmount), igstAmount: 0 };
+    }
+
+    // Taxable lines and GST from a tax-inclusive amount (for prices recorded
+    // before itemised pricing existed)
+    fromInclusiveAmount(description, amount) {
+        const taxableValue = roundAmount(amount / (1 + this.taxRate));
+        return {
+            items: [{ description, sacCode: SAC_CODE, quantity: 1, unitPrice: taxableValue, taxableValue }],
+            totalTax: roundAmount(amount - taxableValue)
+        };
+    }
+
+    // Taxable lines and GST charged for an individual booking
+    getBookingAmounts(booking) {
+        const lines = booking.getLineItems();
+        const taxLine = lines.find(line => line.type === 'tax');
+        if (!taxLine) {
+            return this.fromInclusiveAmount(booking.packageName, booking.packagePrice);
+        }
+
+        return {
+            items: lines
+                .filter(line => line.type !== 'tax')
+                .map(line => ({
+                    description: line.item,
+                    sacCode: SAC_CODE,
+                    quantity: line.quantity || 1,
+                    unitPrice: roundAmount(line.price / (line.quantity || 1)),
+                    taxableValue: line.price
+                })),
+            totalTax: taxLine.price
+        };
+    }
+
+    // Taxable lines and GST for a corporate booking: the accepted quote, or the
+    // recorded cost (tax-inclusive) when there isn't one
+    async getCorporateAmounts(booking) {
+        const quote = booking.acceptedQuote ? await CorporateQuote.findById(booking.acceptedQuote) : null;
+        if (quote) {
+            return {
+                items: quote.items
+                    .filter(line => line.type !== 'tax')
+                    .map(line => ({
+                        description: line.item,
+                        sacCode: SAC_CODE,
+                        quantity: line.quantity || 1,
+                        unitPrice: line.unitPrice !== undefined ? line.unitPrice : line.price,
+                        taxableValue: line.price
+                    })),
+                totalTax: quote.taxAmount
+            };
+        }
+
+        const cost = booking.actualCost !== undefined && booking.actualCost !== null ? booking.actualCost : booking.estimatedCost;
+        if (!cost) {
+            throw this.createError('Send the customer a quote or set a cost before invoicing this booking', 409);
+        }
+        return this.fromInclusiveAmount(`${booking.eventType} for ${booking.companyName} (${booking.duration})`, cost);
+    }
+
+    // Corporate recipient, billed under the confirmed account's legal name and
+    // details unless the booking has its own
+    async getCorporateBillTo(booking) {
+        const account = booking.account && booking.accountConfirmedAt ? await CorporateAccount.findById(booking.account) : null;
+        return {
+            name: booking.contactPerson,
+            companyName: account ? account.legalName : booking.companyName,
+            email: booking.email,
+            phone: booking.phone,
+            gstin: booking.gstin || (account ? account.gstin : undefined),
+            address: booking.billingAddress || (account ? account.billingAddress : undefined)
+        };
+    }
+
+    // Issuing
+
+    // Issue the invoice for a booking. The invoice is saved first to claim the
+    // booking (one issued invoice per booking) and only then numbered, so a
+    // duplicate request never leaves a gap in the series. billing overrides or
+    // adds the recipient's GSTIN, company, address and place of supply.
+    async issue(sourceType, source, admin, billing = {}) {
+        if (!INVOICEABLE_STATUSES.includes(source.status)) {
+            throw this.createError(`A ${source.status} booking cannot be invoiced`, 409, { status: source.status });
+        }
+
+        const reference = sourceType === 'Booking' ? source.bookingId : source.bookingReference;
+        const existing = await Invoice.findOne({ sourceType, source: source._id, status: 'issued' });
+        if (existing) {
+            throw this.createError(`Invoice ${existing.invoiceNumber} has already been issued for ${reference}. Void it to issue a new one.`, 409, {
+                invoiceId: existing._id,
+                invoiceNumber: existing.invoiceNumber
+            });
+        }
+
+        const seller = this.getSeller();
+        const billTo = sourceType === 'Booking'
+            ? {
+                name: source.customerName,
+                email: source.customerEmail,
+                phone: source.customerPhone
+            }
+            : await this.getCorporateBillTo(source);
+        if (billing.companyName) billTo.companyName = billing.companyName;
+        if (billing.address) billTo.address = billing.address;
+        if (billing.gstin) billTo.gstin = billing.gstin.toUpperCase();
+        if (billTo.gstin && !isValidGstin(billTo.gstin)) {
+            throw this.createError('Invalid GSTIN', 400, { gstin: billTo.gstin });
+        }
+
+        const placeOfSupply = this.getPlaceOfSupply(seller, billTo, billing.placeOfSupply);
+        billTo.stateCode = placeOfSupply.stateCode;
+        billTo.stateName = placeOfSupply.stateName;
+        const supplyType = placeOfSupply.stateCode === seller.stateCode ? 'intra_state' : 'inter_state';
+
+        const { items, totalTax } = sourceType === 'Booking'
+            ? this.getBookingAmounts(source)
+            : await this.getCorporateAmounts(source);
+        const taxableValue = roundAmount(items.reduce((sum, item) => sum + item.taxableValue, 0));
+
+        const issuedAt = new Date();
+        const financialYear = this.getFinancialYear(issuedAt);
+        const invoice = new Invoice({
+            financialYear,
+            sourceType,
+            source: source._id,
+            sourceReference: reference,
+            seller,
+            billTo,
+            placeOfSupply,
+            supplyType,
+            items,
+            taxableValue,
+            taxRate: this.taxRate,
+            ...this.splitTax(totalTax, supplyType),
+            totalTax: roundAmount(totalTax),
+            total: roundAmount(taxableValue + totalTax),
+            currency: CURRENCY,
+            issuedAt,
+            issuedBy: admin ? admin._id : undefined
+        });
+
+        try {
+            await invoice.save();
+        } catch (error) {
+            if (error.code === 11000) {
+                throw this.createError(`An invoice has already been issued for ${reference}`, 409);
+            }
+            throw error;
+        }
+
+        try {
+            invoice.set(await this.nextNumber(financialYear));
+            return await invoice.save();
+        } catch (error) {
+            // Free the booking so issuing can be retried
+            await invoice.deleteOne();
+            throw error;
+        }
+    }
+
+    // Void an issued invoice. It keeps its number and stays on record.
+    async void(invoice, admin, reason) {
+        if (invoice.status === 'void') {
+            throw this.createError('This invoice is already void', 409, { voidedAt: invoice.voidedAt });
+        }
+
+        invoice.$locals.auditAction = 'void';
+        invoice.status = 'void';
+        invoice.voidedAt = new Date();
+        invoice.voidedBy = admin ? admin._id : undefined;
+        invoice.voidReason = reason;
+        return invoice.save();
+    }
+
+    // PDF
+
+    // e.g. Rs. 1,234.50 (the built-in PDF fonts have no rupee sign)
+    formatMoney(amount) {
+        return `Rs. ${Number(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    }
+
+    // Render an invoice as a PDF buffer
+    renderPdf(invoice) {
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Tax Invoice ${invoice.invoiceNumber}` } });
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            const left = doc.page.margins.left;
+            const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+            const ratePercent = Math.round(invoice.taxRate * 100);
+            const issuedOn = new Date(invoice.issuedAt).toLocaleDateString('en-IN', {
+                timeZone: 'Asia/Kolkata', day: '2-digit', month: 'short', year: 'numeric'
+            });
+
+            if (invoice.status === 'void') {
+                doc.save()
+                    .rotate(-30, { origin: [doc.page.width / 2, doc.page.height / 2] })
+                    .fontSize(110).fillColor('#dddddd')
+                    .text('VOID', 0, doc.page.height / 2 - 60, { width: doc.page.width, align: 'center' })
+                    .restore()
+                    .fillColor('black');
+            }
+
+            // Supplier
+            doc.font('Helvetica-Bold').fontSize(18).text('TAX INVOICE', left, 50, { width, align: 'right' });
+            doc.fontSize(14).text(invoice.seller.name, left, 50);
+            doc.font('Helvetica').fontSize(9);
+            if (invoice.seller.address) doc.text(invoice.seller.address, { width: width / 2 });
+            doc.text(`GSTIN: ${invoice.seller.gstin}`);
+            doc.text(`State: ${invoice.seller.stateName} (${invoice.seller.stateCode})`);
+
+            // Invoice details and recipient
+            const detailsTop = doc.y + 15;
+            doc.font('Helvetica-Bold').text('Bill To', left, detailsTop);
+            doc.font('Helvetica');
+            [
+                invoice.billTo.companyName,
+                invoice.billTo.name,
+                invoice.billTo.address,
+                invoice.billTo.email,
+                invoice.billTo.phone,
+                invoice.billTo.gstin ? `GSTIN: ${invoice.billTo.gstin}` : 'Unregistered'
+            ].filter(Boolean).forEach(line => doc.text(line, { width: width / 2 - 10 }));
+            const billToBottom = doc.y;
+
+            const detailsLeft = left + width / 2 + 10;
+            doc.text(`Invoice No: ${invoice.invoiceNumber}`, detailsLeft, detailsTop);
+            doc.text(`Invoice Date: ${issuedOn}`, detailsLeft);
+            doc.text(`Booking: ${invoice.sourceReference}`, detailsLeft);
+            doc.text(`Place of Supply: ${invoice.placeOfSupply.stateName} (${invoice.placeOfSupply.stateCode})`, detailsLeft);
+            doc.text('Reverse Charge: No', detailsLeft);
+
+            // Line items
+            const columns = [
+                { label: '#', x: left, width: 20 },
+                { label: 'Description', x: left + 20, width: 215 },
+                { label: 'SAC', x: left + 240, width: 50 },
+                { label: 'Qty', x: left + 290, width: 35, align: 'right' },
+                { label: 'Rate', x: left + 330, width: 80, align: 'right' },
+                { label: 'Taxable Value', x: left + 415, width: width - 415, align: 'right' }
+            ];
+            const drawRow = (values, y, font = 'Helvetica') => {
+                doc.font(font);
+                const heights = values.map((value, index) =>
+                    doc.heightOfString(String(value), { width: columns[index].width })
+                );
+                values.forEach((value, index) => {
+                    doc.text(String(value), columns[index].x, y, {
+                        width: columns[index].width,
+                        align: columns[index].align || 'left'
+                    });
+                });
+                return y + Math.max(...heights) + 6;
+            };
+
+            let y = Math.max(billToBottom, doc.y) + 20;
+            doc.moveTo(left, y - 5).lineTo(left + width, y - 5).stroke();
+            y = drawRow(columns.map(column => column.label), y, 'Helvetica-Bold');
+            doc.moveTo(left, y - 3).lineTo(left + width, y - 3).stroke();
+            invoice.items.forEach((item, index) => {
+                y = drawRow([
+                    index + 1,
+                    item.description,
+                    item.sacCode || '',
+                    item.quantity,
+                    this.formatMoney(item.unitPrice !== undefined ? item.unitPrice : item.taxableValue),
+                    this.formatMoney(item.taxableValue)
+                ], y);
+            });
+            doc.moveTo(left, y - 3).lineTo(left + width, y - 3).stroke();
+
+            // Totals
+            const totals = [['Taxable Value', invoice.taxableValue]];
+            if (invoice.supplyType === 'inter_state') {
+                totals.push([`IGST @ ${ratePercent}%`, invoice.igstAmount]);
+            } else {
+                totals.push([`CGST @ ${ratePercent / 2}%`, invoice.cgstAmount]);
+                totals.push([`SGST @ ${ratePercent / 2}%`, invoice.sgstAmount]);
+            }
+            totals.push(['Total', invoice.total]);
+
+            y += 5;
+            totals.forEach(([label, amount], index) => {
+                const bold = index === totals.length - 1;
+                doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+                doc.text(label, left + 290, y, { width: 120, align: 'right' });
+                doc.text(this.formatMoney(amount), left + 415, y, { width: width - 415, align: 'right' });
+                y += 16;
+            });
+
+            if (invoice.status === 'void') {
+                doc.font('Helvetica-Bold').fillColor('#cc0000')
+                    .text(`This invoice was voided on ${new Date(invoice.voidedAt).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}${invoice.voidReason ? `: ${invoice.voidReason}` : ''}`, left, y + 10, { width })
+                    .fillColor('black');
+            }
+
+            doc.font('Helvetica').fontSize(8)
+                .text('This is a computer-generated invoice and does not require a signature.', left, doc.page.height - 80, { width, align: 'center' });
+
+            doc.end();
+        });
+    }
+}
+
+module.exports = new InvoiceService();
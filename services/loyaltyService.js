@@ -0,0 +1,270 @@
+const jwt = require('jsonwebtoken');
+const LoyaltyAccount = require('../models/LoyaltyAccount');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const loyalty = require('../config/loyalty');
+const bookingAccessService = require('./bookingAccessService');
+const emailService = require('./emailService');
+
+// Audience claim that keeps loyalty links apart from other signed tokens
+const TOKEN_AUDIENCE = 'loyalty-account';
+
+class LoyaltyService {
+    constructor() {
+        // How long an emailed account link works (also used at checkout)
+        this.tokenExpiry = process.env.LOYALTY_TOKEN_EXPIRE || '24h';
+    }
+
+    // Build an error the routes can turn into a 4xx response
+    createError(message, status, details = {}) {
+        const error = new Error(message);
+        error.name = 'LoyaltyError';
+        error.status = status;
+        error.details = details;
+        return error;
+    }
+
+    normalizeEmail(email) {
+        return String(email || '').trim().toLowerCase();
+    }
+
+    // Points a spend earns at a tier
+    calculatePoints(spend, tier) {
+        return Math.floor((spend / 100) * loyalty.POINTS_PER_100 * tier.multiplier);
+    }
+
+    // Verification
+
+    // Signed, expiring token proving the holder can read the inbox for an email
+    generateAccessToken(email) {
+        return jwt.sign(
+            { email: this.normalizeEmail(email) },
+            bookingAccessService.getSecret(),
+            { audience: TOKEN_AUDIENCE, expiresIn: this.tokenExpiry }
+        );
+    }
+
+    getAccessUrl(email) {
+        const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+        return `${baseUrl}/loyalty?token=${encodeURIComponent(this.generateAccessToken(email))}`;
+    }
+
+    // Verify a token and return the email it grants access to.
+    // Throws a 401 LoyaltyError when the token is invalid or expired.
+    verifyAccessToken(token) {
+        if (!token) {
+            throw this.createError('A loyalty access token is required', 401);
+        }
+
+        try {
+            const decoded = jwt.verify(token, bookingAccessService.getSecret(), { audience: TOKEN_AUDIENCE });
+            return decoded.email;
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') {
+                throw this.createError('This link has expired. Please request a new one.', 401);
+            }
+            if (error.name === 'JsonWebTokenError') {
+                throw this.createError('Invalid loyalty link', 401);
+            }
+            throw error;
+        }
+    }
+
+    // Email an account link to the address, if it has an account.
+    // Callers shouldn't reveal whether it did, so emails can't be probed.
+    async requestAccess(email) {
+        const account = await LoyaltyAccount.findOne({ email: this.normalizeEmail(email) });
+        if (!account) return false;
+
+        try {
+            await emailService.sendLoyaltyAccess(account, this.getAccessUrl(account.email));
+            return true;
+        } catch (emailError) {
+            console.error('Failed to send loyalty access email:', emailError);
+            return false;
+        }
+    }
+
+    // Balance, tier and progress to the next tier as shown to the customer
+    getSummary(account) {
+        const tier = loyalty.getTier(account.lifetimeSpend);
+        const nextTier = loyalty.getNextTier(account.lifetimeSpend);
+        return {
+            email: account.email,
+            name: account.name,
+            pointsBalance: account.pointsBalance,
+            pointsValue: Math.floor(account.pointsBalance * loyalty.POINT_VALUE),
+            lifetimePoints: account.lifetimePoints,
+            lifetimeSpend: account.lifetimeSpend,
+            completedBookings: account.completedBookings,
+            tier: {
+                name: tier.name,
+                label: tier.label,
+                multiplier: tier.multiplier
+            },
+            nextTier: nextTier
+                ? { name: nextTier.name, label: nextTier.label, spendNeeded: nextTier.minSpend - account.lifetimeSpend }
+                : null
+        };
+    }
+
+    // Earning
+
+    // Award points for a completed booking on what the customer actually paid
+    // (less refunds). Each booking earns once; returns the points and tier, or
+    // null when the booking has already earned or nothing was paid.
+    async awardForBooking(booking) {
+        const email = this.normalizeEmail(booking.customerEmail);
+        const spend = Math.max((booking.amountPaid || 0) - (booking.amountRefunded || 0), 0);
+        if (spend <= 0) return null;
+
+        const account = await LoyaltyAccount.findOneAndUpdate(
+            { email },
+            { $setOnInsert: { email, name: booking.customerName } },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+
+        // The tier before this booking sets the earning rate
+        const tier = loyalty.getTier(account.lifetimeSpend);
+        const points = this.calculatePoints(spend, tier);
+
+        try {
+            await LoyaltyTransaction.create({
+                account: account._id,
+                email,
+                type: 'earn',
+                points,
+                booking: booking._id,
+                bookingReference: booking.bookingId,
+                amount: spend,
+                description: `${tier.label} tier: ${loyalty.POINTS_PER_100 * tier.multiplier} points per ₹100`
+            });
+        } catch (error) {
+            // Already awarded for this booking
+            if (error.code === 11000) return null;
+            throw error;
+        }
+
+        const updated = await LoyaltyAccount.findOneAndUpdate(
+            { _id: account._id },
+            { $inc: { pointsBalance: points, lifetimePoints: points, lifetimeSpend: spend, completedBookings: 1 } },
+            { new: true }
+        );
+        await LoyaltyTransaction.updateOne(
+            { booking: booking._id, type: 'earn' },
+            { $set: { balanceAfter: updated.pointsBalance } }
+        );
+        const tierChanged = await this.refreshTier(updated);
+
+        return { points, balance: updated.pointsBalance, tier: updated.tier, tierChanged };
+    }
+
+    // Move an account to the tier its lifetime spend reaches. Returns true when it changed.
+    async refreshTier(account) {
+        const tier = loyalty.getTier(account.lifetimeSpend).name;
+        if (tier === account.tier) return false;
+
+        await LoyaltyAccount.updateOne({ _id: account._id }, { $set: { tier, tierChangedAt: new Date() } });
+        account.tier = tier;
+        return true;
+    }
+
+    // Redemption
+
+    // Check a checkout's request to spend points: the token must belong to the
+    // booking's email and the account must hold the points. Throws a LoyaltyError.
+    async findRedeemable(token, customerEmail, points) {
+        const email = this.verifyAccessToken(token);
+        if (email !== this.normalizeEmail(customerEmail)) {
+            throw this.createError('Loyalty points can only be used on bookings made with the same email', 403);
+        }
+        if (points < loyalty.MIN_REDEEM_POINTS) {
+            throw this.createError(`You can redeem a minimum of ${loyalty.MIN_REDEEM_POINTS} points`, 400, {
+                minRedeemPoints: loyalty.MIN_REDEEM_POINTS
+            });
+        }
+
+        const account = await LoyaltyAccount.findOne({ email });
+        if (!account || account.pointsBalance < points) {
+            throw this.createError('Not enough loyalty points', 400, {
+                pointsBalance: account ? account.pointsBalance : 0
+            });
+        }
+        return account;
+    }
+
+    // Take the points a quote used from the account (before the booking is saved).
+    // The balance is taken atomically so two checkouts can't spend the same points.
+    async redeem(account, booking, { points, amount }) {
+        const updated = await LoyaltyAccount.findOneAndUpdate(
+            { _id: account._id, pointsBalance: { $gte: points } },
+            { $inc: { pointsBalance: -points } },
+            { new: true }
+        );
+        if (!updated) {
+            throw this.createError('Not enough loyalty points', 409);
+        }
+
+        return LoyaltyTransaction.create({
+            account: account._id,
+            email: account.email,
+            type: 'redeem',
+            points: -points,
+            balanceAfter: updated.pointsBalance,
+            booking: booking._id,
+            amount,
+            description: `₹${amount} off a booking`
+        });
+    }
+
+    // Give back the points a booking spent when it never went ahead
+    async release(booking) {
+        const redemption = await LoyaltyTransaction.findOne({ booking: booking._id, type: 'redeem' });
+        if (!redemption) return false;
+        if (await LoyaltyTransaction.exists({ booking: booking._id, type: 'release' })) return false;
+
+        const points = Math.abs(redemption.points);
+        const updated = await LoyaltyAccount.findOneAndUpdate(
+            { _id: redemption.account },
+            { $inc: { pointsBalance: points } },
+            { new: true }
+        );
+        await LoyaltyTransaction.create({
+            account: redemption.account,
+            email: redemption.email,
+            type: 'release',
+            points,
+            balanceAfter: updated ? updated.pointsBalance : undefined,
+            booking: booking._id,
+            bookingReference: booking.bookingId,
+            description: 'Points returned from a booking that did not go ahead'
+        });
+        return true;
+    }
+
+    // Staff corrections (goodwill, fixing mistakes)
+    async adjust(account, points, reason, admin) {
+        const updated = await LoyaltyAccount.findOneAndUpdate(
+            { _id: account._id, pointsBalance: { $gte: Math.max(-points, 0) } },
+            { $inc: { pointsBalance: points, lifetimePoints: Math.max(points, 0) } },
+            { new: true }
+        );
+        if (!updated) {
+            throw this.createError('The adjustment would make the balance negative', 400, {
+                pointsBalance: account.pointsBalance
+            });
+        }
+
+        const transaction = await LoyaltyTransaction.create({
+            account: account._id,
+            email: account.email,
+            type: 'adjust',
+            points,
+            balanceAfter: updated.pointsBalance,
+            description: reason,
+            createdBy: admin ? admin._id : undefined
+        });
+        return { account: updated, transaction };
+    }
+}
+
+module.exports = new LoyaltyService();
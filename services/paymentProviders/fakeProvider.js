@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./paymentProvider');
+
+// Local provider for development and testing. It never moves money: orders and
+// refunds get random IDs, and signWebhook() produces webhooks the endpoint accepts.
+class FakeProvider extends PaymentProvider {
+    constructor() {
+        super('fake');
+        this.webhookSecret = process.env.FAKE_PAYMENT_WEBHOOK_SECRET || 'fake_webhook_secret';
+    }
+
+    get signatureHeader() {
+        return 'x-fake-signature';
+    }
+
+    getWebhookSecret() {
+        return this.webhookSecret;
+    }
+
+    generateId(prefix) {
+        return `${prefix}_fake_${crypto.randomBytes(7).toString('hex')}`;
+    }
+
+    async createOrder({ amount, currency }) {
+        const orderId = this.generateId('order');
+        return {
+            orderId,
+            amount,
+            currency,
+            checkout: { key: 'fake', orderId, amount, currency }
+        };
+    }
+
+    async createRefund() {
+        return {
+            refundId: this.generateId('rfnd'),
+            status: 'pending'
+        };
+    }
+
+    // Build a signed webhook body, e.g. signWebhook({ type: 'payment.captured', orderId, amount })
+    signWebhook(event) {
+        const payload = { id: this.generateId('evt'), ...event };
+        if (String(payload.type).startsWith('payment.') && !payload.paymentId) {
+            payload.paymentId = this.generateId('pay');
+        }
+
+        const body = JSON.stringify(payload);
+        const signature = crypto.createHmac('sha256', this.webhookSecret).update(body).digest('hex');
+        return { body, signature, header: this.signatureHeader };
+    }
+
+    parseWebhookEvent(body) {
+        if (!body || !body.type) return null;
+        return {
+            id: body.id,
+            type: body.type,
+            orderId: body.orderId,
+            paymentId: body.paymentId,
+            refundId: body.refundId,
+            amount: Number(body.amount),
+            method: body.method,
+            failureReason: body.failureReason
+        };
+    }
+}
+
+module.exports = FakeProvider;
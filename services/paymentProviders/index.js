@@ -0,0 +1,30 @@
+const RazorpayProvider = require('./razorpayProvider');
+const FakeProvider = require('./fakeProvider');
+
+const PROVIDERS = {
+    razorpay: RazorpayProvider,
+    fake: FakeProvider
+};
+
+let provider = null;
+
+// Active provider from PAYMENT_PROVIDER. Defaults to Razorpay when its keys are set,
+// otherwise to the fake provider outside production.
+const getProvider = () => {
+    if (provider) return provider;
+
+    const name = process.env.PAYMENT_PROVIDER ||
+        (process.env.RAZORPAY_KEY_ID || process.env.NODE_ENV === 'production' ? 'razorpay' : 'fake');
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+
+    provider = new Provider();
+    return provider;
+};
+
+module.exports = {
+    PROVIDERS,
+    getProvider
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+// Interface every payment provider implements. Amounts are whole rupees;
+// providers convert to their own units.
+//
+// Webhook events are normalized to:
+//   { id, type, orderId, paymentId, refundId, amount, method, failureReason }
+// where type is one of payment.captured, payment.failed, refund.processed, refund.failed.
+class PaymentProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    // Create an order the customer pays at checkout.
+    // Returns { orderId, amount, currency, checkout } where checkout holds client-side options.
+    async createOrder({ amount, currency, receipt, notes }) {
+        throw new Error(`${this.name} provider does not implement createOrder`);
+    }
+
+    // Refund part or all of a captured payment. Returns { refundId, status }.
+    async createRefund({ paymentId, amount, notes }) {
+        throw new Error(`${this.name} provider does not implement createRefund`);
+    }
+
+    // Header that carries the webhook signature
+    get signatureHeader() {
+        throw new Error(`${this.name} provider does not implement signatureHeader`);
+    }
+
+    // Secret used to sign webhooks
+    getWebhookSecret() {
+        throw new Error(`${this.name} provider does not implement getWebhookSecret`);
+    }
+
+    // Check an HMAC-SHA256 signature of the raw webhook body
+    verifyWebhookSignature(rawBody, signature) {
+        if (!rawBody || !signature) return false;
+
+        const expected = crypto
+            .createHmac('sha256', this.getWebhookSecret())
+            .update(rawBody)
+            .digest('hex');
+
+        const expectedBuffer = Buffer.from(expected);
+        const signatureBuffer = Buffer.from(String(signature));
+        return expectedBuffer.length === signatureBuffer.length &&
+            crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+    }
+
+    // Turn a webhook body into a normalized event, or null for events we ignore
+    parseWebhookEvent(body, headers) {
+        throw new Error(`${this.name} provider does not implement parseWebhookEvent`);
+    }
+}
+
+module.exports = PaymentProvider;
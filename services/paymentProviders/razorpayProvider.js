@@ -0,0 +1,117 @@
+const PaymentProvider = require('./paymentProvider');
+
+const API_BASE_URL = 'https://api.razorpay.com/v1';
+
+// Razorpay payment methods mapped to Booking.paymentMethod values
+const METHOD_MAP = {
+    card: 'card',
+    upi: 'upi',
+    netbanking: 'bank_transfer',
+    emandate: 'bank_transfer'
+};
+
+class RazorpayProvider extends PaymentProvider {
+    constructor() {
+        super('razorpay');
+        this.keyId = process.env.RAZORPAY_KEY_ID;
+        this.keySecret = process.env.RAZORPAY_KEY_SECRET;
+        this.webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    }
+
+    get signatureHeader() {
+        return 'x-razorpay-signature';
+    }
+
+    getWebhookSecret() {
+        if (!this.webhookSecret) {
+            throw new Error('RAZORPAY_WEBHOOK_SECRET is not configured');
+        }
+        return this.webhookSecret;
+    }
+
+    // Call the Razorpay REST API with basic auth
+    async request(path, body) {
+        if (!this.keyId || !this.keySecret) {
+            throw new Error('RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET must be set');
+        }
+
+        const response = await fetch(`${API_BASE_URL}${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Basic ${Buffer.from(`${this.keyId}:${this.keySecret}`).toString('base64')}`
+            },
+            body: JSON.stringify(body)
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const description = data.error && data.error.description;
+            throw new Error(`Razorpay request failed (${response.status}): ${description || 'Unknown error'}`);
+        }
+        return data;
+    }
+
+    async createOrder({ amount, currency, receipt, notes }) {
+        const order = await this.request('/orders', {
+            amount: Math.round(amount * 100),
+            currency,
+            receipt,
+            notes
+        });
+
+        return {
+            orderId: order.id,
+            amount: order.amount / 100,
+            currency: order.currency,
+            checkout: {
+                key: this.keyId,
+                orderId: order.id,
+                amount: order.amount,
+                currency: order.currency
+            }
+        };
+    }
+
+    async createRefund({ paymentId, amount, notes }) {
+        const refund = await this.request(`/payments/${paymentId}/refund`, {
+            amount: Math.round(amount * 100),
+            notes
+        });
+
+        return {
+            refundId: refund.id,
+            status: refund.status === 'processed' ? 'processed' : 'pending'
+        };
+    }
+
+    parseWebhookEvent(body, headers) {
+        const payload = body.payload || {};
+        const payment = payload.payment && payload.payment.entity;
+        const refund = payload.refund && payload.refund.entity;
+        const entity = refund || payment;
+        if (!entity) return null;
+
+        const types = {
+            'payment.captured': 'payment.captured',
+            'payment.failed': 'payment.failed',
+            'refund.processed': 'refund.processed',
+            'refund.failed': 'refund.failed'
+        };
+        const type = types[body.event];
+        if (!type) return null;
+
+        return {
+            id: headers['x-razorpay-event-id'] || `${body.event}:${entity.id}`,
+            type,
+            orderId: payment ? payment.order_id : undefined,
+            paymentId: refund ? refund.payment_id : payment.id,
+            refundId: refund ? refund.id : undefined,
+            amount: entity.amount / 100,
+            method: payment ? METHOD_MAP[payment.method] : undefined,
+            failureReason: payment && payment.error_description
+        };
+    }
+}
+
+module.exports = RazorpayProvider;
@@ -0,0 +1,302 @@
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const { getProvider } = require('./paymentProviders');
+const holdService = require('./holdService');
+const giftVoucherService = require('./giftVoucherService');
+const emailService = require('./emailService');
+
+class PaymentService {
+    // Build an error the routes can turn into a 4xx response
+    createError(message, status, details = {}) {
+        const error = new Error(message);
+        error.name = 'PaymentError';
+        error.status = status;
+        error.details = details;
+        return error;
+    }
+
+    getProvider() {
+        return getProvider();
+    }
+
+    // Orders
+
+    // Create a provider order for the outstanding balance (or a smaller amount)
+    async createOrder(booking, { amount } = {}) {
+        if (booking.status === 'cancelled') {
+            throw this.createError('Cancelled bookings cannot be paid', 400);
+        }
+        if (holdService.isExpired(booking)) {
+            throw this.createError('This booking hold has expired. Please book again.', 410);
+        }
+
+        const totals = await Payment.getTotals(booking._id);
+        const balance = Math.max(booking.packagePrice - totals.paid, 0);
+        if (balance <= 0) {
+            throw this.createError('This booking is already paid in full', 409);
+        }
+
+        const orderAmount = amount !== undefined ? Number(amount) : balance;
+        if (orderAmount <= 0 || orderAmount > balance) {
+            throw this.createError(`Payment amount must be between 1 and the outstanding balance of ₹${balance}`, 400, { balance });
+        }
+
+        const provider = this.getProvider();
+        const order = await provider.createOrder({
+            amount: orderAmount,
+            currency: 'INR',
+            receipt: booking.bookingId,
+            notes: { bookingId: booking.bookingId }
+        });
+
+        const payment = await Payment.create({
+            booking: booking._id,
+            bookingReference: booking.bookingId,
+            kind: 'charge',
+            provider: provider.name,
+            amount: order.amount,
+            currency: order.currency,
+            status: 'created',
+            orderId: order.orderId
+        });
+
+        return {
+            payment,
+            balance,
+            checkout: order.checkout
+        };
+    }
+
+    // Refunds
+
+    // Refund a booking through the provider, spread over its paid charges.
+    // Amounts paid with a gift voucher go back onto the voucher.
+    // Defaults to the refund recorded by the cancellation policy.
+    async refundBooking(booking, { amount, notes } = {}) {
+        const refundAmount = amount !== undefined
+            ? Number(amount)
+            : booking.cancellation && booking.cancellation.refundStatus === 'pending'
+                ? booking.cancellation.refundAmount
+                : 0;
+
+        const totals = await Payment.getTotals(booking._id);
+        const refundable = totals.paid - totals.refunded - totals.refundPending;
+        if (refundAmount <= 0) {
+            throw this.createError('No refund amount was given and none is due under the cancellation policy', 400);
+        }
+        if (refundAmount > refundable) {
+            throw this.createError(`Refund cannot exceed the refundable amount of ₹${refundable}`, 400, { refundable });
+        }
+
+        const provider = this.getProvider();
+        const charges = await Payment.find({
+            booking: booking._id,
+            kind: 'charge',
+            status: 'paid',
+            provider: { $in: [provider.name, giftVoucherService.providerName] }
+        }).sort({ paidAt: 1 });
+        const refunds = [];
+        let remaining = refundAmount;
+
+        for (const charge of charges) {
+            if (remaining <= 0) break;
+
+            const alreadyRefunded = (await Payment.find({
+                kind: 'refund',
+                paymentId: charge.paymentId,
+                status: { $in: ['pending', 'processed'] }
+            })).reduce((total, entry) => total + entry.amount, 0);
+            const portion = Math.min(charge.amount - alreadyRefunded, remaining);
+            if (portion <= 0) continue;
+
+            const refunder = charge.provider === giftVoucherService.providerName ? giftVoucherService : provider;
+            const result = await refunder.createRefund({
+                paymentId: charge.paymentId,
+                amount: portion,
+                notes: { bookingId: booking.bookingId }
+            });
+
+            refunds.push(await Payment.create({
+                booking: booking._id,
+                voucher: charge.voucher,
+                bookingReference: booking.bookingId,
+                kind: 'refund',
+                provider: charge.provider,
+                amount: portion,
+                currency: charge.currency,
+                status: result.status,
+                paymentId: charge.paymentId,
+                refundId: result.refundId,
+                notes,
+                processedAt: result.status === 'processed' ? new Date() : undefined
+            }));
+            remaining -= portion;
+        }
+
+        if (remaining > 0) {
+            throw this.createError(`₹${remaining} could not be refunded through ${provider.name}. Refund it manually.`, 409, {
+                refunded: refundAmount - remaining
+            });
+        }
+
+        await this.syncBooking(booking._id);
+        return refunds;
+    }
+
+    // Webhooks
+
+    // Verify and apply a provider webhook. Returns { applied, duplicate, event }.
+    async handleWebhook(rawBody, headers, body) {
+        const provider = this.getProvider();
+        if (!provider.verifyWebhookSignature(rawBody, headers[provider.signatureHeader])) {
+            throw this.createError('Invalid webhook signature', 400);
+        }
+
+        const event = provider.parseWebhookEvent(body, headers);
+        if (!event) {
+            return { applied: false, event: null };
+        }
+
+        if (await Payment.exists({ webhookEvents: event.id })) {
+            return { applied: false, duplicate: true, event };
+        }
+
+        const payment = event.type.startsWith('payment.')
+            ? await this.applyPaymentEvent(provider, event)
+            : await this.applyRefundEvent(provider, event);
+        if (!payment) {
+            return { applied: false, event };
+        }
+
+        // Gift voucher purchases activate the voucher instead of paying a booking
+        if (payment.voucher && !payment.booking) {
+            await giftVoucherService.syncVoucher(payment.voucher);
+        } else {
+            await this.syncBooking(payment.booking);
+        }
+        return { applied: true, event };
+    }
+
+    async applyPaymentEvent(provider, event) {
+        const payment = await Payment.findOne({ provider: provider.name, kind: 'charge', orderId: event.orderId });
+        if (!payment) {
+            console.warn(`Payment webhook for unknown order ${event.orderId}`);
+            return null;
+        }
+
+        // A captured payment never goes back to failed
+        if (event.type === 'payment.captured') {
+            payment.status = 'paid';
+            payment.amount = event.amount || payment.amount;
+            payment.paidAt = new Date();
+            payment.failureReason = undefined;
+        } else if (payment.status !== 'paid') {
+            payment.status = 'failed';
+            payment.failureReason = event.failureReason;
+        }
+        payment.paymentId = event.paymentId || payment.paymentId;
+        payment.method = event.method || payment.method;
+        payment.webhookEvents.push(event.id);
+        return payment.save();
+    }
+
+    async applyRefundEvent(provider, event) {
+        let refund = await Payment.findOne({ provider: provider.name, kind: 'refund', refundId: event.refundId });
+
+        // Refunds issued from the provider dashboard are added to the ledger here
+        if (!refund) {
+            const charge = await Payment.findOne({ provider: provider.name, kind: 'charge', paymentId: event.paymentId });
+            if (!charge) {
+                console.warn(`Refund webhook for unknown payment ${event.paymentId}`);
+                return null;
+            }
+            refund = new Payment({
+                booking: charge.booking,
+                voucher: charge.voucher,
+                bookingReference: charge.bookingReference,
+                kind: 'refund',
+                provider: provider.name,
+                amount: event.amount,
+                currency: charge.currency,
+                status: 'pending',
+                paymentId: event.paymentId,
+                refundId: event.refundId
+            });
+        }
+
+        if (event.type === 'refund.processed') {
+            refund.status = 'processed';
+            refund.processedAt = new Date();
+        } else {
+            refund.status = 'failed';
+        }
+        refund.webhookEvents.push(event.id);
+        return refund.save();
+    }
+
+    // Booking payment state
+
+    // Payment status for ledger totals. Only refunding everything paid makes a
+    // booking 'refunded'; a partial refund keeps it paid or partly paid.
+    getPaymentStatus(totals, packagePrice) {
+        if (totals.paid > 0 && totals.refunded >= totals.paid) return 'refunded';
+        if (totals.paid >= packagePrice) return 'paid';
+        if (totals.paid > 0) return 'partial';
+        return 'pending';
+    }
+
+    // Recalculate a booking's paymentStatus from its ledger
+    async syncBooking(bookingId) {
+        const [booking, totals, lastCharge] = await Promise.all([
+            Booking.findById(bookingId),
+            Payment.getTotals(bookingId),
+            Payment.findOne({ booking: bookingId, kind: 'charge', status: 'paid' }).sort({ paidAt: -1 })
+        ]);
+        if (!booking) return null;
+
+        booking.amountPaid = totals.paid;
+        booking.amountRefunded = totals.refunded;
+        if (lastCharge && lastCharge.method) {
+            booking.paymentMethod = lastCharge.method;
+        }
+
+        booking.paymentStatus = this.getPaymentStatus(totals, booking.packagePrice);
+
+        // Close out the cancellation refund once it has been paid back
+        if (booking.cancellation && booking.cancellation.refundStatus === 'pending' &&
+            totals.refunded >= booking.cancellation.refundAmount) {
+            booking.cancellation.refundStatus = 'processed';
+        }
+
+        // A paid checkout hold becomes a real booking. A gift voucher that only
+        // covers part of the price keeps the hold until the rest is paid.
+        const settled = totals.paid - totals.refunded - totals.refundPending;
+        const paidByCustomer = lastCharge && lastCharge.provider !== giftVoucherService.providerName;
+        const holdCompleted = settled > 0 && (paidByCustomer || settled >= booking.packagePrice) &&
+            await holdService.completeHold(booking);
+
+        await booking.save();
+
+        if (holdCompleted) {
+            await this.sendBookingEmails(booking);
+        }
+        return booking;
+    }
+
+    // Confirmation emails that held bookings only get once they are paid
+    async sendBookingEmails(booking) {
+        try {
+            await emailService.sendBookingConfirmation(booking);
+        } catch (emailError) {
+            console.error('Failed to send confirmation email:', emailError);
+        }
+
+        try {
+            await emailService.sendBookingNotification(booking);
+        } catch (emailError) {
+            console.error('Failed to send admin notification:', emailError);
+        }
+    }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,172 @@
+const CorporateBooking = require('../models/CorporateBooking');
+const AdminUser = require('../models/AdminUser');
+const { STAGES, STAGE_LABELS, OPEN_STAGES, LOST_REASONS, stageFromStatus } = require('../config/corporatePipeline');
+
+class PipelineService {
+    // Build an error the routes can turn into a 4xx response
+    createError(message, status, details = {}) {
+        const error = new Error(message);
+        error.name = 'PipelineError';
+        error.status = status;
+        error.details = details;
+        return error;
+    }
+
+    // Stages
+
+    // Move a booking to a stage by hand (not saved). Lost deals need a reason.
+    moveStage(booking, stage, admin, { note, lostReason, lostNote } = {}) {
+        if (!STAGES.includes(stage)) {
+            throw this.createError('Unknown pipeline stage', 400, { stages: STAGES });
+        }
+        if (booking.stage === stage) {
+            throw this.createError(`This deal is already at ${STAGE_LABELS[stage]}`, 409, { stage });
+        }
+        if (stage === 'lost' && !LOST_REASONS[lostReason]) {
+            throw this.createError('A lost reason is required when a deal is lost', 400, {
+                lostReasons: Object.keys(LOST_REASONS)
+            });
+        }
+
+        booking.$locals.auditAction = 'stage_change';
+        booking.setStage(stage, {
+            changedBy: admin ? admin._id : undefined,
+            note,
+            lostReason,
+            lostNote
+        });
+        return booking;
+    }
+
+    // Move an open deal along when its quote is sent or declined (not saved).
+    // Returns whether the stage changed.
+    followQuote(booking, quote, admin) {
+        const changedBy = admin ? admin._id : undefined;
+        if (quote.status === 'sent' && ['new_lead', 'contacted'].includes(booking.stage)) {
+            return booking.setStage('proposal_sent', { changedBy, note: `Quote ${quote.quoteNumber} sent` });
+        }
+        if (quote.status === 'declined' && booking.stage === 'proposal_sent') {
+            return booking.setStage('negotiation', { note: `Quote ${quote.quoteNumber} declined` });
+        }
+        return false;
+    }
+
+    // Check that a staff member can own corporate deals and return them
+    async getOwner(ownerId) {
+        const owner = await AdminUser.findById(ownerId);
+        if (!owner || !owner.isActive) {
+            throw this.createError('Owner not found', 404);
+        }
+        if (!owner.hasPermission('corporate:read')) {
+            throw this.createError(`${owner.name} cannot view corporate bookings`, 400);
+        }
+        return owner;
+    }
+
+    // Board
+
+    // Deals grouped by stage with totals, plus stage-to-stage conversion rates.
+    // Deals are worth their expected value, else their estimated cost. Each
+    // stage lists up to `limit` deals, soonest next action first.
+    async getBoard({ owner, from, to, limit = 25, now = new Date() } = {}) {
+        const filter = {};
+        if (owner) filter.owner = owner;
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = from;
+            if (to) filter.createdAt.$lte = to;
+        }
+
+        const bookings = await CorporateBooking.find(filter)
+            .select('bookingReference companyName contactPerson email eventType teamSize eventStart status stage stageChangedAt stageHistory.stage owner expectedValue estimatedCost lostReason nextAction nextActionAt createdAt')
+            .populate('owner', 'name email')
+            .lean();
+
+        const value = booking => booking.expectedValue !== undefined && booking.expectedValue !== null
+            ? booking.expectedValue
+            : booking.estimatedCost || 0;
+        const deals = bookings.map(booking => ({ ...booking, stage: booking.stage || stageFromStatus(booking.status) }));
+        const actionTime = deal => (deal.nextActionAt ? new Date(deal.nextActionAt).getTime() : Number.MAX_SAFE_INTEGER);
+
+        const stages = STAGES.map(stage => {
+            const inStage = deals
+                .filter(deal => deal.stage === stage)
+                .sort((a, b) => actionTime(a) - actionTime(b));
+            return {
+                stage,
+                label: STAGE_LABELS[stage],
+                count: inStage.length,
+                value: inStage.reduce((sum, deal) => sum + value(deal), 0),
+                overdueActions: OPEN_STAGES.includes(stage)
+                    ? inStage.filter(deal => deal.nextActionAt && new Date(deal.nextActionAt) < now).length
+                    : 0,
+                deals: inStage.slice(0, limit).map(deal => ({
+                    _id: deal._id,
+                    bookingReference: deal.bookingReference,
+                    companyName: deal.companyName,
+                    contactPerson: deal.contactPerson,
+                    eventType: deal.eventType,
+                    teamSize: deal.teamSize,
+                    eventStart: deal.eventStart,
+                    status: deal.status,
+                    owner: deal.owner,
+                    value: value(deal),
+                    stageChangedAt: deal.stageChangedAt,
+                    nextAction: deal.nextAction,
+                    nextActionAt: deal.nextActionAt,
+                    lostReason: deal.lostReason
+                }))
+            };
+        });
+
+        return {
+            stages,
+            conversion: this.getConversion(deals),
+            lostReasons: Object.keys(LOST_REASONS).map(reason => ({
+                reason,
+                label: LOST_REASONS[reason],
+                count: deals.filter(deal => deal.stage === 'lost' && deal.lostReason === reason).length
+            })).filter(item => item.count > 0),
+            totals: {
+                deals: deals.length,
+                openDeals: deals.filter(deal => OPEN_STAGES.includes(deal.stage)).length,
+                openValue: deals.filter(deal => OPEN_STAGES.includes(deal.stage)).reduce((sum, deal) => sum + value(deal), 0),
+                wonValue: deals.filter(deal => deal.stage === 'won').reduce((sum, deal) => sum + value(deal), 0),
+                currency: 'INR'
+            }
+        };
+    }
+
+    // How many deals that reached each open stage went on to reach the next one.
+    // A deal has reached every stage up to the furthest one in its history, so
+    // skipping a stage still counts; won deals have reached them all.
+    getConversion(deals) {
+        const furthest = deals.map(deal => {
+            if (deal.stage === 'won') return OPEN_STAGES.length;
+            const visited = [deal.stage, ...(deal.stageHistory || []).map(entry => entry.stage)];
+            return Math.max(0, ...visited.map(stage => OPEN_STAGES.indexOf(stage)));
+        });
+        const reached = index => furthest.filter(rank => rank >= index).length;
+        const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) : 0);
+
+        const won = deals.filter(deal => deal.stage === 'won').length;
+        const lost = deals.filter(deal => deal.stage === 'lost').length;
+
+        return {
+            stages: OPEN_STAGES.map((stage, index) => {
+                const next = index + 1 < OPEN_STAGES.length ? OPEN_STAGES[index + 1] : 'won';
+                return {
+                    from: stage,
+                    to: next,
+                    reached: reached(index),
+                    advanced: reached(index + 1),
+                    rate: rate(reached(index + 1), reached(index))
+                };
+            }),
+            winRate: rate(won, won + lost),
+            leadToWinRate: rate(won, deals.length)
+        };
+    }
+}
+
+module.exports = new PipelineService();
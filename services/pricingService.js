@@ -0,0 +1,206 @@
+const { packages, addOns, TAX_RATE, CURRENCY } = require('../config/packages');
+const loyalty = require('../config/loyalty');
+
+// Allowed difference (in rupees) between a client-quoted price and ours
+const PRICE_TOLERANCE = 1;
+
+class PricingService {
+    constructor() {
+        this.taxRate = TAX_RATE;
+        this.currency = CURRENCY;
+    }
+
+    // Build an error the routes can turn into a 4xx response
+    createError(message, status, details = {}) {
+        const error = new Error(message);
+        error.name = 'PricingError';
+        error.status = status;
+        error.details = details;
+        return error;
+    }
+
+    getPackage(packageType) {
+        if (!packageType) return null;
+        return packages.find(pkg => pkg.type === String(packageType).toLowerCase()) || null;
+    }
+
+    getAddOn(addOnId) {
+        return addOns.find(addOn => addOn.id === addOnId) || null;
+    }
+
+    // Calculate the authoritative price for a package selection.
+    // Unknown add-ons are ignored; callers that need strict add-on
+    // validation should check them before calling this. A promo code
+    // (already checked by promoService) and then loyalty points (already
+    // checked against the balance by loyaltyService) are taken off before tax.
+    calculate({ packageType, participants = 1, duration, addOns: selectedAddOns = [], promo, loyaltyPoints }) {
+        const pkg = this.getPackage(packageType);
+        if (!pkg) {
+            throw this.createError('Package not found', 404, {
+                availableTypes: packages.map(item => item.type)
+            });
+        }
+
+        participants = parseInt(participants) || 1;
+        duration = duration ? parseInt(duration) : undefined;
+
+        if (participants > pkg.maxParticipants) {
+            throw this.createError(
+                `Maximum ${pkg.maxParticipants} participants allowed for ${pkg.name}`,
+                400,
+                { maxParticipants: pkg.maxParticipants }
+            );
+        }
+
+        // Base calculation
+        let subtotal = pkg.price;
+        const breakdown = [{
+            type: 'package',
+            code: pkg.type,
+            item: `${pkg.name} (${pkg.duration} min)`,
+            price: pkg.price,
+            quantity: 1
+        }];
+
+        // Additional participants at 50% of the package price
+        if (participants > 1) {
+            const additionalParticipants = participants - 1;
+            const additionalCost = Math.round(pkg.price * 0.5 * additionalParticipants);
+            subtotal += additionalCost;
+            breakdown.push({
+                type: 'participants',
+                code: 'additional_participants',
+                item: `Additional participants (${additionalParticipants})`,
+                price: additionalCost,
+                quantity: 1
+            });
+        }
+
+        // Extended duration at 80% of the per-minute rate
+        if (duration && duration > pkg.duration) {
+            const extraTime = duration - pkg.duration;
+            const extraCost = Math.round((pkg.price / pkg.duration) * extraTime * 0.8);
+            subtotal += extraCost;
+            breakdown.push({
+                type: 'duration',
+                code: 'extended_duration',
+                item: `Extended duration (${extraTime} min)`,
+                price: extraCost,
+                quantity: 1
+            });
+        }
+
+        // Add-ons
+        const appliedAddOns = [];
+        (Array.isArray(selectedAddOns) ? selectedAddOns : []).forEach(addOnId => {
+            const addOn = this.getAddOn(addOnId);
+            if (addOn && !appliedAddOns.includes(addOn.id)) {
+                appliedAddOns.push(addOn.id);
+                subtotal += addOn.price;
+                breakdown.push({
+                    type: 'addon',
+                    code: addOn.id,
+                    item: addOn.name,
+                    price: addOn.price,
+                    quantity: 1
+                });
+            }
+        });
+
+        // Promo discount
+        let discount = null;
+        if (promo) {
+            const amount = promo.getDiscount(subtotal);
+            discount = {
+                code: promo.code,
+                amount,
+                subtotalBeforeDiscount: subtotal
+            };
+            subtotal -= amount;
+            breakdown.push({
+                type: 'discount',
+                code: promo.code,
+                item: promo.describe(),
+                price: -amount,
+                quantity: 1
+            });
+        }
+
+        // Loyalty points, capped at a share of what is left to pay
+        let loyaltyDiscount = null;
+        if (loyaltyPoints > 0) {
+            const maxAmount = Math.floor(subtotal * loyalty.MAX_REDEEM_SHARE);
+            const amount = Math.min(Math.floor(loyaltyPoints * loyalty.POINT_VALUE), maxAmount);
+            const points = Math.ceil(amount / loyalty.POINT_VALUE);
+            if (amount > 0) {
+                loyaltyDiscount = { points, amount };
+                subtotal -= amount;
+                breakdown.push({
+                    type: 'discount',
+                    code: 'loyalty',
+                    item: `Loyalty points (${points})`,
+                    price: -amount,
+                    quantity: 1
+                });
+            }
+        }
+
+        // Apply taxes
+        const taxAmount = Math.round(subtotal * this.taxRate);
+
+        return {
+            package: pkg,
+            participants,
+            requestedDuration: duration || pkg.duration,
+            duration: Math.max(duration || 0, pkg.duration),
+            addOns: appliedAddOns,
+            breakdown,
+            discount,
+            loyalty: loyaltyDiscount,
+            subtotal,
+            tax: {
+                rate: this.taxRate,
+                amount: taxAmount
+            },
+            total: subtotal + taxAmount,
+            currency: this.currency
+        };
+    }
+
+    // Price breakdown stored on a Booking for a calculated quote.
+    // The stored line items end with the tax line, so they add up to the total.
+    toPriceBreakdown(quote, clientQuotedPrice) {
+        return {
+            items: [
+                ...quote.breakdown,
+                {
+                    type: 'tax',
+                    code: 'gst',
+                    item: `GST (${Math.round(quote.tax.rate * 100)}%)`,
+                    price: quote.tax.amount,
+                    quantity: 1
+                }
+            ],
+            subtotal: quote.subtotal,
+            taxRate: quote.tax.rate,
+            taxAmount: quote.tax.amount,
+            discountAmount: quote.discount || quote.loyalty
+                ? (quote.discount ? quote.discount.amount : 0) + (quote.loyalty ? quote.loyalty.amount : 0)
+                : undefined,
+            total: quote.total,
+            currency: quote.currency,
+            clientQuotedPrice: clientQuotedPrice !== undefined ? parseFloat(clientQuotedPrice) : undefined,
+            calculatedAt: new Date()
+        };
+    }
+
+    // Check a client-quoted price against a calculated quote. The client may
+    // quote either the pre-tax subtotal or the tax-inclusive total.
+    matchesQuote(clientPrice, quote) {
+        const price = parseFloat(clientPrice);
+        if (Number.isNaN(price)) return false;
+        return [quote.total, quote.subtotal].some(amount => Math.abs(amount - price) <= PRICE_TOLERANCE);
+    }
+}
+
+module.exports = new PricingService();
@@ -0,0 +1,144 @@
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const Counter = require('../models/Counter');
+const pricingService = require('./pricingService');
+
+class PromoService {
+    // Build an error the routes can turn into a 4xx response
+    createError(message, status, details = {}) {
+        const error = new Error(message);
+        error.name = 'PromoError';
+        error.status = status;
+        error.details = details;
+        return error;
+    }
+
+    normalizeCode(code) {
+        return String(code || '').trim().toUpperCase();
+    }
+
+    // Look up a code and check it against a selection. Per-email limits are
+    // only checked when the booking is made, so previews never reveal whether
+    // an email has used a code. Throws a 404 or 400 PromoError.
+    async findApplicable(code, { packageType, subtotal }) {
+        const promo = await PromoCode.findOne({ code: this.normalizeCode(code) });
+        if (!promo) {
+            throw this.createError('Promo code not found', 404, { promoCode: this.normalizeCode(code) });
+        }
+
+        const reason = promo.getIneligibility({ packageType, subtotal });
+        if (reason) {
+            throw this.createError(reason, 400, { promoCode: promo.code });
+        }
+        return promo;
+    }
+
+    // Price a selection with a promo code applied (or without one when no code is given).
+    // Loyalty points are passed through to the pricing and come off after the promo.
+    // Returns the quote and the promo it used.
+    async quote({ packageType, participants, duration, addOns, promoCode, loyaltyPoints }) {
+        const selection = { packageType, participants, duration, addOns, loyaltyPoints };
+        if (!promoCode) {
+            return { quote: pricingService.calculate(selection), promo: null };
+        }
+
+        // Minimum spends are checked before any discount
+        const baseQuote = pricingService.calculate({ ...selection, loyaltyPoints: undefined });
+
+        const promo = await this.findApplicable(promoCode, {
+            packageType: baseQuote.package.type,
+            subtotal: baseQuote.subtotal
+        });
+        return { quote: pricingService.calculate({ ...selection, promo }), promo };
+    }
+
+    // Counter holding how often an email has used a code
+    emailUsageKey(promoCodeId, customerEmail) {
+        return `promo:${promoCodeId}:${customerEmail.toLowerCase()}`;
+    }
+
+    // Take one of an email's uses of a code atomically. Uses are counted even
+    // without a limit so a limit added later applies to earlier bookings.
+    async claimEmailUsage(promo, customerEmail) {
+        const key = this.emailUsageKey(promo._id, customerEmail);
+        const filter = promo.perEmailLimit ? { key, value: { $lt: promo.perEmailLimit } } : { key };
+        try {
+            await Counter.findOneAndUpdate(filter, { $inc: { value: 1 } }, { upsert: true, setDefaultsOnInsert: true });
+        } catch (error) {
+            // The email's counter exists but is at the limit, so the upsert collided with it
+            if (error.code === 11000) {
+                throw this.createError('You have already used this promo code', 409, { promoCode: promo.code });
+            }
+            throw error;
+        }
+    }
+
+    async releaseEmailUsage(promoCodeId, customerEmail) {
+        await Counter.updateOne(
+            { key: this.emailUsageKey(promoCodeId, customerEmail), value: { $gt: 0 } },
+            { $inc: { value: -1 } }
+        );
+    }
+
+    // Record a booking's use of a code (before the booking is saved).
+    // The usage count and the email's uses are claimed atomically so a code
+    // cannot be over-redeemed.
+    async redeem(promo, booking, discountAmount) {
+        const claimed = await PromoCode.findOneAndUpdate(
+            {
+                _id: promo._id,
+                isActive: true,
+                $or: [
+                    { usageLimit: { $exists: false } },
+                    { usageLimit: null },
+                    { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+                ]
+            },
+            { $inc: { usageCount: 1 } },
+            { new: true }
+        );
+        if (!claimed) {
+            throw this.createError('This promo code has been fully redeemed', 409, { promoCode: promo.code });
+        }
+
+        try {
+            await this.claimEmailUsage(claimed, booking.customerEmail);
+        } catch (error) {
+            await PromoCode.updateOne({ _id: promo._id }, { $inc: { usageCount: -1 } });
+            throw error;
+        }
+
+        try {
+            return await PromoRedemption.create({
+                promoCode: promo._id,
+                code: promo.code,
+                booking: booking._id,
+                customerEmail: booking.customerEmail,
+                discountAmount
+            });
+        } catch (error) {
+            await PromoCode.updateOne({ _id: promo._id }, { $inc: { usageCount: -1 } });
+            await this.releaseEmailUsage(promo._id, booking.customerEmail);
+            throw error;
+        }
+    }
+
+    // Give back the use of a code when its booking never went ahead
+    async release(booking) {
+        const redemption = await PromoRedemption.findOneAndUpdate(
+            { booking: booking._id, status: 'redeemed' },
+            { $set: { status: 'released', releasedAt: new Date() } },
+            { new: true }
+        );
+        if (!redemption) return false;
+
+        await PromoCode.updateOne(
+            { _id: redemption.promoCode, usageCount: { $gt: 0 } },
+            { $inc: { usageCount: -1 } }
+        );
+        await this.releaseEmailUsage(redemption.promoCode, redemption.customerEmail);
+        return true;
+    }
+}
+
+module.exports = new PromoService();
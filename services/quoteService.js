@@ -0,0 +1,426 @@
+const jwt = require('jsonwebtoken');
+const CorporateQuote = require('../models/CorporateQuote');
+const CorporateBooking = require('../models/CorporateBooking');
+const CorporateAccount = require('../models/CorporateAccount');
+const roomService = require('./roomService');
+const bookingAccessService = require('./bookingAccessService');
+const emailService = require('./emailService');
+const pipelineService = require('./pipelineService');
+const { addOns, TAX_RATE, CURRENCY } = require('../config/packages');
+const {
+    PER_HEAD_RATES,
+    DURATION_HOURS,
+    TEAM_SIZE_HEADCOUNT,
+    ADD_ON_BASIS,
+    EXCLUSIVITY_RATE_PER_HOUR,
+    QUOTE_VALID_DAYS,
+    getVolumeDiscount
+} = require('../config/corporatePricing');
+
+// Audience claim that keeps quote links apart from other signed tokens
+const TOKEN_AUDIENCE = 'corporate-quote';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class QuoteService {
+    constructor() {
+        this.taxRate = TAX_RATE;
+        this.currency = CURRENCY;
+    }
+
+    // Build an error the routes can turn into a 4xx response
+    createError(message, status, details = {}) {
+        const error = new Error(message);
+        error.name = 'QuoteError';
+        error.status = status;
+        error.details = details;
+        return error;
+    }
+
+    // Pricing
+
+    // Price a corporate event. headcount defaults to the top of the team size
+    // range; adjustments are extra lines staff add by hand (negative for discounts).
+    // negotiatedRates comes from the client's corporate account.
+    calculate({ teamSize, headcount, duration, addOns: selectedAddOns = [], venueExclusive = false, adjustments = [], negotiatedRates }) {
+        if (!PER_HEAD_RATES[duration]) {
+            throw this.createError('Unknown event duration', 400, { durations: Object.keys(PER_HEAD_RATES) });
+        }
+
+        headcount = parseInt(headcount) || TEAM_SIZE_HEADCOUNT[teamSize];
+        if (!headcount || headcount < 1) {
+            throw this.createError('A headcount of at least 1 is required', 400);
+        }
+
+        const unknownAddOns = selectedAddOns.filter(addOnId => !addOns.some(addOn => addOn.id === addOnId));
+        if (unknownAddOns.length > 0) {
+            throw this.createError(`Unknown add-on(s): ${unknownAddOns.join(', ')}`, 400, {
+                availableAddOns: addOns.map(addOn => addOn.id)
+            });
+        }
+
+        const agreedRate = negotiatedRates && negotiatedRates.perHeadRates
+            ? negotiatedRates.perHeadRates.get(duration)
+            : undefined;
+        const rate = agreedRate !== undefined ? agreedRate : PER_HEAD_RATES[duration];
+        const perHeadTotal = rate * headcount;
+        const items = [{
+            type: 'per_head',
+            code: 'per_head',
+            item: `Per-head rate (${duration}, ${headcount} × ₹${rate})`,
+            quantity: headcount,
+            unitPrice: rate,
+            price: perHeadTotal
+        }];
+
+        // Volume discount on the per-head charge
+        const volumeDiscount = getVolumeDiscount(headcount);
+        const volumeDiscountAmount = volumeDiscount ? Math.round(perHeadTotal * volumeDiscount.percent / 100) : 0;
+        if (volumeDiscount) {
+            items.push({
+                type: 'volume_discount',
+                code: 'volume_discount',
+                item: `Group discount (${volumeDiscount.percent}% for ${volumeDiscount.minHeadcount}+ guests)`,
+                quantity: 1,
+                price: -volumeDiscountAmount
+            });
+        }
+
+        // Account discount on what is left of the per-head charge
+        const accountDiscountPercent = negotiatedRates ? negotiatedRates.discountPercent || 0 : 0;
+        if (accountDiscountPercent > 0) {
+            items.push({
+                type: 'account_discount',
+                code: 'account_discount',
+                item: `Account discount (${accountDiscountPercent}%)`,
+                quantity: 1,
+                price: -Math.round((perHeadTotal - volumeDiscountAmount) * accountDiscountPercent / 100)
+            });
+        }
+
+        // Add-ons, once per head or once per event
+        const appliedAddOns = [...new Set(selectedAddOns)];
+        appliedAddOns.forEach(addOnId => {
+            const addOn = addOns.find(item => item.id === addOnId);
+            const perHead = ADD_ON_BASIS[addOn.id] === 'head';
+            const quantity = perHead ? headcount : 1;
+            items.push({
+                type: 'addon',
+                code: addOn.id,
+                item: perHead ? `${addOn.name} (${headcount} × ₹${addOn.price})` : addOn.name,
+                quantity,
+                unitPrice: addOn.price,
+                price: addOn.price * quantity
+            });
+        });
+
+        // Venue buy-out for the length of the event
+        if (venueExclusive) {
+            const hours = DURATION_HOURS[duration];
+            items.push({
+                type: 'exclusivity',
+                code: 'venue_exclusive',
+                item: `Exclusive venue hire (${hours} hr × ₹${EXCLUSIVITY_RATE_PER_HOUR})`,
+                quantity: hours,
+                unitPrice: EXCLUSIVITY_RATE_PER_HOUR,
+                price: EXCLUSIVITY_RATE_PER_HOUR * hours
+            });
+        }
+
+        adjustments.forEach(adjustment => {
+            items.push({
+                type: 'adjustment',
+                code: 'adjustment',
+                item: adjustment.item,
+                quantity: 1,
+                price: Math.round(adjustment.amount)
+            });
+        });
+
+        const subtotal = items.reduce((sum, item) => sum + item.price, 0);
+        if (subtotal < 0) {
+            throw this.createError('Adjustments cannot take the quote below zero', 400, { subtotal });
+        }
+
+        const taxAmount = Math.round(subtotal * this.taxRate);
+        items.push({
+            type: 'tax',
+            code: 'gst',
+            item: `GST (${Math.round(this.taxRate * 100)}%)`,
+            quantity: 1,
+            price: taxAmount
+        });
+
+        return {
+            headcount,
+            duration,
+            addOns: appliedAddOns,
+            venueExclusive: Boolean(venueExclusive),
+            items,
+            subtotal,
+            taxRate: this.taxRate,
+            taxAmount,
+            total: subtotal + taxAmount,
+            currency: this.currency
+        };
+    }
+
+    // Quotes
+
+    // Create the next quote version for a booking as a draft. Earlier quotes stay
+    // as they are until this one is sent.
+    async createQuote(booking, input, admin) {
+        if (['cancelled', 'completed'].includes(booking.status)) {
+            throw this.createError(`Cannot quote a ${booking.status} booking`, 409, { status: booking.status });
+        }
+
+        // Negotiated rates only apply once staff have confirmed the account link
+        const account = booking.account && booking.accountConfirmedAt ? await CorporateAccount.findById(booking.account) : null;
+        const pricing = this.calculate({
+            negotiatedRates: account && account.status === 'active' ? account.negotiatedRates : undefined,
+            teamSize: booking.teamSize,
+            duration: input.duration || booking.duration,
+            headcount: input.headcount,
+            addOns: input.addOns,
+            venueExclusive: input.venueExclusive,
+            adjustments: input.adjustments
+        });
+
+        const latest = await CorporateQuote.findOne({ corporateBooking: booking._id }).sort({ version: -1 });
+
+        return CorporateQuote.create({
+            ...pricing,
+            corporateBooking: booking._id,
+            bookingReference: booking.bookingReference,
+            version: latest ? latest.version + 1 : 1,
+            notes: input.notes,
+            createdBy: admin ? admin._id : undefined
+        });
+    }
+
+    // Email a quote to the booking's contact person. Any other open quote for the
+    // booking is superseded, and the booking's estimated cost follows the quote.
+    // Resending a sent quote keeps its validity date.
+    async sendQuote(quote, booking, admin, { validDays } = {}) {
+        if (!['draft', 'sent'].includes(quote.status)) {
+            throw this.createError(`A ${quote.status} quote cannot be sent`, 409, { status: quote.status });
+        }
+        if (['cancelled', 'completed'].includes(booking.status)) {
+            throw this.createError(`Cannot send a quote for a ${booking.status} booking`, 409, { status: booking.status });
+        }
+
+        if (quote.status === 'draft' || quote.isExpired) {
+            quote.validUntil = new Date(Date.now() + (validDays || QUOTE_VALID_DAYS) * DAY_MS);
+        }
+        quote.$locals.auditAction = 'send';
+        quote.status = 'sent';
+        quote.sentAt = new Date();
+        quote.sentBy = admin ? admin._id : undefined;
+        await quote.save();
+
+        await CorporateQuote.updateMany(
+            { corporateBooking: booking._id, _id: { $ne: quote._id }, status: { $in: ['draft', 'sent'] } },
+            { $set: { status: 'superseded' } }
+        );
+
+        const movedStage = pipelineService.followQuote(booking, quote, admin);
+        if (booking.estimatedCost !== quote.total) {
+            await booking.updateCost(quote.total);
+        } else if (movedStage) {
+            await booking.save();
+        }
+
+        const responseUrl = this.getResponseUrl(booking, quote);
+        let emailed = false;
+        try {
+            await emailService.sendCorporateQuote(booking, quote, responseUrl);
+            emailed = true;
+        } catch (emailError) {
+            console.error('Failed to send corporate quote email:', emailError);
+        }
+
+        return { quote, emailed, responseUrl };
+    }
+
+    // Links
+
+    // Signed token for responding to one quote. It expires with the quote.
+    generateToken(quote) {
+        return jwt.sign(
+            { quote: quote._id.toString(), ref: quote.bookingReference },
+            bookingAccessService.getSecret(),
+            {
+                audience: TOKEN_AUDIENCE,
+                expiresIn: Math.max(Math.floor((new Date(quote.validUntil).getTime() - Date.now()) / 1000), 1)
+            }
+        );
+    }
+
+    getResponseUrl(booking, quote) {
+        const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+        return `${baseUrl}/corporate/quote?ref=${encodeURIComponent(booking.bookingReference)}&token=${encodeURIComponent(this.generateToken(quote))}`;
+    }
+
+    // Load the quote and booking a response link points to. The token must
+    // belong to the booking reference it is used with.
+    async getForResponse(bookingReference, token) {
+        if (!token) {
+            throw this.createError('A quote token is required', 401);
+        }
+
+        let decoded;
+        try {
+            decoded = jwt.verify(token, bookingAccessService.getSecret(), { audience: TOKEN_AUDIENCE });
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') {
+                throw this.createError('This quote has expired. Please contact us for an updated quote.', 410);
+            }
+            if (error.name === 'JsonWebTokenError') {
+                throw this.createError('Invalid quote link', 401);
+            }
+            throw error;
+        }
+
+        if (decoded.ref !== String(bookingReference || '').toUpperCase()) {
+            throw this.createError('Invalid quote link', 401);
+        }
+
+        const [quote, booking] = await Promise.all([
+            CorporateQuote.findById(decoded.quote),
+            CorporateBooking.findOne({ bookingReference: decoded.ref })
+        ]);
+        if (!quote || !booking || !quote.corporateBooking.equals(booking._id)) {
+            throw this.createError('Quote not found', 404);
+        }
+        return { quote, booking };
+    }
+
+    // Responding
+
+    // Check that a quote can still be accepted or declined
+    assertOpen(quote, booking) {
+        if (quote.status === 'superseded') {
+            throw this.createError('This quote has been replaced by a newer one. Please check your email for the latest quote.', 410);
+        }
+        if (['accepted', 'declined'].includes(quote.status)) {
+            throw this.createError(`This quote has already been ${quote.status}`, 409, { status: quote.status });
+        }
+        if (quote.status !== 'sent') {
+            throw this.createError('This quote is not available', 404);
+        }
+        if (quote.isExpired) {
+            throw this.createError('This quote has expired. Please contact us for an updated quote.', 410);
+        }
+        if (['cancelled', 'completed'].includes(booking.status)) {
+            throw this.createError(`This booking is ${booking.status}`, 409, { status: booking.status });
+        }
+    }
+
+    // Accept a quote: the booking is confirmed at the quoted price and gets a room
+    async accept(bookingReference, token, { ipAddress } = {}) {
+        const { quote, booking } = await this.getForResponse(bookingReference, token);
+        this.assertOpen(quote, booking);
+
+        const accepted = await this.claimResponse(quote, {
+            status: 'accepted',
+            responseIpAddress: ipAddress
+        });
+
+        const oldStatus = booking.status;
+        booking.$locals.auditAction = 'quote_accepted';
+        booking.status = 'confirmed';
+        booking.estimatedCost = accepted.total;
+        booking.acceptedQuote = accepted._id;
+
+        let roomAssignment;
+        if (!booking.room) {
+            const room = await roomService.assignRoom(booking);
+            roomAssignment = room
+                ? { assigned: true, room: room.name }
+                : { assigned: false };
+        }
+        await booking.save();
+
+        await this.notifyResponse(booking, accepted, oldStatus);
+
+        return { quote: accepted, booking, roomAssignment };
+    }
+
+    // Decline a quote, optionally saying why. The booking stays pending so staff
+    // can follow up with a revised quote.
+    async decline(bookingReference, token, { reason, ipAddress } = {}) {
+        const { quote, booking } = await this.getForResponse(bookingReference, token);
+        this.assertOpen(quote, booking);
+
+        const declined = await this.claimResponse(quote, {
+            status: 'declined',
+            declineReason: reason,
+            responseIpAddress: ipAddress
+        });
+
+        if (pipelineService.followQuote(booking, declined)) {
+            await booking.save();
+        }
+
+        await this.notifyResponse(booking, declined);
+
+        return { quote: declined, booking };
+    }
+
+    // Record a response only if the quote is still sent and unexpired when it is
+    // written, so a second click or a quote superseded in the meantime can't
+    // also be answered. Throws a 409 QuoteError when the quote has moved on.
+    async claimResponse(quote, update, now = new Date()) {
+        const claimed = await CorporateQuote.findOneAndUpdate(
+            { _id: quote._id, status: 'sent', validUntil: { $gt: now } },
+            { $set: { ...update, respondedAt: now } },
+            { new: true }
+        );
+        if (!claimed) {
+            throw this.createError('This quote has already been answered or replaced. Please check your email for the latest quote.', 409);
+        }
+        return claimed;
+    }
+
+    // Alert the team to a quote response and, when accepting confirmed the
+    // booking, send the customer their confirmation. Email failures are logged.
+    async notifyResponse(booking, quote, oldStatus) {
+        try {
+            await emailService.sendCorporateQuoteResponse(booking, quote);
+        } catch (emailError) {
+            console.error('Failed to send corporate quote response email:', emailError);
+        }
+
+        if (oldStatus && oldStatus !== booking.status) {
+            try {
+                await emailService.sendCorporateStatusUpdate(booking, oldStatus);
+            } catch (emailError) {
+                console.error('Failed to send corporate status update email:', emailError);
+            }
+        }
+    }
+
+    // Customer view of a quote (no internal IDs or staff details)
+    customerView(quote) {
+        return {
+            quoteNumber: quote.quoteNumber,
+            version: quote.version,
+            status: quote.isExpired ? 'expired' : quote.status,
+            headcount: quote.headcount,
+            duration: quote.duration,
+            venueExclusive: quote.venueExclusive,
+            items: quote.items,
+            subtotal: quote.subtotal,
+            taxRate: quote.taxRate,
+            taxAmount: quote.taxAmount,
+            total: quote.total,
+            currency: quote.currency,
+            notes: quote.notes,
+            validUntil: quote.validUntil,
+            sentAt: quote.sentAt,
+            respondedAt: quote.respondedAt
+        };
+    }
+}
+
+module.exports = new QuoteService();
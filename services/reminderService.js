@@ -0,0 +1,86 @@
+const Booking = require('../models/Booking');
+const CorporateBooking = require('../models/CorporateBooking');
+const emailService = require('./emailService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Reminders go to confirmed bookings; each model names its own start field and sender
+const TARGETS = [
+    { name: 'bookings', model: Booking, startField: 'sessionStart', send: booking => emailService.sendSessionReminder(booking) },
+    { name: 'corporateBookings', model: CorporateBooking, startField: 'eventStart', send: booking => emailService.sendCorporateEventReminder(booking) }
+];
+
+class ReminderService {
+    constructor() {
+        // Hours before the session each reminder goes out, largest first
+        this.offsets = this.parseOffsets(process.env.REMINDER_OFFSETS_HOURS || '24,2');
+    }
+
+    parseOffsets(value) {
+        const offsets = String(value)
+            .split(',')
+            .map(offset => parseFloat(offset))
+            .filter(offset => offset > 0);
+        return [...new Set(offsets)].sort((a, b) => b - a);
+    }
+
+    // Each reminder covers sessions starting between its offset and the next
+    // smaller one, so a booking that is already close only gets the latest reminder
+    getWindows(now = new Date()) {
+        return this.offsets.map((hours, index) => {
+            const nextHours = this.offsets[index + 1] || 0;
+            return {
+                key: `${hours}h`,
+                hours,
+                from: new Date(now.getTime() + nextHours * HOUR_MS),
+                to: new Date(now.getTime() + hours * HOUR_MS)
+            };
+        });
+    }
+
+    // Send every reminder that is due. Returns how many went out per model.
+    async sendDue(now = new Date()) {
+        const sent = {};
+        for (const target of TARGETS) {
+            sent[target.name] = 0;
+            for (const window of this.getWindows(now)) {
+                sent[target.name] += await this.sendWindow(target, window, now);
+            }
+        }
+        return sent;
+    }
+
+    async sendWindow(target, window, now) {
+        const { model, startField } = target;
+        const candidates = await model.find({
+            status: 'confirmed',
+            [startField]: { $gt: window.from, $lte: window.to },
+            'remindersSent.key': { $ne: window.key },
+            // Bookings made after the reminder was due skip it
+            $expr: { $lte: ['$createdAt', { $subtract: [`$${startField}`, window.hours * HOUR_MS] }] }
+        }).select('_id');
+
+        let count = 0;
+        for (const { _id } of candidates) {
+            // Claim the reminder before sending so restarts and other instances don't send it again
+            const booking = await model.findOneAndUpdate(
+                { _id, status: 'confirmed', 'remindersSent.key': { $ne: window.key } },
+                { $push: { remindersSent: { key: window.key, sentAt: now } } },
+                { new: true }
+            );
+            if (!booking) continue;
+
+            try {
+                await target.send(booking);
+                count++;
+            } catch (emailError) {
+                // Give the claim back so the next run retries
+                await model.updateOne({ _id }, { $pull: { remindersSent: { key: window.key } } });
+                console.error(`Failed to send ${window.key} reminder for ${_id}:`, emailError.message);
+            }
+        }
+        return count;
+    }
+}
+
+module.exports = new ReminderService();
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const Booking = require('../models/Booking');
+const CorporateBooking = require('../models/CorporateBooking');
+const RoomReservation = require('../models/RoomReservation');
+const { SLOT_SETTINGS } = require('../config/slots');
+
+// Rooms must fit the top of a corporate team size range
+const TEAM_SIZE_CAPACITY = {
+    '5-10 people': 10,
+    '11-20 people': 20,
+    '21-30 people': 30,
+    '31-50 people': 50,
+    '50+ people': 60
+};
+
+class RoomService {
+    // Build an error the routes can turn into a 4xx response
+    createError(message, status, details = {}) {
+        const error = new Error(message);
+        error.name = 'RoomAssignmentError';
+        error.status = status;
+        error.details = details;
+        return error;
+    }
+
+    // Time window, package type and group size of an individual or corporate booking
+    describe(booking) {
+        if (booking instanceof CorporateBooking) {
+            return {
+                start: booking.eventStart,
+                end: booking.eventEnd,
+                packageType: 'corporate',
+                participants: TEAM_SIZE_CAPACITY[booking.teamSize] || Math.ceil(booking.teamSizeNumber)
+            };
+        }
+
+        const start = booking.sessionStart || booking.preferredDate;
+        return {
+            start,
+            end: booking.sessionEnd || new Date(start.getTime() + booking.duration * 60 * 1000),
+            packageType: booking.packageType,
+            participants: booking.participants
+        };
+    }
+
+    // Starts of the slot intervals a time window touches
+    getIntervalStarts(start, end) {
+        const intervalMs = SLOT_SETTINGS.intervalMinutes * 60 * 1000;
+        const starts = [];
+        for (let time = Math.floor(start.getTime() / intervalMs) * intervalMs; time < end.getTime(); time += intervalMs) {
+            starts.push(new Date(time));
+        }
+        return starts;
+    }
+
+    // IDs of rooms used by confirmed bookings overlapping a time window
+    async getOccupiedRoomIds(start, end, excludeId) {
+        const [individual, corporate] = await Promise.all([
+            Booking.distinct('room', {
+                _id: { $ne: excludeId },
+                room: { $exists: true, $ne: null },
+                status: 'confirmed',
+                sessionStart: { $lt: end },
+                sessionEnd: { $gt: start }
+            }),
+            CorporateBooking.distinct('room', {
+                _id: { $ne: excludeId },
+                room: { $exists: true, $ne: null },
+                status: 'confirmed',
+                eventStart: { $lt: end },
+                eventEnd: { $gt: start }
+            })
+        ]);
+
+        return new Set([...individual, ...corporate].map(id => id.toString()));
+    }
+
+    // Free rooms that suit a booking, smallest first
+    async findAvailableRooms(booking) {
+        const { start, end, packageType, participants } = this.describe(booking);
+        const [rooms, occupied] = await Promise.all([
+            Room.findSuitable(packageType, participants),
+            this.getOccupiedRoomIds(start, end, booking._id)
+        ]);
+
+        return rooms.filter(room => !occupied.has(room._id.toString()));
+    }
+
+    // Hold a room for a booking's time window, giving back any room it held
+    // before. Returns false when another booking took the room in the meantime.
+    claimRoom(room, booking) {
+        const { start, end } = this.describe(booking);
+        const bookingType = booking instanceof CorporateBooking ? 'CorporateBooking' : 'Booking';
+        return RoomReservation.reserve(room._id, booking._id, bookingType, this.getIntervalStarts(start, end));
+    }
+
+    // Assign the best free room to a booking (not saved). Returns the room or null.
+    async assignRoom(booking) {
+        const rooms = await this.findAvailableRooms(booking);
+        for (const room of rooms) {
+            if (await this.claimRoom(room, booking)) {
+                booking.room = room._id;
+                booking.roomAssignedAt = new Date();
+                return room;
+            }
+        }
+        return null;
+    }
+
+    // Take a booking's room away (not saved), e.g. when it is cancelled or moved
+    async releaseRoom(booking) {
+        booking.room = undefined;
+        booking.roomAssignedAt = undefined;
+        await RoomReservation.release(booking._id);
+    }
+
+    // Assign a specific room chosen by staff (not saved)
+    async assignSpecificRoom(booking, roomId) {
+        if (!mongoose.isValidObjectId(roomId)) {
+            throw this.createError('Invalid room ID', 400);
+        }
+
+        const room = await Room.findById(roomId);
+        if (!room || !room.isActive) {
+            throw this.createError('Room not found or inactive', 404);
+        }
+
+        const { start, end, packageType, participants } = this.describe(booking);
+        if (!room.packageTypes.includes(packageType)) {
+            throw this.createError(`${room.name} does not support ${packageType} bookings`, 400);
+        }
+        if (room.capacity < participants) {
+            throw this.createError(`${room.name} only fits ${room.capacity} participants`, 400);
+        }
+
+        const occupied = await this.getOccupiedRoomIds(start, end, booking._id);
+        if (occupied.has(room._id.toString()) || !(await this.claimRoom(room, booking))) {
+            throw this.createError(`${room.name} is already in use at this time`, 409);
+        }
+
+        booking.room = room._id;
+        booking.roomAssignedAt = new Date();
+        return room;
+    }
+}
+
+module.exports = new RoomService();
@@ -0,0 +1,254 @@
+const jwt = require('jsonwebtoken');
+const Booking = require('../models/Booking');
+const Waitlist = require('../models/Waitlist');
+const pricingService = require('./pricingService');
+const availabilityService = require('./availabilityService');
+const calendarService = require('./calendarService');
+const holdService = require('./holdService');
+const bookingAccessService = require('./bookingAccessService');
+const emailService = require('./emailService');
+
+// Audience claim that keeps claim links apart from other signed tokens
+const TOKEN_AUDIENCE = 'waitlist-claim';
+
+class WaitlistService {
+    constructor() {
+        // How long the next person in line has to claim a freed place
+        this.claimMinutes = parseInt(process.env.WAITLIST_CLAIM_MINUTES) || 60;
+    }
+
+    // Build an error the routes can turn into a 4xx response
+    createError(message, status, details = {}) {
+        const error = new Error(message);
+        error.name = 'WaitlistError';
+        error.status = status;
+        error.details = details;
+        return error;
+    }
+
+    // Joining
+
+    // Add a customer to the waitlist for a full start time
+    async join({ customerName, customerEmail, customerPhone, date, startTime, packageType, participants, duration }) {
+        const quote = pricingService.calculate({ packageType, participants, duration });
+        const dateKey = availabilityService.toDateKey(date);
+
+        const availability = await availabilityService.getAvailability({
+            date: dateKey,
+            packageType,
+            participants: quote.participants,
+            duration: quote.duration
+        });
+        if (!availability.isOpen) {
+            throw this.createError(`We're closed on this date (${availability.closedReason})`, 400);
+        }
+
+        const slot = availability.slots.find(item => item.startTime === startTime);
+        if (!slot) {
+            throw this.createError('Sessions cannot start at this time. Please choose a time from the availability list.', 400);
+        }
+        if (slot.available) {
+            throw this.createError('This time is still available. Please book it directly.', 409, { slot });
+        }
+        if (availabilityService.toDateTime(dateKey, startTime) <= new Date()) {
+            throw this.createError('This session has already started', 400);
+        }
+
+        const existing = await Waitlist.findOne({
+            customerEmail: customerEmail.toLowerCase(),
+            date: dateKey,
+            startTime,
+            status: { $in: ['waiting', 'offered'] }
+        });
+        if (existing) {
+            throw this.createError('You are already on the waitlist for this session', 409, {
+                position: await existing.getPosition()
+            });
+        }
+
+        const entry = await Waitlist.create({
+            customerName,
+            customerEmail,
+            customerPhone,
+            date: dateKey,
+            startTime,
+            packageType,
+            participants: quote.participants,
+            duration: quote.duration
+        });
+
+        return { entry, position: await entry.getPosition() };
+    }
+
+    // Promotion
+
+    // Offer freed places on a date to the people waiting for them, in the order they joined.
+    // Each offer holds the slot with a 'held' booking until the claim link expires.
+    async promote(date) {
+        const entries = await Waitlist.findWaiting(date);
+        const offers = [];
+
+        for (const entry of entries) {
+            try {
+                const offer = await this.makeOffer(entry);
+                if (offer) offers.push(offer);
+            } catch (error) {
+                // One broken entry must not block everyone behind it
+                console.error(`Failed to offer waitlist entry ${entry._id}:`, error.message);
+            }
+        }
+        return offers;
+    }
+
+    async makeOffer(entry) {
+        const sessionStart = availabilityService.toDateTime(entry.date, entry.startTime);
+        const hours = await calendarService.getHours(entry.date);
+        // The session has passed, or the venue has since closed at that time
+        if (sessionStart <= new Date() || !availabilityService.isValidStartTime(entry.startTime, entry.duration, hours)) {
+            entry.status = 'expired';
+            await entry.save();
+            return null;
+        }
+
+        const quote = pricingService.calculate({
+            packageType: entry.packageType,
+            participants: entry.participants,
+            duration: entry.duration
+        });
+        const booking = new Booking({
+            customerName: entry.customerName,
+            customerEmail: entry.customerEmail,
+            customerPhone: entry.customerPhone,
+            packageType: quote.package.type,
+            packageName: quote.package.name,
+            packagePrice: quote.total,
+            priceBreakdown: pricingService.toPriceBreakdown(quote),
+            preferredDate: sessionStart,
+            duration: quote.duration,
+            participants: quote.participants,
+            specialRequests: 'Booked from the waitlist'
+        });
+
+        try {
+            await availabilityService.reserveForBooking(booking, { date: entry.date, startTime: entry.startTime });
+        } catch (error) {
+            // Still full for this party; leave them waiting
+            if (error.name === 'AvailabilityError') return null;
+            throw error;
+        }
+
+        // Offers never outlive the session they are for
+        const offerExpiresAt = new Date(Math.min(Date.now() + this.claimMinutes * 60 * 1000, sessionStart.getTime()));
+        holdService.placeHold(booking, offerExpiresAt);
+
+        try {
+            await booking.save();
+        } catch (saveError) {
+            await availabilityService.releaseForBooking(booking);
+            throw saveError;
+        }
+
+        entry.status = 'offered';
+        entry.booking = booking._id;
+        entry.offeredAt = new Date();
+        entry.offerExpiresAt = offerExpiresAt;
+        await entry.save();
+
+        try {
+            await emailService.sendWaitlistOffer(entry, this.getClaimUrl(entry));
+        } catch (emailError) {
+            console.error('Failed to send waitlist offer email:', emailError);
+        }
+
+        return { entry, booking };
+    }
+
+    // Mark offers whose claim window has passed as expired. Returns the affected dates.
+    async expireOffers(now = new Date()) {
+        const entries = await Waitlist.find({ status: 'offered', offerExpiresAt: { $lte: now } });
+        for (const entry of entries) {
+            entry.status = 'expired';
+            await entry.save();
+        }
+        return [...new Set(entries.map(entry => entry.date))];
+    }
+
+    // Claiming
+
+    generateClaimToken(entry) {
+        return jwt.sign(
+            { entry: entry._id.toString() },
+            bookingAccessService.getSecret(),
+            {
+                audience: TOKEN_AUDIENCE,
+                expiresIn: Math.max(Math.floor((entry.offerExpiresAt - Date.now()) / 1000), 1)
+            }
+        );
+    }
+
+    getClaimUrl(entry) {
+        const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+        return `${baseUrl}/waitlist/claim?token=${encodeURIComponent(this.generateClaimToken(entry))}`;
+    }
+
+    // Load the offer a claim token points to
+    async getOffer(token) {
+        if (!token) {
+            throw this.createError('A claim token is required', 401);
+        }
+
+        let decoded;
+        try {
+            decoded = jwt.verify(token, bookingAccessService.getSecret(), { audience: TOKEN_AUDIENCE });
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') {
+                throw this.createError('This offer has expired', 410);
+            }
+            if (error.name === 'JsonWebTokenError') {
+                throw this.createError('Invalid claim link', 401);
+            }
+            throw error;
+        }
+
+        const entry = await Waitlist.findById(decoded.entry).populate('booking');
+        if (!entry || !entry.booking) {
+            throw this.createError('Offer not found', 404);
+        }
+        return entry;
+    }
+
+    // Turn an offer into a pending booking
+    async claim(token) {
+        const entry = await this.getOffer(token);
+        if (entry.status === 'claimed') {
+            throw this.createError('This offer has already been claimed', 409);
+        }
+        if (entry.status !== 'offered' || holdService.isExpired(entry.booking)) {
+            throw this.createError('This offer has expired', 410);
+        }
+
+        const booking = entry.booking;
+        await holdService.completeHold(booking);
+        await booking.save();
+
+        entry.status = 'claimed';
+        entry.claimedAt = new Date();
+        await entry.save();
+
+        try {
+            await emailService.sendBookingConfirmation(booking);
+        } catch (emailError) {
+            console.error('Failed to send confirmation email:', emailError);
+        }
+
+        try {
+            await emailService.sendBookingNotification(booking);
+        } catch (emailError) {
+            console.error('Failed to send admin notification:', emailError);
+        }
+
+        return { entry, booking };
+    }
+}
+
+module.exports = new WaitlistService();
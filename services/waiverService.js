@@ -0,0 +1,171 @@
+const jwt = require('jsonwebtoken');
+const Booking = require('../models/Booking');
+const Waiver = require('../models/Waiver');
+const Counter = require('../models/Counter');
+const bookingAccessService = require('./bookingAccessService');
+const { VERSION, MINIMUM_AGE, TITLE, CLAUSES } = require('../config/waiver');
+
+// Audience claim that keeps waiver links apart from other signed tokens
+const TOKEN_AUDIENCE = 'booking-waiver';
+
+// Bookings whose participants can still sign
+const SIGNABLE_STATUSES = ['pending', 'confirmed'];
+
+class WaiverService {
+    // Build an error the routes can turn into a 4xx response
+    createError(message, status, details = {}) {
+        const error = new Error(message);
+        error.name = 'WaiverError';
+        error.status = status;
+        error.details = details;
+        return error;
+    }
+
+    // The waiver participants are asked to sign
+    getTerms() {
+        return {
+            version: VERSION,
+            title: TITLE,
+            minimumAge: MINIMUM_AGE,
+            clauses: CLAUSES
+        };
+    }
+
+    // Links
+
+    // Signing link shared with everyone in the booking. It only allows signing,
+    // so unlike the management link it is safe to pass around the group.
+    generateToken(booking) {
+        const sessionEnd = booking.sessionEnd || booking.preferredDate;
+        const expiresAt = Math.max(new Date(sessionEnd).getTime() + 24 * 60 * 60 * 1000, Date.now() + 60 * 60 * 1000);
+        return jwt.sign(
+            { booking: booking._id.toString() },
+            bookingAccessService.getSecret(),
+            { audience: TOKEN_AUDIENCE, expiresIn: Math.floor((expiresAt - Date.now()) / 1000) }
+        );
+    }
+
+    getSignUrl(booking) {
+        const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+        return `${baseUrl}/waiver?token=${encodeURIComponent(this.generateToken(booking))}`;
+    }
+
+    // Load the booking a waiver link points to
+    async getBooking(token) {
+        if (!token) {
+            throw this.createError('A waiver token is required', 401);
+        }
+
+        let decoded;
+        try {
+            decoded = jwt.verify(token, bookingAccessService.getSecret(), { audience: TOKEN_AUDIENCE });
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') {
+                throw this.createError('This waiver link has expired', 410);
+            }
+            if (error.name === 'JsonWebTokenError') {
+                throw this.createError('Invalid waiver link', 401);
+            }
+            throw error;
+        }
+
+        const booking = await Booking.findById(decoded.booking);
+        if (!booking) {
+            throw this.createError('Booking not found', 404);
+        }
+        return booking;
+    }
+
+    // Signing
+
+    // Who has signed the current waiver version for a booking and how many
+    // signatures are still needed. Raising the version asks everyone again.
+    async getStatus(booking) {
+        const waivers = await Waiver.find({ booking: booking._id, waiverVersion: VERSION })
+            .sort({ signedAt: 1 })
+            .select('participantName signedAt');
+        const required = booking.participants;
+
+        return {
+            required,
+            signed: waivers.length,
+            remaining: Math.max(required - waivers.length, 0),
+            complete: waivers.length >= required,
+            participants: waivers.map(waiver => ({
+                participantName: waiver.participantName,
+                signedAt: waiver.signedAt
+            }))
+        };
+    }
+
+    // Counter holding how many people have signed the current waiver version for a booking
+    signatureKey(booking) {
+        return `waiver:${booking._id}:${VERSION}`;
+    }
+
+    // Take one of a booking's signatures atomically, so people signing at the
+    // same time can't sign more waivers than the booking has participants
+    async claimSignature(booking) {
+        try {
+            await Counter.findOneAndUpdate(
+                { key: this.signatureKey(booking), value: { $lt: booking.participants } },
+                { $inc: { value: 1 } },
+                { upsert: true, setDefaultsOnInsert: true }
+            );
+        } catch (error) {
+            // The booking's counter exists but is full, so the upsert collided with it
+            if (error.code === 11000) {
+                throw this.createError('Everyone in this booking has already signed the waiver', 409, {
+                    required: booking.participants
+                });
+            }
+            throw error;
+        }
+    }
+
+    async releaseSignature(booking) {
+        await Counter.updateOne(
+            { key: this.signatureKey(booking), value: { $gt: 0 } },
+            { $inc: { value: -1 } }
+        );
+    }
+
+    // Record one participant's signature on the current waiver version
+    async sign(booking, { participantName, ageConfirmed, signatureType, signature }, { ipAddress, userAgent } = {}) {
+        if (!SIGNABLE_STATUSES.includes(booking.status)) {
+            throw this.createError(`Waivers cannot be signed for a ${booking.status} booking`, 409, { status: booking.status });
+        }
+        if (ageConfirmed !== true) {
+            throw this.createError(`Participants must be at least ${MINIMUM_AGE} years old`, 400, { minimumAge: MINIMUM_AGE });
+        }
+
+        await this.claimSignature(booking);
+
+        try {
+            return await Waiver.create({
+                booking: booking._id,
+                bookingId: booking.bookingId,
+                participantName,
+                ageConfirmed,
+                signatureType,
+                signature,
+                waiverVersion: VERSION,
+                ipAddress,
+                userAgent
+            });
+        } catch (error) {
+            await this.releaseSignature(booking);
+            if (error.code === 11000) {
+                throw this.createError(`${participantName} has already signed the waiver for this booking`, 409);
+            }
+            if (error.name === 'ValidationError') {
+                throw this.createError('Invalid waiver signature', 400, {
+                    errors: Object.values(error.errors).map(item => item.message)
+                });
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = new WaiverService();
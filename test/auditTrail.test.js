@@ -0,0 +1,59 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const auditTrail = require('../models/plugins/auditTrail');
+const { runAsSystem } = require('../middleware/requestContext');
+
+afterEach(() => mock.restoreAll());
+
+const ticketSchema = new mongoose.Schema({ reference: String, status: String, noShow: Boolean });
+ticketSchema.plugin(auditTrail, { entityType: 'Ticket', referenceField: 'reference' });
+const Ticket = mongoose.model('AuditTrailTestTicket', ticketSchema);
+
+// A chainable stand-in for a query that resolves to the given documents
+const results = (docs) => {
+    const query = {
+        select: () => query,
+        lean: () => query,
+        sort: () => query,
+        limit: () => query,
+        then: (resolve, reject) => Promise.resolve(docs).then(resolve, reject)
+    };
+    return query;
+};
+
+test('query-level updates made by a background job are recorded', async () => {
+    const first = new mongoose.Types.ObjectId();
+    const second = new mongoose.Types.ObjectId();
+    const reads = [
+        [{ _id: first, reference: 'T-1', noShow: false }, { _id: second, reference: 'T-2', noShow: false }],
+        // The second booking was checked in before the write reached it
+        [{ _id: first, reference: 'T-1', noShow: true }, { _id: second, reference: 'T-2', noShow: false }]
+    ];
+    mock.method(Ticket, 'find', () => results(reads.shift()));
+    mock.method(Ticket.collection, 'updateMany', async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }));
+    const record = mock.method(AuditLog, 'record', async () => null);
+
+    await runAsSystem('No-show detector', async () => {
+        await Ticket.updateMany({ status: 'confirmed' }, { $set: { noShow: true } });
+    });
+
+    assert.strictEqual(record.mock.callCount(), 1);
+    const [entry] = record.mock.calls[0].arguments;
+    assert.deepStrictEqual(entry.actor, { type: 'system', name: 'No-show detector' });
+    assert.strictEqual(entry.entityReference, 'T-1');
+    assert.strictEqual(entry.action, 'update');
+    assert.deepStrictEqual(entry.changedFields, ['noShow']);
+    assert.deepStrictEqual(entry.before, { noShow: false });
+    assert.deepStrictEqual(entry.after, { noShow: true });
+});
+
+test('query-level updates outside a request or job are not recorded', async () => {
+    const find = mock.method(Ticket, 'find', () => results([]));
+    mock.method(Ticket.collection, 'updateOne', async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }));
+
+    await Ticket.updateOne({ reference: 'T-1' }, { $set: { status: 'cancelled' } });
+
+    assert.strictEqual(find.mock.callCount(), 0);
+});
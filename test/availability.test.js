@@ -0,0 +1,54 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const Slot = require('../models/Slot');
+const availabilityService = require('../services/availabilityService');
+
+afterEach(() => mock.restoreAll());
+
+test('a session reserves every interval it covers', () => {
+    assert.deepStrictEqual(availabilityService.getIntervals('10:00', 90), ['10:00', '10:30', '11:00']);
+});
+
+test('start times skip blackouts and sessions that would run past closing', () => {
+    const hours = {
+        isOpen: true,
+        openingTime: '10:00',
+        closingTime: '12:00',
+        blackouts: [{ startTime: '11:00', endTime: '11:30' }]
+    };
+
+    assert.deepStrictEqual(availabilityService.getStartTimes(60, hours), ['10:00']);
+    assert.deepStrictEqual(availabilityService.getStartTimes(60, { isOpen: false }), []);
+});
+
+test('a slot is only claimed while it has room for the whole party', async () => {
+    mock.method(Slot, 'updateOne', async () => ({}));
+    const claim = mock.method(Slot, 'findOneAndUpdate', async () => null);
+
+    const slot = await Slot.reserve('2026-11-02', '10:00', 10, 'booking_1', 4);
+
+    assert.strictEqual(slot, null);
+    const [filter, update] = claim.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter, {
+        date: '2026-11-02',
+        startTime: '10:00',
+        'bookings.booking': { $ne: 'booking_1' },
+        $expr: { $lte: [{ $add: ['$reserved', 4] }, '$capacity'] }
+    });
+    assert.deepStrictEqual(update.$inc, { reserved: 4 });
+});
+
+test('a booking that cannot get every interval gives back the ones it took', async () => {
+    // 10:00 is free, 10:30 is full
+    mock.method(Slot, 'reserve', async (date, startTime) => (startTime === '10:00' ? { startTime } : null));
+    const release = mock.method(Slot, 'release', async () => ({}));
+    const booking = { _id: 'booking_1', duration: 60, participants: 4 };
+
+    await assert.rejects(
+        availabilityService.reserveForBooking(booking, { date: '2026-11-02', startTime: '10:00' }),
+        error => error.name === 'AvailabilityError' && error.status === 409 && error.details.conflictAt === '10:30'
+    );
+
+    assert.deepStrictEqual(release.mock.calls.map(call => call.arguments), [['2026-11-02', '10:00', 'booking_1', 4]]);
+    assert.strictEqual(booking.slotReservation, undefined);
+});
@@ -0,0 +1,67 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const bookingAccessService = require('../services/bookingAccessService');
+
+const SECRET = 'test-secret';
+
+afterEach(() => mock.restoreAll());
+
+const booking = { _id: new mongoose.Types.ObjectId(), bookingId: 'SL-20261020-0001' };
+
+// A request carrying a token in the X-Booking-Token header
+const requestWith = (token) => ({
+    query: {},
+    get: (header) => (header === 'X-Booking-Token' ? token : undefined)
+});
+
+test('a generated token grants access to its own booking only', () => {
+    mock.method(bookingAccessService, 'getSecret', () => SECRET);
+    const token = bookingAccessService.generateToken(booking);
+
+    assert.strictEqual(bookingAccessService.verifyToken(token), booking._id.toString());
+    assert.strictEqual(bookingAccessService.hasAccess(requestWith(token), booking), true);
+    assert.strictEqual(
+        bookingAccessService.hasAccess(requestWith(token), { _id: new mongoose.Types.ObjectId() }),
+        false
+    );
+    assert.strictEqual(bookingAccessService.hasAccess(requestWith(undefined), booking), false);
+});
+
+test('verifyToken rejects tokens for another audience', () => {
+    mock.method(bookingAccessService, 'getSecret', () => SECRET);
+    const adminToken = jwt.sign({ booking: booking._id.toString() }, SECRET);
+
+    assert.throws(
+        () => bookingAccessService.verifyToken(adminToken),
+        { name: 'BookingAccessError', status: 401, message: 'Invalid booking link' }
+    );
+});
+
+test('verifyToken explains when a link has expired', () => {
+    mock.method(bookingAccessService, 'getSecret', () => SECRET);
+    const expired = jwt.sign(
+        { booking: booking._id.toString(), exp: Math.floor(Date.now() / 1000) - 60 },
+        SECRET,
+        { audience: 'booking-manage' }
+    );
+
+    assert.throws(() => bookingAccessService.verifyToken(expired), { status: 401, message: /expired/ });
+    assert.throws(() => bookingAccessService.verifyToken(null), { status: 401 });
+});
+
+test('redact leaves out contact details and the surname', () => {
+    const view = bookingAccessService.redact({
+        ...booking,
+        customerName: 'Asha Rao',
+        customerEmail: 'asha@example.com',
+        customerPhone: '9876543210',
+        status: 'confirmed'
+    });
+
+    assert.strictEqual(view.customerName, 'Asha');
+    assert.strictEqual(view.customerEmail, undefined);
+    assert.strictEqual(view.customerPhone, undefined);
+    assert.strictEqual(view.redacted, true);
+});
@@ -0,0 +1,137 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const OpeningHours = require('../models/OpeningHours');
+const CalendarException = require('../models/CalendarException');
+const calendarService = require('../services/calendarService');
+
+afterEach(() => mock.restoreAll());
+
+// Open 10:00-22:00 every day except Monday
+const weeklyHours = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+    .map((dayName, dayOfWeek) => ({
+        dayOfWeek,
+        dayName,
+        isOpen: dayOfWeek !== 1,
+        openingTime: dayOfWeek !== 1 ? '10:00' : null,
+        closingTime: dayOfWeek !== 1 ? '22:00' : null
+    }));
+
+const exception = (fields) => new CalendarException({
+    name: 'Exception',
+    startDate: '2026-10-20',
+    endDate: '2026-10-20',
+    ...fields
+});
+
+test('addDays crosses month ends', () => {
+    assert.strictEqual(calendarService.addDays('2026-10-31', 1), '2026-11-01');
+    assert.strictEqual(calendarService.addDays('2026-03-01', -1), '2026-02-28');
+});
+
+test('toDateKey uses the venue date', () => {
+    // 20:00 UTC is already the next day in India
+    assert.strictEqual(calendarService.toDateKey(new Date('2026-10-20T20:00:00Z')), '2026-10-21');
+});
+
+test('resolveDay follows the weekly hours without exceptions', () => {
+    const tuesday = calendarService.resolveDay('2026-10-20', weeklyHours, []);
+    assert.strictEqual(tuesday.dayName, 'Tuesday');
+    assert.strictEqual(tuesday.isOpen, true);
+    assert.strictEqual(tuesday.openingTime, '10:00');
+    assert.deepStrictEqual(tuesday.blackouts, []);
+
+    const monday = calendarService.resolveDay('2026-10-19', weeklyHours, []);
+    assert.strictEqual(monday.isOpen, false);
+    assert.strictEqual(monday.reason, 'Closed');
+});
+
+test('resolveDay closes the day for a holiday spanning it', () => {
+    const holiday = exception({ type: 'holiday', name: 'Diwali', startDate: '2026-10-19', endDate: '2026-10-21' });
+
+    const day = calendarService.resolveDay('2026-10-20', weeklyHours, [holiday]);
+
+    assert.strictEqual(day.isOpen, false);
+    assert.strictEqual(day.openingTime, null);
+    assert.strictEqual(day.reason, 'Diwali');
+});
+
+test('resolveDay ignores exceptions on other dates', () => {
+    const holiday = exception({ type: 'holiday', startDate: '2026-10-21', endDate: '2026-10-22' });
+
+    const day = calendarService.resolveDay('2026-10-20', weeklyHours, [holiday]);
+
+    assert.strictEqual(day.isOpen, true);
+});
+
+test('resolveDay opens a weekly closed day with special hours', () => {
+    const special = exception({
+        type: 'special_hours',
+        name: 'Festive hours',
+        startDate: '2026-10-19',
+        endDate: '2026-10-19',
+        openingTime: '12:00',
+        closingTime: '23:00'
+    });
+
+    const day = calendarService.resolveDay('2026-10-19', weeklyHours, [special]);
+
+    assert.strictEqual(day.isOpen, true);
+    assert.strictEqual(day.openingTime, '12:00');
+    assert.strictEqual(day.closingTime, '23:00');
+    assert.strictEqual(day.specialHours, 'Festive hours');
+    assert.strictEqual(day.reason, null);
+});
+
+test('resolveDay lets a full-day blackout override special hours', () => {
+    const special = exception({ type: 'special_hours', openingTime: '12:00', closingTime: '23:00' });
+    const blackout = exception({ type: 'blackout', name: 'Private event' });
+
+    const day = calendarService.resolveDay('2026-10-20', weeklyHours, [special, blackout]);
+
+    assert.strictEqual(day.isOpen, false);
+    assert.strictEqual(day.reason, 'Private event');
+});
+
+test('resolveDay lists partial blackouts and stays open', () => {
+    const blackout = exception({ type: 'blackout', name: 'Maintenance', startTime: '14:00', endTime: '16:00' });
+
+    const day = calendarService.resolveDay('2026-10-20', weeklyHours, [blackout]);
+
+    assert.strictEqual(day.isOpen, true);
+    assert.deepStrictEqual(day.blackouts, [{ name: 'Maintenance', startTime: '14:00', endTime: '16:00' }]);
+});
+
+test('getWeeklyHours falls back to the default hours for unstored days', async () => {
+    mock.method(OpeningHours, 'find', async () => [
+        new OpeningHours({ dayOfWeek: 1, isOpen: false })
+    ]);
+
+    const hours = await calendarService.getWeeklyHours();
+
+    assert.strictEqual(hours.length, 7);
+    assert.strictEqual(hours[1].isOpen, false);
+    assert.strictEqual(hours[1].openingTime, null);
+    assert.strictEqual(hours[2].isOpen, true);
+    assert.ok(hours[2].openingTime);
+});
+
+test('getClosure reports a blackout overlapping the event', async () => {
+    mock.method(calendarService, 'getWeeklyHours', async () => weeklyHours);
+    mock.method(CalendarException, 'findInRange', async () => [
+        exception({ type: 'blackout', name: 'Maintenance', startTime: '14:00', endTime: '16:00' })
+    ]);
+
+    // 15:00-17:00 and 17:00-18:00 in India
+    const clash = await calendarService.getClosure(new Date('2026-10-20T09:30:00Z'), new Date('2026-10-20T11:30:00Z'));
+    const clear = await calendarService.getClosure(new Date('2026-10-20T11:30:00Z'), new Date('2026-10-20T12:30:00Z'));
+
+    assert.deepStrictEqual(clash, { date: '2026-10-20', reason: 'Maintenance', startTime: '14:00', endTime: '16:00' });
+    assert.strictEqual(clear, null);
+});
+
+test('getCalendar rejects a range that ends before it starts', async () => {
+    await assert.rejects(
+        calendarService.getCalendar('2026-10-21', '2026-10-20'),
+        { name: 'CalendarError', status: 400 }
+    );
+});
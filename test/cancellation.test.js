@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const cancellationService = require('../services/cancellationService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A basic booking three days out, so the full-refund tier applies
+const booking = (fields) => ({
+    packageType: 'basic',
+    packagePrice: 2000,
+    status: 'confirmed',
+    sessionStart: new Date(Date.now() + 72 * HOUR_MS),
+    amountPaid: 0,
+    amountRefunded: 0,
+    ...fields
+});
+
+test('an unpaid confirmed booking is not refunded', () => {
+    const outcome = cancellationService.evaluate(booking({ paymentStatus: 'pending' }));
+
+    assert.strictEqual(outcome.refundPercent, 0);
+    assert.strictEqual(outcome.refundAmount, 0);
+});
+
+test('a partly paid booking is refunded from what was paid', () => {
+    const outcome = cancellationService.evaluate(booking({ paymentStatus: 'partial', amountPaid: 500 }));
+
+    assert.strictEqual(outcome.refundAmount, 500);
+});
+
+test('earlier refunds are not refunded again', () => {
+    const outcome = cancellationService.evaluate(booking({
+        paymentStatus: 'paid',
+        amountPaid: 2000,
+        amountRefunded: 400,
+        sessionStart: new Date(Date.now() + 30 * HOUR_MS)
+    }));
+
+    assert.strictEqual(outcome.refundPercent, 50);
+    assert.strictEqual(outcome.refundAmount, 800);
+});
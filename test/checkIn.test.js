@@ -0,0 +1,84 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const Booking = require('../models/Booking');
+const checkInService = require('../services/checkInService');
+const waiverService = require('../services/waiverService');
+const bookingAccessService = require('../services/bookingAccessService');
+
+const MINUTE_MS = 60 * 1000;
+
+// A saved booking whose session started `minutesAgo` minutes ago
+const startedBooking = (minutesAgo, fields = {}) => {
+    const sessionStart = new Date(Date.now() - minutesAgo * MINUTE_MS);
+    const booking = new Booking({
+        customerName: 'Asha Rao',
+        customerEmail: 'asha@example.com',
+        customerPhone: '9876543210',
+        packageType: 'basic',
+        packageName: 'Basic Smash',
+        packagePrice: 1500,
+        preferredDate: new Date(Date.now() + 24 * 60 * MINUTE_MS),
+        preferredTime: 'evening',
+        duration: 60,
+        participants: 2,
+        status: 'confirmed'
+    });
+    return Booking.hydrate({
+        ...booking.toObject(),
+        preferredDate: sessionStart,
+        sessionStart,
+        sessionEnd: new Date(sessionStart.getTime() + 60 * MINUTE_MS),
+        ...fields
+    });
+};
+
+afterEach(() => mock.restoreAll());
+
+test('checks in a booking after its session has started', async () => {
+    mock.method(waiverService, 'getStatus', async () => ({ required: 2, signed: 2, remaining: 0, complete: true }));
+    const booking = startedBooking(20);
+
+    await checkInService.checkIn(booking, null);
+
+    assert.ok(booking.checkedInAt);
+    await assert.doesNotReject(booking.validate());
+});
+
+test('a late arrival clears an earlier no-show', async () => {
+    mock.method(waiverService, 'getStatus', async () => ({ required: 2, signed: 2, remaining: 0, complete: true }));
+    const booking = startedBooking(45, { noShow: true, noShowAt: new Date() });
+
+    await checkInService.checkIn(booking, null);
+
+    assert.strictEqual(booking.noShow, false);
+    assert.strictEqual(booking.noShowAt, undefined);
+    await assert.doesNotReject(booking.validate());
+});
+
+test('no-shows are flagged once the grace period has passed without a check-in', async () => {
+    const markMany = mock.method(Booking, 'updateMany', async () => ({ modifiedCount: 3 }));
+    const now = new Date('2026-11-02T12:00:00Z');
+
+    const flagged = await checkInService.markNoShows(now);
+
+    assert.strictEqual(flagged, 3);
+    const [filter, update] = markMany.mock.calls[0].arguments;
+    assert.strictEqual(filter.status, 'confirmed');
+    assert.strictEqual(filter.checkedInAt, null);
+    assert.deepStrictEqual(filter.noShow, { $ne: true });
+    assert.deepStrictEqual(filter.sessionStart.$lte, new Date(now.getTime() - checkInService.noShowGraceMinutes * MINUTE_MS));
+    assert.deepStrictEqual(filter.sessionStart.$gte, new Date(now.getTime() - 48 * 60 * MINUTE_MS));
+    assert.deepStrictEqual(update, { $set: { noShow: true, noShowAt: now } });
+});
+
+test('check-in codes only verify for their own purpose', () => {
+    mock.method(bookingAccessService, 'getSecret', () => 'test-secret');
+    const booking = startedBooking(0);
+    const token = checkInService.generateToken(booking);
+
+    assert.strictEqual(checkInService.verifyToken(token), booking._id.toString());
+    assert.throws(
+        () => checkInService.verifyToken(waiverService.generateToken(booking)),
+        error => error.name === 'CheckInError' && error.status === 400
+    );
+});
@@ -0,0 +1,52 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const CorporateAccount = require('../models/CorporateAccount');
+const CorporateBooking = require('../models/CorporateBooking');
+const corporateAccountService = require('../services/corporateAccountService');
+
+afterEach(() => mock.restoreAll());
+
+test('a public submission is only linked, not trusted', async () => {
+    const account = new CorporateAccount({
+        legalName: 'Acme Industries Pvt Ltd',
+        domain: 'acme.com',
+        gstin: '29ABCDE1234F1Z5',
+        billingAddress: '1 MG Road, Bengaluru'
+    });
+    const save = mock.method(account, 'save', async () => account);
+    mock.method(CorporateAccount, 'findByDomain', async () => account);
+    const booking = new CorporateBooking({
+        companyName: 'Acme',
+        contactPerson: 'Asha Rao',
+        email: 'asha@acme.com',
+        phone: '9876543210',
+        jobTitle: 'HR Lead'
+    });
+
+    const matched = await corporateAccountService.matchBooking(booking);
+
+    assert.strictEqual(matched, account);
+    assert.ok(booking.account.equals(account._id));
+    assert.strictEqual(booking.accountConfirmedAt, undefined);
+    assert.strictEqual(booking.gstin, undefined);
+    assert.strictEqual(booking.billingAddress, undefined);
+    assert.strictEqual(account.contacts.length, 0);
+    assert.strictEqual(save.mock.callCount(), 0);
+});
+
+test('unconfirmed domain matches are suggested but left out of the account history', async () => {
+    const account = new CorporateAccount({ legalName: 'Acme Industries Pvt Ltd', domain: 'acme.com' });
+    const linked = [
+        { bookingReference: 'CORP-1', status: 'completed', actualCost: 40000, accountConfirmedAt: new Date() },
+        { bookingReference: 'CORP-2', status: 'completed', actualCost: 90000 }
+    ];
+    const query = { sort: () => query, populate: () => query, lean: async () => linked };
+    mock.method(CorporateBooking, 'find', () => query);
+
+    const { bookings, suggestedBookings, stats } = await corporateAccountService.getHistory(account);
+
+    assert.deepStrictEqual(bookings.map(booking => booking.bookingReference), ['CORP-1']);
+    assert.deepStrictEqual(suggestedBookings.map(booking => booking.bookingReference), ['CORP-2']);
+    assert.strictEqual(stats.totalBookings, 1);
+    assert.strictEqual(stats.lifetimeValue, 40000);
+});
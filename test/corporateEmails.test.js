@@ -0,0 +1,87 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const emailService = require('../services/emailService');
+const quoteService = require('../services/quoteService');
+
+const originalTransporter = emailService.transporter;
+let sendMail;
+
+beforeEach(() => {
+    sendMail = mock.fn(async () => ({ messageId: 'test' }));
+    emailService.transporter = { sendMail };
+    mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+    emailService.transporter = originalTransporter;
+    mock.restoreAll();
+});
+
+const booking = (fields = {}) => ({
+    bookingReference: 'CB-20261020-0001',
+    companyName: 'Acme Corp',
+    contactPerson: 'Meera Iyer',
+    jobTitle: 'HR Manager',
+    email: 'meera@acme.example',
+    phone: '9876543210',
+    eventType: 'Team Building',
+    teamSize: '11-20',
+    duration: '2 hours',
+    preferredTime: 'afternoon',
+    eventStart: new Date('2026-10-22T08:30:00Z'),
+    status: 'confirmed',
+    estimatedCost: 25000,
+    ...fields
+});
+
+const quote = { quoteNumber: 'Q-CB-20261020-0001-1', status: 'accepted', total: 29500 };
+
+test('status updates go to the contact person with a heading for the new status', async () => {
+    await emailService.sendCorporateStatusUpdate(booking(), 'pending');
+
+    const mail = sendMail.mock.calls[0].arguments[0];
+    assert.strictEqual(mail.to, 'meera@acme.example');
+    assert.strictEqual(mail.subject, 'Your Team Event Is Confirmed - CB-20261020-0001');
+    assert.match(mail.text, /team building is confirmed/);
+});
+
+test('a booking moved back to pending is told what changed', () => {
+    const message = emailService.generateCorporateStatusMessage(booking({ status: 'pending' }), 'confirmed');
+    assert.match(message, /from confirmed to pending/);
+});
+
+test('the acknowledgment quotes the booking reference to the contact person', async () => {
+    await emailService.sendCorporateBookingAcknowledgment(booking({ status: 'pending' }));
+
+    const mail = sendMail.mock.calls[0].arguments[0];
+    assert.strictEqual(mail.to, 'meera@acme.example');
+    assert.match(mail.subject, /CB-20261020-0001/);
+});
+
+test('quote responses alert the team, and a confirmation also emails the customer', async () => {
+    const confirmed = booking();
+
+    await quoteService.notifyResponse(confirmed, quote, 'pending');
+
+    const [teamMail, customerMail] = sendMail.mock.calls.map(call => call.arguments[0]);
+    assert.strictEqual(teamMail.subject, 'Quote Accepted - Q-CB-20261020-0001-1 (Acme Corp)');
+    assert.notStrictEqual(teamMail.to, confirmed.email);
+    assert.strictEqual(customerMail.to, confirmed.email);
+});
+
+test('a declined quote only alerts the team', async () => {
+    await quoteService.notifyResponse(booking({ status: 'pending' }), { ...quote, status: 'declined' });
+
+    assert.strictEqual(sendMail.mock.callCount(), 1);
+    assert.match(sendMail.mock.calls[0].arguments[0].subject, /^Quote Declined/);
+});
+
+test('an email failure does not fail the quote response', async () => {
+    sendMail.mock.mockImplementation(async () => {
+        throw new Error('SMTP down');
+    });
+    mock.method(console, 'error', () => {});
+
+    await assert.doesNotReject(quoteService.notifyResponse(booking(), quote, 'pending'));
+    assert.strictEqual(sendMail.mock.callCount(), 2);
+});
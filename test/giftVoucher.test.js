@@ -0,0 +1,84 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const GiftVoucher = require('../models/GiftVoucher');
+const giftVoucherService = require('../services/giftVoucherService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+afterEach(() => mock.restoreAll());
+
+const voucher = (fields = {}) => new GiftVoucher({
+    code: 'GV-ABCD-EFGH-JKLM',
+    value: 1000,
+    balance: 1000,
+    status: 'active',
+    expiresAt: new Date(Date.now() + 30 * DAY_MS),
+    recipientName: 'Ravi Kumar',
+    recipientEmail: 'ravi@example.com',
+    ...fields
+});
+
+const booking = { _id: new mongoose.Types.ObjectId() };
+
+test('generateCode uses unambiguous characters', () => {
+    const code = giftVoucherService.generateCode();
+    assert.match(code, /^GV-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/);
+});
+
+test('resolveValue prices a package voucher with tax', () => {
+    assert.deepStrictEqual(giftVoucherService.resolveValue({ packageType: 'basic' }), {
+        value: 590,
+        packageType: 'basic',
+        packageName: 'Basic Stress Relief'
+    });
+    assert.deepStrictEqual(giftVoucherService.resolveValue({ amount: '750.4' }), { value: 750 });
+    assert.throws(() => giftVoucherService.resolveValue({ amount: 0 }), { name: 'VoucherError', status: 400 });
+});
+
+test('getUnusableReason explains why a voucher cannot be spent', () => {
+    assert.strictEqual(voucher().getUnusableReason(), null);
+    assert.match(voucher({ status: 'pending_payment' }).getUnusableReason(), /not been paid/);
+    assert.match(voucher({ expiresAt: new Date(Date.now() - DAY_MS) }).getUnusableReason(), /expired/);
+    assert.match(voucher({ balance: 0 }).getUnusableReason(), /no balance/);
+});
+
+test('findRedeemable normalizes the code and rejects unusable vouchers', async () => {
+    const lookup = mock.method(GiftVoucher, 'findOne', async () => voucher({ status: 'cancelled' }));
+
+    await assert.rejects(
+        giftVoucherService.findRedeemable(' gv-abcd-efgh-jklm '),
+        { name: 'VoucherError', status: 400, message: /cancelled/ }
+    );
+    assert.deepStrictEqual(lookup.mock.calls[0].arguments[0], { code: 'GV-ABCD-EFGH-JKLM' });
+});
+
+test('redeem takes at most the amount owed from the balance', async () => {
+    const update = mock.method(GiftVoucher, 'findOneAndUpdate', async () => voucher({ balance: 400 }));
+
+    const amount = await giftVoucherService.redeem(voucher(), booking, 600);
+
+    assert.strictEqual(amount, 600);
+    const [filter, change] = update.mock.calls[0].arguments;
+    // The balance is only taken while the voucher still has enough left
+    assert.deepStrictEqual(filter.balance, { $gte: 600 });
+    assert.strictEqual(filter.status, 'active');
+    assert.deepStrictEqual(change.$inc, { balance: -600 });
+});
+
+test('redeem marks a used-up voucher as redeemed', async () => {
+    mock.method(GiftVoucher, 'findOneAndUpdate', async () => voucher({ balance: 0 }));
+    const markRedeemed = mock.method(GiftVoucher, 'updateOne', async () => ({}));
+
+    assert.strictEqual(await giftVoucherService.redeem(voucher({ balance: 300 }), booking, 600), 300);
+    assert.deepStrictEqual(markRedeemed.mock.calls[0].arguments[1], { $set: { status: 'redeemed' } });
+});
+
+test('redeem fails when another checkout spent the balance first', async () => {
+    mock.method(GiftVoucher, 'findOneAndUpdate', async () => null);
+
+    await assert.rejects(
+        giftVoucherService.redeem(voucher(), booking, 600),
+        { name: 'VoucherError', status: 409 }
+    );
+});
@@ -0,0 +1,100 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const Booking = require('../models/Booking');
+const Slot = require('../models/Slot');
+const availabilityService = require('../services/availabilityService');
+const holdService = require('../services/holdService');
+
+const MINUTE_MS = 60 * 1000;
+
+afterEach(() => mock.restoreAll());
+
+const heldBooking = (fields = {}) => new Booking({
+    customerName: 'Asha Rao',
+    customerEmail: 'asha@example.com',
+    customerPhone: '9876543210',
+    packageType: 'basic',
+    packageName: 'Basic Stress Relief',
+    packagePrice: 590,
+    preferredDate: new Date(Date.now() + 24 * 60 * MINUTE_MS),
+    preferredTime: 'evening',
+    duration: 30,
+    participants: 2,
+    status: 'held',
+    holdExpiresAt: new Date(Date.now() + 5 * MINUTE_MS),
+    slotReservation: {
+        date: '2026-11-02',
+        startTime: '18:00',
+        intervals: ['18:00'],
+        participants: 2,
+        reservedAt: new Date()
+    },
+    ...fields
+});
+
+test('placeHold holds the booking for the configured time', () => {
+    const booking = heldBooking({ status: 'pending', holdExpiresAt: undefined });
+
+    const expiresAt = holdService.placeHold(booking);
+
+    assert.strictEqual(booking.status, 'held');
+    const minutes = (expiresAt - Date.now()) / MINUTE_MS;
+    assert.ok(minutes > holdService.holdMinutes - 1 && minutes <= holdService.holdMinutes);
+});
+
+test('isExpired checks the hold deadline', () => {
+    assert.strictEqual(holdService.isExpired(heldBooking()), false);
+    assert.strictEqual(holdService.isExpired(heldBooking({ holdExpiresAt: new Date(Date.now() - MINUTE_MS) })), true);
+    assert.strictEqual(holdService.isExpired(heldBooking({ status: 'expired' })), true);
+});
+
+test('completeHold turns a paid hold into a pending booking', async () => {
+    const booking = heldBooking();
+
+    assert.strictEqual(await holdService.completeHold(booking), true);
+    assert.strictEqual(booking.status, 'pending');
+    assert.strictEqual(booking.holdExpiresAt, undefined);
+});
+
+test('completeHold leaves an expired hold alone when its slot was taken', async () => {
+    mock.method(availabilityService, 'reserveForBooking', async () => {
+        throw availabilityService.createError('This slot is fully booked', 409);
+    });
+    mock.method(console, 'warn', () => {});
+    const booking = heldBooking({ status: 'expired' });
+
+    assert.strictEqual(await holdService.completeHold(booking), false);
+    assert.strictEqual(booking.status, 'expired');
+});
+
+test('sweepExpired frees the slots of holds it expires', async () => {
+    const now = new Date();
+    const booking = Booking.hydrate({ ...heldBooking().toObject(), status: 'expired' });
+    mock.method(Booking, 'find', () => ({ select: async () => [{ _id: booking._id }] }));
+    const update = mock.method(Booking, 'findOneAndUpdate', async () => booking);
+    const release = mock.method(Slot, 'release', async () => {});
+    const markReleased = mock.method(Booking, 'updateOne', async () => ({}));
+    const releaseRedemptions = mock.method(Booking.prototype, 'releaseRedemptions', async () => {});
+
+    const expired = await holdService.sweepExpired(now);
+
+    assert.deepStrictEqual(expired, [booking]);
+    // Only a booking that is still held when the update runs is expired
+    assert.deepStrictEqual(update.mock.calls[0].arguments[0], {
+        _id: booking._id,
+        status: 'held',
+        holdExpiresAt: { $lte: now }
+    });
+    assert.deepStrictEqual(release.mock.calls[0].arguments, ['2026-11-02', '18:00', booking._id, 2]);
+    assert.strictEqual(markReleased.mock.callCount(), 1);
+    assert.strictEqual(releaseRedemptions.mock.callCount(), 1);
+});
+
+test('sweepExpired skips a hold that was paid mid-sweep', async () => {
+    mock.method(Booking, 'find', () => ({ select: async () => [{ _id: heldBooking()._id }] }));
+    mock.method(Booking, 'findOneAndUpdate', async () => null);
+    const release = mock.method(Slot, 'release', async () => {});
+
+    assert.deepStrictEqual(await holdService.sweepExpired(), []);
+    assert.strictEqual(release.mock.callCount(), 0);
+});
@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const icalService = require('../services/icalService');
+
+const booking = (fields = {}) => ({
+    bookingId: 'SL-20261020-0001',
+    customerName: 'Asha Rao',
+    customerEmail: 'asha@example.com',
+    customerPhone: '9876543210',
+    packageName: 'Basic Smash',
+    duration: 60,
+    participants: 2,
+    status: 'confirmed',
+    sessionStart: new Date('2026-10-20T12:30:00Z'),
+    updatedAt: new Date('2026-10-18T10:00:00Z'),
+    ...fields
+});
+
+// Unfold a calendar back into its content lines
+const contentLines = (calendar) => calendar.replace(/\r\n /g, '').split('\r\n');
+
+test('escapeText escapes special characters', () => {
+    assert.strictEqual(icalService.escapeText('a;b,c\\d\ne'), 'a\\;b\\,c\\\\d\\ne');
+    assert.strictEqual(icalService.escapeText(null), '');
+});
+
+test('foldLine keeps every line within 75 bytes', () => {
+    const line = `DESCRIPTION:${'é'.repeat(100)}`;
+
+    const folded = icalService.foldLine(line).split('\r\n');
+
+    assert.ok(folded.length > 1);
+    folded.forEach(part => assert.ok(Buffer.byteLength(part) <= 75));
+    folded.slice(1).forEach(part => assert.ok(part.startsWith(' ')));
+    // Multi-byte characters are never split across lines
+    assert.strictEqual(folded.map((part, index) => index ? part.slice(1) : part).join(''), line);
+    assert.strictEqual(icalService.foldLine('SUMMARY:Short'), 'SUMMARY:Short');
+});
+
+test('formatUtc and formatLocal use the iCalendar date format', () => {
+    const date = new Date('2026-10-20T12:30:00Z');
+    assert.strictEqual(icalService.formatUtc(date), '20261020T123000Z');
+    assert.strictEqual(icalService.formatLocal(date), '20261020T180000');
+});
+
+test('bookingEvent ends after the booking duration', () => {
+    const lines = icalService.bookingEvent(booking());
+
+    assert.ok(lines.includes(`UID:SL-20261020-0001@${icalService.domain}`));
+    assert.ok(lines.includes('DTSTART;TZID=Asia/Kolkata:20261020T180000'));
+    assert.ok(lines.includes('DTEND;TZID=Asia/Kolkata:20261020T190000'));
+    assert.ok(lines.includes('STATUS:CONFIRMED'));
+    assert.ok(lines.includes(`SEQUENCE:${Math.floor(Date.parse('2026-10-18T10:00:00Z') / 1000)}`));
+});
+
+test('bookingEvent for staff shows the customer instead of an attendee', () => {
+    const lines = icalService.bookingEvent(booking({ specialRequests: 'Birthday' }), { forStaff: true });
+
+    assert.ok(lines.includes('SUMMARY:Asha Rao - Basic Smash (2)'));
+    assert.ok(lines.some(line => line.startsWith('DESCRIPTION:') && line.includes('Special requests: Birthday')));
+    assert.ok(!lines.some(line => line.startsWith('ATTENDEE')));
+});
+
+test('bookingInvite requests the event for a live booking', () => {
+    const invite = icalService.bookingInvite(booking());
+
+    assert.strictEqual(invite.method, 'REQUEST');
+    assert.strictEqual(invite.filename, 'smashlabs-SL-20261020-0001.ics');
+    const lines = contentLines(invite.content);
+    assert.strictEqual(lines[0], 'BEGIN:VCALENDAR');
+    assert.ok(lines.includes('METHOD:REQUEST'));
+    assert.ok(lines.includes('BEGIN:VTIMEZONE'));
+    assert.ok(invite.content.endsWith('END:VCALENDAR\r\n'));
+});
+
+test('bookingInvite cancels the event for a cancelled booking with a later sequence', () => {
+    const original = contentLines(icalService.bookingInvite(booking()).content);
+    const cancelled = icalService.bookingInvite(booking({
+        status: 'cancelled',
+        updatedAt: new Date('2026-10-19T09:00:00Z')
+    }));
+    const lines = contentLines(cancelled.content);
+
+    const sequence = (calendar) => parseInt(calendar.find(line => line.startsWith('SEQUENCE:')).slice(9));
+    assert.strictEqual(cancelled.method, 'CANCEL');
+    assert.ok(lines.includes('METHOD:CANCEL'));
+    assert.ok(lines.includes('STATUS:CANCELLED'));
+    assert.ok(sequence(lines) > sequence(original));
+});
@@ -0,0 +1,56 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const invoiceService = require('../services/invoiceService');
+
+afterEach(() => mock.restoreAll());
+
+const booking = {
+    _id: '64b000000000000000000001',
+    bookingId: 'SL-TEST-0001',
+    status: 'confirmed',
+    customerName: 'Asha Rao',
+    customerEmail: 'asha@example.com',
+    customerPhone: '9876543210'
+};
+
+// Everything issue() reads before it saves
+const stubIssue = () => {
+    mock.method(invoiceService, 'getSeller', () => ({ name: 'SmashLabs', stateCode: '29', stateName: 'Karnataka' }));
+    mock.method(Invoice, 'findOne', async () => null);
+    mock.method(invoiceService, 'getBookingAmounts', () => ({
+        items: [{ description: 'Session', taxableValue: 1000 }],
+        totalTax: 180
+    }));
+};
+
+test('a duplicate issue request is turned away before it takes an invoice number', async () => {
+    stubIssue();
+    mock.method(Invoice.prototype, 'save', async () => {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    });
+    const next = mock.method(Counter, 'next', async () => 1);
+
+    await assert.rejects(
+        invoiceService.issue('Booking', booking, null),
+        error => error.name === 'InvoiceError' && error.status === 409
+    );
+    assert.strictEqual(next.mock.callCount(), 0);
+});
+
+test('an invoice is numbered once it has claimed its booking', async () => {
+    stubIssue();
+    const saved = [];
+    mock.method(Invoice.prototype, 'save', async function() {
+        saved.push(this.invoiceNumber);
+        return this;
+    });
+    mock.method(Counter, 'next', async () => 42);
+
+    const invoice = await invoiceService.issue('Booking', booking, null);
+
+    assert.deepStrictEqual(saved, [undefined, invoice.invoiceNumber]);
+    assert.match(invoice.invoiceNumber, /\/00042$/);
+    assert.strictEqual(invoice.sequence, 42);
+});
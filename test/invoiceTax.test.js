@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const invoiceService = require('../services/invoiceService');
+
+const seller = { stateCode: '29', stateName: 'Karnataka' };
+
+test('getFinancialYear runs from April to March in India', () => {
+    assert.strictEqual(invoiceService.getFinancialYear(new Date('2026-03-31T12:00:00Z')), '2025-26');
+    // Already 1 April in India
+    assert.strictEqual(invoiceService.getFinancialYear(new Date('2026-03-31T19:00:00Z')), '2026-27');
+    assert.strictEqual(invoiceService.getFinancialYear(new Date('2099-12-01T00:00:00Z')), '2099-00');
+});
+
+test('splitTax charges CGST and SGST within the state', () => {
+    assert.deepStrictEqual(invoiceService.splitTax(180.05, 'intra_state'), {
+        cgstAmount: 90.03,
+        sgstAmount: 90.02,
+        igstAmount: 0
+    });
+});
+
+test('splitTax charges IGST across states', () => {
+    assert.deepStrictEqual(invoiceService.splitTax(180, 'inter_state'), {
+        cgstAmount: 0,
+        sgstAmount: 0,
+        igstAmount: 180
+    });
+});
+
+test('getPlaceOfSupply prefers the given state, then the buyer GSTIN, then the venue', () => {
+    const billTo = { gstin: '27ABCDE1234F1Z5' };
+
+    assert.strictEqual(invoiceService.getPlaceOfSupply(seller, billTo, '29').stateCode, '29');
+    assert.deepStrictEqual(invoiceService.getPlaceOfSupply(seller, billTo), { stateCode: '27', stateName: 'Maharashtra' });
+    assert.strictEqual(invoiceService.getPlaceOfSupply(seller, {}).stateCode, '29');
+    assert.throws(() => invoiceService.getPlaceOfSupply(seller, {}, '99'), { name: 'InvoiceError', status: 400 });
+});
+
+test('fromInclusiveAmount takes GST out of a tax-inclusive price', () => {
+    const { items, totalTax } = invoiceService.fromInclusiveAmount('Session', 1180);
+
+    assert.strictEqual(items[0].taxableValue, 1000);
+    assert.strictEqual(totalTax, 180);
+});
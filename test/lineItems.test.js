@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Booking = require('../models/Booking');
+const pricingService = require('../services/pricingService');
+
+const bookingFields = {
+    customerName: 'Asha Rao',
+    customerEmail: 'asha@example.com',
+    customerPhone: '9876543210',
+    packageType: 'premium',
+    packageName: 'Premium Rage Room',
+    packagePrice: 1180,
+    preferredDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    preferredTime: 'evening',
+    duration: 60,
+    participants: 1
+};
+
+test('calculate adds each known add-on once', () => {
+    const quote = pricingService.calculate({
+        packageType: 'premium',
+        addOns: ['photography', 'photography', 'unknown', 'refreshments']
+    });
+
+    assert.deepStrictEqual(quote.addOns, ['photography', 'refreshments']);
+    assert.strictEqual(quote.subtotal, 800 + 200 + 150);
+    assert.deepStrictEqual(
+        quote.breakdown.filter(line => line.type === 'addon').map(line => line.code),
+        ['photography', 'refreshments']
+    );
+});
+
+test('toPriceBreakdown line items add up to the total', () => {
+    const quote = pricingService.calculate({ packageType: 'premium', participants: 2, duration: 90, addOns: ['videography'] });
+
+    const breakdown = pricingService.toPriceBreakdown(quote, '2000');
+
+    const lastItem = breakdown.items[breakdown.items.length - 1];
+    assert.strictEqual(lastItem.type, 'tax');
+    assert.strictEqual(lastItem.price, quote.tax.amount);
+    assert.strictEqual(breakdown.items.reduce((sum, line) => sum + line.price, 0), breakdown.total);
+    assert.strictEqual(breakdown.clientQuotedPrice, 2000);
+});
+
+test('bookings store the calculated line items', async () => {
+    const quote = pricingService.calculate({ packageType: 'premium', addOns: ['photography'] });
+    const booking = new Booking({
+        ...bookingFields,
+        addOns: quote.addOns,
+        packagePrice: quote.total,
+        priceBreakdown: pricingService.toPriceBreakdown(quote)
+    });
+
+    await booking.validate();
+
+    assert.deepStrictEqual(
+        booking.getLineItems().map(line => line.type),
+        ['package', 'addon', 'tax']
+    );
+});
+
+test('getLineItems falls back to one package line for older bookings', () => {
+    const booking = new Booking({
+        ...bookingFields,
+        priceBreakdown: { items: [{ item: 'Premium Rage Room', price: 1180 }] }
+    });
+
+    assert.deepStrictEqual(booking.getLineItems(), [{
+        type: 'package',
+        code: 'premium',
+        item: 'Premium Rage Room',
+        price: 1180,
+        quantity: 1
+    }]);
+});
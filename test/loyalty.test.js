@@ -0,0 +1,43 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const Booking = require('../models/Booking');
+const RoomReservation = require('../models/RoomReservation');
+const loyaltyService = require('../services/loyaltyService');
+
+afterEach(() => mock.restoreAll());
+
+test('a completed booking with nothing paid earns no points', async () => {
+    const booking = {
+        customerEmail: 'asha@example.com',
+        customerName: 'Asha Rao',
+        packagePrice: 1500,
+        amountPaid: 0,
+        amountRefunded: 0
+    };
+
+    assert.strictEqual(await loyaltyService.awardForBooking(booking), null);
+});
+
+test('a fully refunded booking earns no points', async () => {
+    const booking = {
+        customerEmail: 'asha@example.com',
+        customerName: 'Asha Rao',
+        packagePrice: 1500,
+        amountPaid: 1500,
+        amountRefunded: 1500
+    };
+
+    assert.strictEqual(await loyaltyService.awardForBooking(booking), null);
+});
+
+test('cancelling a booking gives back the points it spent', async () => {
+    const booking = new Booking({ customerEmail: 'asha@example.com', loyaltyPointsRedeemed: 200 });
+    mock.method(booking, 'save', async () => booking);
+    mock.method(RoomReservation, 'release', async () => ({}));
+    const release = mock.method(loyaltyService, 'release', async () => true);
+
+    await booking.cancel('Customer asked');
+
+    assert.strictEqual(release.mock.callCount(), 1);
+    assert.strictEqual(release.mock.calls[0].arguments[0], booking);
+});
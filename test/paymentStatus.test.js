@@ -0,0 +1,19 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const paymentService = require('../services/paymentService');
+
+test('a partial refund keeps a paid booking paid', () => {
+    assert.strictEqual(paymentService.getPaymentStatus({ paid: 2000, refunded: 500 }, 2000), 'paid');
+});
+
+test('refunding the voucher part of a part-paid booking keeps it partial', () => {
+    assert.strictEqual(paymentService.getPaymentStatus({ paid: 800, refunded: 300 }, 2000), 'partial');
+});
+
+test('refunding everything paid marks the booking refunded', () => {
+    assert.strictEqual(paymentService.getPaymentStatus({ paid: 2000, refunded: 2000 }, 2000), 'refunded');
+});
+
+test('a booking with no payments is pending', () => {
+    assert.strictEqual(paymentService.getPaymentStatus({ paid: 0, refunded: 0 }, 2000), 'pending');
+});
@@ -0,0 +1,61 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const Payment = require('../models/Payment');
+const FakeProvider = require('../services/paymentProviders/fakeProvider');
+const paymentService = require('../services/paymentService');
+
+afterEach(() => mock.restoreAll());
+
+const provider = new FakeProvider();
+
+test('webhook signatures are checked against the raw body', () => {
+    const { body, signature } = provider.signWebhook({ type: 'payment.captured', orderId: 'order_1', amount: 1500 });
+
+    assert.strictEqual(provider.verifyWebhookSignature(body, signature), true);
+    assert.strictEqual(provider.verifyWebhookSignature(body.replace('1500', '15'), signature), false);
+    assert.strictEqual(provider.verifyWebhookSignature(body, signature.slice(0, -1)), false);
+    assert.strictEqual(provider.verifyWebhookSignature(body, undefined), false);
+});
+
+test('a webhook with a bad signature is rejected before anything is read', async () => {
+    mock.method(paymentService, 'getProvider', () => provider);
+    const exists = mock.method(Payment, 'exists', async () => null);
+    const { body } = provider.signWebhook({ type: 'payment.captured', orderId: 'order_1', amount: 1500 });
+
+    await assert.rejects(
+        paymentService.handleWebhook(body, { 'x-fake-signature': 'not-a-signature' }, JSON.parse(body)),
+        error => error.name === 'PaymentError' && error.status === 400
+    );
+    assert.strictEqual(exists.mock.callCount(), 0);
+});
+
+test('a webhook delivered twice is only applied once', async () => {
+    mock.method(paymentService, 'getProvider', () => provider);
+    const exists = mock.method(Payment, 'exists', async () => ({ _id: 'payment_1' }));
+    const apply = mock.method(paymentService, 'applyPaymentEvent', async () => null);
+    const { body, signature, header } = provider.signWebhook({ type: 'payment.captured', orderId: 'order_1', amount: 1500 });
+    const event = JSON.parse(body);
+
+    const result = await paymentService.handleWebhook(body, { [header]: signature }, event);
+
+    assert.deepStrictEqual(exists.mock.calls[0].arguments[0], { webhookEvents: event.id });
+    assert.strictEqual(result.applied, false);
+    assert.strictEqual(result.duplicate, true);
+    assert.strictEqual(apply.mock.callCount(), 0);
+});
+
+test('a failure event arriving after the capture does not unpay the charge', async () => {
+    const payment = new Payment({ kind: 'charge', provider: 'fake', orderId: 'order_1', amount: 1500, status: 'paid' });
+    mock.method(payment, 'save', async () => payment);
+    mock.method(Payment, 'findOne', async () => payment);
+
+    await paymentService.applyPaymentEvent(provider, {
+        id: 'evt_2',
+        type: 'payment.failed',
+        orderId: 'order_1',
+        failureReason: 'Card declined'
+    });
+
+    assert.strictEqual(payment.status, 'paid');
+    assert.deepStrictEqual([...payment.webhookEvents], ['evt_2']);
+});
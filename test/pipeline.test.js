@@ -0,0 +1,91 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const CorporateBooking = require('../models/CorporateBooking');
+const pipelineService = require('../services/pipelineService');
+
+afterEach(() => mock.restoreAll());
+
+const admin = { _id: new mongoose.Types.ObjectId() };
+
+const deal = (stage) => new CorporateBooking({ companyName: 'Acme Corp', stage });
+
+test('moveStage rejects unknown stages, repeats and lost deals without a reason', () => {
+    assert.throws(() => pipelineService.moveStage(deal('new_lead'), 'closed', admin), { name: 'PipelineError', status: 400 });
+    assert.throws(() => pipelineService.moveStage(deal('contacted'), 'contacted', admin), { status: 409 });
+    assert.throws(() => pipelineService.moveStage(deal('negotiation'), 'lost', admin), { status: 400, message: /lost reason/ });
+});
+
+test('moveStage records who moved the deal and why it was lost', () => {
+    const booking = deal('negotiation');
+
+    pipelineService.moveStage(booking, 'lost', admin, { lostReason: 'price', note: 'Over budget' });
+
+    assert.strictEqual(booking.stage, 'lost');
+    assert.strictEqual(booking.lostReason, 'price');
+    assert.strictEqual(booking.$locals.auditAction, 'stage_change');
+    const entry = booking.stageHistory[booking.stageHistory.length - 1];
+    assert.strictEqual(entry.from, 'negotiation');
+    assert.strictEqual(entry.stage, 'lost');
+    assert.strictEqual(entry.changedBy.toString(), admin._id.toString());
+});
+
+test('followQuote moves open deals along with their quotes', () => {
+    const lead = deal('contacted');
+    assert.strictEqual(pipelineService.followQuote(lead, { status: 'sent', quoteNumber: 'Q-1' }, admin), true);
+    assert.strictEqual(lead.stage, 'proposal_sent');
+
+    assert.strictEqual(pipelineService.followQuote(lead, { status: 'declined', quoteNumber: 'Q-1' }), true);
+    assert.strictEqual(lead.stage, 'negotiation');
+
+    // A sent quote doesn't pull a deal back from negotiation
+    assert.strictEqual(pipelineService.followQuote(lead, { status: 'sent', quoteNumber: 'Q-2' }, admin), false);
+    assert.strictEqual(lead.stage, 'negotiation');
+});
+
+test('getConversion counts skipped stages as reached', () => {
+    const conversion = pipelineService.getConversion([
+        { stage: 'new_lead' },
+        // Went straight from a new lead to a proposal and was then lost
+        { stage: 'lost', stageHistory: [{ stage: 'new_lead' }, { stage: 'proposal_sent' }] },
+        { stage: 'won', stageHistory: [{ stage: 'new_lead' }] },
+        { stage: 'negotiation' }
+    ]);
+
+    assert.deepStrictEqual(
+        conversion.stages.map(({ from, reached, advanced }) => [from, reached, advanced]),
+        [
+            ['new_lead', 4, 3],
+            ['contacted', 3, 3],
+            ['proposal_sent', 3, 2],
+            ['negotiation', 2, 1]
+        ]
+    );
+    assert.strictEqual(conversion.winRate, 50);
+    assert.strictEqual(conversion.leadToWinRate, 25);
+});
+
+test('getBoard totals deals by stage using their expected value', async () => {
+    const deals = [
+        { _id: 1, stage: 'new_lead', expectedValue: 20000, estimatedCost: 15000, nextActionAt: new Date(Date.now() - 60000) },
+        { _id: 2, stage: 'new_lead', estimatedCost: 10000 },
+        { _id: 3, status: 'confirmed', estimatedCost: 30000 }
+    ];
+    const query = {
+        select: () => query,
+        populate: () => query,
+        lean: async () => deals
+    };
+    mock.method(CorporateBooking, 'find', () => query);
+
+    const board = await pipelineService.getBoard();
+
+    const newLeads = board.stages.find(stage => stage.stage === 'new_lead');
+    assert.strictEqual(newLeads.count, 2);
+    assert.strictEqual(newLeads.value, 30000);
+    assert.strictEqual(newLeads.overdueActions, 1);
+    // Bookings from before the pipeline get their stage from their status
+    assert.strictEqual(board.stages.find(stage => stage.stage === 'won').count, 1);
+    assert.strictEqual(board.totals.openValue, 30000);
+    assert.strictEqual(board.totals.wonValue, 30000);
+});
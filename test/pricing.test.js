@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const pricingService = require('../services/pricingService');
+
+test('calculate charges half price for each extra participant', () => {
+    const quote = pricingService.calculate({ packageType: 'basic', participants: 2 });
+
+    assert.strictEqual(quote.subtotal, 750);
+    assert.strictEqual(quote.tax.amount, 135);
+    assert.strictEqual(quote.total, 885);
+    assert.deepStrictEqual(quote.breakdown.map(line => line.code), ['basic', 'additional_participants']);
+});
+
+test('calculate charges extra minutes at 80% of the per-minute rate', () => {
+    const quote = pricingService.calculate({ packageType: 'PREMIUM', duration: 90 });
+
+    assert.strictEqual(quote.package.type, 'premium');
+    assert.strictEqual(quote.duration, 90);
+    assert.strictEqual(quote.subtotal, 800 + 320);
+});
+
+test('calculate keeps the package duration when less is requested', () => {
+    const quote = pricingService.calculate({ packageType: 'premium', duration: 30 });
+
+    assert.strictEqual(quote.requestedDuration, 30);
+    assert.strictEqual(quote.duration, 60);
+    assert.strictEqual(quote.subtotal, 800);
+});
+
+test('calculate rejects unknown packages and too many participants', () => {
+    assert.throws(
+        () => pricingService.calculate({ packageType: 'deluxe' }),
+        { name: 'PricingError', status: 404 }
+    );
+    assert.throws(
+        () => pricingService.calculate({ packageType: 'basic', participants: 3 }),
+        { name: 'PricingError', status: 400, message: /Maximum 2 participants/ }
+    );
+});
+
+test('matchesQuote accepts the subtotal or total within a rupee', () => {
+    const quote = pricingService.calculate({ packageType: 'basic', participants: 2 });
+
+    assert.strictEqual(pricingService.matchesQuote(750, quote), true);
+    assert.strictEqual(pricingService.matchesQuote('885.50', quote), true);
+    assert.strictEqual(pricingService.matchesQuote(700, quote), false);
+    assert.strictEqual(pricingService.matchesQuote('free', quote), false);
+});
@@ -0,0 +1,45 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const Counter = require('../models/Counter');
+const promoService = require('../services/promoService');
+
+afterEach(() => mock.restoreAll());
+
+const promo = { _id: '64b000000000000000000001', code: 'WELCOME10', perEmailLimit: 1 };
+const booking = { _id: '64b000000000000000000002', customerEmail: 'Asha@Example.com' };
+
+test('an email at its limit is turned away and the code use is given back', async () => {
+    mock.method(PromoCode, 'findOneAndUpdate', async () => promo);
+    const updateOne = mock.method(PromoCode, 'updateOne', async () => ({}));
+    const claim = mock.method(Counter, 'findOneAndUpdate', async () => {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    });
+    const create = mock.method(PromoRedemption, 'create', async () => ({}));
+
+    await assert.rejects(
+        promoService.redeem(promo, booking, 100),
+        error => error.name === 'PromoError' && error.status === 409
+    );
+
+    const [filter] = claim.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter, { key: `promo:${promo._id}:asha@example.com`, value: { $lt: 1 } });
+    assert.deepStrictEqual(updateOne.mock.calls[0].arguments[1], { $inc: { usageCount: -1 } });
+    assert.strictEqual(create.mock.callCount(), 0);
+});
+
+test('cancelling a booking gives back its promo code use', async () => {
+    const Booking = require('../models/Booking');
+    const RoomReservation = require('../models/RoomReservation');
+    const cancelled = new Booking({ promoCode: promo._id, customerEmail: booking.customerEmail });
+    mock.method(cancelled, 'save', async () => cancelled);
+    mock.method(RoomReservation, 'release', async () => ({}));
+    const release = mock.method(promoService, 'release', async () => true);
+
+    await cancelled.cancel('Customer asked');
+
+    assert.strictEqual(cancelled.status, 'cancelled');
+    assert.strictEqual(release.mock.callCount(), 1);
+    assert.strictEqual(release.mock.calls[0].arguments[0], cancelled);
+});
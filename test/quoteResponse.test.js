@@ -0,0 +1,20 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const CorporateQuote = require('../models/CorporateQuote');
+const quoteService = require('../services/quoteService');
+
+afterEach(() => mock.restoreAll());
+
+test('a quote answered or superseded in the meantime cannot be claimed again', async () => {
+    const findOneAndUpdate = mock.method(CorporateQuote, 'findOneAndUpdate', async () => null);
+    const quote = { _id: '64b000000000000000000001' };
+
+    await assert.rejects(
+        quoteService.claimResponse(quote, { status: 'accepted' }),
+        error => error.name === 'QuoteError' && error.status === 409
+    );
+
+    const [filter] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.strictEqual(filter.status, 'sent');
+    assert.ok(filter.validUntil.$gt instanceof Date);
+});
@@ -0,0 +1,53 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const Booking = require('../models/Booking');
+const reminderService = require('../services/reminderService');
+
+// Offsets from REMINDER_OFFSETS_HOURS, restored after tests that pin them
+const defaultOffsets = reminderService.offsets;
+afterEach(() => {
+    mock.restoreAll();
+    reminderService.offsets = defaultOffsets;
+});
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test('reminder offsets are de-duplicated and run largest first', () => {
+    assert.deepStrictEqual(reminderService.parseOffsets('2, 24,abc,2,-1'), [24, 2]);
+});
+
+test('each reminder window ends where the next smaller one starts', () => {
+    reminderService.offsets = [24, 2];
+    const now = new Date('2026-11-02T10:00:00Z');
+    const windows = reminderService.getWindows(now);
+
+    assert.deepStrictEqual(windows.map(window => window.key), ['24h', '2h']);
+    assert.deepStrictEqual(windows[0].from, new Date(now.getTime() + 2 * HOUR_MS));
+    assert.deepStrictEqual(windows[0].to, new Date(now.getTime() + 24 * HOUR_MS));
+    assert.deepStrictEqual(windows[1].from, now);
+    assert.deepStrictEqual(windows[1].to, new Date(now.getTime() + 2 * HOUR_MS));
+});
+
+test('a reminder is claimed before sending and given back when sending fails', async () => {
+    reminderService.offsets = [24, 2];
+    const now = new Date('2026-11-02T10:00:00Z');
+    const [window] = reminderService.getWindows(now);
+    mock.method(Booking, 'find', () => ({ select: async () => [{ _id: 'sent' }, { _id: 'taken' }, { _id: 'failed' }] }));
+    const claim = mock.method(Booking, 'findOneAndUpdate', async ({ _id }) => (_id === 'taken' ? null : { _id }));
+    const giveBack = mock.method(Booking, 'updateOne', async () => ({}));
+    const send = mock.fn(async (booking) => {
+        if (booking._id === 'failed') throw new Error('SMTP down');
+    });
+    mock.method(console, 'error', () => {});
+
+    const count = await reminderService.sendWindow({ model: Booking, startField: 'sessionStart', send }, window, now);
+
+    assert.strictEqual(count, 1);
+    assert.deepStrictEqual(claim.mock.calls[0].arguments[0], {
+        _id: 'sent',
+        status: 'confirmed',
+        'remindersSent.key': { $ne: '24h' }
+    });
+    assert.deepStrictEqual(send.mock.calls.map(call => call.arguments[0]._id), ['sent', 'failed']);
+    assert.deepStrictEqual(giveBack.mock.calls[0].arguments, [{ _id: 'failed' }, { $pull: { remindersSent: { key: '24h' } } }]);
+});
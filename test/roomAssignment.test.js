@@ -0,0 +1,36 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const Room = require('../models/Room');
+const RoomReservation = require('../models/RoomReservation');
+const roomService = require('../services/roomService');
+
+afterEach(() => mock.restoreAll());
+
+test('a room taken by another booking in the meantime is skipped for the next free one', async () => {
+    const rooms = [
+        { _id: '64b0000000000000000000a1', name: 'Vault' },
+        { _id: '64b0000000000000000000a2', name: 'Garage' }
+    ];
+    mock.method(Room, 'findSuitable', async () => rooms);
+    mock.method(roomService, 'getOccupiedRoomIds', async () => new Set());
+    const reserve = mock.method(RoomReservation, 'reserve', async (roomId) => roomId !== rooms[0]._id);
+
+    const booking = {
+        _id: '64b000000000000000000001',
+        packageType: 'standard',
+        participants: 4,
+        sessionStart: new Date('2026-11-02T10:00:00+05:30'),
+        sessionEnd: new Date('2026-11-02T11:00:00+05:30')
+    };
+    const room = await roomService.assignRoom(booking);
+
+    assert.strictEqual(room, rooms[1]);
+    assert.strictEqual(booking.room, rooms[1]._id);
+    assert.strictEqual(reserve.mock.callCount(), 2);
+    const [, , bookingType, starts] = reserve.mock.calls[1].arguments;
+    assert.strictEqual(bookingType, 'Booking');
+    assert.deepStrictEqual(starts, [
+        new Date('2026-11-02T10:00:00+05:30'),
+        new Date('2026-11-02T10:30:00+05:30')
+    ]);
+});
@@ -0,0 +1,44 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const Waitlist = require('../models/Waitlist');
+const calendarService = require('../services/calendarService');
+const holdService = require('../services/holdService');
+const waitlistService = require('../services/waitlistService');
+
+afterEach(() => mock.restoreAll());
+
+test('one entry that cannot be offered does not hold up the people behind it', async () => {
+    const entries = [{ _id: 'first' }, { _id: 'second' }];
+    mock.method(Waitlist, 'findWaiting', async () => entries);
+    mock.method(waitlistService, 'makeOffer', async (entry) => {
+        if (entry._id === 'first') throw new Error('Broken entry');
+        return { entry };
+    });
+    mock.method(console, 'error', () => {});
+
+    const offers = await waitlistService.promote('2026-11-02');
+
+    assert.deepStrictEqual(offers.map(offer => offer.entry._id), ['second']);
+});
+
+test('an entry for a session that has passed expires instead of being offered', async () => {
+    mock.method(calendarService, 'getHours', async () => ({ isOpen: true, openingTime: '10:00', closingTime: '21:00' }));
+    const entry = { date: '2020-01-06', startTime: '10:00', duration: 60, status: 'waiting', save: mock.fn(async () => entry) };
+
+    const offer = await waitlistService.makeOffer(entry);
+
+    assert.strictEqual(offer, null);
+    assert.strictEqual(entry.status, 'expired');
+    assert.strictEqual(entry.save.mock.callCount(), 1);
+});
+
+test('an offer can only be claimed once and only while its hold lasts', async () => {
+    const entry = { status: 'claimed', booking: {} };
+    mock.method(waitlistService, 'getOffer', async () => entry);
+
+    await assert.rejects(waitlistService.claim('token'), error => error.name === 'WaitlistError' && error.status === 409);
+
+    entry.status = 'offered';
+    mock.method(holdService, 'isExpired', () => true);
+    await assert.rejects(waitlistService.claim('token'), error => error.name === 'WaitlistError' && error.status === 410);
+});
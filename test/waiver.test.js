@@ -0,0 +1,38 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const Waiver = require('../models/Waiver');
+const Counter = require('../models/Counter');
+const waiverService = require('../services/waiverService');
+const { VERSION } = require('../config/waiver');
+
+afterEach(() => mock.restoreAll());
+
+const booking = { _id: '64b000000000000000000001', bookingId: 'SL-TEST-0001', status: 'confirmed', participants: 2 };
+const signature = { participantName: 'Asha Rao', ageConfirmed: true, signatureType: 'typed', signature: 'Asha Rao' };
+
+test('a booking whose participants have all signed takes no more signatures', async () => {
+    const claim = mock.method(Counter, 'findOneAndUpdate', async () => {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    });
+    const create = mock.method(Waiver, 'create', async () => ({}));
+
+    await assert.rejects(
+        waiverService.sign(booking, signature),
+        error => error.name === 'WaiverError' && error.status === 409
+    );
+
+    const [filter] = claim.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter, { key: `waiver:${booking._id}:${VERSION}`, value: { $lt: 2 } });
+    assert.strictEqual(create.mock.callCount(), 0);
+});
+
+test('only signatures on the current waiver version count', async () => {
+    const query = { sort: () => query, select: async () => [{ participantName: 'Asha Rao', signedAt: new Date() }] };
+    const find = mock.method(Waiver, 'find', () => query);
+
+    const status = await waiverService.getStatus(booking);
+
+    assert.deepStrictEqual(find.mock.calls[0].arguments[0], { booking: booking._id, waiverVersion: VERSION });
+    assert.strictEqual(status.signed, 1);
+    assert.strictEqual(status.complete, false);
+});